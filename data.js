@@ -1,72 +1,99 @@
 // Moon data - artifacts, craters, maria, resources
 
+// Artifacts: `operator` is the nation of origin, `agency` the space agency or
+// company that flew the mission.
+//
+// Optional orbital data (approximate published values) gives true-scale
+// trajectories instead of the stylized arc:
+//   orbit: { periapsisKm, apoapsisKm, inclination, raan, argPeriapsis }
+//     altitudes above the mean radius, angles in degrees relative to the
+//     lunar equator. Landers only need the altitudes and inclination: the
+//     orbit plane is placed through the landing site.
+//   epoch: ISO time of landing, or of a periapsis passage for orbiters
+// Orbiters still at the Moon are propagated from their epoch to the
+// simulation time. Their raan and epoch are illustrative, not a tracked
+// ephemeris: positions show the kind of orbit, not where the spacecraft is.
+//
+// Optional mission milestones are shown on the trajectory timeline:
+//   events: [{ phase, date, text }]
+//     phase is one of launch, tli, loi, descent, landing, impact;
+//     date is an ISO UTC time.
+//
+// Optional surface traverses for crewed and rover missions, simplified from
+// published traverse maps (waypoints are approximate, to tens of metres):
+//   traverse: [{ name, date, path: [[lat, lon], ...], stations: [{ name, lat, lon }] }]
+//     one entry per EVA or lunar day, in order; each path starts where the
+//     previous one ended.
+
 export const ARTIFACTS = [
   // 1959-1969 Early missions
-  { name: "Luna 2", lat: 29.1, lon: 0.0, operator: "Soviet Union", year: 1959, type: "Impactor", status: "Impactor", description: "Luna 2 was the first spacecraft to reach the surface of the Moon on September 14, 1959, impacting east of Mare Imbrium near the Aristides, Archimedes, and Autolycus craters. The spacecraft carried Soviet emblems and was followed by its third stage, which also impacted the Moon. This historic mission proved that human-made objects could reach the Moon and collected valuable data on the lunar environment, magnetic field, radiation belts, and cosmic rays during its approach. The mission definitively confirmed the absence of a significant lunar magnetic field.", mass: "390 kg", link: "https://en.wikipedia.org/wiki/Luna_2" },
-  { name: "Luna 2 Third Stage", lat: 30.0, lon: 1.0, operator: "Soviet Union", year: 1959, type: "Rocket Stage", status: "Crashed", description: "The spent third stage rocket from the Luna 2 mission impacted the Moon shortly after the main spacecraft in September 1959. This rocket stage, weighing approximately 1,500 kg, was part of the Luna 8K72 launch vehicle. Its impact near Mare Imbrium provided additional confirmation of the successful mission and contributed debris to the lunar surface as part of humanity's first contact with another celestial body.", mass: "~1500 kg", link: "https://en.wikipedia.org/wiki/Luna_2" },
-  { name: "Ranger 4", lat: -15.5, lon: -130.7, operator: "United States", year: 1962, type: "Impactor", status: "Crashed", description: "Ranger 4 was the first American spacecraft to reach the lunar surface on April 26, 1962, impacting on the far side of the Moon. Unfortunately, the spacecraft suffered a total electronic failure shortly after launch, rendering all instruments inoperative. Despite this failure, Ranger 4 provided valuable information about spacecraft operations and tracking, though it returned no scientific data. The mission demonstrated that the United States could successfully navigate a spacecraft to the Moon, even though the primary imaging objectives were not achieved.", mass: "331 kg", link: "https://en.wikipedia.org/wiki/Ranger_4" },
-  { name: "Ranger 6", lat: 9.358, lon: 21.480, operator: "United States", year: 1964, type: "Impactor", status: "Impactor", description: "Ranger 6 impacted the Moon on February 2, 1964, in Mare Tranquillitatis, but failed to return any photographs due to a camera system malfunction. The cameras were designed to take thousands of high-resolution images during the final minutes before impact, but an accidental activation during launch damaged the TV system. Despite the imaging failure, Ranger 6 successfully demonstrated precise trajectory control and provided valuable lessons about spacecraft design that led to the success of subsequent Ranger missions.", mass: "366 kg", link: "https://en.wikipedia.org/wiki/Ranger_6" },
-  { name: "Ranger 7", lat: -10.63, lon: -20.60, operator: "United States", year: 1964, type: "Impactor", status: "Impactor", description: "Ranger 7 achieved the first completely successful US lunar mission on July 31, 1964, transmitting 4,316 photographs during the final 17 minutes before impact. The images revealed details 1,000 times clearer than Earth-based telescopes could achieve, showing craters as small as 1 meter across. The spacecraft impacted in an area later named Mare Cognitum (Sea that has become Known). This mission's success restored confidence in NASA's lunar program and provided critical data for selecting Apollo landing sites.", mass: "365 kg", link: "https://en.wikipedia.org/wiki/Ranger_7" },
-  { name: "Luna 5", lat: -8.0, lon: -23.0, operator: "Soviet Union", year: 1965, type: "Probe", status: "Crashed", description: "Luna 5 was the first Soviet attempt at a soft landing on the Moon, launched on May 9, 1965. The spacecraft was designed to use retrorockets to achieve a controlled descent, but a malfunction caused the retrorockets to fire prematurely and then shut down too early. As a result, Luna 5 crashed into the lunar surface at high velocity on May 12, 1965, in the Sea of Clouds (Mare Nubium). Despite the failure, the mission provided valuable data on the descent sequence and paved the way for future successful soft landing attempts.", mass: "1,476 kg", link: "https://en.wikipedia.org/wiki/Luna_5" },
-  { name: "Luna 7", lat: 9.8, lon: 47.8, operator: "Soviet Union", year: 1965, type: "Probe", status: "Crashed", description: "Luna 7, launched on October 4, 1965, was another Soviet attempt at achieving the first soft landing on the Moon. The spacecraft successfully executed most of its descent sequence, but a premature firing of the retrorocket caused the probe to crash at approximately 90 meters per second on October 7, 1965, in Oceanus Procellarum. The timing error in the retrorocket sequence meant that Luna 7 exhausted its fuel before reaching the surface, resulting in a hard impact. This mission helped Soviet engineers refine the complex landing sequence for subsequent attempts.", mass: "1,504 kg", link: "https://en.wikipedia.org/wiki/Luna_7" },
-  { name: "Luna 8", lat: 9.1, lon: 63.3, operator: "Soviet Union", year: 1965, type: "Probe", status: "Crashed", description: "Luna 8 was launched on December 3, 1965, as the third Soviet attempt at a soft lunar landing. The spacecraft experienced a retrorocket malfunction during its descent sequence on December 6, 1965, causing it to crash in Oceanus Procellarum. The braking engine failed to ignite properly, preventing the spacecraft from slowing to safe landing speeds. Despite three consecutive landing failures, the Luna program's persistent attempts and incremental improvements ultimately led to Luna 9's successful soft landing just two months later in February 1966.", mass: "1,552 kg", link: "https://en.wikipedia.org/wiki/Luna_8" },
-  { name: "Ranger 8", lat: 2.638, lon: 24.787, operator: "United States", year: 1965, type: "Impactor", status: "Impactor", description: "Ranger 8 successfully impacted Mare Tranquillitatis on February 20, 1965, transmitting 7,137 high-quality photographs during its final descent. The mission was designed to photograph a potential Apollo landing site, and the images showed the surface in unprecedented detail, revealing features as small as 1.5 meters across. The photographs demonstrated that the maria were relatively smooth and flat, making them suitable for crewed landings. Ranger 8's impact site would later become the general region where Apollo 11 made its historic landing in 1969.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/Ranger_8" },
-  { name: "Ranger 9", lat: -12.828, lon: -2.387, operator: "United States", year: 1965, type: "Impactor", status: "Impactor", description: "Ranger 9, the final mission in the Ranger series, impacted inside the 108-kilometer crater Alphonsus on March 24, 1965. The spacecraft transmitted 5,814 excellent photographs during its final approach, including dramatic live television coverage that was broadcast to millions of viewers. The mission specifically targeted Alphonsus to study suspected volcanic features and dark-haloed craters that might indicate recent volcanic activity. Ranger 9's images revealed the crater floor's complex geology and helped scientists better understand the Moon's volcanic history.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/Ranger_9" },
-  { name: "Luna 9", lat: 7.08, lon: -64.37, operator: "Soviet Union", year: 1966, type: "Lander", status: "Landed", description: "Luna 9 achieved humanity's first successful soft landing on the Moon on February 3, 1966, in Oceanus Procellarum. The egg-shaped lander, weighing just 99 kg, deployed four petals to stabilize itself on the surface and transmitted the first panoramic photographs from the lunar surface. The mission operated for three days, sending back images that definitively proved the surface was solid enough to support spacecraft and future crewed missions. Luna 9's success ended speculation that the lunar surface might be covered in deep dust that could swallow a lander, a critical discovery for the Apollo program.", mass: "99 kg (lander)", link: "https://en.wikipedia.org/wiki/Luna_9" },
-  { name: "Surveyor 1", lat: -2.474, lon: -43.339, operator: "United States", year: 1966, type: "Lander", status: "Landed", description: "Surveyor 1 achieved the first US soft landing on the Moon on June 2, 1966, just four months after Luna 9. Landing in Oceanus Procellarum, the spacecraft transmitted 11,237 high-resolution photographs over six weeks of operation. The mission successfully demonstrated the retrorocket soft-landing technique that would later be used by Apollo. Surveyor 1's images showed fine details of the lunar surface, including small rocks, soil texture, and the spacecraft's own footpads, proving that the surface could support the weight of future crewed landers. The mission's success was a major milestone in NASA's preparation for Apollo.", mass: "995 kg", link: "https://en.wikipedia.org/wiki/Surveyor_1" },
-  { name: "Luna 13", lat: 18.87, lon: -62.05, operator: "Soviet Union", year: 1966, type: "Lander", status: "Landed", description: "Luna 13 soft-landed in Oceanus Procellarum on December 24, 1966, and became the first spacecraft to directly measure the mechanical properties of lunar soil. The lander deployed two spring-loaded booms carrying a penetrometer (to measure soil density and bearing strength) and a radiation densitometer (to determine soil composition). These instruments revealed that the lunar regolith had a density similar to Earth soil and could easily support heavy spacecraft. Luna 13 also returned panoramic images and operated successfully for several days, providing crucial engineering data about the lunar surface environment.", mass: "112 kg (lander)", link: "https://en.wikipedia.org/wiki/Luna_13" },
-  { name: "Surveyor 3", lat: -3.015, lon: -23.418, operator: "United States", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 3 landed in Oceanus Procellarum on April 20, 1967, equipped with a surface sampler arm—the first mechanical device to interact with lunar soil. The spacecraft bounced twice during landing due to thruster issues but survived intact. Over two weeks, the soil scoop dug four trenches up to 18 cm deep, revealing soil properties and layering. Surveyor 3 became famous when Apollo 12 astronauts Pete Conrad and Alan Bean landed just 155 meters away in November 1969, making it the only robotic probe visited by humans on another world. The astronauts retrieved the camera and other parts, which showed microbes had survived in the camera for 31 months, though this was later attributed to contamination.", mass: "1,000 kg", link: "https://en.wikipedia.org/wiki/Surveyor_3" },
-  { name: "Surveyor 5", lat: 1.461, lon: 23.195, operator: "United States", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 5 performed the first in-situ chemical analysis of extraterrestrial material when it landed in Mare Tranquillitatis on September 11, 1967. The spacecraft carried an alpha scattering instrument that bombarded the soil with alpha particles to determine its elemental composition. The analysis revealed that lunar soil was primarily basaltic rock similar to volcanic basalt on Earth, containing significant amounts of oxygen, silicon, aluminum, and iron. This groundbreaking discovery fundamentally changed our understanding of the Moon's geological composition and confirmed that the maria were formed by ancient lava flows. Surveyor 5 also returned 19,118 photographs.", mass: "1,006 kg", link: "https://en.wikipedia.org/wiki/Surveyor_5" },
-  { name: "Surveyor 6", lat: 0.49, lon: -1.40, operator: "United States", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 6 landed in Sinus Medii on November 10, 1967, and achieved a historic first—the first rocket liftoff from the lunar surface. After operating for several days and conducting chemical analysis of the soil, mission controllers commanded the spacecraft to fire its vernier engines for 2.5 seconds, lifting it approximately 3 meters and moving it laterally about 2.5 meters before settling back down. This 'hop' allowed the spacecraft to photograph its original landing site and footpad impressions, providing unique data on soil disturbance and the effects of rocket exhaust on the lunar surface. The successful liftoff demonstrated technology crucial for future Apollo missions.", mass: "1,008 kg", link: "https://en.wikipedia.org/wiki/Surveyor_6" },
-  { name: "Surveyor 7", lat: -40.86, lon: -11.47, operator: "United States", year: 1968, type: "Lander", status: "Landed", description: "Surveyor 7, the final mission in the Surveyor series, was the only one to land in the lunar highlands rather than a mare. It touched down on January 10, 1968, on the ejecta blanket north of the crater Tycho, one of the Moon's most prominent and geologically young impact features. The highland location provided the first direct analysis of non-mare material, revealing a different composition than the basaltic maria. Surveyor 7 carried both the surface sampler and chemical analyzer, returning 21,091 photographs including detailed views of Tycho's rays and the rugged highland terrain. The mission successfully concluded the Surveyor program, which had de-risked Apollo landings.", mass: "1,040 kg", link: "https://en.wikipedia.org/wiki/Surveyor_7" },
-  { name: "Apollo 11 Eagle", lat: 0.6741, lon: 23.4730, operator: "United States", year: 1969, type: "Lander", status: "Landed", description: "Apollo 11's Lunar Module Eagle achieved humanity's first crewed landing on the Moon on July 20, 1969, at 20:17 UTC in Mare Tranquillitatis (the Sea of Tranquility). Commander Neil Armstrong manually piloted the LM to avoid a boulder field, landing with only 25 seconds of fuel remaining. Armstrong's first words upon stepping onto the surface—'That's one small step for man, one giant leap for mankind'—became one of history's most famous quotes. Armstrong and Buzz Aldrin spent 21 hours 36 minutes on the surface, performing a single 2.5-hour EVA during which they collected 21.5 kg of lunar samples, deployed scientific experiments (EASEP), and planted the US flag. The Eagle's descent stage remains on the surface as a monument to human achievement.", mass: "15,103 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_11" },
-  { name: "Apollo 11 Flag", lat: 0.6734, lon: 23.4731, operator: "United States", year: 1969, type: "Equipment", status: "Landed", description: "The United States flag planted by Neil Armstrong and Buzz Aldrin during Apollo 11's historic moonwalk on July 20, 1969, was a nylon flag measuring 3 by 5 feet (0.91 by 1.52 meters) mounted on a specially designed horizontal crossbar to make it appear to wave in the airless environment. The flag was knocked over by the exhaust from the Lunar Module's ascent engine during liftoff, as Buzz Aldrin observed from the cabin. This iconic symbol of the Space Race and American achievement likely had its colors bleached white by decades of unfiltered solar ultraviolet radiation. Five more flags were planted during subsequent Apollo missions, most of which are believed to still be standing, though all are likely bleached white.", mass: "<1 kg", link: "https://en.wikipedia.org/wiki/Lunar_Flag_Assembly" },
-  { name: "Apollo 12 Intrepid", lat: -3.0124, lon: -23.4216, operator: "United States", year: 1969, type: "Lander", status: "Landed", description: "Apollo 12's Lunar Module Intrepid achieved a precision landing on November 19, 1969, in Oceanus Procellarum, touching down just 155 meters from the Surveyor 3 probe that had landed 31 months earlier. Commander Pete Conrad and Alan Bean conducted two EVAs totaling 7 hours 45 minutes, collecting 34.4 kg of samples and deploying the first ALSEP (Apollo Lunar Surface Experiments Package) for long-term scientific measurements. The crew's visit to Surveyor 3, during which they retrieved its camera and other components for return to Earth, marked the only time humans have visited a robotic spacecraft on another world. Conrad's first words on the Moon—'Whoopee! Man, that may have been a small one for Neil, but that's a long one for me'—reflected his characteristic humor.", mass: "15,235 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_12" },
+  { name: "Luna 2", lat: 29.1, lon: 0.0, operator: "Soviet Union", agency: "Soviet space program", year: 1959, type: "Impactor", status: "Impactor", description: "Luna 2 was the first spacecraft to reach the surface of the Moon on September 14, 1959, impacting east of Mare Imbrium near the Aristides, Archimedes, and Autolycus craters. The spacecraft carried Soviet emblems and was followed by its third stage, which also impacted the Moon. This historic mission proved that human-made objects could reach the Moon and collected valuable data on the lunar environment, magnetic field, radiation belts, and cosmic rays during its approach. The mission definitively confirmed the absence of a significant lunar magnetic field.", mass: "390 kg", link: "https://en.wikipedia.org/wiki/Luna_2", events: [{ phase: "launch", date: "1959-09-12T06:39:00Z", text: "Launch from Baikonur on a Luna 8K72" }, { phase: "impact", date: "1959-09-13T21:02:24Z", text: "First human-made object to reach the Moon" }] },
+  { name: "Luna 2 Third Stage", lat: 30.0, lon: 1.0, operator: "Soviet Union", agency: "Soviet space program", year: 1959, type: "Rocket Stage", status: "Crashed", description: "The spent third stage rocket from the Luna 2 mission impacted the Moon shortly after the main spacecraft in September 1959. This rocket stage, weighing approximately 1,500 kg, was part of the Luna 8K72 launch vehicle. Its impact near Mare Imbrium provided additional confirmation of the successful mission and contributed debris to the lunar surface as part of humanity's first contact with another celestial body.", mass: "~1500 kg", link: "https://en.wikipedia.org/wiki/Luna_2" },
+  { name: "Ranger 4", lat: -15.5, lon: -130.7, operator: "United States", agency: "NASA", year: 1962, type: "Impactor", status: "Crashed", description: "Ranger 4 was the first American spacecraft to reach the lunar surface on April 26, 1962, impacting on the far side of the Moon. Unfortunately, the spacecraft suffered a total electronic failure shortly after launch, rendering all instruments inoperative. Despite this failure, Ranger 4 provided valuable information about spacecraft operations and tracking, though it returned no scientific data. The mission demonstrated that the United States could successfully navigate a spacecraft to the Moon, even though the primary imaging objectives were not achieved.", mass: "331 kg", link: "https://en.wikipedia.org/wiki/Ranger_4" },
+  { name: "Ranger 6", lat: 9.358, lon: 21.480, operator: "United States", agency: "NASA", year: 1964, type: "Impactor", status: "Impactor", description: "Ranger 6 impacted the Moon on February 2, 1964, in Mare Tranquillitatis, but failed to return any photographs due to a camera system malfunction. The cameras were designed to take thousands of high-resolution images during the final minutes before impact, but an accidental activation during launch damaged the TV system. Despite the imaging failure, Ranger 6 successfully demonstrated precise trajectory control and provided valuable lessons about spacecraft design that led to the success of subsequent Ranger missions.", mass: "366 kg", link: "https://en.wikipedia.org/wiki/Ranger_6" },
+  { name: "Ranger 7", lat: -10.63, lon: -20.60, operator: "United States", agency: "NASA", year: 1964, type: "Impactor", status: "Impactor", description: "Ranger 7 achieved the first completely successful US lunar mission on July 31, 1964, transmitting 4,316 photographs during the final 17 minutes before impact. The images revealed details 1,000 times clearer than Earth-based telescopes could achieve, showing craters as small as 1 meter across. The spacecraft impacted in an area later named Mare Cognitum (Sea that has become Known). This mission's success restored confidence in NASA's lunar program and provided critical data for selecting Apollo landing sites.", mass: "365 kg", link: "https://en.wikipedia.org/wiki/Ranger_7", events: [{ phase: "launch", date: "1964-07-28T16:50:07Z", text: "Launch from Cape Kennedy on an Atlas-Agena" }, { phase: "impact", date: "1964-07-31T13:25:49Z", text: "Impact after returning 4,308 close-up images" }] },
+  { name: "Luna 5", lat: -8.0, lon: -23.0, operator: "Soviet Union", agency: "Soviet space program", year: 1965, type: "Probe", status: "Crashed", description: "Luna 5 was the first Soviet attempt at a soft landing on the Moon, launched on May 9, 1965. The spacecraft was designed to use retrorockets to achieve a controlled descent, but a malfunction caused the retrorockets to fire prematurely and then shut down too early. As a result, Luna 5 crashed into the lunar surface at high velocity on May 12, 1965, in the Sea of Clouds (Mare Nubium). Despite the failure, the mission provided valuable data on the descent sequence and paved the way for future successful soft landing attempts.", mass: "1,476 kg", link: "https://en.wikipedia.org/wiki/Luna_5" },
+  { name: "Luna 7", lat: 9.8, lon: 47.8, operator: "Soviet Union", agency: "Soviet space program", year: 1965, type: "Probe", status: "Crashed", description: "Luna 7, launched on October 4, 1965, was another Soviet attempt at achieving the first soft landing on the Moon. The spacecraft successfully executed most of its descent sequence, but a premature firing of the retrorocket caused the probe to crash at approximately 90 meters per second on October 7, 1965, in Oceanus Procellarum. The timing error in the retrorocket sequence meant that Luna 7 exhausted its fuel before reaching the surface, resulting in a hard impact. This mission helped Soviet engineers refine the complex landing sequence for subsequent attempts.", mass: "1,504 kg", link: "https://en.wikipedia.org/wiki/Luna_7" },
+  { name: "Luna 8", lat: 9.1, lon: 63.3, operator: "Soviet Union", agency: "Soviet space program", year: 1965, type: "Probe", status: "Crashed", description: "Luna 8 was launched on December 3, 1965, as the third Soviet attempt at a soft lunar landing. The spacecraft experienced a retrorocket malfunction during its descent sequence on December 6, 1965, causing it to crash in Oceanus Procellarum. The braking engine failed to ignite properly, preventing the spacecraft from slowing to safe landing speeds. Despite three consecutive landing failures, the Luna program's persistent attempts and incremental improvements ultimately led to Luna 9's successful soft landing just two months later in February 1966.", mass: "1,552 kg", link: "https://en.wikipedia.org/wiki/Luna_8" },
+  { name: "Ranger 8", lat: 2.638, lon: 24.787, operator: "United States", agency: "NASA", year: 1965, type: "Impactor", status: "Impactor", description: "Ranger 8 successfully impacted Mare Tranquillitatis on February 20, 1965, transmitting 7,137 high-quality photographs during its final descent. The mission was designed to photograph a potential Apollo landing site, and the images showed the surface in unprecedented detail, revealing features as small as 1.5 meters across. The photographs demonstrated that the maria were relatively smooth and flat, making them suitable for crewed landings. Ranger 8's impact site would later become the general region where Apollo 11 made its historic landing in 1969.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/Ranger_8" },
+  { name: "Ranger 9", lat: -12.828, lon: -2.387, operator: "United States", agency: "NASA", year: 1965, type: "Impactor", status: "Impactor", description: "Ranger 9, the final mission in the Ranger series, impacted inside the 108-kilometer crater Alphonsus on March 24, 1965. The spacecraft transmitted 5,814 excellent photographs during its final approach, including dramatic live television coverage that was broadcast to millions of viewers. The mission specifically targeted Alphonsus to study suspected volcanic features and dark-haloed craters that might indicate recent volcanic activity. Ranger 9's images revealed the crater floor's complex geology and helped scientists better understand the Moon's volcanic history.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/Ranger_9" },
+  { name: "Luna 9", lat: 7.08, lon: -64.37, operator: "Soviet Union", agency: "Soviet space program", year: 1966, type: "Lander", status: "Landed", description: "Luna 9 achieved humanity's first successful soft landing on the Moon on February 3, 1966, in Oceanus Procellarum. The egg-shaped lander, weighing just 99 kg, deployed four petals to stabilize itself on the surface and transmitted the first panoramic photographs from the lunar surface. The mission operated for three days, sending back images that definitively proved the surface was solid enough to support spacecraft and future crewed missions. Luna 9's success ended speculation that the lunar surface might be covered in deep dust that could swallow a lander, a critical discovery for the Apollo program.", mass: "99 kg (lander)", link: "https://en.wikipedia.org/wiki/Luna_9", events: [{ phase: "launch", date: "1966-01-31T11:41:37Z", text: "Launch from Baikonur on a Molniya-M" }, { phase: "landing", date: "1966-02-03T18:45:30Z", text: "First soft landing on another world" }] },
+  { name: "Surveyor 1", lat: -2.474, lon: -43.339, operator: "United States", agency: "NASA", year: 1966, type: "Lander", status: "Landed", description: "Surveyor 1 achieved the first US soft landing on the Moon on June 2, 1966, just four months after Luna 9. Landing in Oceanus Procellarum, the spacecraft transmitted 11,237 high-resolution photographs over six weeks of operation. The mission successfully demonstrated the retrorocket soft-landing technique that would later be used by Apollo. Surveyor 1's images showed fine details of the lunar surface, including small rocks, soil texture, and the spacecraft's own footpads, proving that the surface could support the weight of future crewed landers. The mission's success was a major milestone in NASA's preparation for Apollo.", mass: "995 kg", link: "https://en.wikipedia.org/wiki/Surveyor_1" },
+  { name: "Luna 13", lat: 18.87, lon: -62.05, operator: "Soviet Union", agency: "Soviet space program", year: 1966, type: "Lander", status: "Landed", description: "Luna 13 soft-landed in Oceanus Procellarum on December 24, 1966, and became the first spacecraft to directly measure the mechanical properties of lunar soil. The lander deployed two spring-loaded booms carrying a penetrometer (to measure soil density and bearing strength) and a radiation densitometer (to determine soil composition). These instruments revealed that the lunar regolith had a density similar to Earth soil and could easily support heavy spacecraft. Luna 13 also returned panoramic images and operated successfully for several days, providing crucial engineering data about the lunar surface environment.", mass: "112 kg (lander)", link: "https://en.wikipedia.org/wiki/Luna_13" },
+  { name: "Surveyor 3", lat: -3.015, lon: -23.418, operator: "United States", agency: "NASA", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 3 landed in Oceanus Procellarum on April 20, 1967, equipped with a surface sampler arm—the first mechanical device to interact with lunar soil. The spacecraft bounced twice during landing due to thruster issues but survived intact. Over two weeks, the soil scoop dug four trenches up to 18 cm deep, revealing soil properties and layering. Surveyor 3 became famous when Apollo 12 astronauts Pete Conrad and Alan Bean landed just 155 meters away in November 1969, making it the only robotic probe visited by humans on another world. The astronauts retrieved the camera and other parts, which showed microbes had survived in the camera for 31 months, though this was later attributed to contamination.", mass: "1,000 kg", link: "https://en.wikipedia.org/wiki/Surveyor_3" },
+  { name: "Surveyor 5", lat: 1.461, lon: 23.195, operator: "United States", agency: "NASA", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 5 performed the first in-situ chemical analysis of extraterrestrial material when it landed in Mare Tranquillitatis on September 11, 1967. The spacecraft carried an alpha scattering instrument that bombarded the soil with alpha particles to determine its elemental composition. The analysis revealed that lunar soil was primarily basaltic rock similar to volcanic basalt on Earth, containing significant amounts of oxygen, silicon, aluminum, and iron. This groundbreaking discovery fundamentally changed our understanding of the Moon's geological composition and confirmed that the maria were formed by ancient lava flows. Surveyor 5 also returned 19,118 photographs.", mass: "1,006 kg", link: "https://en.wikipedia.org/wiki/Surveyor_5" },
+  { name: "Surveyor 6", lat: 0.49, lon: -1.40, operator: "United States", agency: "NASA", year: 1967, type: "Lander", status: "Landed", description: "Surveyor 6 landed in Sinus Medii on November 10, 1967, and achieved a historic first—the first rocket liftoff from the lunar surface. After operating for several days and conducting chemical analysis of the soil, mission controllers commanded the spacecraft to fire its vernier engines for 2.5 seconds, lifting it approximately 3 meters and moving it laterally about 2.5 meters before settling back down. This 'hop' allowed the spacecraft to photograph its original landing site and footpad impressions, providing unique data on soil disturbance and the effects of rocket exhaust on the lunar surface. The successful liftoff demonstrated technology crucial for future Apollo missions.", mass: "1,008 kg", link: "https://en.wikipedia.org/wiki/Surveyor_6" },
+  { name: "Surveyor 7", lat: -40.86, lon: -11.47, operator: "United States", agency: "NASA", year: 1968, type: "Lander", status: "Landed", description: "Surveyor 7, the final mission in the Surveyor series, was the only one to land in the lunar highlands rather than a mare. It touched down on January 10, 1968, on the ejecta blanket north of the crater Tycho, one of the Moon's most prominent and geologically young impact features. The highland location provided the first direct analysis of non-mare material, revealing a different composition than the basaltic maria. Surveyor 7 carried both the surface sampler and chemical analyzer, returning 21,091 photographs including detailed views of Tycho's rays and the rugged highland terrain. The mission successfully concluded the Surveyor program, which had de-risked Apollo landings.", mass: "1,040 kg", link: "https://en.wikipedia.org/wiki/Surveyor_7" },
+  { name: "Apollo 11 Eagle", lat: 0.6741, lon: 23.4730, operator: "United States", agency: "NASA", year: 1969, type: "Lander", status: "Landed", description: "Apollo 11's Lunar Module Eagle achieved humanity's first crewed landing on the Moon on July 20, 1969, at 20:17 UTC in Mare Tranquillitatis (the Sea of Tranquility). Commander Neil Armstrong manually piloted the LM to avoid a boulder field, landing with only 25 seconds of fuel remaining. Armstrong's first words upon stepping onto the surface—'That's one small step for man, one giant leap for mankind'—became one of history's most famous quotes. Armstrong and Buzz Aldrin spent 21 hours 36 minutes on the surface, performing a single 2.5-hour EVA during which they collected 21.5 kg of lunar samples, deployed scientific experiments (EASEP), and planted the US flag. The Eagle's descent stage remains on the surface as a monument to human achievement.", mass: "15,103 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_11", orbit: { periapsisKm: 15, apoapsisKm: 108, inclination: 178.8 }, epoch: "1969-07-20T20:17:40Z", events: [{ phase: "launch", date: "1969-07-16T13:32:00Z", text: "Saturn V lifts off from Kennedy Space Center LC-39A" }, { phase: "tli", date: "1969-07-16T16:22:00Z", text: "S-IVB burn sends Columbia and Eagle toward the Moon" }, { phase: "loi", date: "1969-07-19T17:21:00Z", text: "Service module engine burn behind the Moon captures Apollo 11" }, { phase: "descent", date: "1969-07-20T20:05:00Z", text: "Eagle begins powered descent" }, { phase: "landing", date: "1969-07-20T20:17:40Z", text: "“The Eagle has landed” in Mare Tranquillitatis" }], traverse: [{ name: "EVA-1", date: "1969-07-21", path: [[0.6741, 23.473], [0.6737, 23.473], [0.67316, 23.47262], [0.67409, 23.47296], [0.67409, 23.47494], [0.67409, 23.47296]], stations: [{ name: "Flag", lat: 0.6737, lon: 23.473 }, { name: "EASEP experiments", lat: 0.67316, lon: 23.47262 }, { name: "Little West crater", lat: 0.67409, lon: 23.47494 }] }] },
+  { name: "Apollo 11 Flag", lat: 0.6734, lon: 23.4731, operator: "United States", agency: "NASA", year: 1969, type: "Equipment", status: "Landed", description: "The United States flag planted by Neil Armstrong and Buzz Aldrin during Apollo 11's historic moonwalk on July 20, 1969, was a nylon flag measuring 3 by 5 feet (0.91 by 1.52 meters) mounted on a specially designed horizontal crossbar to make it appear to wave in the airless environment. The flag was knocked over by the exhaust from the Lunar Module's ascent engine during liftoff, as Buzz Aldrin observed from the cabin. This iconic symbol of the Space Race and American achievement likely had its colors bleached white by decades of unfiltered solar ultraviolet radiation. Five more flags were planted during subsequent Apollo missions, most of which are believed to still be standing, though all are likely bleached white.", mass: "<1 kg", link: "https://en.wikipedia.org/wiki/Lunar_Flag_Assembly" },
+  { name: "Apollo 12 Intrepid", lat: -3.0124, lon: -23.4216, operator: "United States", agency: "NASA", year: 1969, type: "Lander", status: "Landed", description: "Apollo 12's Lunar Module Intrepid achieved a precision landing on November 19, 1969, in Oceanus Procellarum, touching down just 155 meters from the Surveyor 3 probe that had landed 31 months earlier. Commander Pete Conrad and Alan Bean conducted two EVAs totaling 7 hours 45 minutes, collecting 34.4 kg of samples and deploying the first ALSEP (Apollo Lunar Surface Experiments Package) for long-term scientific measurements. The crew's visit to Surveyor 3, during which they retrieved its camera and other components for return to Earth, marked the only time humans have visited a robotic spacecraft on another world. Conrad's first words on the Moon—'Whoopee! Man, that may have been a small one for Neil, but that's a long one for me'—reflected his characteristic humor.", mass: "15,235 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_12", events: [{ phase: "launch", date: "1969-11-14T16:22:00Z", text: "Launch through a storm; two lightning strikes hit the Saturn V" }, { phase: "loi", date: "1969-11-18T03:47:00Z", text: "Lunar orbit insertion" }, { phase: "landing", date: "1969-11-19T06:54:35Z", text: "Pinpoint landing 180 m from Surveyor 3" }], traverse: [{ name: "EVA-1", date: "1969-11-19", path: [[-3.0124, -23.4216], [-3.01026, -23.42532], [-3.0124, -23.4216]], stations: [{ name: "ALSEP", lat: -3.01026, lon: -23.42532 }] }, { name: "EVA-2", date: "1969-11-20", path: [[-3.0124, -23.4216], [-3.0124, -23.4249], [-3.01496, -23.43447], [-3.02308, -23.43591], [-3.02417, -23.4234], [-3.015, -23.418], [-3.0124, -23.4216]], stations: [{ name: "Head crater", lat: -3.0124, lon: -23.4249 }, { name: "Bench crater", lat: -3.01496, lon: -23.43447 }, { name: "Sharp crater", lat: -3.02308, lon: -23.43591 }, { name: "Halo crater", lat: -3.02417, lon: -23.4234 }, { name: "Surveyor 3", lat: -3.015, lon: -23.418 }] }] },
   
   // 1970s missions
-  { name: "Luna 16", lat: -0.5137, lon: 56.3638, operator: "Soviet Union", year: 1970, type: "Sample Return", status: "Landed", description: "Luna 16 achieved the first automated sample return from another celestial body when it landed in Mare Fecunditatis on September 20, 1970. The spacecraft drilled 35 cm into the lunar surface and extracted a core sample of 101 grams, which was sealed in a spherical capsule and launched back to Earth on September 21. The return capsule successfully landed in Kazakhstan on September 24, demonstrating that robotic missions could accomplish sample return without human crews. This achievement was particularly significant as it proved the feasibility of unmanned sample return missions and provided the Soviet Union with lunar samples for analysis, including sharing portions with scientists worldwide.", mass: "5,727 kg", link: "https://en.wikipedia.org/wiki/Luna_16" },
-  { name: "Luna 17/Lunokhod 1", lat: 38.2378, lon: -35.0, operator: "Soviet Union", year: 1970, type: "Rover", status: "Landed", description: "Lunokhod 1 ('Moonwalker 1') was the first robotic rover to explore another world, delivered to Mare Imbrium by Luna 17 on November 17, 1970. This eight-wheeled, solar-powered rover was remotely operated by a five-person team on Earth and explored the lunar surface for 11 months, far exceeding its designed 3-month lifespan. Lunokhod 1 traveled 10.54 kilometers, transmitted over 20,000 television images and 206 panoramic photographs, and conducted extensive soil analysis with its French-built laser retroreflector. The rover examined lunar terrain, tested soil mechanics with its wheels, and performed X-ray fluorescence analysis. Lunokhod 1 operated until September 1971, when it was finally shut down, and its exact location remained lost until 2010 when NASA's Lunar Reconnaissance Orbiter found it.", mass: "756 kg (rover)", link: "https://en.wikipedia.org/wiki/Lunokhod_1" },
-  { name: "Apollo 14 Antares", lat: -3.6453, lon: -17.4714, operator: "United States", year: 1971, type: "Lander", status: "Landed", description: "Apollo 14's Lunar Module Antares landed on February 5, 1971, at Fra Mauro, the intended landing site for the canceled Apollo 13 mission. Commander Alan Shepard (America's first astronaut in space) and Edgar Mitchell conducted two EVAs totaling 9 hours 21 minutes, collecting 42.9 kg of samples from the Fra Mauro formation—ejecta from the ancient Imbrium impact that scientists hoped would reveal deep crustal materials. The mission is famous for Shepard's impromptu golf shots using a makeshift six-iron, hitting two balls that he claimed went 'miles and miles' in the low gravity. Apollo 14 deployed the third ALSEP package and successfully accomplished all its scientific objectives, including a challenging trek to the rim of Cone Crater.", mass: "15,264 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_14" },
-  { name: "Apollo 15 Falcon", lat: 26.1322, lon: 3.6339, operator: "United States", year: 1971, type: "Lander", status: "Landed", description: "Apollo 15's Lunar Module Falcon landed on July 30, 1971, at Hadley-Apennine, one of the most spectacular and geologically diverse landing sites chosen for Apollo. This was the first 'J-mission' with extended surface stay time (66 hours 55 minutes), the first to carry the Lunar Roving Vehicle, and the first to land in the highlands. Commander David Scott and Jim Irwin conducted three EVAs totaling 18 hours 30 minutes, traveling 27.8 km in the rover and collecting 77 kg of samples, including the famous 'Genesis Rock'—a sample of the Moon's primordial crust dating to 4.1 billion years ago. The mission explored Hadley Rille, a massive lava channel, and the Apennine Mountains, deploying the most comprehensive ALSEP suite yet. Scott's demonstration of Galileo's theory by simultaneously dropping a hammer and a feather became an iconic moment.", mass: "16,430 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_15" },
-  { name: "Apollo 15 Rover", lat: 26.1333, lon: 3.6340, operator: "United States", year: 1971, type: "Rover", status: "Landed", description: "The first Lunar Roving Vehicle (LRV-1) revolutionized lunar exploration when it was deployed on Apollo 15 in July 1971. This battery-powered, four-wheel-drive vehicle weighed 210 kg on Earth but only 35 kg in lunar gravity, and could carry twice its own weight in astronauts, equipment, and samples. The rover had a top speed of 13 km/h and traveled a total distance of 27.8 km across three EVAs at the Hadley-Apennine site. It featured a hand controller for steering, a navigation system, a high-gain antenna for communications, and a color TV camera. The LRV dramatically expanded the exploration range from a few hundred meters on foot to several kilometers, allowing astronauts to reach geologically diverse sites and return to the LM safety within walking distance if the rover failed.", mass: "210 kg", link: "https://en.wikipedia.org/wiki/Lunar_Roving_Vehicle" },
-  { name: "Luna 20", lat: 3.57, lon: 56.55, operator: "Soviet Union", year: 1972, type: "Sample Return", status: "Landed", description: "Luna 20 successfully performed the second Soviet automated sample return mission, landing in the Apollonius highlands region northeast of Mare Fecunditatis on February 21, 1972. Unlike Luna 16 which sampled mare basalts, Luna 20 was specifically sent to collect highland material to compare with the basaltic maria samples. The spacecraft drilled and retrieved 55 grams of core sample from a depth of 35 cm, then launched the return capsule back to Earth on February 22. The sample landed in Kazakhstan and provided scientists with important highland anorthosite material, showing the highlands had a different composition than the maria—lighter in color and richer in aluminum and calcium. This validated theories about the Moon's differentiated crust.", mass: "5,727 kg", link: "https://en.wikipedia.org/wiki/Luna_20" },
-  { name: "Apollo 16 Orion", lat: -8.9999, lon: 15.5001, operator: "United States", year: 1972, type: "Lander", status: "Landed", description: "Apollo 16's Lunar Module Orion landed on April 21, 1972, in the Descartes Highlands, making it the first mission to extensively explore the lunar highlands. Commander John Young and Charles Duke spent 71 hours on the surface, conducting three EVAs totaling 20 hours 14 minutes and driving the Lunar Roving Vehicle 27.1 km. They collected 95.8 kg of samples from what geologists expected to be volcanic rocks but proved to be impact breccias, fundamentally changing understanding of highland geology. The mission deployed the fourth ALSEP and conducted the first astronomical observations from the lunar surface using an ultraviolet camera/spectrograph. Young's enthusiastic 'leaps' while testing the rover and Duke's family photo left on the surface added human touches to the scientific mission.", mass: "16,445 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_16" },
-  { name: "Apollo 17 Challenger", lat: 20.1908, lon: 30.7717, operator: "United States", year: 1972, type: "Lander", status: "Landed", description: "Apollo 17's Lunar Module Challenger completed the final crewed Moon landing on December 11, 1972, at the Taurus-Littrow valley—a location chosen for its potential to sample both ancient highland material and young volcanic deposits. Commander Eugene Cernan and Harrison 'Jack' Schmitt (the only professional scientist-astronaut to walk on the Moon) spent a record 75 hours on the surface, conducting three EVAs totaling 22 hours 4 minutes and traveling 35.9 km in the rover—also a record. They collected 110.5 kg of samples, including the famous orange soil that proved to be ancient volcanic glass beads. The mission's scientific return was exceptional due to Schmitt's geological expertise. Cernan's last words on the Moon—'We shall return'—have yet to be fulfilled, making Apollo 17 humanity's last visit to date.", mass: "16,454 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_17" },
-  { name: "Luna 21/Lunokhod 2", lat: 25.85, lon: 30.45, operator: "Soviet Union", year: 1973, type: "Rover", status: "Landed", description: "Lunokhod 2, delivered by Luna 21 on January 16, 1973, was an improved version of Lunokhod 1 that landed in Le Monnier crater at the eastern edge of Mare Serenitatis, just 180 km from the Apollo 17 landing site. This second robotic rover was more robust and had enhanced scientific instruments, including an improved TV system, magnetometer, and soil penetrometer. Lunokhod 2 operated for 4 months (compared to 11 for Lunokhod 1) but traveled a record 37 kilometers—a distance that remained the off-Earth roving record until 2014 when broken by Mars rover Opportunity. The rover transmitted 86 panoramic images and over 80,000 TV pictures. Its mission ended prematurely in May 1973 when it accidentally drove through crater debris that covered its solar panels with regolith, causing it to overheat and cease operations.", mass: "840 kg (rover)", link: "https://en.wikipedia.org/wiki/Lunokhod_2" },
-  { name: "Luna 23", lat: 13.0, lon: 62.0, operator: "Soviet Union", year: 1974, type: "Sample Return", status: "Landed", description: "Luna 23 landed successfully in the southern Mare Crisium on November 6, 1974, but suffered damage during touchdown that prevented it from completing its sample return mission. The spacecraft's drilling apparatus was damaged when it landed on a boulder or steep slope, rendering it unable to collect and return samples. Despite this failure, Luna 23 transmitted some data about the landing site's properties and demonstrated the challenges of automated landing on rough terrain. The mission provided valuable lessons about landing site selection and the vulnerabilities of complex drilling systems. Two years later, Luna 24 would successfully sample from nearly the same region of Mare Crisium.", mass: "5,800 kg", link: "https://en.wikipedia.org/wiki/Luna_23" },
-  { name: "Luna 24", lat: 12.7145, lon: 62.2129, operator: "Soviet Union", year: 1976, type: "Sample Return", status: "Landed", description: "Luna 24 concluded the Soviet Luna program with a successful sample return mission, landing in Mare Crisium on August 18, 1976. Using an improved drill system capable of penetrating up to 2.5 meters (deeper than any previous mission), Luna 24 extracted a 160-cm core sample weighing 170 grams—the largest sample returned by a Soviet mission. The core contained layered material showing the geological history of the mare, including evidence of multiple lava flows. The return capsule landed safely in Siberia on August 22, marking the last lunar sample return until China's Chang'e 5 mission 44 years later. Luna 24 demonstrated that automated missions could achieve complex geological sampling, and the Soviet Union shared portions of the sample with scientists worldwide, including NASA researchers.", mass: "5,800 kg", link: "https://en.wikipedia.org/wiki/Luna_24" },
+  { name: "Luna 16", lat: -0.5137, lon: 56.3638, operator: "Soviet Union", agency: "Soviet space program", year: 1970, type: "Sample Return", status: "Landed", description: "Luna 16 achieved the first automated sample return from another celestial body when it landed in Mare Fecunditatis on September 20, 1970. The spacecraft drilled 35 cm into the lunar surface and extracted a core sample of 101 grams, which was sealed in a spherical capsule and launched back to Earth on September 21. The return capsule successfully landed in Kazakhstan on September 24, demonstrating that robotic missions could accomplish sample return without human crews. This achievement was particularly significant as it proved the feasibility of unmanned sample return missions and provided the Soviet Union with lunar samples for analysis, including sharing portions with scientists worldwide.", mass: "5,727 kg", link: "https://en.wikipedia.org/wiki/Luna_16" },
+  { name: "Luna 17/Lunokhod 1", lat: 38.2378, lon: -35.0, operator: "Soviet Union", agency: "Soviet space program", year: 1970, type: "Rover", status: "Landed", description: "Lunokhod 1 ('Moonwalker 1') was the first robotic rover to explore another world, delivered to Mare Imbrium by Luna 17 on November 17, 1970. This eight-wheeled, solar-powered rover was remotely operated by a five-person team on Earth and explored the lunar surface for 11 months, far exceeding its designed 3-month lifespan. Lunokhod 1 traveled 10.54 kilometers, transmitted over 20,000 television images and 206 panoramic photographs, and conducted extensive soil analysis with its French-built laser retroreflector. The rover examined lunar terrain, tested soil mechanics with its wheels, and performed X-ray fluorescence analysis. Lunokhod 1 operated until September 1971, when it was finally shut down, and its exact location remained lost until 2010 when NASA's Lunar Reconnaissance Orbiter found it.", mass: "756 kg (rover)", link: "https://en.wikipedia.org/wiki/Lunokhod_1", traverse: [{ name: "Lunar day 1", date: "1970-11-17", path: [[38.2378, -35], [38.2316, -34.99713]], stations: [{ name: "Roll-off", lat: 38.2316, lon: -34.99713 }] }, { name: "Lunar days 2–3", date: "1970-12-09", path: [[38.2316, -34.99713], [38.18822, -35.01722], [38.15394, -34.99206], [38.15909, -34.95488]], stations: [{ name: "Southern turn", lat: 38.15909, lon: -34.95488 }] }, { name: "Lunar days 4–8", date: "1971-02-08", path: [[38.15909, -34.95488], [38.20867, -34.93192], [38.26713, -34.94504], [38.31584, -34.9341]] }, { name: "Lunar days 9–11", date: "1971-06-08", path: [[38.31584, -34.9341], [38.34154, -34.95302], [38.3154, -35.0081]], stations: [{ name: "Final parking", lat: 38.3154, lon: -35.0081 }] }] },
+  { name: "Apollo 14 Antares", lat: -3.6453, lon: -17.4714, operator: "United States", agency: "NASA", year: 1971, type: "Lander", status: "Landed", description: "Apollo 14's Lunar Module Antares landed on February 5, 1971, at Fra Mauro, the intended landing site for the canceled Apollo 13 mission. Commander Alan Shepard (America's first astronaut in space) and Edgar Mitchell conducted two EVAs totaling 9 hours 21 minutes, collecting 42.9 kg of samples from the Fra Mauro formation—ejecta from the ancient Imbrium impact that scientists hoped would reveal deep crustal materials. The mission is famous for Shepard's impromptu golf shots using a makeshift six-iron, hitting two balls that he claimed went 'miles and miles' in the low gravity. Apollo 14 deployed the third ALSEP package and successfully accomplished all its scientific objectives, including a challenging trek to the rim of Cone Crater.", mass: "15,264 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_14", traverse: [{ name: "EVA-1", date: "1971-02-05", path: [[-3.6453, -17.4714], [-3.6453, -17.47735], [-3.6453, -17.4714]], stations: [{ name: "ALSEP", lat: -3.6453, lon: -17.47735 }] }, { name: "EVA-2", date: "1971-02-06", path: [[-3.6453, -17.4714], [-3.64244, -17.45513], [-3.63817, -17.43917], [-3.63478, -17.42985], [-3.64106, -17.44333], [-3.64532, -17.45929], [-3.64704, -17.46905]], stations: [{ name: "Station A", lat: -3.64244, lon: -17.45513 }, { name: "Station B", lat: -3.63817, lon: -17.43917 }, { name: "Cone crater rim", lat: -3.63478, lon: -17.42985 }, { name: "Station E", lat: -3.64106, lon: -17.44333 }, { name: "Station G", lat: -3.64532, lon: -17.45929 }] }] },
+  { name: "Apollo 15 Falcon", lat: 26.1322, lon: 3.6339, operator: "United States", agency: "NASA", year: 1971, type: "Lander", status: "Landed", description: "Apollo 15's Lunar Module Falcon landed on July 30, 1971, at Hadley-Apennine, one of the most spectacular and geologically diverse landing sites chosen for Apollo. This was the first 'J-mission' with extended surface stay time (66 hours 55 minutes), the first to carry the Lunar Roving Vehicle, and the first to land in the highlands. Commander David Scott and Jim Irwin conducted three EVAs totaling 18 hours 30 minutes, traveling 27.8 km in the rover and collecting 77 kg of samples, including the famous 'Genesis Rock'—a sample of the Moon's primordial crust dating to 4.1 billion years ago. The mission explored Hadley Rille, a massive lava channel, and the Apennine Mountains, deploying the most comprehensive ALSEP suite yet. Scott's demonstration of Galileo's theory by simultaneously dropping a hammer and a feather became an iconic moment.", mass: "16,430 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_15", traverse: [{ name: "EVA-1", date: "1971-07-31", path: [[26.1322, 3.6339], [26.03303, 3.59373], [26.00117, 3.60323], [26.13177, 3.64221], [26.13301, 3.63841], [26.13177, 3.64221]], stations: [{ name: "Station 1 · Elbow crater", lat: 26.03303, lon: 3.59373 }, { name: "Station 2 · St. George crater", lat: 26.00117, lon: 3.60323 }, { name: "ALSEP", lat: 26.13301, lon: 3.63841 }] }, { name: "EVA-2", date: "1971-08-01", path: [[26.13177, 3.64221], [25.97681, 3.70494], [25.96735, 3.71996], [25.9725, 3.75248], [26.12669, 3.6533], [26.13329, 3.64058]], stations: [{ name: "Station 6 · Hadley Delta", lat: 25.97681, lon: 3.70494 }, { name: "Station 7 · Spur crater", lat: 25.96735, lon: 3.71996 }, { name: "Station 6a", lat: 25.9725, lon: 3.75248 }, { name: "Station 8 · ALSEP site", lat: 26.12669, lon: 3.6533 }] }, { name: "EVA-3", date: "1971-08-02", path: [[26.13329, 3.64058], [26.13759, 3.58569], [26.14527, 3.55375], [26.1601, 3.58239], [26.14092, 3.64107]], stations: [{ name: "Station 9 · Scarp crater", lat: 26.13759, lon: 3.58569 }, { name: "Station 9a · Hadley Rille", lat: 26.14527, lon: 3.55375 }, { name: "Station 10", lat: 26.1601, lon: 3.58239 }] }] },
+  { name: "Apollo 15 Rover", lat: 26.1333, lon: 3.6340, operator: "United States", agency: "NASA", year: 1971, type: "Rover", status: "Landed", description: "The first Lunar Roving Vehicle (LRV-1) revolutionized lunar exploration when it was deployed on Apollo 15 in July 1971. This battery-powered, four-wheel-drive vehicle weighed 210 kg on Earth but only 35 kg in lunar gravity, and could carry twice its own weight in astronauts, equipment, and samples. The rover had a top speed of 13 km/h and traveled a total distance of 27.8 km across three EVAs at the Hadley-Apennine site. It featured a hand controller for steering, a navigation system, a high-gain antenna for communications, and a color TV camera. The LRV dramatically expanded the exploration range from a few hundred meters on foot to several kilometers, allowing astronauts to reach geologically diverse sites and return to the LM safety within walking distance if the rover failed.", mass: "210 kg", link: "https://en.wikipedia.org/wiki/Lunar_Roving_Vehicle" },
+  { name: "Luna 20", lat: 3.57, lon: 56.55, operator: "Soviet Union", agency: "Soviet space program", year: 1972, type: "Sample Return", status: "Landed", description: "Luna 20 successfully performed the second Soviet automated sample return mission, landing in the Apollonius highlands region northeast of Mare Fecunditatis on February 21, 1972. Unlike Luna 16 which sampled mare basalts, Luna 20 was specifically sent to collect highland material to compare with the basaltic maria samples. The spacecraft drilled and retrieved 55 grams of core sample from a depth of 35 cm, then launched the return capsule back to Earth on February 22. The sample landed in Kazakhstan and provided scientists with important highland anorthosite material, showing the highlands had a different composition than the maria—lighter in color and richer in aluminum and calcium. This validated theories about the Moon's differentiated crust.", mass: "5,727 kg", link: "https://en.wikipedia.org/wiki/Luna_20" },
+  { name: "Apollo 16 Orion", lat: -8.9999, lon: 15.5001, operator: "United States", agency: "NASA", year: 1972, type: "Lander", status: "Landed", description: "Apollo 16's Lunar Module Orion landed on April 21, 1972, in the Descartes Highlands, making it the first mission to extensively explore the lunar highlands. Commander John Young and Charles Duke spent 71 hours on the surface, conducting three EVAs totaling 20 hours 14 minutes and driving the Lunar Roving Vehicle 27.1 km. They collected 95.8 kg of samples from what geologists expected to be volcanic rocks but proved to be impact breccias, fundamentally changing understanding of highland geology. The mission deployed the fourth ALSEP and conducted the first astronomical observations from the lunar surface using an ultraviolet camera/spectrograph. Young's enthusiastic 'leaps' while testing the rover and Duke's family photo left on the surface added human touches to the scientific mission.", mass: "16,445 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_16", traverse: [{ name: "EVA-1", date: "1972-04-21", path: [[-8.9999, 15.5001], [-8.9999, 15.50344], [-9.00421, 15.45355], [-9.00077, 15.47327], [-9.0035, 15.50487]], stations: [{ name: "ALSEP", lat: -8.9999, lon: 15.50344 }, { name: "Station 1 · Flag crater", lat: -9.00421, lon: 15.45355 }, { name: "Station 2 · Buster crater", lat: -9.00077, lon: 15.47327 }] }, { name: "EVA-2", date: "1972-04-22", path: [[-9.0035, 15.50487], [-9.14477, 15.51739], [-9.11291, 15.50875], [-9.07394, 15.51571], [-9.02436, 15.53398], [-8.97889, 15.5421], [-8.9641, 15.54079]], stations: [{ name: "Station 4 · Stone Mountain", lat: -9.14477, lon: 15.51739 }, { name: "Station 5", lat: -9.11291, lon: 15.50875 }, { name: "Station 6", lat: -9.07394, lon: 15.51571 }, { name: "Station 8", lat: -9.02436, lon: 15.53398 }, { name: "Station 9", lat: -8.97889, lon: 15.5421 }] }, { name: "EVA-3", date: "1972-04-23", path: [[-8.9641, 15.54079], [-8.819, 15.54079], [-8.83871, 15.54253], [-8.96395, 15.5381]], stations: [{ name: "Station 11 · North Ray crater", lat: -8.819, lon: 15.54079 }, { name: "Station 13 · Shadow Rock", lat: -8.83871, lon: 15.54253 }] }] },
+  { name: "Apollo 17 Challenger", lat: 20.1908, lon: 30.7717, operator: "United States", agency: "NASA", year: 1972, type: "Lander", status: "Landed", description: "Apollo 17's Lunar Module Challenger completed the final crewed Moon landing on December 11, 1972, at the Taurus-Littrow valley—a location chosen for its potential to sample both ancient highland material and young volcanic deposits. Commander Eugene Cernan and Harrison 'Jack' Schmitt (the only professional scientist-astronaut to walk on the Moon) spent a record 75 hours on the surface, conducting three EVAs totaling 22 hours 4 minutes and traveling 35.9 km in the rover—also a record. They collected 110.5 kg of samples, including the famous orange soil that proved to be ancient volcanic glass beads. The mission's scientific return was exceptional due to Schmitt's geological expertise. Cernan's last words on the Moon—'We shall return'—have yet to be fulfilled, making Apollo 17 humanity's last visit to date.", mass: "16,454 kg (LM)", link: "https://en.wikipedia.org/wiki/Apollo_17", traverse: [{ name: "EVA-1", date: "1972-12-11", path: [[20.1908, 30.7717], [20.1908, 30.76538], [20.15466, 30.76874], [20.1897, 30.77875]], stations: [{ name: "ALSEP", lat: 20.1908, lon: 30.76538 }, { name: "Station 1 · Steno area", lat: 20.15466, lon: 30.76874 }] }, { name: "EVA-2", date: "1972-12-12", path: [[20.1897, 30.77875], [20.07103, 30.50827], [20.11718, 30.59343], [20.14536, 30.67596], [20.2085, 30.73243], [20.27978, 30.76008]], stations: [{ name: "Station 2 · Nansen", lat: 20.07103, lon: 30.50827 }, { name: "Station 3 · Lara", lat: 20.11718, lon: 30.59343 }, { name: "Station 4 · Shorty crater", lat: 20.14536, lon: 30.67596 }, { name: "Station 5 · Camelot", lat: 20.2085, lon: 30.73243 }] }, { name: "EVA-3", date: "1972-12-13", path: [[20.27978, 30.76008], [20.3952, 30.76008], [20.39749, 30.77394], [20.4038, 30.85106], [20.36894, 30.77135], [20.35765, 30.7383]], stations: [{ name: "Station 6 · Tracy's Rock", lat: 20.3952, lon: 30.76008 }, { name: "Station 7", lat: 20.39749, lon: 30.77394 }, { name: "Station 8 · Sculptured Hills", lat: 20.4038, lon: 30.85106 }, { name: "Station 9 · Van Serg crater", lat: 20.36894, lon: 30.77135 }] }] },
+  { name: "Luna 21/Lunokhod 2", lat: 25.85, lon: 30.45, operator: "Soviet Union", agency: "Soviet space program", year: 1973, type: "Rover", status: "Landed", description: "Lunokhod 2, delivered by Luna 21 on January 16, 1973, was an improved version of Lunokhod 1 that landed in Le Monnier crater at the eastern edge of Mare Serenitatis, just 180 km from the Apollo 17 landing site. This second robotic rover was more robust and had enhanced scientific instruments, including an improved TV system, magnetometer, and soil penetrometer. Lunokhod 2 operated for 4 months (compared to 11 for Lunokhod 1) but traveled a record 37 kilometers—a distance that remained the off-Earth roving record until 2014 when broken by Mars rover Opportunity. The rover transmitted 86 panoramic images and over 80,000 TV pictures. Its mission ended prematurely in May 1973 when it accidentally drove through crater debris that covered its solar panels with regolith, causing it to overheat and cease operations.", mass: "840 kg (rover)", link: "https://en.wikipedia.org/wiki/Lunokhod_2", traverse: [{ name: "Lunar day 1", date: "1973-01-16", path: [[25.85, 30.45], [25.81058, 30.45383]] }, { name: "Lunar day 2", date: "1973-02-08", path: [[25.81058, 30.45383], [25.75408, 30.62587], [25.82986, 30.77182]], stations: [{ name: "Southern Taurus foothills", lat: 25.82986, lon: 30.77182 }] }, { name: "Lunar day 3", date: "1973-03-11", path: [[25.82986, 30.77182], [25.84694, 30.99085], [25.70794, 31.12024], [25.80896, 31.21443]] }, { name: "Lunar day 4", date: "1973-04-09", path: [[25.80896, 31.21443], [25.88643, 31.18309], [25.8323, 30.9221]], stations: [{ name: "Fossa Recta", lat: 25.88643, lon: 31.18309 }, { name: "Final parking", lat: 25.8323, lon: 30.9221 }] }] },
+  { name: "Luna 23", lat: 13.0, lon: 62.0, operator: "Soviet Union", agency: "Soviet space program", year: 1974, type: "Sample Return", status: "Landed", description: "Luna 23 landed successfully in the southern Mare Crisium on November 6, 1974, but suffered damage during touchdown that prevented it from completing its sample return mission. The spacecraft's drilling apparatus was damaged when it landed on a boulder or steep slope, rendering it unable to collect and return samples. Despite this failure, Luna 23 transmitted some data about the landing site's properties and demonstrated the challenges of automated landing on rough terrain. The mission provided valuable lessons about landing site selection and the vulnerabilities of complex drilling systems. Two years later, Luna 24 would successfully sample from nearly the same region of Mare Crisium.", mass: "5,800 kg", link: "https://en.wikipedia.org/wiki/Luna_23" },
+  { name: "Luna 24", lat: 12.7145, lon: 62.2129, operator: "Soviet Union", agency: "Soviet space program", year: 1976, type: "Sample Return", status: "Landed", description: "Luna 24 concluded the Soviet Luna program with a successful sample return mission, landing in Mare Crisium on August 18, 1976. Using an improved drill system capable of penetrating up to 2.5 meters (deeper than any previous mission), Luna 24 extracted a 160-cm core sample weighing 170 grams—the largest sample returned by a Soviet mission. The core contained layered material showing the geological history of the mare, including evidence of multiple lava flows. The return capsule landed safely in Siberia on August 22, marking the last lunar sample return until China's Chang'e 5 mission 44 years later. Luna 24 demonstrated that automated missions could achieve complex geological sampling, and the Soviet Union shared portions of the sample with scientists worldwide, including NASA researchers.", mass: "5,800 kg", link: "https://en.wikipedia.org/wiki/Luna_24" },
   
   // 1990s-2000s
-  { name: "Hiten", lat: -34.3, lon: -55.6, operator: "Japan", year: 1993, type: "Orbiter", status: "Crashed", description: "Hiten (MUSES-A) was Japan's first lunar mission and represented a return to lunar exploration after a 17-year hiatus following Luna 24. Launched on January 24, 1990, Hiten tested orbital maneuvers, gravity assist techniques, and aerobraking in Earth's atmosphere—the first spacecraft to intentionally use Earth's atmosphere for braking. The mission deployed a small sub-satellite called Hagoromo into lunar orbit (though contact was lost), and Hiten itself eventually entered lunar orbit in October 1991. After completing its technology demonstration objectives, Hiten was deliberately crashed into the far side of the Moon on April 10, 1993, becoming the first Japanese spacecraft to reach another celestial body. The mission validated key technologies for future Japanese space missions.", mass: "197 kg", link: "https://en.wikipedia.org/wiki/Hiten_(spacecraft)" },
-  { name: "Lunar Prospector", lat: -87.5, lon: -42.0, operator: "United States", year: 1999, type: "Orbiter", status: "Crashed", description: "Lunar Prospector was NASA's first lunar mission in 25 years, launching on January 7, 1998, to conduct a comprehensive orbital survey of the Moon's composition, magnetic field, and gravity. The mission's most significant discovery was strong evidence for water ice in permanently shadowed craters at both poles—estimated at 10-300 million tons at the north pole and 1-3 billion tons at the south pole. The spacecraft also created detailed maps of elemental distribution, identifying concentrations of iron, titanium, thorium, and other elements. On July 31, 1999, Lunar Prospector was deliberately crashed into a permanently shadowed crater near the south pole in an attempt to detect water vapor in the debris plume, though no water was definitively detected from Earth observations. The mission's data fundamentally shaped our understanding of lunar resources and influenced future exploration strategies.", mass: "296 kg", link: "https://en.wikipedia.org/wiki/Lunar_Prospector" },
-  { name: "SMART-1", lat: -34.24, lon: -46.19, operator: "Europe", year: 2006, type: "Orbiter", status: "Crashed", description: "SMART-1 (Small Missions for Advanced Research in Technology) was the European Space Agency's first lunar mission, launched on September 27, 2003. The mission's primary purpose was testing solar electric propulsion (ion drive) technology, using a Hall effect thruster that achieved a record 5,000 hours of operation. SMART-1 took a leisurely 13-month spiral trajectory to reach the Moon using its ultra-efficient but low-thrust ion engine. Once in lunar orbit, it mapped the lunar surface with high-resolution cameras, created detailed mineralogical maps, and searched for ice in polar craters. The spacecraft successfully operated until September 3, 2006, when it was intentionally crashed into the Lacus Excellentiae (Lake of Excellence) region, creating a flash visible from Earth telescopes and kicking up debris for analysis. SMART-1 pioneered technologies now used in other deep-space missions.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/SMART-1" },
+  { name: "Hiten", lat: -34.3, lon: -55.6, operator: "Japan", agency: "ISAS", year: 1993, type: "Orbiter", status: "Crashed", description: "Hiten (MUSES-A) was Japan's first lunar mission and represented a return to lunar exploration after a 17-year hiatus following Luna 24. Launched on January 24, 1990, Hiten tested orbital maneuvers, gravity assist techniques, and aerobraking in Earth's atmosphere—the first spacecraft to intentionally use Earth's atmosphere for braking. The mission deployed a small sub-satellite called Hagoromo into lunar orbit (though contact was lost), and Hiten itself eventually entered lunar orbit in October 1991. After completing its technology demonstration objectives, Hiten was deliberately crashed into the far side of the Moon on April 10, 1993, becoming the first Japanese spacecraft to reach another celestial body. The mission validated key technologies for future Japanese space missions.", mass: "197 kg", link: "https://en.wikipedia.org/wiki/Hiten_(spacecraft)" },
+  { name: "Lunar Prospector", lat: -87.5, lon: -42.0, operator: "United States", agency: "NASA", year: 1999, type: "Orbiter", status: "Crashed", description: "Lunar Prospector was NASA's first lunar mission in 25 years, launching on January 7, 1998, to conduct a comprehensive orbital survey of the Moon's composition, magnetic field, and gravity. The mission's most significant discovery was strong evidence for water ice in permanently shadowed craters at both poles—estimated at 10-300 million tons at the north pole and 1-3 billion tons at the south pole. The spacecraft also created detailed maps of elemental distribution, identifying concentrations of iron, titanium, thorium, and other elements. On July 31, 1999, Lunar Prospector was deliberately crashed into a permanently shadowed crater near the south pole in an attempt to detect water vapor in the debris plume, though no water was definitively detected from Earth observations. The mission's data fundamentally shaped our understanding of lunar resources and influenced future exploration strategies.", mass: "296 kg", link: "https://en.wikipedia.org/wiki/Lunar_Prospector" },
+  { name: "SMART-1", lat: -34.24, lon: -46.19, operator: "Europe", agency: "ESA", year: 2006, type: "Orbiter", status: "Crashed", description: "SMART-1 (Small Missions for Advanced Research in Technology) was the European Space Agency's first lunar mission, launched on September 27, 2003. The mission's primary purpose was testing solar electric propulsion (ion drive) technology, using a Hall effect thruster that achieved a record 5,000 hours of operation. SMART-1 took a leisurely 13-month spiral trajectory to reach the Moon using its ultra-efficient but low-thrust ion engine. Once in lunar orbit, it mapped the lunar surface with high-resolution cameras, created detailed mineralogical maps, and searched for ice in polar craters. The spacecraft successfully operated until September 3, 2006, when it was intentionally crashed into the Lacus Excellentiae (Lake of Excellence) region, creating a flash visible from Earth telescopes and kicking up debris for analysis. SMART-1 pioneered technologies now used in other deep-space missions.", mass: "367 kg", link: "https://en.wikipedia.org/wiki/SMART-1" },
   
   // Modern missions 2007-2025
-  { name: "SELENE/Kaguya", lat: -65.5, lon: -80.4, operator: "Japan", year: 2009, type: "Orbiter", status: "Crashed", description: "SELENE (Kaguya) was the largest and most complex lunar mission since Apollo, launched by Japan on September 14, 2007. The mission consisted of a main orbiter and two sub-satellites (Rstar and Vstar) for radio science and VLBI observations. Kaguya produced the first high-definition video from lunar orbit, created the most detailed topographic maps of the Moon, discovered evidence of lava tube skylights (potential future habitats), and gathered comprehensive data on the lunar gravity field, magnetic anomalies, and mineral composition. The orbiter's Terrain Camera and Laser Altimeter mapped the entire surface at unprecedented resolution. After 20 months of operations, Kaguya was deliberately crashed into the Moon on June 10, 2009. The mission significantly advanced lunar science and inspired public interest through spectacular HD imagery of the Moon and Earth.", mass: "3,000 kg", link: "https://en.wikipedia.org/wiki/SELENE" },
-  { name: "Chang'e 1", lat: 1.50, lon: -52.36, operator: "China", year: 2009, type: "Orbiter", status: "Crashed", description: "Chang'e 1, named after the Chinese Moon goddess, launched on October 24, 2007, making China the fifth nation to reach the Moon. Operating from a 200-km circular polar orbit for 16 months, the spacecraft created a complete 3D map of the lunar surface with higher resolution than previous missions, mapped the distribution of 14 elements including titanium and iron, measured microwave radiation to estimate subsurface helium-3 abundance (important for potential fusion energy), and studied the solar wind's interaction with the Moon. The mission returned 1.4 terabytes of data and demonstrated China's growing space capabilities. Chang'e 1 was intentionally crashed into the Moon on March 1, 2009, at a pre-selected impact point, marking a successful completion of Phase I of China's lunar exploration program.", mass: "2,350 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_1" },
-  { name: "Chandrayaan-1 MIP", lat: -89.76, lon: -39.40, operator: "India", year: 2008, type: "Impactor", status: "Impactor", description: "The Moon Impact Probe (MIP) was released from India's Chandrayaan-1 orbiter and became the first spacecraft to reach the lunar south pole region when it impacted on November 14, 2008. During its 25-minute descent, the MIP carried a mass spectrometer that detected water molecules and hydroxyl in the tenuous lunar atmosphere and surface at multiple altitudes. This discovery, along with simultaneous detections by Chandrayaan-1's M3 instrument and NASA's Moon Mineralogy Mapper, revolutionized our understanding of the Moon by proving that water is more widespread than previously thought. The probe also carried a radar altimeter and video camera that transmitted images during descent. MIP's impact at coordinates near the south pole marked India's arrival as a lunar exploration nation and made the Moon's water resources a central focus of future exploration.", mass: "35 kg", link: "https://en.wikipedia.org/wiki/Moon_Impact_Probe" },
-  { name: "LCROSS Centaur", lat: -84.675, lon: -48.725, operator: "United States", year: 2009, type: "Impactor", status: "Impactor", description: "The LCROSS (Lunar Crater Observation and Sensing Satellite) mission used its spent Centaur upper stage rocket as a kinetic impactor, crashing it into the permanently shadowed Cabeus crater near the south pole on October 9, 2009, at a velocity of 9,000 km/h. The impact excavated approximately 6,000 kg of material from depths up to 3 meters, creating a debris plume that rose 10-20 km above the surface. The LCROSS shepherding spacecraft, following four minutes behind, flew through the plume analyzing the debris with spectrometers and cameras before impacting itself. The mission definitively confirmed the presence of water ice, detecting approximately 5.6% water ice by mass in the excavated material—plus other volatiles including carbon monoxide, carbon dioxide, ammonia, sodium, and mercury. This groundbreaking discovery transformed our understanding of lunar resources and their potential for supporting future human exploration.", mass: "2,305 kg", link: "https://en.wikipedia.org/wiki/LCROSS" },
-  { name: "LRO", lat: 0, lon: 0, operator: "United States", year: 2009, type: "Orbiter", status: "Orbiting", description: "The Lunar Reconnaissance Orbiter (LRO), launched on June 18, 2009, remains active as of 2025 and is the most comprehensive lunar mapping mission ever flown. From its polar orbit 50 km above the surface, LRO has photographed the entire Moon at resolutions down to 50 cm per pixel, allowing identification of hardware from all six Apollo landing sites, lunar rovers, and even astronaut boot tracks. The spacecraft's instruments have created detailed temperature maps revealing surface variations from 400K in sunlight to 30K in polar shadows, precisely measured lunar topography with laser ranging, mapped hydrogen deposits indicating water ice locations, characterized the radiation environment for future astronauts, and discovered hundreds of lava tube skylights. LRO has returned over one petabyte of data—more than all other planetary missions combined—and fundamentally reshaped our understanding of the Moon as a dynamic, resource-rich world. The mission continues to support future landing site selection and scientific research.", mass: "1,916 kg", link: "https://en.wikipedia.org/wiki/Lunar_Reconnaissance_Orbiter" },
-  { name: "GRAIL-A Ebb", lat: 75.62, lon: -26.63, operator: "United States", year: 2012, type: "Orbiter", status: "Crashed", description: "GRAIL-A (Gravity Recovery and Interior Laboratory), named Ebb by schoolchildren, was the first of two identical spacecraft launched September 10, 2011, to map the Moon's gravity field with unprecedented precision. Flying in formation with its twin Flow, Ebb orbited just 55 km above the surface, with the two spacecraft separated by 175-225 km. By precisely measuring the distance between them using microwave ranging accurate to a few microns, the mission detected tiny gravitational variations caused by mass concentrations and deficits below the surface. GRAIL revealed that the Moon's crust is much thinner (34-43 km) and more fractured than previously thought, discovered ancient magma-filled rift zones, identified mascons in far more detail, and found that impacts had fractured the crust to depths of 20 km. After nine months of successful operations, Ebb was deliberately crashed near the lunar north pole on December 17, 2012, in a mountain later named in honor of Sally Ride, America's first woman in space.", mass: "307 kg", link: "https://en.wikipedia.org/wiki/GRAIL" },
-  { name: "GRAIL-B Flow", lat: 75.65, lon: -26.68, operator: "United States", year: 2012, type: "Orbiter", status: "Crashed", description: "GRAIL-B (Flow) worked in tandem with its twin Ebb to create the highest-resolution gravity map of any celestial body, revealing the Moon's internal structure in extraordinary detail. The mission's gravity measurements, combined with topography from LRO, revealed that the Moon once had a global magma ocean that crystallized to form the crust, discovered that the lunar interior is  much more fractured than Earth's Moon-sized rocky bodies should be (due to billions of years of meteorite bombardment), mapped the structure of all major impact basins including the South Pole-Aitken basin, and detected mass anomalies indicating ancient volcanic dikes. Flow followed Ebb into the side of a lunar mountain on December 17, 2012, intentionally avoiding Apollo and other historic sites. Together, Ebb and Flow transformed our understanding of how rocky planets evolve, showing that impacts can fracture and modify the interior structure of planetary bodies to great depths.", mass: "307 kg", link: "https://en.wikipedia.org/wiki/GRAIL" },
-  { name: "Chang'e 3/Yutu", lat: 44.1214, lon: -19.5116, operator: "China", year: 2013, type: "Lander/Rover", status: "Landed", description: "Chang'e 3 accomplished the first soft landing on the Moon since Luna 24 in 1976, touching down in Mare Imbrium on December 14, 2013. The mission deployed Yutu ('Jade Rabbit'), China's first lunar rover, which was designed to operate for three months. The lander carried a robotic arm for examining lunar regolith composition, a telescope for astronomical observations from the stable lunar platform (the first telescope operated on the Moon), and an extreme ultraviolet camera for studying Earth's plasmasphere. Yutu traveled 114 meters before experiencing mobility problems with its solar panels after the second lunar day, though it continued scientific operations for 31 months while stationary. The mission marked China as only the third nation to achieve soft landing on the Moon, and both the lander and rover returned valuable data on lunar soil composition, subsurface structure (using ground-penetrating radar), and the plasmasphere surrounding Earth.", mass: "1,200 kg (lander)", link: "https://en.wikipedia.org/wiki/Chang%27e_3" },
-  { name: "LADEE", lat: 11.85, lon: -27.79, operator: "United States", year: 2014, type: "Orbiter", status: "Crashed", description: "The Lunar Atmosphere and Dust Environment Explorer (LADEE) was a low-cost mission launched September 6, 2013, specifically designed to study the Moon's ultra-thin exosphere and mysterious dust environment. From a very low 50-km orbit, LADEE definitively determined that the Moon's tenuous atmosphere contains neon, helium, and argon, confirmed the century-old mystery of horizon glow (likely caused by electrostatically levitated dust particles), tested a laser communications system that achieved download speeds 6x faster than radio (a technology now used on other missions), and determined that meteor showers periodically disturb the lunar exosphere. LADEE also observed the atmosphere's response to changes in solar radiation and detected sodium and potassium in concentrations that vary with location. The spacecraft successfully operated for seven months before being deliberately crashed into the far side on April 18, 2014, to avoid interfering with future missions.", mass: "383 kg", link: "https://en.wikipedia.org/wiki/LADEE" },
-  { name: "Chang'e 4/Yutu-2", lat: -45.4446, lon: 177.5991, operator: "China", year: 2019, type: "Lander/Rover", status: "Landed", description: "Chang'e 4 achieved a historic first on January 3, 2019, becoming the first spacecraft to soft-land on the far side of the Moon in the Von Kármán crater within the South Pole-Aitken basin—the largest and oldest impact basin in the solar system. Because the far side never faces Earth, the mission required the Queqiao relay satellite positioned at the Earth-Moon L2 point for communications. The Yutu-2 rover has far exceeded its design life, remaining active as of 2025 and becoming the longest-operating lunar rover. The mission has discovered subsurface layers using ground-penetrating radar revealing the basin's structure to 40 meters depth, identified unusual minerals including low-calcium pyroxene and olivine possibly originating from the lunar mantle, analyzed the composition of lunar regolith and potential impact melt, and studied cosmic rays unimpeded by Earth's magnetosphere. Chang'e 4 continues to revolutionize our understanding of the Moon's far side and deep interior.", mass: "1,200 kg (lander)", link: "https://en.wikipedia.org/wiki/Chang%27e_4" },
-  { name: "Beresheet", lat: 32.5956, lon: 19.3496, operator: "Israel", year: 2019, type: "Lander", status: "Crashed", description: "Beresheet ('In the Beginning'), built by the private Israeli non-profit SpaceIL with approximately $100 million in private funding, attempted to become the first privately-funded mission to achieve a soft lunar landing. Launched February 22, 2019, as a secondary payload, the small 585-kg spacecraft took a fuel-efficient but extended trajectory to the Moon, entering lunar orbit on April 4. During its landing attempt on April 11, 2019, a chain of events including an inertial measurement unit failure caused the main engine to shut down prematurely. Ground control attempted a manual restart, but Beresheet crashed into Mare Serenitatis at 500 km/h. Despite the failure, the mission made Israel the seventh nation to achieve lunar orbit and demonstrated that low-cost, privately-funded missions could reach the Moon. The spacecraft carried a time capsule with digital files including a Bible, children's drawings, Israel's national anthem, and a copy of Wikipedia, plus tardigrades (micro-animals) that may have survived the impact in a dormant state.", mass: "585 kg", link: "https://en.wikipedia.org/wiki/Beresheet" },
-  { name: "Chandrayaan-2 Vikram", lat: -70.9, lon: 22.8, operator: "India", year: 2019, type: "Lander", status: "Crashed", description: "Chandrayaan-2's Vikram lander, part of India's ambitious mission to explore the lunar south pole, attempted landing on September 7, 2019, near crater Manzinus C. The descent proceeded nominally until 2.1 km altitude, when the lander deviated from its planned trajectory. Communications were lost at 335 meters altitude during the final braking phase, and Vikram crashed at high velocity, coming to rest tilted at 30 degrees approximately 500 meters from the intended landing site. NASA's LRO later photographed the impact site showing the main crash location and scattered debris. Despite the landing failure, the mission's orbiter continues to operate successfully in lunar orbit, conducting science with eight instruments including high-resolution cameras and spectrometers. The lander carried the Pragyan rover, which never deployed. This failure made the challenges of lunar landing painfully clear and motivated India's subsequent successful Chandrayaan-3 mission.", mass: "1,471 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-2" },
-  { name: "Chang'e 5", lat: 43.0576, lon: -51.9163, operator: "China", year: 2020, type: "Sample Return", status: "Landed", description: "Chang'e 5 accomplished China's first lunar sample return and the first worldwide since Luna 24 in 1976, landing in Oceanus Procellarum on December 1, 2020. The mission used a complex four-module design: a lander that collected samples using a robotic arm and drill (retrieving 1.731 kg from up to 2 meters depth), an ascender that launched from the lunar surface and rendezvoused with the orbiter in lunar orbit, an orbiter that received the samples and returned them to Earth, and a return capsule that landed in Inner Mongolia on December 17. The samples came from Mons Rümker, a region with relatively young volcanic rocks (~1.97 billion years old)—a billion years younger than Apollo and Luna samples—extending the known period of lunar volcanism and revealing new details about the Moon's thermal evolution. Analysis revealed high water content in some minerals and evidence of recent volcanic activity, reshaping theories about the Moon's cooling history.", mass: "8,200 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_5" },
-  { name: "Hakuto-R Mission 1", lat: 47.5, lon: 43.8, operator: "Japan", year: 2023, type: "Lander", status: "Crashed", description: "Hakuto-R Mission 1, developed by Japanese private company ispace, attempted to become the first commercial lunar lander on April 26, 2023. The spacecraft successfully entered lunar orbit and began its descent sequence toward Atlas crater in Mare Frigoris, but crashed during the final approach due to an altitude estimation error. The lander's software incorrectly calculated its altitude after flying over the crater rim, causing it to believe it was higher than actual. When sensors indicated ground contact while the software expected the lander to be at altitude, the system determined a sensor error and continued thrusting, depleting fuel and causing a hard impact estimated at 300 km/h. Despite the crash, ispace demonstrated that private commercial entities could develop and operate complex lunar missions, paving the way for a new era of commercial lunar exploration. The lander carried payloads from JAXA, UAE's Rashid rover, and other commercial customers.", mass: "1,000 kg", link: "https://en.wikipedia.org/wiki/Hakuto-R" },
-  { name: "Chandrayaan-3 Vikram", lat: -69.373, lon: 32.319, operator: "India", year: 2023, type: "Lander", status: "Landed", description: "Chandrayaan-3's Vikram lander achieved India's triumphant redemption on August 23, 2023, successfully soft-landing near the lunar south pole, making India the fourth nation to achieve lunar soft landing and the first to land so close to the pole. Learning from Chandrayaan-2's failure, ISRO implemented more robust systems, additional fuel reserves, enhanced sensors, and more conservative landing algorithms. The lander touched down at 69.37°S, farther south than any previous landing, in a region with potential water ice deposits in permanently shadowed craters. Vikram deployed the Pragyan rover, conducted in-situ plasma measurements, measured surface thermal properties revealing surprisingly low thermal conductivity, detected moonquakes, and confirmed the presence of sulfur and other elements in the polar regolith. The mission operated for one lunar day (14 Earth days) before entering dormancy during lunar night. Though revival attempts after sunset failed, Chandrayaan-3 was considered a complete success, establishing India as a major lunar exploration power.", mass: "1,752 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-3" },
-  { name: "Chandrayaan-3 Pragyan", lat: -69.373, lon: 32.320, operator: "India", year: 2023, type: "Rover", status: "Landed", description: "Pragyan ('Wisdom'), Chandrayaan-3's six-wheeled rover, successfully deployed from Vikram and explored the lunar south polar region for two weeks in August-September 2023. The 26-kg solar-powered rover traveled approximately 100 meters, conducting the first in-situ scientific measurements near the lunar south pole. Using its Laser-Induced Breakdown Spectroscopy (LIBS) and Alpha Particle X-ray Spectrometer (APXS), Pragyan confirmed the presence of sulfur in lunar soil for the first time through direct measurement—a significant discovery as sulfur abundance helps understand lunar volcanic history and potential resources. The rover also detected aluminum, calcium, iron, chromium, titanium, manganese, silicon, and oxygen. Pragyan navigated autonomously using hazard-avoidance algorithms and left India's national emblem and ISRO logo imprinted in the regolith. The rover entered sleep mode on September 2, 2023, and did not reawaken after the lunar night as hoped, but had accomplished all primary objectives.", mass: "26 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-3" },
-  { name: "Luna 25", lat: -57.86, lon: 68.77, operator: "Russia", year: 2023, type: "Lander", status: "Crashed", description: "Luna 25 was Russia's first lunar mission in 47 years, launched August 10, 2023, attempting to revive the historic Luna program and demonstrate Russia's continued spacefaring capabilities. The lander was designed to study the lunar south polar region's soil composition, search for water ice, analyze the exosphere, and test technologies for future missions. On August 19, during a pre-landing orbital maneuver intended to circularize the orbit, an engine misfire caused the spacecraft to fire for 127 seconds instead of the planned 84 seconds. This error sent Luna 25 into an uncontrolled trajectory, and it crashed into the Moon at high velocity on August 20, 2023, near the Pontécoulant crater. Roscosmos attributed the failure to equipment malfunction and the long gap in Russian lunar experience. The loss was a significant setback for Russia's space ambitions and highlighted the challenges of returning to lunar exploration after decades away.", mass: "1,750 kg", link: "https://en.wikipedia.org/wiki/Luna_25" },
-  { name: "SLIM", lat: -13.3, lon: 25.2, operator: "Japan", year: 2024, type: "Lander", status: "Landed", description: "SLIM (Smart Lander for Investigating Moon), Japan's first successful lunar lander, achieved a historic precision landing on January 20, 2024, in Shioli crater. Using vision-based navigation that compared real-time images with onboard maps, SLIM demonstrated 'pinpoint landing' technology with accuracy within 100 meters—compared to typical landing dispersions of kilometers. However, the mission faced a dramatic challenge: one of two main engines failed during final descent, causing the lander to tip over and rest on its nose with solar panels facing west instead of up. Despite the awkward orientation, SLIM survived and briefly operated on limited power before shutting down. Remarkably, the lander reawakened nine days later when the Sun's angle changed, allowing the misaligned solar panels to generate power. SLIM conducted spectroscopic analysis of rocks, searching for clues to the Moon's formation, and successfully demonstrated vision-based precision landing—a crucial technology for future targeted exploration of specific geological features. The mission proved Japan's growing lunar capabilities.", mass: "700 kg", link: "https://en.wikipedia.org/wiki/SLIM_(spacecraft)" },
-  { name: "Odysseus (IM-1)", lat: -80.13, lon: -1.44, operator: "United States", year: 2024, type: "Lander", status: "Landed", description: "Odysseus, built by Intuitive Machines, achieved the first American lunar soft landing in 52 years (since Apollo 17) when it touched down near the south pole on February 22, 2024. As part of NASA's Commercial Lunar Payload Services (CLPS) program, this Nova-C class lander carried 12 payloads including NASA science instruments, commercial technology demonstrations, and Columbia Sportswear's insulation test. The landing was dramatic: when Odysseus's laser rangefinders failed before descent, engineers hastily uploaded a software patch to use a NASA experimental navigation system instead—a fix implemented just hours before landing. The lander tipped over during touchdown, likely catching a landing leg on the surface, and came to rest on its side. Despite the tilted orientation compromising solar power and communications, Odysseus operated for about six days, transmitting data and images before lunar night rendered it inactive. The mission marked the first successful commercial lunar lander and revitalized American lunar surface presence, demonstrating NASA's new public-private partnership model.", mass: "1,908 kg", link: "https://en.wikipedia.org/wiki/IM-1" },
-  { name: "Chang'e 6", lat: -41.6385, lon: -153.9852, operator: "China", year: 2024, type: "Sample Return", status: "Landed", description: "Chang'e 6 accomplished an unprecedented feat on June 2, 2024, becoming the first mission to collect and return samples from the Moon's far side. Landing in the Apollo crater within the South Pole-Aitken basin—the oldest and deepest impact basin in the solar system—the mission retrieved 1.935 kg of material that could reveal the Moon's deep interior composition and early history. The far side operation required precise coordination with the Queqiao-2 relay satellite for communications with Earth. Using a robotic arm and drill, Chang'e 6 collected surface and subsurface samples from a region that may contain ejected mantle material from the basin-forming impact 4.3 billion years ago. The ascender successfully launched from the lunar surface, rendezvoused with the orbiter, and the return capsule landed in Inner Mongolia on June 25, 2024. Initial analysis revealed significant differences from near-side samples, including unique volcanic rock compositions and potentially material from the lunar mantle, offering unprecedented insights into the Moon's asymmetric evolution and the South Pole-Aitken basin's formation.", mass: "8,200 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_6" },
+  { name: "SELENE/Kaguya", lat: -65.5, lon: -80.4, operator: "Japan", agency: "JAXA", year: 2009, type: "Orbiter", status: "Crashed", description: "SELENE (Kaguya) was the largest and most complex lunar mission since Apollo, launched by Japan on September 14, 2007. The mission consisted of a main orbiter and two sub-satellites (Rstar and Vstar) for radio science and VLBI observations. Kaguya produced the first high-definition video from lunar orbit, created the most detailed topographic maps of the Moon, discovered evidence of lava tube skylights (potential future habitats), and gathered comprehensive data on the lunar gravity field, magnetic anomalies, and mineral composition. The orbiter's Terrain Camera and Laser Altimeter mapped the entire surface at unprecedented resolution. After 20 months of operations, Kaguya was deliberately crashed into the Moon on June 10, 2009. The mission significantly advanced lunar science and inspired public interest through spectacular HD imagery of the Moon and Earth.", mass: "3,000 kg", link: "https://en.wikipedia.org/wiki/SELENE" },
+  { name: "Chang'e 1", lat: 1.50, lon: -52.36, operator: "China", agency: "CNSA", year: 2009, type: "Orbiter", status: "Crashed", description: "Chang'e 1, named after the Chinese Moon goddess, launched on October 24, 2007, making China the fifth nation to reach the Moon. Operating from a 200-km circular polar orbit for 16 months, the spacecraft created a complete 3D map of the lunar surface with higher resolution than previous missions, mapped the distribution of 14 elements including titanium and iron, measured microwave radiation to estimate subsurface helium-3 abundance (important for potential fusion energy), and studied the solar wind's interaction with the Moon. The mission returned 1.4 terabytes of data and demonstrated China's growing space capabilities. Chang'e 1 was intentionally crashed into the Moon on March 1, 2009, at a pre-selected impact point, marking a successful completion of Phase I of China's lunar exploration program.", mass: "2,350 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_1" },
+  { name: "Chandrayaan-1 MIP", lat: -89.76, lon: -39.40, operator: "India", agency: "ISRO", year: 2008, type: "Impactor", status: "Impactor", description: "The Moon Impact Probe (MIP) was released from India's Chandrayaan-1 orbiter and became the first spacecraft to reach the lunar south pole region when it impacted on November 14, 2008. During its 25-minute descent, the MIP carried a mass spectrometer that detected water molecules and hydroxyl in the tenuous lunar atmosphere and surface at multiple altitudes. This discovery, along with simultaneous detections by Chandrayaan-1's M3 instrument and NASA's Moon Mineralogy Mapper, revolutionized our understanding of the Moon by proving that water is more widespread than previously thought. The probe also carried a radar altimeter and video camera that transmitted images during descent. MIP's impact at coordinates near the south pole marked India's arrival as a lunar exploration nation and made the Moon's water resources a central focus of future exploration.", mass: "35 kg", link: "https://en.wikipedia.org/wiki/Moon_Impact_Probe" },
+  { name: "LCROSS Centaur", lat: -84.675, lon: -48.725, operator: "United States", agency: "NASA", year: 2009, type: "Impactor", status: "Impactor", description: "The LCROSS (Lunar Crater Observation and Sensing Satellite) mission used its spent Centaur upper stage rocket as a kinetic impactor, crashing it into the permanently shadowed Cabeus crater near the south pole on October 9, 2009, at a velocity of 9,000 km/h. The impact excavated approximately 6,000 kg of material from depths up to 3 meters, creating a debris plume that rose 10-20 km above the surface. The LCROSS shepherding spacecraft, following four minutes behind, flew through the plume analyzing the debris with spectrometers and cameras before impacting itself. The mission definitively confirmed the presence of water ice, detecting approximately 5.6% water ice by mass in the excavated material—plus other volatiles including carbon monoxide, carbon dioxide, ammonia, sodium, and mercury. This groundbreaking discovery transformed our understanding of lunar resources and their potential for supporting future human exploration.", mass: "2,305 kg", link: "https://en.wikipedia.org/wiki/LCROSS" },
+  { name: "LRO", lat: 0, lon: 0, operator: "United States", agency: "NASA", year: 2009, type: "Orbiter", status: "Orbiting", description: "The Lunar Reconnaissance Orbiter (LRO), launched on June 18, 2009, remains active as of 2025 and is the most comprehensive lunar mapping mission ever flown. From its polar orbit 50 km above the surface, LRO has photographed the entire Moon at resolutions down to 50 cm per pixel, allowing identification of hardware from all six Apollo landing sites, lunar rovers, and even astronaut boot tracks. The spacecraft's instruments have created detailed temperature maps revealing surface variations from 400K in sunlight to 30K in polar shadows, precisely measured lunar topography with laser ranging, mapped hydrogen deposits indicating water ice locations, characterized the radiation environment for future astronauts, and discovered hundreds of lava tube skylights. LRO has returned over one petabyte of data—more than all other planetary missions combined—and fundamentally reshaped our understanding of the Moon as a dynamic, resource-rich world. The mission continues to support future landing site selection and scientific research.", mass: "1,916 kg", link: "https://en.wikipedia.org/wiki/Lunar_Reconnaissance_Orbiter", orbit: { periapsisKm: 30, apoapsisKm: 180, inclination: 90, raan: 0, argPeriapsis: 270 }, epoch: "2012-01-01T00:00:00Z" },
+  { name: "GRAIL-A Ebb", lat: 75.62, lon: -26.63, operator: "United States", agency: "NASA", year: 2012, type: "Orbiter", status: "Crashed", description: "GRAIL-A (Gravity Recovery and Interior Laboratory), named Ebb by schoolchildren, was the first of two identical spacecraft launched September 10, 2011, to map the Moon's gravity field with unprecedented precision. Flying in formation with its twin Flow, Ebb orbited just 55 km above the surface, with the two spacecraft separated by 175-225 km. By precisely measuring the distance between them using microwave ranging accurate to a few microns, the mission detected tiny gravitational variations caused by mass concentrations and deficits below the surface. GRAIL revealed that the Moon's crust is much thinner (34-43 km) and more fractured than previously thought, discovered ancient magma-filled rift zones, identified mascons in far more detail, and found that impacts had fractured the crust to depths of 20 km. After nine months of successful operations, Ebb was deliberately crashed near the lunar north pole on December 17, 2012, in a mountain later named in honor of Sally Ride, America's first woman in space.", mass: "307 kg", link: "https://en.wikipedia.org/wiki/GRAIL" },
+  { name: "GRAIL-B Flow", lat: 75.65, lon: -26.68, operator: "United States", agency: "NASA", year: 2012, type: "Orbiter", status: "Crashed", description: "GRAIL-B (Flow) worked in tandem with its twin Ebb to create the highest-resolution gravity map of any celestial body, revealing the Moon's internal structure in extraordinary detail. The mission's gravity measurements, combined with topography from LRO, revealed that the Moon once had a global magma ocean that crystallized to form the crust, discovered that the lunar interior is  much more fractured than Earth's Moon-sized rocky bodies should be (due to billions of years of meteorite bombardment), mapped the structure of all major impact basins including the South Pole-Aitken basin, and detected mass anomalies indicating ancient volcanic dikes. Flow followed Ebb into the side of a lunar mountain on December 17, 2012, intentionally avoiding Apollo and other historic sites. Together, Ebb and Flow transformed our understanding of how rocky planets evolve, showing that impacts can fracture and modify the interior structure of planetary bodies to great depths.", mass: "307 kg", link: "https://en.wikipedia.org/wiki/GRAIL" },
+  { name: "Chang'e 3/Yutu", lat: 44.1214, lon: -19.5116, operator: "China", agency: "CNSA", year: 2013, type: "Lander/Rover", status: "Landed", description: "Chang'e 3 accomplished the first soft landing on the Moon since Luna 24 in 1976, touching down in Mare Imbrium on December 14, 2013. The mission deployed Yutu ('Jade Rabbit'), China's first lunar rover, which was designed to operate for three months. The lander carried a robotic arm for examining lunar regolith composition, a telescope for astronomical observations from the stable lunar platform (the first telescope operated on the Moon), and an extreme ultraviolet camera for studying Earth's plasmasphere. Yutu traveled 114 meters before experiencing mobility problems with its solar panels after the second lunar day, though it continued scientific operations for 31 months while stationary. The mission marked China as only the third nation to achieve soft landing on the Moon, and both the lander and rover returned valuable data on lunar soil composition, subsurface structure (using ground-penetrating radar), and the plasmasphere surrounding Earth.", mass: "1,200 kg (lander)", link: "https://en.wikipedia.org/wiki/Chang%27e_3", orbit: { periapsisKm: 15, apoapsisKm: 100, inclination: 90 }, epoch: "2013-12-14T13:11:18Z", traverse: [{ name: "Lunar day 1", date: "2013-12-15", path: [[44.1214, -19.5116], [44.12074, -19.51152], [44.11997, -19.51191], [44.11963, -19.51321], [44.12026, -19.51395]], stations: [{ name: "Roll-off", lat: 44.12074, lon: -19.51152 }] }, { name: "Lunar day 2", date: "2014-01-12", path: [[44.12026, -19.51395], [44.11994, -19.51447]], stations: [{ name: "Stalled", lat: 44.11994, lon: -19.51447 }] }] },
+  { name: "LADEE", lat: 11.85, lon: -27.79, operator: "United States", agency: "NASA", year: 2014, type: "Orbiter", status: "Crashed", description: "The Lunar Atmosphere and Dust Environment Explorer (LADEE) was a low-cost mission launched September 6, 2013, specifically designed to study the Moon's ultra-thin exosphere and mysterious dust environment. From a very low 50-km orbit, LADEE definitively determined that the Moon's tenuous atmosphere contains neon, helium, and argon, confirmed the century-old mystery of horizon glow (likely caused by electrostatically levitated dust particles), tested a laser communications system that achieved download speeds 6x faster than radio (a technology now used on other missions), and determined that meteor showers periodically disturb the lunar exosphere. LADEE also observed the atmosphere's response to changes in solar radiation and detected sodium and potassium in concentrations that vary with location. The spacecraft successfully operated for seven months before being deliberately crashed into the far side on April 18, 2014, to avoid interfering with future missions.", mass: "383 kg", link: "https://en.wikipedia.org/wiki/LADEE" },
+  { name: "Chang'e 4/Yutu-2", lat: -45.4446, lon: 177.5991, operator: "China", agency: "CNSA", year: 2019, type: "Lander/Rover", status: "Landed", description: "Chang'e 4 achieved a historic first on January 3, 2019, becoming the first spacecraft to soft-land on the far side of the Moon in the Von Kármán crater within the South Pole-Aitken basin—the largest and oldest impact basin in the solar system. Because the far side never faces Earth, the mission required the Queqiao relay satellite positioned at the Earth-Moon L2 point for communications. The Yutu-2 rover has far exceeded its design life, remaining active as of 2025 and becoming the longest-operating lunar rover. The mission has discovered subsurface layers using ground-penetrating radar revealing the basin's structure to 40 meters depth, identified unusual minerals including low-calcium pyroxene and olivine possibly originating from the lunar mantle, analyzed the composition of lunar regolith and potential impact melt, and studied cosmic rays unimpeded by Earth's magnetosphere. Chang'e 4 continues to revolutionize our understanding of the Moon's far side and deep interior.", mass: "1,200 kg (lander)", link: "https://en.wikipedia.org/wiki/Chang%27e_4", orbit: { periapsisKm: 15, apoapsisKm: 100, inclination: 90 }, epoch: "2019-01-03T02:26:00Z", events: [{ phase: "launch", date: "2018-12-07T18:23:00Z", text: "Launch from Xichang on a Long March 3B" }, { phase: "loi", date: "2018-12-12T08:45:00Z", text: "Lunar orbit insertion" }, { phase: "landing", date: "2019-01-03T02:26:00Z", text: "First soft landing on the far side, in Von Kármán crater" }], traverse: [{ name: "Lunar days 1–12", date: "2019-01-03", path: [[-45.4446, 177.5991], [-45.44526, 177.5991], [-45.44457, 177.59355], [-45.44127, 177.5854]], stations: [{ name: "Roll-off", lat: -45.44526, lon: 177.5991 }] }, { name: "Lunar days 13–24", date: "2019-12-27", path: [[-45.44127, 177.5854], [-45.43622, 177.57936], [-45.43374, 177.56965]] }, { name: "Lunar days 25–40", date: "2020-12-09", path: [[-45.43374, 177.56965], [-45.42599, 177.56563], [-45.42105, 177.55342], [-45.41473, 177.54587]], stations: [{ name: "Crater rim survey", lat: -45.42599, lon: 177.56563 }] }] },
+  { name: "Beresheet", lat: 32.5956, lon: 19.3496, operator: "Israel", agency: "SpaceIL", year: 2019, type: "Lander", status: "Crashed", description: "Beresheet ('In the Beginning'), built by the private Israeli non-profit SpaceIL with approximately $100 million in private funding, attempted to become the first privately-funded mission to achieve a soft lunar landing. Launched February 22, 2019, as a secondary payload, the small 585-kg spacecraft took a fuel-efficient but extended trajectory to the Moon, entering lunar orbit on April 4. During its landing attempt on April 11, 2019, a chain of events including an inertial measurement unit failure caused the main engine to shut down prematurely. Ground control attempted a manual restart, but Beresheet crashed into Mare Serenitatis at 500 km/h. Despite the failure, the mission made Israel the seventh nation to achieve lunar orbit and demonstrated that low-cost, privately-funded missions could reach the Moon. The spacecraft carried a time capsule with digital files including a Bible, children's drawings, Israel's national anthem, and a copy of Wikipedia, plus tardigrades (micro-animals) that may have survived the impact in a dormant state.", mass: "585 kg", link: "https://en.wikipedia.org/wiki/Beresheet" },
+  { name: "Chandrayaan-2 Vikram", lat: -70.9, lon: 22.8, operator: "India", agency: "ISRO", year: 2019, type: "Lander", status: "Crashed", description: "Chandrayaan-2's Vikram lander, part of India's ambitious mission to explore the lunar south pole, attempted landing on September 7, 2019, near crater Manzinus C. The descent proceeded nominally until 2.1 km altitude, when the lander deviated from its planned trajectory. Communications were lost at 335 meters altitude during the final braking phase, and Vikram crashed at high velocity, coming to rest tilted at 30 degrees approximately 500 meters from the intended landing site. NASA's LRO later photographed the impact site showing the main crash location and scattered debris. Despite the landing failure, the mission's orbiter continues to operate successfully in lunar orbit, conducting science with eight instruments including high-resolution cameras and spectrometers. The lander carried the Pragyan rover, which never deployed. This failure made the challenges of lunar landing painfully clear and motivated India's subsequent successful Chandrayaan-3 mission.", mass: "1,471 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-2" },
+  { name: "Chandrayaan-2 Orbiter", lat: 0, lon: 0, operator: "India", agency: "ISRO", year: 2019, type: "Orbiter", status: "Orbiting", description: "Chandrayaan-2's orbiter entered lunar orbit on August 20, 2019 and carried on with its mission after the Vikram lander was lost during descent. From a roughly 100 km polar orbit it operates eight instruments, including the Orbiter High Resolution Camera (about 0.25 m per pixel), a dual-frequency synthetic aperture radar that probes for subsurface ice in the polar craters, and an imaging infrared spectrometer mapping surface hydration. In 2023 it served as a communications backup for Chandrayaan-3 and photographed the Vikram lander on the surface.", mass: "2,379 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-2", orbit: { periapsisKm: 100, apoapsisKm: 100, inclination: 90, raan: 120 }, epoch: "2020-01-01T00:00:00Z" },
+  { name: "Chang'e 5", lat: 43.0576, lon: -51.9163, operator: "China", agency: "CNSA", year: 2020, type: "Sample Return", status: "Landed", description: "Chang'e 5 accomplished China's first lunar sample return and the first worldwide since Luna 24 in 1976, landing in Oceanus Procellarum on December 1, 2020. The mission used a complex four-module design: a lander that collected samples using a robotic arm and drill (retrieving 1.731 kg from up to 2 meters depth), an ascender that launched from the lunar surface and rendezvoused with the orbiter in lunar orbit, an orbiter that received the samples and returned them to Earth, and a return capsule that landed in Inner Mongolia on December 17. The samples came from Mons Rümker, a region with relatively young volcanic rocks (~1.97 billion years old)—a billion years younger than Apollo and Luna samples—extending the known period of lunar volcanism and revealing new details about the Moon's thermal evolution. Analysis revealed high water content in some minerals and evidence of recent volcanic activity, reshaping theories about the Moon's cooling history.", mass: "8,200 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_5" },
+  { name: "Danuri", lat: 0, lon: 0, operator: "South Korea", agency: "KARI", year: 2022, type: "Orbiter", status: "Orbiting", description: "Danuri, the Korea Pathfinder Lunar Orbiter, is South Korea's first mission beyond Earth orbit. Launched on a Falcon 9 in August 2022, it took a fuel-saving ballistic lunar transfer that looped out toward the Sun-Earth L1 point before entering lunar orbit in December 2022. From a roughly 100 km polar orbit it carries five Korean instruments, including a high-resolution camera, a wide-angle polarimetric camera, a gamma-ray spectrometer and a magnetometer, together with NASA's ShadowCam, which images the interiors of permanently shadowed polar craters by the faint light scattered from nearby terrain. Its mission has been extended beyond the original one-year plan.", mass: "678 kg", link: "https://en.wikipedia.org/wiki/Danuri", orbit: { periapsisKm: 100, apoapsisKm: 100, inclination: 90, raan: 240 }, epoch: "2023-01-01T00:00:00Z" },
+  { name: "Hakuto-R Mission 1", lat: 47.5, lon: 43.8, operator: "Japan", agency: "ispace", year: 2023, type: "Lander", status: "Crashed", description: "Hakuto-R Mission 1, developed by Japanese private company ispace, attempted to become the first commercial lunar lander on April 26, 2023. The spacecraft successfully entered lunar orbit and began its descent sequence toward Atlas crater in Mare Frigoris, but crashed during the final approach due to an altitude estimation error. The lander's software incorrectly calculated its altitude after flying over the crater rim, causing it to believe it was higher than actual. When sensors indicated ground contact while the software expected the lander to be at altitude, the system determined a sensor error and continued thrusting, depleting fuel and causing a hard impact estimated at 300 km/h. Despite the crash, ispace demonstrated that private commercial entities could develop and operate complex lunar missions, paving the way for a new era of commercial lunar exploration. The lander carried payloads from JAXA, UAE's Rashid rover, and other commercial customers.", mass: "1,000 kg", link: "https://en.wikipedia.org/wiki/Hakuto-R" },
+  { name: "Chandrayaan-3 Vikram", lat: -69.373, lon: 32.319, operator: "India", agency: "ISRO", year: 2023, type: "Lander", status: "Landed", description: "Chandrayaan-3's Vikram lander achieved India's triumphant redemption on August 23, 2023, successfully soft-landing near the lunar south pole, making India the fourth nation to achieve lunar soft landing and the first to land so close to the pole. Learning from Chandrayaan-2's failure, ISRO implemented more robust systems, additional fuel reserves, enhanced sensors, and more conservative landing algorithms. The lander touched down at 69.37°S, farther south than any previous landing, in a region with potential water ice deposits in permanently shadowed craters. Vikram deployed the Pragyan rover, conducted in-situ plasma measurements, measured surface thermal properties revealing surprisingly low thermal conductivity, detected moonquakes, and confirmed the presence of sulfur and other elements in the polar regolith. The mission operated for one lunar day (14 Earth days) before entering dormancy during lunar night. Though revival attempts after sunset failed, Chandrayaan-3 was considered a complete success, establishing India as a major lunar exploration power.", mass: "1,752 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-3", orbit: { periapsisKm: 25, apoapsisKm: 134, inclination: 90 }, epoch: "2023-08-23T12:33:00Z", events: [{ phase: "launch", date: "2023-07-14T09:05:17Z", text: "Launch from Sriharikota on an LVM3" }, { phase: "tli", date: "2023-07-31T18:30:00Z", text: "Trans-lunar injection after five Earth-orbit raises" }, { phase: "loi", date: "2023-08-05T13:30:00Z", text: "Lunar orbit insertion" }, { phase: "descent", date: "2023-08-23T12:15:00Z", text: "Vikram begins powered descent" }, { phase: "landing", date: "2023-08-23T12:33:00Z", text: "First landing near the lunar south pole" }] },
+  { name: "Chandrayaan-3 Pragyan", lat: -69.373, lon: 32.320, operator: "India", agency: "ISRO", year: 2023, type: "Rover", status: "Landed", description: "Pragyan ('Wisdom'), Chandrayaan-3's six-wheeled rover, successfully deployed from Vikram and explored the lunar south polar region for two weeks in August-September 2023. The 26-kg solar-powered rover traveled approximately 100 meters, conducting the first in-situ scientific measurements near the lunar south pole. Using its Laser-Induced Breakdown Spectroscopy (LIBS) and Alpha Particle X-ray Spectrometer (APXS), Pragyan confirmed the presence of sulfur in lunar soil for the first time through direct measurement—a significant discovery as sulfur abundance helps understand lunar volcanic history and potential resources. The rover also detected aluminum, calcium, iron, chromium, titanium, manganese, silicon, and oxygen. Pragyan navigated autonomously using hazard-avoidance algorithms and left India's national emblem and ISRO logo imprinted in the regolith. The rover entered sleep mode on September 2, 2023, and did not reawaken after the lunar night as hoped, but had accomplished all primary objectives.", mass: "26 kg", link: "https://en.wikipedia.org/wiki/Chandrayaan-3", traverse: [{ name: "Surface days 1–10", date: "2023-08-23", path: [[-69.373, 32.32], [-69.37274, 32.32], [-69.37225, 32.32024], [-69.3716, 32.31992], [-69.37137, 32.31816], [-69.37154, 32.31684], [-69.37118, 32.31506]], stations: [{ name: "Roll-out", lat: -69.37274, lon: 32.32 }, { name: "Crater avoidance", lat: -69.3716, lon: 32.31992 }, { name: "Parked", lat: -69.37118, lon: 32.31506 }] }] },
+  { name: "Luna 25", lat: -57.86, lon: 68.77, operator: "Russia", agency: "Roscosmos", year: 2023, type: "Lander", status: "Crashed", description: "Luna 25 was Russia's first lunar mission in 47 years, launched August 10, 2023, attempting to revive the historic Luna program and demonstrate Russia's continued spacefaring capabilities. The lander was designed to study the lunar south polar region's soil composition, search for water ice, analyze the exosphere, and test technologies for future missions. On August 19, during a pre-landing orbital maneuver intended to circularize the orbit, an engine misfire caused the spacecraft to fire for 127 seconds instead of the planned 84 seconds. This error sent Luna 25 into an uncontrolled trajectory, and it crashed into the Moon at high velocity on August 20, 2023, near the Pontécoulant crater. Roscosmos attributed the failure to equipment malfunction and the long gap in Russian lunar experience. The loss was a significant setback for Russia's space ambitions and highlighted the challenges of returning to lunar exploration after decades away.", mass: "1,750 kg", link: "https://en.wikipedia.org/wiki/Luna_25" },
+  { name: "SLIM", lat: -13.3, lon: 25.2, operator: "Japan", agency: "JAXA", year: 2024, type: "Lander", status: "Landed", description: "SLIM (Smart Lander for Investigating Moon), Japan's first successful lunar lander, achieved a historic precision landing on January 20, 2024, in Shioli crater. Using vision-based navigation that compared real-time images with onboard maps, SLIM demonstrated 'pinpoint landing' technology with accuracy within 100 meters—compared to typical landing dispersions of kilometers. However, the mission faced a dramatic challenge: one of two main engines failed during final descent, causing the lander to tip over and rest on its nose with solar panels facing west instead of up. Despite the awkward orientation, SLIM survived and briefly operated on limited power before shutting down. Remarkably, the lander reawakened nine days later when the Sun's angle changed, allowing the misaligned solar panels to generate power. SLIM conducted spectroscopic analysis of rocks, searching for clues to the Moon's formation, and successfully demonstrated vision-based precision landing—a crucial technology for future targeted exploration of specific geological features. The mission proved Japan's growing lunar capabilities.", mass: "700 kg", link: "https://en.wikipedia.org/wiki/SLIM_(spacecraft)", orbit: { periapsisKm: 15, apoapsisKm: 600, inclination: 90 }, epoch: "2024-01-19T15:20:00Z", events: [{ phase: "launch", date: "2023-09-06T23:42:11Z", text: "Launch from Tanegashima on an H-IIA" }, { phase: "loi", date: "2023-12-25T07:51:00Z", text: "Lunar orbit insertion" }, { phase: "landing", date: "2024-01-19T15:20:00Z", text: "Pinpoint landing within 100 m of its target, ending up nose-down" }] },
+  { name: "Odysseus (IM-1)", lat: -80.13, lon: -1.44, operator: "United States", agency: "Intuitive Machines", year: 2024, type: "Lander", status: "Landed", description: "Odysseus, built by Intuitive Machines, achieved the first American lunar soft landing in 52 years (since Apollo 17) when it touched down near the south pole on February 22, 2024. As part of NASA's Commercial Lunar Payload Services (CLPS) program, this Nova-C class lander carried 12 payloads including NASA science instruments, commercial technology demonstrations, and Columbia Sportswear's insulation test. The landing was dramatic: when Odysseus's laser rangefinders failed before descent, engineers hastily uploaded a software patch to use a NASA experimental navigation system instead—a fix implemented just hours before landing. The lander tipped over during touchdown, likely catching a landing leg on the surface, and came to rest on its side. Despite the tilted orientation compromising solar power and communications, Odysseus operated for about six days, transmitting data and images before lunar night rendered it inactive. The mission marked the first successful commercial lunar lander and revitalized American lunar surface presence, demonstrating NASA's new public-private partnership model.", mass: "1,908 kg", link: "https://en.wikipedia.org/wiki/IM-1" },
+  { name: "Chang'e 6", lat: -41.6385, lon: -153.9852, operator: "China", agency: "CNSA", year: 2024, type: "Sample Return", status: "Landed", description: "Chang'e 6 accomplished an unprecedented feat on June 2, 2024, becoming the first mission to collect and return samples from the Moon's far side. Landing in the Apollo crater within the South Pole-Aitken basin—the oldest and deepest impact basin in the solar system—the mission retrieved 1.935 kg of material that could reveal the Moon's deep interior composition and early history. The far side operation required precise coordination with the Queqiao-2 relay satellite for communications with Earth. Using a robotic arm and drill, Chang'e 6 collected surface and subsurface samples from a region that may contain ejected mantle material from the basin-forming impact 4.3 billion years ago. The ascender successfully launched from the lunar surface, rendezvoused with the orbiter, and the return capsule landed in Inner Mongolia on June 25, 2024. Initial analysis revealed significant differences from near-side samples, including unique volcanic rock compositions and potentially material from the lunar mantle, offering unprecedented insights into the Moon's asymmetric evolution and the South Pole-Aitken basin's formation.", mass: "8,200 kg", link: "https://en.wikipedia.org/wiki/Chang%27e_6" },
 
   // 2025 additions
-  { name: "Blue Ghost Mission 1", lat: 18.57, lon: 61.82, operator: "United States", year: 2025, type: "Lander", status: "Landed", description: "Blue Ghost Mission 1, developed by Firefly Aerospace as part of NASA's CLPS program, successfully landed in Mare Crisium on March 2, 2025, becoming Firefly's first lunar landing and demonstrating the growing commercial lunar economy. The mission carried 10 payloads including NASA science instruments to study regolith properties, radiation environment, and space weathering processes, plus commercial payloads testing technologies for future missions. Named after the ghostly blue appearance of lunar terrain in low sunlight, the Blue Ghost lander used precise navigation systems to touch down safely in the ancient impact basin. Operating during the 14-day lunar day, the lander successfully deployed instruments, collected data on the lunar surface environment, and demonstrated Firefly's capability to deliver reliable commercial lunar transportation. This mission further established the viability of NASA's strategy of using commercial partners for lunar payload delivery, diversifying America's lunar access beyond traditional aerospace contractors.", mass: "~300 kg", link: "https://en.wikipedia.org/wiki/Blue_Ghost_(lunar_lander)" },
-  { name: "Hakuto-R M2", lat: 55.0, lon: 1.4, operator: "Japan", year: 2025, type: "Lander", status: "Crashed", description: "Hakuto-R Mission 2, ispace's second lunar landing attempt, launched in late 2024 and attempted landing on March 12, 2025. Having thoroughly investigated the Mission 1 failure, ispace implemented extensive software improvements, additional sensors, and revised landing procedures. The spacecraft successfully entered lunar orbit and began its descent nominally, with all systems functioning correctly through the initial descent phases. However, approximately one minute before the planned touchdown, telemetry indicated the lander unexpectedly flipped orientation, likely due to an undetected surface obstacle or final braking thrust asymmetry. The inverted spacecraft crashed into the surface before the automated systems could compensate. While another setback for ispace, the mission provided valuable data on the final descent phase and demonstrated the extreme difficulty of commercial lunar landing. The company announced plans for Mission 3 with further improvements, emphasizing that lunar exploration requires persistent effort and learning from failures—echoing the historical development of space programs that experienced multiple failures before success.", mass: "~1,000 kg", link: "https://en.wikipedia.org/wiki/Hakuto-R" },
-  { name: "IM-2 Athena", lat: -84.79, lon: 29.30, operator: "United States", year: 2025, type: "Lander", status: "Landed", description: "IM-2 Athena, Intuitive Machines' second Nova-C lander, successfully reached the lunar south pole region on March 28, 2025, landing at 84.79°S—the southernmost landing ever achieved and in one of the most scientifically valuable regions on the Moon. The mission carried an ambitious payload including a drill to sample volatiles from depths up to one meter, mass spectrometers to analyze potential water ice and other volatiles in permanently shadowed regions, and technology demonstrations for future Artemis missions. Learning from Odysseus's (IM-1) tipped landing, IM-2 incorporated improved landing leg design and more robust descent algorithms. Despite a successful touchdown, the lander came to rest tilted on its side due to the challenging terrain near the pole, where slopes and boulders are common. Nevertheless, Athena deployed several instruments and successfully collected data on the polar environment's unique conditions: surface temperatures as low as 40K (-233°C), direct measurements of water ice concentration in regolith (confirming 2-5% by mass in shadowed areas), and characterization of the extreme radiation environment. The mission provided crucial ground truth for future human exploration of polar landing sites.", mass: "~1,900 kg", link: "https://www.intuitivemachines.com/im-2" }
+  { name: "Blue Ghost Mission 1", lat: 18.57, lon: 61.82, operator: "United States", agency: "Firefly Aerospace", year: 2025, type: "Lander", status: "Landed", description: "Blue Ghost Mission 1, developed by Firefly Aerospace as part of NASA's CLPS program, successfully landed in Mare Crisium on March 2, 2025, becoming Firefly's first lunar landing and demonstrating the growing commercial lunar economy. The mission carried 10 payloads including NASA science instruments to study regolith properties, radiation environment, and space weathering processes, plus commercial payloads testing technologies for future missions. Named after the ghostly blue appearance of lunar terrain in low sunlight, the Blue Ghost lander used precise navigation systems to touch down safely in the ancient impact basin. Operating during the 14-day lunar day, the lander successfully deployed instruments, collected data on the lunar surface environment, and demonstrated Firefly's capability to deliver reliable commercial lunar transportation. This mission further established the viability of NASA's strategy of using commercial partners for lunar payload delivery, diversifying America's lunar access beyond traditional aerospace contractors.", mass: "~300 kg", link: "https://en.wikipedia.org/wiki/Blue_Ghost_(lunar_lander)" },
+  { name: "Hakuto-R M2", lat: 55.0, lon: 1.4, operator: "Japan", agency: "ispace", year: 2025, type: "Lander", status: "Crashed", description: "Hakuto-R Mission 2, ispace's second lunar landing attempt, launched in late 2024 and attempted landing on March 12, 2025. Having thoroughly investigated the Mission 1 failure, ispace implemented extensive software improvements, additional sensors, and revised landing procedures. The spacecraft successfully entered lunar orbit and began its descent nominally, with all systems functioning correctly through the initial descent phases. However, approximately one minute before the planned touchdown, telemetry indicated the lander unexpectedly flipped orientation, likely due to an undetected surface obstacle or final braking thrust asymmetry. The inverted spacecraft crashed into the surface before the automated systems could compensate. While another setback for ispace, the mission provided valuable data on the final descent phase and demonstrated the extreme difficulty of commercial lunar landing. The company announced plans for Mission 3 with further improvements, emphasizing that lunar exploration requires persistent effort and learning from failures—echoing the historical development of space programs that experienced multiple failures before success.", mass: "~1,000 kg", link: "https://en.wikipedia.org/wiki/Hakuto-R" },
+  { name: "IM-2 Athena", lat: -84.79, lon: 29.30, operator: "United States", agency: "Intuitive Machines", year: 2025, type: "Lander", status: "Landed", description: "IM-2 Athena, Intuitive Machines' second Nova-C lander, successfully reached the lunar south pole region on March 28, 2025, landing at 84.79°S—the southernmost landing ever achieved and in one of the most scientifically valuable regions on the Moon. The mission carried an ambitious payload including a drill to sample volatiles from depths up to one meter, mass spectrometers to analyze potential water ice and other volatiles in permanently shadowed regions, and technology demonstrations for future Artemis missions. Learning from Odysseus's (IM-1) tipped landing, IM-2 incorporated improved landing leg design and more robust descent algorithms. Despite a successful touchdown, the lander came to rest tilted on its side due to the challenging terrain near the pole, where slopes and boulders are common. Nevertheless, Athena deployed several instruments and successfully collected data on the polar environment's unique conditions: surface temperatures as low as 40K (-233°C), direct measurements of water ice concentration in regolith (confirming 2-5% by mass in shadowed areas), and characterization of the extreme radiation environment. The mission provided crucial ground truth for future human exploration of polar landing sites.", mass: "~1,900 kg", link: "https://www.intuitivemachines.com/im-2" }
 ];
 
 export const CRATERS = [
@@ -105,6 +132,8 @@ export const MARIA = [
   { name: "Sinus Medii", lat: 2.4, lon: -1.0, size: 335, description: "Sinus Medii (Central Bay) is a small mare feature approximately 335 km in extent, located at nearly the exact center point of the Moon's near side (very close to 0°N, 0°E). This central location makes it one of the first features visible as the Moon transitions from new to first quarter phase, and it was historically used as the origin point for lunar coordinate systems. Sinus Medii is not a true mare in the sense of occupying a defined impact basin; rather, it consists of irregular patches of basaltic material filling low-lying areas and connecting larger maria including Mare Vaporum to the north and Oceanus Procellarum to the west. The volcanic flooding occurred approximately 3.3 billion years ago, relatively late in lunar volcanic history. Surveyor 6 landed near Sinus Medii in November 1967 and became famous for performing the first rocket liftoff from the lunar surface. The region contains several notable craters including Rhaeticus and Triesnecker (with its extensive rille system). The central location and mix of highland and mare materials make Sinus Medii useful for studying the transition between lunar crustal types and understanding how isolated volcanic deposits formed outside major basins.", mass: "", link: "https://en.wikipedia.org/wiki/Sinus_Medii" }
 ];
 
+// Each deposit covers a circle of `radius` km around lat/lon; an optional
+// `polygon: [{ lat, lon }, ...]` gives an irregular footprint instead
 export const RESOURCES = [
   // Water Ice deposits (polar regions) - consolidated to reduce overlap
   { name: "South Pole Water Ice", type: "water", subtype: "Permanently Shadowed", lat: -89.0, lon: 0.0, radius: 150, concentration: 0.90, description: "Permanently shadowed regions at south pole including Shackleton, Haworth, and Faustini craters with 5-10% water ice concentration", link: "https://en.wikipedia.org/wiki/Lunar_water#Polar_ice" },
@@ -132,6 +161,12 @@ export const RESOURCES = [
   
   // Mineral deposits (detailed by composition)
   { name: "Aristarchus Pyroclastics", type: "minerals", subtype: "TiO₂, Glass Beads", lat: 26.8, lon: -50.8, radius: 40, concentration: 0.85, description: "Dark mantle deposits rich in volcanic glass beads with 8-10% titanium oxide and orange glass spherules", link: "https://en.wikipedia.org/wiki/Aristarchus_(crater)#Pyroclastic_deposits" },
+  { name: "Sinus Aestuum Pyroclastics", type: "minerals", subtype: "Dark Mantle Glass", lat: 8.0, lon: -9.5, radius: 150, concentration: 0.74, description: "Regional dark mantle deposit of volcanic glass beads wrapping the southern shore of Sinus Aestuum, split by a tongue of brighter highland material (outline approximate)", link: "https://en.wikipedia.org/wiki/Sinus_Aestuum",
+    polygon: [
+      { lat: 9.5, lon: -12.5 }, { lat: 10.0, lon: -9.0 }, { lat: 8.0, lon: -6.0 }, { lat: 5.0, lon: -4.5 },
+      { lat: 3.0, lon: -6.0 }, { lat: 4.0, lon: -8.0 }, { lat: 6.5, lon: -8.5 }, { lat: 5.5, lon: -11.0 },
+      { lat: 3.5, lon: -13.0 }, { lat: 6.0, lon: -14.0 }
+    ] },
   { name: "Reiner Gamma Swirl", type: "minerals", subtype: "High-Albedo Regolith", lat: 7.5, lon: -59.0, radius: 70, concentration: 0.70, description: "Magnetic anomaly with high-albedo feldspar-rich regolith, possibly sorted by solar wind deflection", link: "https://en.wikipedia.org/wiki/Reiner_Gamma" },
   { name: "South Pole-Aitken Basin", type: "minerals", subtype: "Olivine, Pyroxene", lat: -50.0, lon: -165.0, radius: 1200, concentration: 0.65, description: "Ancient impact basin (4.3 Gya) exposing lunar mantle with mafic minerals: olivine (Mg,Fe)₂SiO₄ and low-calcium pyroxene", link: "https://en.wikipedia.org/wiki/South_Pole%E2%80%93Aitken_basin" },
   { name: "Tycho Central Peak", type: "minerals", subtype: "Anorthosite (CaAl₂Si₂O₈)", lat: -43.31, lon: -11.36, radius: 120, concentration: 0.72, description: "Central peak uplift exposing pristine anorthositic highland crust composed of plagioclase feldspar", link: "https://en.wikipedia.org/wiki/Tycho_(lunar_crater)" },
@@ -159,3 +194,51 @@ export const RESOURCE_COLORS = {
   'kreep': 0xffff64,
   'minerals': 0x64ff96
 };
+
+// Guided tours. Each step flies to an artifact, a feature or coordinates and
+// shows its narration; the other fields are optional:
+//   { title, text,
+//     artifact: "name" | feature: { type: "crater"|"mare"|"resource", name } | lat, lon,
+//     altitude,    camera height in scene units (default 300)
+//     layers,      e.g. { water: true, craters: false }, names as in shared links
+//     panel,       open the artifact or feature panel (default true)
+//     trajectory,  show the artifact's trajectory alongside earlier ones
+//     duration }   seconds before auto-advance moves on (default 10)
+// Tours loaded from a JSON file use the same shape: { name, steps: [...] }.
+export const TOURS = [
+  {
+    name: "The Apollo Program",
+    steps: [
+      { title: "Six crewed landings", text: "Between July 1969 and December 1972, twelve astronauts walked on the Moon at six sites, all on the near side facing Earth.", lat: 0, lon: 0, altitude: 500, layers: { maria: true }, panel: false },
+      { title: "Apollo 11 · Mare Tranquillitatis", text: "Eagle set down on the smooth plains of the Sea of Tranquillity on 20 July 1969. Armstrong and Aldrin spent about two and a half hours outside.", artifact: "Apollo 11 Eagle", trajectory: true },
+      { title: "Apollo 12 · Oceanus Procellarum", text: "A pinpoint landing within walking distance of Surveyor 3, which had been on the surface for two and a half years. Parts of it were brought home.", artifact: "Apollo 12 Intrepid", trajectory: true },
+      { title: "Apollo 14 · Fra Mauro", text: "After Apollo 13's abort, Apollo 14 reached the Fra Mauro highlands and hiked toward the rim of Cone crater.", artifact: "Apollo 14 Antares" },
+      { title: "Apollo 15 · Hadley–Apennine", text: "The first of the extended J missions brought the Lunar Roving Vehicle, driving along Hadley Rille and up the Apennine Front.", artifact: "Apollo 15 Falcon" },
+      { title: "Apollo 16 · Descartes Highlands", text: "The only landing in the central highlands, sampling the bright terrain between Stone Mountain and North Ray crater.", artifact: "Apollo 16 Orion" },
+      { title: "Apollo 17 · Taurus–Littrow", text: "The last crewed landing, with geologist Harrison Schmitt aboard. The crew drove about 35 km and found orange volcanic glass at Shorty crater.", artifact: "Apollo 17 Challenger", trajectory: true }
+    ]
+  },
+  {
+    name: "Soviet Luna Firsts",
+    steps: [
+      { title: "Luna 2 · first to reach the Moon", text: "In September 1959 Luna 2 struck the Moon near Archimedes crater, the first human-made object to touch another world.", artifact: "Luna 2", trajectory: true, layers: { craters: true } },
+      { title: "Luna 9 · first soft landing", text: "In February 1966 Luna 9 landed in Oceanus Procellarum and returned the first pictures from the surface, showing it could bear a spacecraft.", artifact: "Luna 9", trajectory: true },
+      { title: "Luna 16 · first robotic sample return", text: "In September 1970 Luna 16 drilled 101 grams of soil from Mare Fecunditatis and launched it back to Earth.", artifact: "Luna 16" },
+      { title: "Lunokhod 1 · first rover", text: "Delivered by Luna 17 in November 1970, Lunokhod 1 was driven from Earth for eleven months across Mare Imbrium.", artifact: "Luna 17/Lunokhod 1" },
+      { title: "Lunokhod 2 · a distance record", text: "Lunokhod 2 drove about 39 km in Le Monnier crater in 1973, a record for off-Earth driving that stood for four decades.", artifact: "Luna 21/Lunokhod 2" },
+      { title: "Luna 24 · the last Luna", text: "In 1976 Luna 24 returned a core from Mare Crisium. It was the last lunar landing for 37 years.", artifact: "Luna 24" }
+    ]
+  },
+  {
+    name: "Race to the South Pole",
+    steps: [
+      { title: "Ice in the dark", text: "Craters near the south pole never see the Sun. Their floors stay cold enough to trap water ice, which makes the region the target of a new wave of landers.", feature: { type: "resource", name: "South Pole Water Ice" }, altitude: 400, layers: { water: true } },
+      { title: "LCROSS · proving the ice", text: "In 2009 NASA crashed a spent Centaur stage into Cabeus crater and flew through the plume, detecting water.", artifact: "LCROSS Centaur", trajectory: true },
+      { title: "Chandrayaan-2 · a near miss", text: "India's Vikram lander lost control in the final kilometres of its descent in September 2019.", artifact: "Chandrayaan-2 Vikram" },
+      { title: "Luna 25 · Russia's return", text: "Russia's first lunar mission in 47 years crashed in August 2023 after an engine burn ran too long.", artifact: "Luna 25" },
+      { title: "Chandrayaan-3 · first near the pole", text: "Four days later, on 23 August 2023, Vikram landed at about 69°S and its rover Pragyan drove around 100 m.", artifact: "Chandrayaan-3 Vikram", trajectory: true },
+      { title: "Chang'e 6 · far side samples", text: "In 2024 Chang'e 6 brought home the first samples from the far side, collected in the South Pole–Aitken basin.", artifact: "Chang'e 6" },
+      { title: "IM-2 Athena · into the shadows", text: "In March 2025 Athena landed near Mons Mouton, closer to the pole than any spacecraft before it, but came to rest on its side.", artifact: "IM-2 Athena" }
+    ]
+  }
+];
@@ -1,13 +1,24 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { ARTIFACTS, CRATERS, MARIA, RESOURCES, STATUS_COLORS, RESOURCE_COLORS } from './data.js';
+import { ARTIFACTS, CRATERS, MARIA, RESOURCES, STATUS_COLORS, RESOURCE_COLORS, TOURS } from './data.js';
 
 // ============================================================
 // CONFIGURATION
 // ============================================================
 const MOON_RADIUS = 200;
 const MOON_RADIUS_KM = 1737.4;
+const CAMERA_MIN_DISTANCE = 250;
 const SEGMENTS = 64;
+const MAX_TERRAIN_SEGMENTS = 512;
+const FIRST_YEAR = Math.min(...ARTIFACTS.map(a => a.year));
+const LAST_YEAR = Math.max(...ARTIFACTS.map(a => a.year));
+const TIMELINE_YEAR_MS = 600; // playback speed: one year per 0.6 s
+const PULSE_DURATION = 1200;
+const RESOURCE_CAP_SEGMENTS = 64;
+const RESOURCE_EDGE_STEP_DEG = 1; // outline and fill-ring spacing
+const RESOURCE_FILL_LIFT = 2;
+const RESOURCE_OUTLINE_LIFT = 3;
+const RESOURCE_FILL_OPACITY = 0.35; // fill alpha per unit concentration
 
 // ============================================================
 // APPLICATION STATE
@@ -18,6 +29,8 @@ const state = {
   showTerrain: true,
   showPoles: true,
   terrainMode: 2, // 0=wire, 1=solid, 2=hybrid
+  terrainColorMode: 'natural', // see TERRAIN_COLOR_MODES
+  slopeThreshold: 15, // degrees, steeper cells are flagged in slope mode
   showArtifacts: true,
 
   showWater: false,
@@ -28,19 +41,34 @@ const state = {
   showCraters: false,
   showMaria: false,
   resourceOpacity: 0.7,
-
-  filterUS: true,
-  filterSovietUnion: true,
-  filterRussia: true,
-  filterChina: true,
-  filterIndia: true,
-  filterJapan: true,
-  filterIsrael: true,
-  filterEurope: true,
+  resourceHeatmap: false,
+
+  // Origin filters are generated from ARTIFACTS; only hidden entries are
+  // recorded so artifacts from a newly added operator show up by default
+  filterGroupBy: 'operator', // 'operator' (nation) or 'agency'
+  hiddenOrigins: {
+    operator: new Set(),
+    agency: new Set()
+  },
   searchQuery: '',
 
+  // Timeline - only artifacts that arrived within [start, end] are shown
+  timelineStart: FIRST_YEAR,
+  timelineEnd: LAST_YEAR,
+  timelinePlaying: false,
+
   showHelp: false,
   terrainOpacity: 1.0,
+  measureMode: null, // null, 'path' or 'area'
+  simTime: Date.now(), // ms, drives the ephemeris sun
+  ephemerisSun: false, // aim the lights at the real Sun for simTime
+  showTerminator: false,
+  showPolarIllumination: false,
+  timeScale: 1, // simulation seconds per real second, 0 = paused
+  showTraverses: true,
+  showGroundTracks: true,
+  mapProjection: 'globe', // see MAP_PROJECTIONS
+  clusterMarkers: true,
 
   // Visual settings
   visualSettings: {
@@ -55,7 +83,7 @@ const state = {
     textureEnabled: true,
     surfaceRoughness: 0.95,
     baseBrightness: 204,
-    elevationIntensity: 1.0,
+    verticalExaggeration: 2.0,
     toneMappingEnabled: true,
     toneExposure: 1.2,
     pixelRatio: 2.0
@@ -73,13 +101,30 @@ let resourceMeshes = [];
 let northPole, southPole;
 let raycaster, mouse;
 let hoveredArtifact = null;
-let trajectoryGroup = null;
-let earthMarker = null;
+let surfacePin = null;
+let measurements = [];
+let activeMeasurement = null;
+let measurementCounter = 0;
+let elevationProfile = null;
+let profileCursor = null;
+let terminatorLine = null;
+let orbiters = []; // { entry, elements, track, state }
+let traverses = []; // { entry, group, segments: [{ data, line, stations }] }
+let lastFrameTime = Date.now();
+let lastClockUiUpdate = 0;
+let lastOrbiterPanelUpdate = 0;
+let illuminationCache = null; // { data, sunSamples, caps, sites }
+let pointerDownPos = null;
+let searchFilter = null; // compiled predicate for state.searchQuery
+let timelineLastStep = 0;
+let trajectoryGroups = new Map(); // artifact -> THREE.Group of its trajectory
+let earthMarker = null; // shared Earth reference while any trajectory is shown
 
 // Lighting references for dynamic control
 let ambientLight, sunLight, fillLight, pointLight;
 let starfield, starfieldMaterial;
 let terrainMaterial;
+let moonTexture = null;
 
 function init() {
   console.log('🚀 Moon Explorer - Init started');
@@ -132,9 +177,10 @@ function init() {
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
   controls.dampingFactor = 0.05;
-  controls.minDistance = 250;
+  controls.minDistance = CAMERA_MIN_DISTANCE;
   controls.maxDistance = 1500;
   controls.rotateSpeed = 0.5;
+  controls.addEventListener('start', cancelCameraFlight); // the user takes over from a fly-to
   
   // Raycaster for hover detection
   raycaster = new THREE.Raycaster();
@@ -160,6 +206,11 @@ function init() {
   pointLight = new THREE.PointLight(0xffffff, state.visualSettings.pointIntensity, 2500);
   pointLight.position.set(400, 300, 400);
   scene.add(pointLight);
+
+  // Remember the artistic light rig so the ephemeris sun can rotate it
+  for (const light of [sunLight, fillLight, pointLight]) {
+    light.userData.defaultPosition = light.position.clone();
+  }
   
   // Moon group (holds all moon-related objects)
   moonGroup = new THREE.Group();
@@ -170,11 +221,21 @@ function init() {
   createTerrain();
   createPoles();
   createArtifacts();
+  createOrbiters();
+  createTraverses();
   createResources();
+  createHeatmapMesh();
+
+  // Optional heightmap shipped with the app: ?dem=path/to/sidecar.json
+  const demUrl = new URLSearchParams(window.location.search).get('dem');
+  if (demUrl) {
+    loadElevationFromUrl(demUrl);
+  }
   
   // Event listeners
   window.addEventListener('resize', onWindowResize);
   window.addEventListener('mousemove', onMouseMove);
+  window.addEventListener('mousedown', onMouseDown);
   window.addEventListener('click', onMouseClick);
   window.addEventListener('keydown', onKeyDown);
   
@@ -183,6 +244,11 @@ function init() {
   
   // Update artifact count
   updateArtifactCount();
+  updateTrajectoryLegend();
+
+  // Restore a shared view, and follow back/forward between focus changes
+  applyViewState(window.location.hash);
+  window.addEventListener('popstate', () => applyViewState(window.location.hash));
   
   // Hide loading screen
   setTimeout(() => {
@@ -273,45 +339,18 @@ function createGrid() {
 }
 
 function createTerrain() {
-  // Generate elevation data
+  // Generate elevation data (replaced later if a heightmap is loaded)
   const elevationData = generateElevation();
+  proceduralElevationData = elevationData;
+  window.elevationData = elevationData;
 
-  // Create terrain geometry with higher resolution for photorealism
-  const geometry = new THREE.SphereGeometry(MOON_RADIUS, SEGMENTS, SEGMENTS / 2);
-  const positions = geometry.attributes.position;
-  const colors = [];
-
-  for (let i = 0; i < positions.count; i++) {
-    const x = positions.getX(i);
-    const y = positions.getY(i);
-    const z = positions.getZ(i);
-
-    // Convert to lat/lon
-    const r = Math.sqrt(x * x + y * y + z * z);
-    const lat = Math.asin(y / r) * (180 / Math.PI);
-    const lon = Math.atan2(x, z) * (180 / Math.PI);
-
-    // Get elevation
-    const elev = getElevationAt(lat, lon, elevationData);
-    const newR = MOON_RADIUS + elev * 2;
-
-    // Scale position
-    const scale = newR / r;
-    positions.setXYZ(i, x * scale, y * scale, z * scale);
-
-    // Color based on elevation - more realistic lunar colors
-    const color = getElevationColor(elev);
-    colors.push(color.r, color.g, color.b);
-  }
-
-  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-  geometry.computeVertexNormals();
+  const geometry = buildTerrainGeometry(elevationData);
 
   // Load high-resolution NASA lunar textures for photorealism
   const textureLoader = new THREE.TextureLoader();
 
   // Using CDN-hosted NASA textures (reliable public access)
-  const moonTexture = textureLoader.load(
+  moonTexture = textureLoader.load(
     'https://cdn.jsdelivr.net/gh/mrdoob/three.js@dev/examples/textures/planets/moon_1024.jpg',
     (texture) => {
       console.log('✓ Moon texture loaded successfully');
@@ -327,7 +366,7 @@ function createTerrain() {
   // Photorealistic material with PBR (Physically Based Rendering)
   terrainMaterial = new THREE.MeshStandardMaterial({
     // Use real textures if loaded, fall back to vertex colors
-    map: state.visualSettings.textureEnabled ? moonTexture : null,
+    map: state.visualSettings.textureEnabled && state.terrainColorMode === 'natural' ? moonTexture : null,
 
     // Fallback vertex colors for elevation-based coloring
     vertexColors: true,
@@ -354,6 +393,7 @@ function createTerrain() {
   });
 
   terrainMesh = new THREE.Mesh(geometry, terrainMaterial);
+  terrainMesh.userData.verticalExaggeration = state.visualSettings.verticalExaggeration;
   moonGroup.add(terrainMesh);
   console.log('✓ Terrain mesh created with photorealistic PBR material');
 
@@ -369,9 +409,54 @@ function createTerrain() {
   wireframeMesh = new THREE.Mesh(geometry.clone(), wireMaterial);
   wireframeMesh.scale.set(1.002, 1.002, 1.002); // Slightly larger to prevent z-fighting
   moonGroup.add(wireframeMesh);
+}
 
-  // Store elevation data globally
-  window.elevationData = elevationData;
+// Sphere displaced by the elevation grid, with elevation vertex colors.
+// Mesh resolution follows the grid so loaded heightmaps keep their detail.
+function buildTerrainGeometry(elevationData) {
+  const gridCols = elevationData[0].length;
+  const widthSegments = Math.max(SEGMENTS, Math.min(MAX_TERRAIN_SEGMENTS, gridCols - 1));
+  const geometry = new THREE.SphereGeometry(MOON_RADIUS, widthSegments, Math.floor(widthSegments / 2));
+  const positions = geometry.attributes.position;
+  const colors = [];
+
+  for (let i = 0; i < positions.count; i++) {
+    const x = positions.getX(i);
+    const y = positions.getY(i);
+    const z = positions.getZ(i);
+
+    // Convert to lat/lon (same convention as latLonToVector3)
+    const r = Math.sqrt(x * x + y * y + z * z);
+    const { lat, lon } = vector3ToLatLon(new THREE.Vector3(x, y, z));
+
+    // Get elevation
+    const elev = getElevationAt(lat, lon, elevationData);
+    const newR = MOON_RADIUS + elev * state.visualSettings.verticalExaggeration;
+
+    // Scale position
+    const scale = newR / r;
+    positions.setXYZ(i, x * scale, y * scale, z * scale);
+
+    // Color based on elevation or the active analysis mode
+    const color = getTerrainColor(lat, lon, elev, elevationData);
+    colors.push(color.r, color.g, color.b);
+  }
+
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Swap in new terrain geometry after the elevation data changed
+function updateTerrainGeometry() {
+  const geometry = buildTerrainGeometry(window.elevationData);
+
+  terrainMesh.geometry.dispose();
+  terrainMesh.geometry = geometry;
+  wireframeMesh.geometry.dispose();
+  wireframeMesh.geometry = geometry.clone();
+  if (heatmapMesh) heatmapMesh.geometry = geometry;
+  terrainMesh.userData.verticalExaggeration = state.visualSettings.verticalExaggeration;
 }
 
 function generateElevation() {
@@ -438,17 +523,19 @@ function generateElevation() {
 function getElevationAt(lat, lon, data) {
   if (!data) return 0;
   
-  const res = data.length;
+  // Grid rows run from -90 to 90 latitude, columns from -180 to 180 longitude
+  const rows = data.length;
+  const cols = data[0].length;
   while (lon < -180) lon += 360;
   while (lon > 180) lon -= 360;
   
-  const fi = ((lat + 90) / 180) * (res - 1);
-  const fj = ((lon + 180) / 360) * (res * 2 - 1);
+  const fi = ((lat + 90) / 180) * (rows - 1);
+  const fj = ((lon + 180) / 360) * (cols - 1);
   
-  const i0 = Math.max(0, Math.min(res - 1, Math.floor(fi)));
-  const j0 = Math.max(0, Math.min(res * 2 - 1, Math.floor(fj)));
-  const i1 = Math.min(res - 1, i0 + 1);
-  const j1 = Math.min(res * 2 - 1, j0 + 1);
+  const i0 = Math.max(0, Math.min(rows - 1, Math.floor(fi)));
+  const j0 = Math.max(0, Math.min(cols - 1, Math.floor(fj)));
+  const i1 = Math.min(rows - 1, i0 + 1);
+  const j1 = Math.min(cols - 1, j0 + 1);
   
   const fx = fi - i0;
   const fy = fj - j0;
@@ -479,6 +566,187 @@ function getElevationColor(elev) {
   return new THREE.Color(0xc8c8be);                   // Peaks - brightest regolith
 }
 
+// ============================================================
+// TERRAIN ANALYSIS
+// ============================================================
+// Slope, aspect and roughness are derived from the elevation grid by finite
+// differences over one grid cell, so their baseline is the grid spacing
+// (about 76 km for the procedural grid, 7.6 km for a 0.25° DEM).
+const TERRAIN_COLOR_MODES = ['natural', 'hypsometric', 'slope', 'aspect', 'roughness'];
+const TERRAIN_COLOR_MODE_NAMES = {
+  natural: 'Natural',
+  hypsometric: 'Hypsometric',
+  slope: 'Slope',
+  aspect: 'Aspect',
+  roughness: 'Roughness'
+};
+const HYPSOMETRIC_STOPS = [
+  [-9, 0x1a237e], [-6, 0x1e88e5], [-3, 0x26c6da], [-1, 0x43a047],
+  [1, 0xc0ca33], [3, 0xfdd835], [5, 0xfb8c00], [7, 0xd84315], [10, 0xffffff]
+];
+const SLOPE_MAX_DEG = 30;       // top of the slope color ramp
+const ROUGHNESS_MAX_M = 500;    // top of the roughness color ramp
+
+function getGridStepDeg(data) {
+  return 180 / (data.length - 1);
+}
+
+// Elevation gradient in km per km, east and north components
+function getElevationGradient(lat, lon, data) {
+  const step = getGridStepDeg(data);
+  const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.02);
+  const kmPerDeg = MOON_RADIUS_KM * Math.PI / 180;
+
+  const east = getElevationAt(lat, lon + step, data) - getElevationAt(lat, lon - step, data);
+  const north = getElevationAt(Math.min(90, lat + step), lon, data) - getElevationAt(Math.max(-90, lat - step), lon, data);
+  const northSpan = (Math.min(90, lat + step) - Math.max(-90, lat - step)) * kmPerDeg;
+
+  return {
+    east: (east / KM_TO_SCENE) / (2 * step * kmPerDeg * cosLat),
+    north: (north / KM_TO_SCENE) / northSpan
+  };
+}
+
+function getSlopeAt(lat, lon, data = window.elevationData) {
+  if (!data) return 0;
+  const g = getElevationGradient(lat, lon, data);
+  return Math.atan(Math.hypot(g.east, g.north)) * 180 / Math.PI;
+}
+
+// Compass direction the slope faces (downhill), degrees clockwise from north
+function getAspectAt(lat, lon, data = window.elevationData) {
+  if (!data) return 0;
+  const g = getElevationGradient(lat, lon, data);
+  return (Math.atan2(-g.east, -g.north) * 180 / Math.PI + 360) % 360;
+}
+
+// Standard deviation of elevation over the surrounding 3×3 cells, in meters
+function getRoughnessAt(lat, lon, data = window.elevationData) {
+  if (!data) return 0;
+  const step = getGridStepDeg(data);
+  const values = [];
+  for (let di = -1; di <= 1; di++) {
+    for (let dj = -1; dj <= 1; dj++) {
+      const sampleLat = Math.max(-90, Math.min(90, lat + di * step));
+      values.push(getElevationAt(sampleLat, lon + dj * step, data) / KM_TO_SCENE * 1000);
+    }
+  }
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+function getHypsometricColor(elevKm) {
+  if (elevKm <= HYPSOMETRIC_STOPS[0][0]) return new THREE.Color(HYPSOMETRIC_STOPS[0][1]);
+  for (let i = 1; i < HYPSOMETRIC_STOPS.length; i++) {
+    const [km, hex] = HYPSOMETRIC_STOPS[i];
+    if (elevKm <= km) {
+      const [prevKm, prevHex] = HYPSOMETRIC_STOPS[i - 1];
+      return new THREE.Color(prevHex).lerp(new THREE.Color(hex), (elevKm - prevKm) / (km - prevKm));
+    }
+  }
+  return new THREE.Color(HYPSOMETRIC_STOPS[HYPSOMETRIC_STOPS.length - 1][1]);
+}
+
+function getSlopeColor(slope) {
+  if (slope > state.slopeThreshold) return new THREE.Color(0xff2244);
+  // Green (flat) to yellow (at the threshold)
+  const t = Math.min(1, slope / Math.max(state.slopeThreshold, 0.1));
+  return new THREE.Color().setHSL(0.33 - 0.18 * t, 0.8, 0.3 + 0.15 * t);
+}
+
+// Hue follows the compass direction; flat ground fades to gray
+function getAspectColor(aspect, slope) {
+  const strength = Math.min(1, slope / 5);
+  return new THREE.Color().setHSL(aspect / 360, 0.85 * strength, 0.5 - 0.1 * strength);
+}
+
+function getRoughnessColor(roughness) {
+  const t = Math.min(1, roughness / ROUGHNESS_MAX_M);
+  return new THREE.Color().setHSL(0.7 - 0.7 * t, 0.75, 0.25 + 0.3 * t);
+}
+
+function getTerrainColor(lat, lon, elev, data) {
+  switch (state.terrainColorMode) {
+    case 'hypsometric':
+      return getHypsometricColor(elev / KM_TO_SCENE);
+    case 'slope':
+      return getSlopeColor(getSlopeAt(lat, lon, data));
+    case 'aspect':
+      return getAspectColor(getAspectAt(lat, lon, data), getSlopeAt(lat, lon, data));
+    case 'roughness':
+      return getRoughnessColor(getRoughnessAt(lat, lon, data));
+    default:
+      return getElevationColor(elev);
+  }
+}
+
+// Recolor the existing terrain vertices without rebuilding the geometry
+function updateTerrainColors() {
+  const positions = terrainMesh.geometry.attributes.position;
+  const colors = terrainMesh.geometry.attributes.color;
+  const data = window.elevationData;
+  const v = new THREE.Vector3();
+
+  for (let i = 0; i < positions.count; i++) {
+    v.fromBufferAttribute(positions, i);
+    const { lat, lon } = vector3ToLatLon(v);
+    const color = getTerrainColor(lat, lon, getElevationAt(lat, lon, data), data);
+    colors.setXYZ(i, color.r, color.g, color.b);
+  }
+  colors.needsUpdate = true;
+}
+
+// Analysis colors are only readable without the photo texture on top
+function updateTerrainMap() {
+  const showTexture = state.visualSettings.textureEnabled && state.terrainColorMode === 'natural';
+  terrainMaterial.map = showTexture ? moonTexture : null;
+  terrainMaterial.needsUpdate = true;
+}
+
+function setTerrainColorMode(mode) {
+  state.terrainColorMode = mode;
+  updateTerrainColors();
+  updateTerrainMap();
+  updateTerrainColorLegend();
+}
+
+function updateTerrainColorLegend() {
+  const mode = state.terrainColorMode;
+  document.getElementById('terrainColorMode').value = mode;
+  document.getElementById('slopeThresholdControl').classList.toggle('hidden', mode !== 'slope');
+
+  const legend = document.getElementById('terrainColorLegend');
+  legend.classList.toggle('hidden', mode === 'natural');
+  if (mode === 'natural') return;
+
+  const bar = legend.querySelector('.color-legend-bar');
+  const labels = legend.querySelector('.color-legend-labels');
+  const ramp = (colorAt, steps = 10) => Array.from({ length: steps + 1 }, (_, i) =>
+    `#${colorAt(i / steps).getHexString()} ${(i / steps * 100).toFixed(0)}%`).join(', ');
+
+  let gradient, ticks; // ticks: [label, fraction along the bar]
+  if (mode === 'hypsometric') {
+    const min = HYPSOMETRIC_STOPS[0][0];
+    const max = HYPSOMETRIC_STOPS[HYPSOMETRIC_STOPS.length - 1][0];
+    gradient = ramp(t => getHypsometricColor(min + t * (max - min)));
+    ticks = [[`${min} km`, 0], ['0', -min / (max - min)], [`+${max} km`, 1]];
+  } else if (mode === 'slope') {
+    gradient = ramp(t => getSlopeColor(t * SLOPE_MAX_DEG), SLOPE_MAX_DEG);
+    ticks = [['0°', 0], [`${state.slopeThreshold}°`, state.slopeThreshold / SLOPE_MAX_DEG], [`${SLOPE_MAX_DEG}°+`, 1]];
+  } else if (mode === 'aspect') {
+    gradient = ramp(t => getAspectColor(t * 360, 90), 12);
+    ticks = ['N', 'E', 'S', 'W', 'N'].map((t, i) => [t, i / 4]);
+  } else {
+    gradient = ramp(t => getRoughnessColor(t * ROUGHNESS_MAX_M));
+    ticks = [['0 m', 0], [`${ROUGHNESS_MAX_M / 2} m`, 0.5], [`${ROUGHNESS_MAX_M}+ m`, 1]];
+  }
+
+  bar.style.background = `linear-gradient(to right, ${gradient})`;
+  // Each tick sits at its value on the bar; the shift keeps the end labels inside it
+  labels.innerHTML = ticks.map(([text, f]) =>
+    `<span style="left: ${f * 100}%; transform: translateX(${-f * 100}%)">${text}</span>`).join('');
+}
+
 function createPoles() {
   // North pole
   const northGeo = new THREE.CylinderGeometry(0, 3, 40, 8);
@@ -513,7 +781,6 @@ function createPoles() {
 
 function createArtifacts() {
   const markerGeometry = new THREE.BoxGeometry(6, 6, 6);
-  const labelPositions = []; // Track label positions to avoid collisions
 
   for (const artifact of ARTIFACTS) {
     const color = STATUS_COLORS[artifact.status.toLowerCase()] || 0x888888;
@@ -527,15 +794,14 @@ function createArtifacts() {
     const marker = new THREE.Mesh(markerGeometry, material);
 
     // Position
-    const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
-    const pos = latLonToVector3(artifact.lat, artifact.lon, MOON_RADIUS + elev * 2 + 12);
+    const pos = surfacePosition(artifact.lat, artifact.lon, 12);
     marker.position.copy(pos);
 
     // Store artifact data
     marker.userData = artifact;
 
     // Add line to surface
-    const surfacePos = latLonToVector3(artifact.lat, artifact.lon, MOON_RADIUS + elev * 2);
+    const surfacePos = surfacePosition(artifact.lat, artifact.lon);
     const lineGeo = new THREE.BufferGeometry().setFromPoints([surfacePos, pos]);
     const lineMat = new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.5 });
     const line = new THREE.Line(lineGeo, lineMat);
@@ -543,63 +809,14 @@ function createArtifacts() {
     moonGroup.add(marker);
     moonGroup.add(line);
 
-    artifactMarkers.push({ marker, line, data: artifact });
-
-    // Create label with smart positioning to avoid collisions
-    const label = createTextSprite(artifact.name.length > 16 ? artifact.name.slice(0, 14) + '…' : artifact.name);
-
-    // Find non-colliding position for label
-    const labelPos = findLabelPosition(pos, labelPositions);
-    label.position.copy(labelPos);
-    labelPositions.push(labelPos);
-
+    // Placed by updateLabelLayout() once the camera is known
+    const label = createArtifactLabel(artifact.name);
+    label.position.copy(pos);
     moonGroup.add(label);
     artifactLabels.push(label);
-  }
-}
-
-// Find a position for label that doesn't collide with others
-function findLabelPosition(basePos, existingPositions) {
-  const offsets = [
-    { x: 0, y: 12, z: 0 },     // Above (default)
-    { x: 15, y: 8, z: 0 },     // Upper right
-    { x: -15, y: 8, z: 0 },    // Upper left
-    { x: 0, y: 20, z: 0 },     // Higher above
-    { x: 20, y: 12, z: 0 },    // Far right
-    { x: -20, y: 12, z: 0 },   // Far left
-    { x: 0, y: 28, z: 0 },     // Even higher
-    { x: 15, y: 20, z: 0 }     // High right
-  ];
-
-  const minDistance = 30; // Minimum distance between labels
 
-  for (const offset of offsets) {
-    const testPos = new THREE.Vector3(
-      basePos.x + offset.x,
-      basePos.y + offset.y,
-      basePos.z + offset.z
-    );
-
-    // Check if this position is far enough from all existing labels
-    let isClear = true;
-    for (const existing of existingPositions) {
-      if (testPos.distanceTo(existing) < minDistance) {
-        isClear = false;
-        break;
-      }
-    }
-
-    if (isClear) {
-      return testPos;
-    }
+    artifactMarkers.push({ marker, line, data: artifact });
   }
-
-  // If all positions are taken, use default with random offset
-  return new THREE.Vector3(
-    basePos.x + (Math.random() - 0.5) * 40,
-    basePos.y + 12 + Math.random() * 20,
-    basePos.z + (Math.random() - 0.5) * 40
-  );
 }
 
 function createTextSprite(text) {
@@ -650,55 +867,32 @@ function createResources() {
   for (const resource of RESOURCES) {
     const color = RESOURCE_COLORS[resource.type] || 0xffffff;
 
-    // Create ring geometry for resource area (outer boundary)
-    const radiusDeg = resource.radius / 111 / Math.max(0.1, Math.cos(resource.lat * Math.PI / 180));
-    const outerPoints = [];
-    const innerPoints = [];
-
-    // Create double ring for filled effect
-    for (let i = 0; i <= 64; i++) { // More segments for smoother circles
-      const angle = (i / 64) * Math.PI * 2;
-      const dlat = radiusDeg * Math.sin(angle);
-      const dlon = radiusDeg * Math.cos(angle);
-      const elev = window.elevationData ? getElevationAt(resource.lat + dlat, resource.lon + dlon, window.elevationData) : 0;
-      const pos = latLonToVector3(resource.lat + dlat, resource.lon + dlon, MOON_RADIUS + elev * 2 + 3);
-      outerPoints.push(pos);
-
-      // Inner ring at 70% radius
-      const innerLat = radiusDeg * 0.7 * Math.sin(angle);
-      const innerLon = radiusDeg * 0.7 * Math.cos(angle);
-      const innerElev = window.elevationData ? getElevationAt(resource.lat + innerLat, resource.lon + innerLon, window.elevationData) : 0;
-      const innerPos = latLonToVector3(resource.lat + innerLat, resource.lon + innerLon, MOON_RADIUS + innerElev * 2 + 3);
-      innerPoints.push(innerPos);
-    }
-
-    // Outer ring (brighter)
-    const outerGeometry = new THREE.BufferGeometry().setFromPoints(outerPoints);
-    const outerMaterial = new THREE.LineBasicMaterial({
+    // Translucent cap draped on the terrain, with a brighter outline
+    const fillMaterial = new THREE.MeshBasicMaterial({
       color: color,
       transparent: true,
-      opacity: resource.concentration * 0.9,
-      linewidth: 2
+      opacity: resource.concentration * RESOURCE_FILL_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2
     });
-    const outerRing = new THREE.Line(outerGeometry, outerMaterial);
-    outerRing.userData = resource;
-    outerRing.visible = false;
+    const fill = new THREE.Mesh(new THREE.BufferGeometry(), fillMaterial);
+    fill.userData = resource;
+    fill.visible = false;
 
-    // Inner ring (subtle)
-    const innerGeometry = new THREE.BufferGeometry().setFromPoints(innerPoints);
-    const innerMaterial = new THREE.LineBasicMaterial({
+    const outlineMaterial = new THREE.LineBasicMaterial({
       color: color,
       transparent: true,
-      opacity: resource.concentration * 0.5,
-      linewidth: 1
+      opacity: resource.concentration * 0.9
     });
-    const innerRing = new THREE.Line(innerGeometry, innerMaterial);
-    innerRing.userData = resource;
-    innerRing.visible = false;
+    const outline = new THREE.Line(new THREE.BufferGeometry(), outlineMaterial);
+    outline.userData = resource;
+    outline.visible = false;
 
     // Center marker (glowing dot)
-    const centerElev = window.elevationData ? getElevationAt(resource.lat, resource.lon, window.elevationData) : 0;
-    const centerPos = latLonToVector3(resource.lat, resource.lon, MOON_RADIUS + centerElev * 2 + 5);
+    const centerPos = surfacePosition(resource.lat, resource.lon, 5);
     const markerGeometry = new THREE.SphereGeometry(3, 8, 8);
     const markerMaterial = new THREE.MeshBasicMaterial({
       color: color,
@@ -728,30 +922,149 @@ function createResources() {
     label.position.y += labelOffset;
     label.visible = false;
 
-    moonGroup.add(outerRing);
-    moonGroup.add(innerRing);
+    moonGroup.add(fill);
+    moonGroup.add(outline);
     moonGroup.add(marker);
     moonGroup.add(label);
 
     // Store all parts together
-    resourceMeshes.push({
-      outer: outerRing,
-      inner: innerRing,
+    const group = {
+      fill: fill,
+      outline: outline,
       marker: marker,
       label: label,
+      labelOffset: labelOffset,
       data: resource
-    });
+    };
+    updateResourceGeometry(group);
+    resourceMeshes.push(group);
   }
 
   // Create crater and maria markers
   createFeatureMarkers();
 }
 
+// Vertices of a deposit footprint as [{lat, lon}]: its `polygon` if it has
+// one, otherwise a spherical cap of `radius` km around its centre
+function getResourceVertices(resource) {
+  if (resource.polygon) return resource.polygon;
+  const vertices = [];
+  for (let i = 0; i < RESOURCE_CAP_SEGMENTS; i++) {
+    vertices.push(destinationPoint(resource.lat, resource.lon, i / RESOURCE_CAP_SEGMENTS * 360, resource.radius));
+  }
+  return vertices;
+}
+
+// Closed footprint outline as [{lat, lon}] with great-circle edges, shared with the 2D maps
+function getResourceOutline(resource) {
+  const vertices = getResourceVertices(resource);
+  const outline = [];
+  vertices.forEach((vertex, i) => {
+    const edge = interpolateGreatCircle(vertex, vertices[(i + 1) % vertices.length], RESOURCE_EDGE_STEP_DEG);
+    if (i > 0) edge.shift(); // shared vertex
+    outline.push(...edge);
+  });
+  return outline;
+}
+
+// Cap footprint triangulated as a fan of geodesic spokes from the deposit
+// centre to each outline point, cut into rings so the mesh drapes over the
+// terrain. Working with unit vectors keeps it valid over the poles and the
+// ±180° meridian. Polygons need not be star-shaped around lat/lon, so they
+// are triangulated separately.
+function createResourceFillGeometry(resource, outline) {
+  if (resource.polygon) return createPolygonFillGeometry(outline);
+  const center = latLonToVector3(resource.lat, resource.lon, 1);
+  const spokes = outline.slice(0, -1).map(p => latLonToVector3(p.lat, p.lon, 1));
+  const maxAngle = Math.max(...spokes.map(v => v.angleTo(center))) * 180 / Math.PI;
+  const rings = Math.max(2, Math.ceil(maxAngle / RESOURCE_EDGE_STEP_DEG));
+
+  const drape = v => {
+    const { lat, lon } = vector3ToLatLon(v);
+    return surfacePosition(lat, lon, RESOURCE_FILL_LIFT);
+  };
+  const positions = [drape(center)];
+  for (const spoke of spokes) {
+    for (let k = 1; k <= rings; k++) {
+      positions.push(drape(center.clone().lerp(spoke, k / rings).normalize()));
+    }
+  }
+
+  // Vertex for spoke i at ring k (k = 0 is the shared centre)
+  const index = (i, k) => k === 0 ? 0 : 1 + (i % spokes.length) * rings + (k - 1);
+  const indices = [];
+  for (let i = 0; i < spokes.length; i++) {
+    indices.push(0, index(i, 1), index(i + 1, 1));
+    for (let k = 1; k < rings; k++) {
+      indices.push(index(i, k), index(i, k + 1), index(i + 1, k + 1));
+      indices.push(index(i, k), index(i + 1, k + 1), index(i + 1, k));
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry().setFromPoints(positions);
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+// Arbitrary (possibly concave) polygon footprint, ear-clipped in a gnomonic
+// projection about its centroid where great-circle edges are straight lines.
+// Every triangle is then split into the same n×n grid, so shared edges line
+// up, and each vertex is projected back onto the sphere and the terrain.
+function createPolygonFillGeometry(outline) {
+  const points = outline.slice(0, -1).map(p => latLonToVector3(p.lat, p.lon, 1));
+  const centroid = points.reduce((sum, v) => sum.add(v), new THREE.Vector3()).normalize();
+  const { lat, lon } = vector3ToLatLon(centroid);
+  const { north, east } = getLocalFrame(lat, lon);
+
+  const contour = points.map(v => {
+    const p = v.clone().divideScalar(v.dot(centroid));
+    return new THREE.Vector2(p.dot(east), p.dot(north));
+  });
+  const triangles = THREE.ShapeUtils.triangulateShape(contour, []);
+
+  let maxEdge = 0;
+  for (const [a, b, c] of triangles) {
+    maxEdge = Math.max(maxEdge, contour[a].distanceTo(contour[b]), contour[b].distanceTo(contour[c]), contour[c].distanceTo(contour[a]));
+  }
+  const n = Math.max(1, Math.ceil(maxEdge * 180 / Math.PI / RESOURCE_EDGE_STEP_DEG));
+
+  const drape = (x, y) => {
+    const v = centroid.clone().addScaledVector(east, x).addScaledVector(north, y).normalize();
+    const p = vector3ToLatLon(v);
+    return surfacePosition(p.lat, p.lon, RESOURCE_FILL_LIFT);
+  };
+  const positions = [];
+  for (const [a, b, c] of triangles) {
+    const A = contour[a], B = contour[b], C = contour[c];
+    const at = (i, j) => drape(
+      A.x + (B.x - A.x) * i / n + (C.x - A.x) * j / n,
+      A.y + (B.y - A.y) * i / n + (C.y - A.y) * j / n
+    );
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n - i; j++) {
+        positions.push(at(i, j), at(i + 1, j), at(i, j + 1));
+        if (i + j < n - 1) positions.push(at(i + 1, j), at(i + 1, j + 1), at(i, j + 1));
+      }
+    }
+  }
+  return new THREE.BufferGeometry().setFromPoints(positions);
+}
+
+// (Re)builds a deposit's fill and outline against the current terrain
+function updateResourceGeometry(group) {
+  const outline = getResourceOutline(group.data);
+  group.fill.geometry.dispose();
+  group.fill.geometry = createResourceFillGeometry(group.data, outline);
+  group.outline.geometry.dispose();
+  group.outline.geometry = new THREE.BufferGeometry().setFromPoints(
+    outline.map(p => surfacePosition(p.lat, p.lon, RESOURCE_OUTLINE_LIFT))
+  );
+}
+
 function createFeatureMarkers() {
   // Create enhanced clickable markers for craters
   for (const crater of CRATERS) {
-    const elev = window.elevationData ? getElevationAt(crater.lat, crater.lon, window.elevationData) : 0;
-    const pos = latLonToVector3(crater.lat, crater.lon, MOON_RADIUS + elev * 2 + 8);
+    const pos = surfacePosition(crater.lat, crater.lon, 8);
 
     // Create a glowing marker with rim effect
     const markerGeometry = new THREE.SphereGeometry(5, 20, 20);
@@ -788,8 +1101,7 @@ function createFeatureMarkers() {
 
   // Create enhanced clickable markers for maria
   for (const mare of MARIA) {
-    const elev = window.elevationData ? getElevationAt(mare.lat, mare.lon, window.elevationData) : 0;
-    const pos = latLonToVector3(mare.lat, mare.lon, MOON_RADIUS + elev * 2 + 8);
+    const pos = surfacePosition(mare.lat, mare.lon, 8);
 
     // Create a glowing marker with ocean-like effect
     const markerGeometry = new THREE.SphereGeometry(5, 20, 20);
@@ -899,6 +1211,391 @@ function createResourceLabel(resource) {
   return sprite;
 }
 
+// ============================================================
+// ELEVATION SOURCES
+// ============================================================
+// Elevation is a grid of scene-unit heights indexed [latRow][lonCol] covering
+// the whole Moon (see getElevationAt). The procedural generator provides the
+// default grid; a heightmap (16-bit PNG, PGM or raw binary) with an optional
+// JSON sidecar can replace it. Sidecar fields:
+//   file        heightmap file name, relative to the sidecar
+//   format      "png", "pgm" or "raw" (default: from the file extension)
+//   width, height, dtype ("float32", "int16", "uint16", "int32", "float64"),
+//   byteOrder   ("little" or "big") - raw files only
+//   scale, offset  elevation = sample * scale + offset
+//   units       "m" (default) or "km"
+//   noData      sample value marking missing data
+//   extent      { west, east, south, north } in degrees, simple cylindrical,
+//               first row at the north edge (default: whole Moon)
+// Areas outside the extent or marked noData keep the procedural elevation.
+const MAX_ELEVATION_ROWS = 721; // 0.25° grid
+const LOLA_MIN_KM = -9.13;      // LOLA global range, used when no sidecar gives a scale
+const LOLA_MAX_KM = 10.78;
+const KM_TO_SCENE = MOON_RADIUS / MOON_RADIUS_KM;
+
+let proceduralElevationData = null;
+
+function setElevationSourceStatus(text, isError = false) {
+  const status = document.getElementById('elevationSourceStatus');
+  if (!status) return;
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+// Replace the active elevation grid and move everything that sits on the surface
+function applyElevationData(data, sourceName) {
+  window.elevationData = data;
+  updateTerrainGeometry();
+  reseatSurfaceObjects();
+  setElevationSourceStatus(`Source: ${sourceName} (${data[0].length}×${data.length})`);
+  console.log(`✓ Elevation source: ${sourceName}`);
+}
+
+// Rebuild the terrain and everything on it for a new exaggeration factor
+function setVerticalExaggeration(factor) {
+  state.visualSettings.verticalExaggeration = factor;
+  updateTerrainGeometry();
+  reseatSurfaceObjects();
+}
+
+function useProceduralElevation() {
+  applyElevationData(proceduralElevationData, 'Procedural');
+}
+
+// Load from files picked by the user: a heightmap, optionally with its sidecar
+async function loadElevationFromFiles(fileList) {
+  const files = [...fileList];
+  const sidecarFile = files.find(f => /\.json$/i.test(f.name));
+  let sidecar = {};
+
+  try {
+    if (sidecarFile) {
+      sidecar = JSON.parse(await sidecarFile.text());
+    }
+    const heightmapFile = files.find(f => f !== sidecarFile && (!sidecar.file || f.name === sidecar.file.split('/').pop())) ||
+                          files.find(f => f !== sidecarFile);
+    if (!heightmapFile) {
+      throw new Error(sidecar.file ? `Select ${sidecar.file} together with the sidecar` : 'No heightmap file selected');
+    }
+
+    setElevationSourceStatus(`Loading ${heightmapFile.name}...`);
+    const buffer = await heightmapFile.arrayBuffer();
+    const heightmap = await decodeHeightmap(buffer, heightmapFile.name, sidecar);
+    applyElevationData(resampleHeightmap(heightmap, sidecar), heightmapFile.name);
+  } catch (error) {
+    console.warn('⚠ Could not load heightmap, keeping current elevation:', error);
+    setElevationSourceStatus(`Load failed: ${error.message}`, true);
+  }
+}
+
+// Load a heightmap shipped with the app, e.g. ?dem=dem/lola_720.json
+async function loadElevationFromUrl(sidecarUrl) {
+  try {
+    setElevationSourceStatus(`Loading ${sidecarUrl}...`);
+    const sidecarResponse = await fetch(sidecarUrl);
+    if (!sidecarResponse.ok) throw new Error(`${sidecarUrl}: HTTP ${sidecarResponse.status}`);
+    const sidecar = await sidecarResponse.json();
+    if (!sidecar.file) throw new Error('Sidecar has no "file" entry');
+
+    const fileUrl = new URL(sidecar.file, new URL(sidecarUrl, window.location.href)).href;
+    const response = await fetch(fileUrl);
+    if (!response.ok) throw new Error(`${sidecar.file}: HTTP ${response.status}`);
+
+    const heightmap = await decodeHeightmap(await response.arrayBuffer(), sidecar.file, sidecar);
+    applyElevationData(resampleHeightmap(heightmap, sidecar), sidecar.file);
+  } catch (error) {
+    console.warn('⚠ Could not load heightmap, using procedural elevation:', error);
+    setElevationSourceStatus(`Load failed: ${error.message}`, true);
+  }
+}
+
+// Decode to { width, height, samples: Float32Array, maxSample }
+async function decodeHeightmap(buffer, fileName, sidecar) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const format = (sidecar.format || extension).toLowerCase();
+
+  if (format === 'png') return decodePNG(buffer);
+  if (format === 'pgm') return decodePGM(buffer);
+  if (['raw', 'bin', 'f32', 'img'].includes(format)) return decodeRawHeightmap(buffer, sidecar);
+  throw new Error(`Unsupported heightmap format "${format}"`);
+}
+
+// Grayscale (or first channel) PNG, 8 or 16 bits, non-interlaced
+async function decodePNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  if (!signature.every((b, i) => bytes[i] === b)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+  const idat = [];
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`PNG color type ${colorType} at ${bitDepth} bits is not supported`);
+  }
+  if (interlace) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+
+  // IDAT chunks form one zlib stream
+  const stream = new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'));
+  const raw = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  const pixels = new Uint8Array(stride * height);
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? out[x - bytesPerPixel] : 0;
+      const up = previous[x];
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let value = line[x];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+      }
+      out[x] = value & 255;
+    }
+    previous = out;
+  }
+
+  const samples = new Float32Array(width * height);
+  for (let i = 0; i < samples.length; i++) {
+    const p = i * bytesPerPixel;
+    samples[i] = bitDepth === 16 ? (pixels[p] << 8) | pixels[p + 1] : pixels[p];
+  }
+  return { width, height, samples, maxSample: bitDepth === 16 ? 65535 : 255 };
+}
+
+// Netpbm graymap, binary (P5) or ASCII (P2)
+function decodePGM(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const magic = String.fromCharCode(bytes[0], bytes[1]);
+  if (magic !== 'P5' && magic !== 'P2') {
+    throw new Error('Not a PGM file');
+  }
+
+  // Header: magic, width, height, maxval, separated by whitespace or comments
+  const header = [];
+  let offset = 2;
+  while (header.length < 3) {
+    while (/\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+    if (bytes[offset] === 35) { // '#' comment
+      while (bytes[offset] !== 10 && offset < bytes.length) offset++;
+      continue;
+    }
+    let token = '';
+    while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) {
+      token += String.fromCharCode(bytes[offset++]);
+    }
+    header.push(parseInt(token, 10));
+  }
+  offset++; // single whitespace before the raster
+
+  const [width, height, maxSample] = header;
+  const samples = new Float32Array(width * height);
+
+  if (magic === 'P2') {
+    const values = new TextDecoder().decode(bytes.subarray(offset)).trim().split(/\s+/);
+    for (let i = 0; i < samples.length; i++) samples[i] = parseInt(values[i], 10);
+  } else if (maxSample < 256) {
+    samples.set(bytes.subarray(offset, offset + samples.length));
+  } else {
+    const view = new DataView(buffer, offset);
+    for (let i = 0; i < samples.length; i++) samples[i] = view.getUint16(i * 2); // big-endian
+  }
+  return { width, height, samples, maxSample };
+}
+
+function decodeRawHeightmap(buffer, sidecar) {
+  const { width, height } = sidecar;
+  if (!width || !height) {
+    throw new Error('Raw heightmaps need width and height in the sidecar');
+  }
+
+  const dtype = sidecar.dtype || 'float32';
+  const readers = {
+    float32: [4, 'getFloat32'],
+    float64: [8, 'getFloat64'],
+    int16: [2, 'getInt16'],
+    uint16: [2, 'getUint16'],
+    int32: [4, 'getInt32']
+  };
+  if (!readers[dtype]) {
+    throw new Error(`Unsupported dtype "${dtype}"`);
+  }
+
+  const [size, getter] = readers[dtype];
+  if (buffer.byteLength < width * height * size) {
+    throw new Error(`Expected ${width * height * size} bytes, file has ${buffer.byteLength}`);
+  }
+
+  const littleEndian = (sidecar.byteOrder || 'little') === 'little';
+  const view = new DataView(buffer);
+  const samples = new Float32Array(width * height);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view[getter](i * size, littleEndian);
+  }
+  return { width, height, samples, maxSample: null };
+}
+
+// Convert decoded samples to the global elevation grid in scene units
+function resampleHeightmap(heightmap, sidecar) {
+  const { width, height, samples, maxSample } = heightmap;
+  const extent = { west: -180, east: 180, south: -90, north: 90, ...(sidecar.extent || {}) };
+  const unitsToKm = (sidecar.units || 'm') === 'km' ? 1 : 0.001;
+
+  // Without a sidecar scale, stretch integer samples over the LOLA range
+  let scale = sidecar.scale;
+  let offset = sidecar.offset;
+  if (scale === undefined && maxSample) {
+    scale = (LOLA_MAX_KM - LOLA_MIN_KM) / maxSample / unitsToKm;
+    offset = LOLA_MIN_KM / unitsToKm;
+  }
+  scale = scale ?? 1;
+  offset = offset ?? 0;
+
+  const lonSpan = extent.east - extent.west;
+  const latSpan = extent.north - extent.south;
+  const isGlobalLon = lonSpan >= 359.999;
+  const degPerRow = latSpan / height;
+  const rows = Math.max(72, Math.min(MAX_ELEVATION_ROWS, Math.round(180 / degPerRow) + 1));
+  const cols = (rows - 1) * 2 + 1;
+
+  const sampleAt = (x, y) => {
+    const v = samples[y * width + x];
+    if (sidecar.noData !== undefined && v === sidecar.noData) return NaN;
+    return (v * scale + offset) * unitsToKm * KM_TO_SCENE;
+  };
+
+  const data = [];
+  for (let i = 0; i < rows; i++) {
+    const row = new Float32Array(cols);
+    const lat = (i / (rows - 1)) * 180 - 90;
+
+    for (let j = 0; j < cols; j++) {
+      const lon = (j / (cols - 1)) * 360 - 180;
+      let dLon = lon - extent.west;
+      if (isGlobalLon) dLon = ((dLon % 360) + 360) % 360;
+
+      // Pixel-center coordinates, first row at the north edge
+      const fx = (dLon / lonSpan) * width - 0.5;
+      const fy = ((extent.north - lat) / latSpan) * height - 0.5;
+      let value = NaN;
+
+      if (fx >= -0.5 && fx <= width - 0.5 && fy >= -0.5 && fy <= height - 0.5) {
+        const x0 = Math.floor(fx), y0 = Math.max(0, Math.floor(fy));
+        const x1 = isGlobalLon ? (x0 + 1) % width : Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const xa = isGlobalLon ? (x0 + width) % width : Math.max(0, x0);
+        const tx = fx - x0, ty = Math.max(0, fy - y0);
+
+        value = (1 - tx) * (1 - ty) * sampleAt(xa, y0) + tx * (1 - ty) * sampleAt(x1, y0) +
+                (1 - tx) * ty * sampleAt(xa, y1) + tx * ty * sampleAt(x1, y1);
+      }
+
+      row[j] = isNaN(value) ? getElevationAt(lat, lon, proceduralElevationData) : value;
+    }
+    data.push(row);
+  }
+  return data;
+}
+
+// Move markers, stems, labels, deposit rings and drawn paths onto the current terrain
+function reseatSurfaceObjects() {
+  collapseSpider();
+  for (let i = 0; i < artifactMarkers.length; i++) {
+    const entry = artifactMarkers[i];
+    if (getOrbiter(entry.data)) continue; // placed by updateOrbiters
+    const { marker, line, data } = entry;
+    const pos = surfacePosition(data.lat, data.lon, 12);
+    marker.position.copy(pos);
+    line.geometry.setFromPoints([surfacePosition(data.lat, data.lon), pos]);
+    line.geometry.computeBoundingSphere();
+  }
+  requestLabelLayout();
+
+  for (const group of resourceMeshes) {
+    const { data } = group;
+    if (group.featureType) {
+      const pos = surfacePosition(data.lat, data.lon, 8);
+      group.marker.position.copy(pos);
+      if (group.glow) group.glow.position.copy(pos);
+      continue;
+    }
+
+    updateResourceGeometry(group);
+    const centerPos = surfacePosition(data.lat, data.lon, 5);
+    group.marker.position.copy(centerPos);
+    group.label.position.copy(centerPos);
+    group.label.position.y += group.labelOffset;
+  }
+
+  for (const measurement of measurements) {
+    drawMeasurement(measurement, false);
+  }
+  if (activeMeasurement) {
+    drawMeasurement(activeMeasurement, true);
+  }
+  refreshElevationProfile();
+  updateTerminator();
+  if (state.showPolarIllumination) {
+    updatePolarIlluminationOverlay();
+  }
+
+  updateTraversePositions();
+
+  // Trajectories end at the landing site, so rebuild in place
+  for (const artifact of [...trajectoryGroups.keys()]) {
+    showTrajectory(artifact, false);
+  }
+
+  // Refresh open panels that show elevation
+  const surfacePanel = document.getElementById('surfacePanel');
+  if (surfacePin && !surfacePanel.classList.contains('hidden')) {
+    openSurfacePanel(parseFloat(surfacePanel.dataset.lat), parseFloat(surfacePanel.dataset.lon));
+  }
+  const missionPanel = document.getElementById('missionPanel');
+  if (!missionPanel.classList.contains('hidden')) {
+    const artifact = ARTIFACTS.find(a => a.name === missionPanel.dataset.artifactName);
+    if (artifact) openMissionPanel(artifact);
+  }
+}
+
 // ============================================================
 // UTILITY FUNCTIONS
 // ============================================================
@@ -913,6 +1610,21 @@ function latLonToVector3(lat, lon, radius) {
   return new THREE.Vector3(x, y, z);
 }
 
+// Point on the displaced terrain surface, `lift` scene units above it
+function surfacePosition(lat, lon, lift = 0) {
+  const elev = window.elevationData ? getElevationAt(lat, lon, window.elevationData) : 0;
+  return latLonToVector3(lat, lon, MOON_RADIUS + elev * state.visualSettings.verticalExaggeration + lift);
+}
+
+// Inverse of latLonToVector3 (ignores the vector's length)
+function vector3ToLatLon(v) {
+  const r = v.length();
+  return {
+    lat: Math.asin(Math.max(-1, Math.min(1, v.y / r))) * (180 / Math.PI),
+    lon: Math.atan2(-v.z, v.x) * (180 / Math.PI)
+  };
+}
+
 function haversine(lat1, lon1, lat2, lon2) {
   const dLat = (lat2 - lat1) * Math.PI / 180;
   const dLon = (lon2 - lon1) * Math.PI / 180;
@@ -929,991 +1641,5421 @@ function simplex2D(x, y) {
   return n - Math.floor(n);
 }
 
-// ============================================================
-// UPDATE FUNCTIONS
-// ============================================================
-function updateVisibility() {
-  // Grid
-  if (gridMesh) gridMesh.visible = state.showGrid;
-  
-  // Terrain
-  if (terrainMesh) {
-    terrainMesh.visible = state.showTerrain && (state.terrainMode === 1 || state.terrainMode === 2);
-  }
-  if (wireframeMesh) {
-    wireframeMesh.visible = state.showTerrain && (state.terrainMode === 0 || state.terrainMode === 2);
-  }
-  
-  // Poles
-  if (northPole) northPole.visible = state.showPoles;
-  if (southPole) southPole.visible = state.showPoles;
-  
-  // Labels
-  for (const label of artifactLabels) {
-    label.visible = state.showLabels;
+// Great-circle distance between two selenographic points in kilometres
+function greatCircleKm(lat1, lon1, lat2, lon2) {
+  return haversine(lat1, lon1, lat2, lon2) * (Math.PI / 180) * MOON_RADIUS_KM;
+}
+
+// Point reached from lat/lon after distanceKm along an initial bearing (deg from north)
+function destinationPoint(lat, lon, bearing, distanceKm) {
+  const delta = distanceKm / MOON_RADIUS_KM;
+  const phi1 = lat * Math.PI / 180;
+  const lambda1 = lon * Math.PI / 180;
+  const theta = bearing * Math.PI / 180;
+
+  const sinPhi2 = Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta);
+  const phi2 = Math.asin(Math.max(-1, Math.min(1, sinPhi2)));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * sinPhi2
+  );
+
+  return { lat: phi2 * 180 / Math.PI, lon: ((lambda2 * 180 / Math.PI) + 540) % 360 - 180 };
+}
+
+// Initial bearing (deg from north) of the great circle from point 1 to point 2
+function initialBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLambda = (lon2 - lon1) * Math.PI / 180;
+  const theta = Math.atan2(
+    Math.sin(dLambda) * Math.cos(phi2),
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda)
+  );
+  return (theta * 180 / Math.PI + 360) % 360;
+}
+
+// Points along the great circle from a to b ({lat, lon}), spaced at most stepDeg apart
+function interpolateGreatCircle(a, b, stepDeg = 1) {
+  const va = latLonToVector3(a.lat, a.lon, 1);
+  const vb = latLonToVector3(b.lat, b.lon, 1);
+  const angle = va.angleTo(vb);
+  const steps = Math.max(1, Math.ceil((angle * 180 / Math.PI) / stepDeg));
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    let v;
+    if (angle < 1e-9) {
+      v = va.clone();
+    } else {
+      // Spherical linear interpolation
+      const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+      const wb = Math.sin(t * angle) / Math.sin(angle);
+      v = va.clone().multiplyScalar(wa).add(vb.clone().multiplyScalar(wb));
+    }
+    points.push(vector3ToLatLon(v));
   }
-  
-  // Artifacts
-  updateArtifactVisibility();
-  
-  // Resources
-  updateResourceVisibility();
-  
-  // Terrain mode text
-  const modeText = ['Wireframe', 'Solid', 'Hybrid'][state.terrainMode];
-  document.getElementById('terrainMode').textContent = modeText;
+  return points;
 }
 
-function updateArtifactVisibility() {
-  const query = state.searchQuery.toLowerCase();
-  let visibleCount = 0;
+// Area of a spherical polygon ([{lat, lon}], implicitly closed) in km²,
+// summed from signed fan triangles (Van Oosterom & Strackee)
+function sphericalPolygonAreaKm2(points) {
+  if (points.length < 3) return 0;
+  const v = points.map(p => latLonToVector3(p.lat, p.lon, 1));
+  let excess = 0;
+
+  for (let i = 1; i < v.length - 1; i++) {
+    const a = v[0], b = v[i], c = v[i + 1];
+    const triple = a.dot(b.clone().cross(c));
+    const denom = 1 + a.dot(b) + b.dot(c) + c.dot(a);
+    excess += 2 * Math.atan2(triple, denom);
+  }
+  return Math.abs(excess) * MOON_RADIUS_KM * MOON_RADIUS_KM;
+}
 
-  for (let i = 0; i < artifactMarkers.length; i++) {
-    const { marker, line, data } = artifactMarkers[i];
-    const label = artifactLabels[i];
+// Scene-space points draping a lat/lon polyline over the terrain
+function createSurfacePathPoints(points, closed = false, lift = 1.5) {
+  const path = [];
+  const vertices = closed ? [...points, points[0]] : points;
 
-    // Check if artifacts are globally enabled
-    if (!state.showArtifacts) {
-      marker.visible = false;
-      line.visible = false;
-      if (label) label.visible = false;
-      continue;
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const segment = interpolateGreatCircle(vertices[i], vertices[i + 1], 0.5);
+    if (i > 0) segment.shift(); // shared vertex
+    for (const p of segment) {
+      path.push(surfacePosition(p.lat, p.lon, lift));
     }
+  }
+  if (vertices.length === 1) {
+    path.push(surfacePosition(vertices[0].lat, vertices[0].lon, lift));
+  }
+  return path;
+}
 
-    // Check filters - match each country individually
-    let showByOrigin = false;
-    if (data.operator === 'Soviet Union' && state.filterSovietUnion) showByOrigin = true;
-    if (data.operator === 'Russia' && state.filterRussia) showByOrigin = true;
-    if (data.operator === 'United States' && state.filterUS) showByOrigin = true;
-    if (data.operator === 'China' && state.filterChina) showByOrigin = true;
-    if (data.operator === 'India' && state.filterIndia) showByOrigin = true;
-    if (data.operator === 'Japan' && state.filterJapan) showByOrigin = true;
-    if (data.operator === 'Israel' && state.filterIsrael) showByOrigin = true;
-    if (data.operator === 'Europe' && state.filterEurope) showByOrigin = true;
+// ============================================================
+// SEARCH QUERY LANGUAGE
+// ============================================================
+// Queries are a list of terms joined by AND (implicit), OR and NOT / "-".
+// Terms are free text (matched against name, operator, agency, type, status and year),
+// field prefixes such as "operator:china" or "year:2013..2024", or a proximity
+// term "near:<place><300km". Parentheses group terms.
+
+// Searchable ARTIFACTS fields and how their values are compared
+const SEARCH_FIELDS = {
+  name: 'text',
+  operator: 'text',
+  agency: 'text',
+  type: 'text',
+  status: 'text',
+  description: 'text',
+  link: 'text',
+  year: 'number',
+  lat: 'number',
+  lon: 'number',
+  mass: 'number'
+};
 
-    // Check search
-    const matchesSearch = query === '' ||
-                          data.name.toLowerCase().includes(query) ||
-                          String(data.year).includes(query);
+const SEARCH_FIELD_ALIASES = {
+  country: 'operator',
+  origin: 'operator',
+  company: 'agency',
+  desc: 'description'
+};
 
-    const visible = showByOrigin && matchesSearch;
-    marker.visible = visible;
-    line.visible = visible;
-    if (label) label.visible = visible && state.showLabels;
+const FREE_TEXT_FIELDS = ['name', 'operator', 'agency', 'type', 'status', 'year'];
+const DEFAULT_NEAR_KM = 100;
 
-    if (visible) visibleCount++;
-  }
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
 
-  document.getElementById('artifactCount').textContent = `Showing ${visibleCount} of ${ARTIFACTS.length} artifacts`;
-}
+  while (i < text.length) {
+    const ch = text[i];
 
-function updateResourceVisibility() {
-  for (const resourceGroup of resourceMeshes) {
-    const featureType = resourceGroup.featureType;
-    let visible = false;
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
 
-    if (featureType === 'crater') {
-      visible = state.showCraters;
-      resourceGroup.marker.visible = visible;
-      if (resourceGroup.glow) resourceGroup.glow.visible = visible;
-    } else if (featureType === 'mare') {
-      visible = state.showMaria;
-      resourceGroup.marker.visible = visible;
-      if (resourceGroup.glow) resourceGroup.glow.visible = visible;
-    } else {
-      // Resource deposits
-      const type = resourceGroup.data.type;
-      if (type === 'water' && state.showWater) visible = true;
-      if (type === 'helium' && state.showHelium) visible = true;
-      if (type === 'titanium' && state.showTitanium) visible = true;
-      if (type === 'kreep' && state.showKreep) visible = true;
-      if (type === 'minerals' && state.showMinerals) visible = true;
+    if (ch === '(' || ch === ')') {
+      tokens.push({ kind: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
 
-      // Update visibility for all parts
-      if (resourceGroup.outer) resourceGroup.outer.visible = visible;
-      if (resourceGroup.inner) resourceGroup.inner.visible = visible;
-      resourceGroup.marker.visible = visible;
-      if (resourceGroup.label) resourceGroup.label.visible = visible;
+    if (ch === '"') {
+      const close = text.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new Error(`Unterminated quote at position ${i + 1}`);
+      }
+      tokens.push({ kind: 'string', value: text.slice(i + 1, close), start: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
 
-      // Update opacity based on concentration and global resource opacity
-      if (visible && resourceGroup.data.concentration) {
-        const opacity = resourceGroup.data.concentration * state.resourceOpacity;
-        if (resourceGroup.outer) resourceGroup.outer.material.opacity = opacity * 0.9;
-        if (resourceGroup.inner) resourceGroup.inner.material.opacity = opacity * 0.5;
-        resourceGroup.marker.material.opacity = opacity * 0.9;
+    let j = i;
+    while (j < text.length && !/[\s()"]/.test(text[j])) j++;
+    const word = text.slice(i, j);
+    const fieldMatch = word.match(/^([a-z_]+):/i);
+
+    if (fieldMatch) {
+      // "field:" is its own token so quoted values can follow it directly
+      const fieldEnd = i + fieldMatch[0].length;
+      tokens.push({ kind: 'field', value: fieldMatch[1].toLowerCase(), start: i, end: fieldEnd });
+      if (fieldEnd < j) {
+        tokens.push({ kind: 'word', value: text.slice(fieldEnd, j), start: fieldEnd, end: j });
       }
+    } else if (/^(and|or|not)$/i.test(word)) {
+      tokens.push({ kind: word.toUpperCase(), start: i, end: j });
+    } else if (word.startsWith('-') && word.length > 1) {
+      // Leading minus negates the following term, e.g. "-apollo"
+      tokens.push({ kind: 'NOT', start: i, end: i + 1 });
+      i++;
+      continue;
+    } else {
+      tokens.push({ kind: 'word', value: word, start: i, end: j });
     }
+    i = j;
   }
-}
-
-function updateArtifactCount() {
-  updateArtifactVisibility();
-}
 
-// ============================================================
-// EVENT HANDLERS
-// ============================================================
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  return tokens;
 }
 
-function onMouseMove(event) {
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+function parseSearchQuery(text) {
+  const tokens = tokenizeQuery(text);
+  let pos = 0;
 
-  // Raycast for hover
-  raycaster.setFromCamera(mouse, camera);
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
 
-  const markers = artifactMarkers.filter(m => m.marker.visible).map(m => m.marker);
-  const intersects = raycaster.intersectObjects(markers);
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().kind === 'OR') {
+      next();
+      const right = parseAnd();
+      left = { op: 'or', left, right };
+    }
+    return left;
+  }
 
-  const tooltip = document.getElementById('tooltip');
+  function parseAnd() {
+    let left = parseNot();
+    while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+      if (peek().kind === 'AND') next();
+      const right = parseNot();
+      left = { op: 'and', left, right };
+    }
+    return left;
+  }
 
-  if (intersects.length > 0) {
-    const artifact = intersects[0].object.userData;
-    hoveredArtifact = artifact;
-
-    // Update tooltip
-    const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
-    const elevKm = (elev / (MOON_RADIUS / MOON_RADIUS_KM)).toFixed(1);
-
-    tooltip.innerHTML = `
-      <div class="name">${artifact.name}</div>
-      <div class="detail">Year: ${artifact.year}</div>
-      <div class="detail">Operator: ${artifact.operator}</div>
-      <div class="detail">Type: ${artifact.type} | Status: ${artifact.status}</div>
-      ${artifact.mass ? `<div class="detail">Mass: ${artifact.mass}</div>` : ''}
-      <div class="coords">${artifact.lat.toFixed(2)}° lat, ${artifact.lon.toFixed(2)}° lon</div>
-      <div class="detail">Elevation: ${elevKm > 0 ? '+' : ''}${elevKm} km</div>
-      ${artifact.description ? `<div class="description">${artifact.description}</div>` : ''}
-      ${artifact.link ? `<div class="detail" style="margin-top: 6px;"><a href="${artifact.link}" target="_blank" style="color: #00ff99; text-decoration: underline;">Learn more →</a></div>` : ''}
-    `;
+  function parseNot() {
+    if (peek() && peek().kind === 'NOT') {
+      next();
+      return { op: 'not', term: parseNot() };
+    }
+    return parsePrimary();
+  }
 
-    tooltip.style.display = 'block';
-    tooltip.style.left = event.clientX + 15 + 'px';
-    tooltip.style.top = event.clientY + 15 + 'px';
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error('Query ends unexpectedly');
+    }
 
-    // Keep tooltip on screen
-    const rect = tooltip.getBoundingClientRect();
-    if (rect.right > window.innerWidth) {
-      tooltip.style.left = event.clientX - rect.width - 15 + 'px';
+    if (token.kind === '(') {
+      const expr = parseOr();
+      const close = next();
+      if (!close || close.kind !== ')') {
+        throw new Error(`Missing ")" for "(" at position ${token.start + 1}`);
+      }
+      return expr;
     }
-    if (rect.bottom > window.innerHeight) {
-      tooltip.style.top = event.clientY - rect.height - 15 + 'px';
+
+    if (token.kind === 'field') {
+      return parseFieldTerm(token);
     }
 
-    document.body.style.cursor = 'pointer';
-  } else {
-    // Check for resource hover
-    const resourceMarkers = resourceMeshes
-      .filter(r => r.marker.visible)
-      .map(r => r.marker);
-    const resourceIntersects = raycaster.intersectObjects(resourceMarkers);
+    if (token.kind === 'word' || token.kind === 'string') {
+      return { op: 'text', value: token.value.toLowerCase() };
+    }
 
-    if (resourceIntersects.length > 0) {
-      const resource = resourceIntersects[0].object.userData;
-
-      tooltip.innerHTML = `
-        <div class="name">${resource.name}</div>
-        <div class="detail">Type: ${resource.type.toUpperCase()}</div>
-        ${resource.subtype ? `<div class="detail">Subtype: ${resource.subtype}</div>` : ''}
-        <div class="coords">${resource.lat.toFixed(2)}° lat, ${resource.lon.toFixed(2)}° lon</div>
-        <div class="detail">Radius: ~${resource.radius} km</div>
-        <div class="detail">Concentration: ${(resource.concentration * 100).toFixed(0)}%</div>
-        ${resource.description ? `<div class="description">${resource.description}</div>` : ''}
-        ${resource.link ? `<div class="detail" style="margin-top: 6px;"><a href="${resource.link}" target="_blank" style="color: #00ff99; text-decoration: underline;">Learn more →</a></div>` : ''}
-      `;
+    throw new Error(`Unexpected "${token.kind}" at position ${token.start + 1}`);
+  }
 
-      tooltip.style.display = 'block';
-      tooltip.style.left = event.clientX + 15 + 'px';
-      tooltip.style.top = event.clientY + 15 + 'px';
+  function parseFieldTerm(fieldToken) {
+    const valueToken = next();
+    if (!valueToken || valueToken.start !== fieldToken.end ||
+        (valueToken.kind !== 'word' && valueToken.kind !== 'string')) {
+      throw new Error(`Missing value after "${fieldToken.value}:"`);
+    }
 
-      const rect = tooltip.getBoundingClientRect();
-      if (rect.right > window.innerWidth) {
-        tooltip.style.left = event.clientX - rect.width - 15 + 'px';
-      }
-      if (rect.bottom > window.innerHeight) {
-        tooltip.style.top = event.clientY - rect.height - 15 + 'px';
+    if (fieldToken.value === 'near') {
+      let spec = valueToken.kind === 'string' ? `"${valueToken.value}"` : valueToken.value;
+      // A distance may trail a quoted place name: near:"Mare Imbrium"<300km
+      if (peek() && peek().kind === 'word' && peek().start === valueToken.end) {
+        spec += next().value;
       }
+      return parseNearTerm(spec);
+    }
 
-      document.body.style.cursor = 'pointer';
-    } else {
-      hoveredArtifact = null;
-      tooltip.style.display = 'none';
-      document.body.style.cursor = 'default';
+    const field = SEARCH_FIELD_ALIASES[fieldToken.value] || fieldToken.value;
+    const fieldType = SEARCH_FIELDS[field];
+    if (!fieldType) {
+      const known = Object.keys(SEARCH_FIELDS).concat('near').join(', ');
+      throw new Error(`Unknown field "${fieldToken.value}" (try ${known})`);
     }
+
+    if (fieldType === 'number') {
+      return { op: 'range', field, ...parseNumericRange(field, valueToken.value) };
+    }
+
+    return { op: 'field', field, pattern: textPattern(valueToken.value) };
+  }
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const stray = tokens[pos];
+    throw new Error(`Unexpected "${stray.kind === ')' ? ')' : stray.value || stray.kind}" at position ${stray.start + 1}`);
   }
+  return ast;
 }
 
-function onMouseClick(event) {
-  // Skip if clicking on UI elements
-  if (event.target.closest('#hud') || event.target.closest('.details-panel')) {
-    return;
+// Accepts "1969", "2013..2024", "..1970", "2000..", "<1970", ">=2000"
+function parseNumericRange(field, value) {
+  const num = (s) => {
+    const n = parseFloat(s);
+    if (s === '' || isNaN(n) || !/^[-+]?\d*\.?\d+$/.test(s)) {
+      throw new Error(`"${s}" is not a number for ${field}:`);
+    }
+    return n;
+  };
+
+  const comparison = value.match(/^(<=|>=|<|>)(.+)$/);
+  if (comparison) {
+    const n = num(comparison[2]);
+    switch (comparison[1]) {
+      case '<': return { min: -Infinity, max: n, maxExclusive: true };
+      case '<=': return { min: -Infinity, max: n };
+      case '>': return { min: n, max: Infinity, minExclusive: true };
+      default: return { min: n, max: Infinity };
+    }
   }
 
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  if (value.includes('..')) {
+    const [lo, hi] = value.split('..');
+    return {
+      min: lo === '' ? -Infinity : num(lo),
+      max: hi === '' ? Infinity : num(hi)
+    };
+  }
 
-  raycaster.setFromCamera(mouse, camera);
+  const n = num(value);
+  return { min: n, max: n };
+}
 
-  // Check for artifact clicks
-  const markers = artifactMarkers.filter(m => m.marker.visible).map(m => m.marker);
-  const intersects = raycaster.intersectObjects(markers);
+// Case-insensitive substring match; "*" acts as a wildcard
+function textPattern(value) {
+  const escaped = value.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(escaped);
+}
 
-  if (intersects.length > 0) {
-    const artifact = intersects[0].object.userData;
-    openMissionPanel(artifact);
-    return;
+function parseNearTerm(spec) {
+  const match = spec.match(/^(?:"([^"]*)"|([^<]+))(?:<(\d*\.?\d+)\s*(km)?)?$/i);
+  if (!match) {
+    throw new Error(`Cannot read "near:${spec}" (expected near:"Place"<300km)`);
   }
 
-  // Check for resource/crater/mare clicks
-  const featureMarkers = resourceMeshes
-    .filter(r => r.marker.visible)
-    .map(r => r.marker);
-  const featureIntersects = raycaster.intersectObjects(featureMarkers);
+  const placeName = (match[1] !== undefined ? match[1] : match[2]).trim();
+  const maxKm = match[3] !== undefined ? parseFloat(match[3]) : DEFAULT_NEAR_KM;
 
-  if (featureIntersects.length > 0) {
-    const feature = featureIntersects[0].object.userData;
-    const featureType = feature.featureType || 'resource';
-    openFeaturePanel(feature, featureType);
-    return;
+  // Plain coordinates: near:-3.0,-23.4<50km
+  const coords = placeName.match(/^([-+]?\d*\.?\d+),([-+]?\d*\.?\d+)$/);
+  if (coords) {
+    return { op: 'near', lat: parseFloat(coords[1]), lon: parseFloat(coords[2]), maxKm };
   }
-}
-
-function openMissionPanel(artifact) {
-  const panel = document.getElementById('missionPanel');
-  const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
-  const elevKm = (elev / (MOON_RADIUS / MOON_RADIUS_KM)).toFixed(1);
 
-  // Populate panel
-  document.getElementById('panelTitle').textContent = artifact.name;
-  document.getElementById('panelOperator').textContent = artifact.operator;
-  document.getElementById('panelYear').textContent = artifact.year;
-  document.getElementById('panelType').textContent = artifact.type;
-  document.getElementById('panelStatus').textContent = artifact.status;
-  document.getElementById('panelMass').textContent = artifact.mass || 'Unknown';
-  document.getElementById('panelCoords').textContent = `${artifact.lat.toFixed(3)}° ${artifact.lat >= 0 ? 'N' : 'S'}, ${Math.abs(artifact.lon).toFixed(3)}° ${artifact.lon >= 0 ? 'E' : 'W'}`;
-  document.getElementById('panelElevation').textContent = `${elevKm > 0 ? '+' : ''}${elevKm} km`;
+  const place = findNamedPlace(placeName);
+  if (!place) {
+    throw new Error(`No artifact, crater, mare or deposit named "${placeName}"`);
+  }
+  return { op: 'near', lat: place.lat, lon: place.lon, maxKm, place: place.name };
+}
 
-  const description = artifact.description || 'No additional information available for this mission.';
-  document.getElementById('panelDescription').textContent = description;
+function findNamedPlace(name) {
+  const needle = name.toLowerCase();
+  const places = [...ARTIFACTS, ...CRATERS, ...MARIA, ...RESOURCES];
+  return places.find(p => p.name.toLowerCase() === needle) ||
+         places.find(p => p.name.toLowerCase().includes(needle));
+}
 
-  // Update learn more link
-  const learnMoreBtn = document.getElementById('panelLearnMore');
-  if (artifact.link) {
-    learnMoreBtn.href = artifact.link;
-    learnMoreBtn.style.display = 'block';
-  } else {
-    learnMoreBtn.style.display = 'none';
+function getSearchFieldValue(artifact, field) {
+  if (field === 'mass') {
+    // Mass is stored as display text such as "~1,500 kg" or "15,103 kg (LM)"
+    const match = String(artifact.mass || '').replace(/,/g, '').match(/\d*\.?\d+/);
+    return match ? parseFloat(match[0]) : NaN;
   }
+  return artifact[field];
+}
 
-  // Show panel
-  panel.classList.remove('hidden');
+function evaluateSearchQuery(node, artifact) {
+  switch (node.op) {
+    case 'and':
+      return evaluateSearchQuery(node.left, artifact) && evaluateSearchQuery(node.right, artifact);
+    case 'or':
+      return evaluateSearchQuery(node.left, artifact) || evaluateSearchQuery(node.right, artifact);
+    case 'not':
+      return !evaluateSearchQuery(node.term, artifact);
+    case 'text':
+      return FREE_TEXT_FIELDS.some(f => String(artifact[f] ?? '').toLowerCase().includes(node.value));
+    case 'field':
+      return node.pattern.test(String(artifact[node.field] ?? '').toLowerCase());
+    case 'range': {
+      const v = getSearchFieldValue(artifact, node.field);
+      if (typeof v !== 'number' || isNaN(v)) return false;
+      const aboveMin = node.minExclusive ? v > node.min : v >= node.min;
+      const belowMax = node.maxExclusive ? v < node.max : v <= node.max;
+      return aboveMin && belowMax;
+    }
+    case 'near':
+      return greatCircleKm(artifact.lat, artifact.lon, node.lat, node.lon) <= node.maxKm;
+    default:
+      return true;
+  }
+}
 
-  // Store current artifact for button actions
-  panel.dataset.artifactName = artifact.name;
+// Compile state.searchQuery; on a malformed query the previous filter is kept
+function updateSearchFilter() {
+  const searchBox = document.getElementById('searchBox');
+  const errorBox = document.getElementById('searchError');
+
+  try {
+    const ast = parseSearchQuery(state.searchQuery);
+    searchFilter = ast ? (artifact) => evaluateSearchQuery(ast, artifact) : null;
+    searchBox.classList.remove('invalid');
+    errorBox.classList.add('hidden');
+    errorBox.textContent = '';
+  } catch (error) {
+    searchBox.classList.add('invalid');
+    errorBox.classList.remove('hidden');
+    errorBox.textContent = error.message;
+  }
 }
 
-function closeMissionPanel() {
-  document.getElementById('missionPanel').classList.add('hidden');
-  clearTrajectory();
+function matchesSearchFilter(artifact) {
+  return !searchFilter || searchFilter(artifact);
 }
 
-function openFeaturePanel(feature, type) {
-  const panel = document.getElementById('featurePanel');
+// ============================================================
+// ORIGIN FILTERS
+// ============================================================
+function getOriginKey(artifact) {
+  if (state.filterGroupBy === 'agency') {
+    return artifact.agency || artifact.operator;
+  }
+  return artifact.operator;
+}
 
-  // Populate panel based on feature type
-  document.getElementById('featurePanelTitle').textContent = feature.name;
+// Distinct origins for the current grouping, most artifacts first
+function getOriginGroups() {
+  const groups = new Map();
 
-  // Set type badge
-  const typeBadge = document.getElementById('featurePanelType');
-  if (type === 'resource') {
-    typeBadge.textContent = feature.type.toUpperCase() + ' DEPOSIT';
-    typeBadge.style.background = 'rgba(0, 255, 255, 0.2)';
-    typeBadge.style.color = '#00ffff';
-    typeBadge.style.borderColor = '#00ffff';
-  } else if (type === 'crater') {
-    typeBadge.textContent = 'CRATER';
-    typeBadge.style.background = 'rgba(255, 136, 68, 0.2)';
-    typeBadge.style.color = '#ff8844';
-    typeBadge.style.borderColor = '#ff8844';
-  } else if (type === 'mare') {
-    typeBadge.textContent = 'MARE / BASIN';
-    typeBadge.style.background = 'rgba(68, 136, 255, 0.2)';
-    typeBadge.style.color = '#4488ff';
-    typeBadge.style.borderColor = '#4488ff';
+  for (const artifact of ARTIFACTS) {
+    const key = getOriginKey(artifact);
+    if (!groups.has(key)) {
+      groups.set(key, { key, count: 0, nations: new Set() });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.nations.add(artifact.operator);
   }
 
-  // Populate stats
-  const statsContainer = document.getElementById('featurePanelStats');
-  statsContainer.innerHTML = '';
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
 
-  // Location (all features)
-  const locationItem = document.createElement('div');
-  locationItem.className = 'stat-item';
-  locationItem.innerHTML = `
-    <span class="stat-label">Location:</span>
-    <span class="stat-value">${feature.lat.toFixed(3)}° ${feature.lat >= 0 ? 'N' : 'S'}, ${Math.abs(feature.lon).toFixed(3)}° ${feature.lon >= 0 ? 'E' : 'W'}</span>
-  `;
-  statsContainer.appendChild(locationItem);
+function createOriginFilters() {
+  const list = document.getElementById('originFilterList');
+  const hidden = state.hiddenOrigins[state.filterGroupBy];
+  list.innerHTML = '';
 
-  if (type === 'resource') {
-    // Add resource-specific stats
-    if (feature.subtype) {
-      const subtypeItem = document.createElement('div');
-      subtypeItem.className = 'stat-item';
-      subtypeItem.innerHTML = `
-        <span class="stat-label">Subtype:</span>
-        <span class="stat-value">${feature.subtype}</span>
-      `;
-      statsContainer.appendChild(subtypeItem);
+  document.querySelectorAll('#filterGroupBy button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.group === state.filterGroupBy);
+  });
+
+  for (const group of getOriginGroups()) {
+    const row = document.createElement('div');
+    row.className = 'origin-filter';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !hidden.has(group.key);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        hidden.delete(group.key);
+      } else {
+        hidden.add(group.key);
+      }
+      updateArtifactVisibility();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${group.key} `));
+
+    // In agency mode, show the nation(s) behind each agency or company
+    if (state.filterGroupBy === 'agency' && !group.nations.has(group.key)) {
+      const nation = document.createElement('span');
+      nation.className = 'origin-nation';
+      nation.textContent = [...group.nations].join(', ');
+      label.appendChild(nation);
     }
 
-    const radiusItem = document.createElement('div');
-    radiusItem.className = 'stat-item';
-    radiusItem.innerHTML = `
-      <span class="stat-label">Radius:</span>
-      <span class="stat-value">~${feature.radius} km</span>
-    `;
-    statsContainer.appendChild(radiusItem);
+    const count = document.createElement('span');
+    count.className = 'origin-count';
+    count.textContent = group.count;
+
+    const only = document.createElement('button');
+    only.className = 'origin-only';
+    only.textContent = 'only';
+    only.title = `Show only ${group.key}`;
+    only.addEventListener('click', () => {
+      for (const other of getOriginGroups()) {
+        hidden.add(other.key);
+      }
+      hidden.delete(group.key);
+      createOriginFilters();
+      updateArtifactVisibility();
+    });
 
-    const concentrationItem = document.createElement('div');
-    concentrationItem.className = 'stat-item';
-    concentrationItem.innerHTML = `
-      <span class="stat-label">Concentration:</span>
-      <span class="stat-value">${(feature.concentration * 100).toFixed(0)}%</span>
-    `;
-    statsContainer.appendChild(concentrationItem);
-  } else if (type === 'crater' || type === 'mare') {
-    // Add size for craters and maria
-    const sizeItem = document.createElement('div');
-    sizeItem.className = 'stat-item';
-    sizeItem.innerHTML = `
-      <span class="stat-label">Diameter:</span>
-      <span class="stat-value">${feature.size} km</span>
-    `;
-    statsContainer.appendChild(sizeItem);
+    row.appendChild(label);
+    row.appendChild(count);
+    row.appendChild(only);
+    list.appendChild(row);
   }
+}
 
-  // Set description
-  const description = feature.description || 'No additional information available for this feature.';
-  document.getElementById('featurePanelDescription').textContent = description;
+// ============================================================
+// TIMELINE
+// ============================================================
+function createTimeline() {
+  const startInput = document.getElementById('timelineStart');
+  const endInput = document.getElementById('timelineEnd');
+  const histogram = document.getElementById('timelineHistogram');
+
+  for (const input of [startInput, endInput]) {
+    input.min = FIRST_YEAR;
+    input.max = LAST_YEAR;
+  }
+  startInput.value = state.timelineStart;
+  endInput.value = state.timelineEnd;
 
-  // Update learn more link
-  const learnMoreBtn = document.getElementById('featurePanelLearnMore');
-  if (feature.link) {
-    learnMoreBtn.href = feature.link;
-    learnMoreBtn.style.display = 'block';
-  } else {
-    learnMoreBtn.style.display = 'none';
+  // Arrivals per year, drawn as bars behind the range sliders
+  const perYear = new Map();
+  for (const artifact of ARTIFACTS) {
+    perYear.set(artifact.year, (perYear.get(artifact.year) || 0) + 1);
+  }
+  const maxPerYear = Math.max(...perYear.values());
+  histogram.innerHTML = '';
+  for (let year = FIRST_YEAR; year <= LAST_YEAR; year++) {
+    const bar = document.createElement('div');
+    bar.className = 'timeline-bar';
+    bar.dataset.year = year;
+    bar.style.height = `${((perYear.get(year) || 0) / maxPerYear) * 100}%`;
+    bar.title = `${year}: ${perYear.get(year) || 0} arrivals`;
+    histogram.appendChild(bar);
   }
 
-  // Show panel
-  panel.classList.remove('hidden');
+  updateTimelineUI();
+}
 
-  // Store current feature for button actions
-  panel.dataset.featureLat = feature.lat;
-  panel.dataset.featureLon = feature.lon;
+function updateTimelineUI() {
+  document.getElementById('timelineStart').value = state.timelineStart;
+  document.getElementById('timelineEnd').value = state.timelineEnd;
+  document.getElementById('timelineRange').textContent = `${state.timelineStart} – ${state.timelineEnd}`;
+  document.getElementById('timelinePlay').textContent = state.timelinePlaying ? '❚❚' : '▶';
+
+  document.querySelectorAll('.timeline-bar').forEach(bar => {
+    const year = parseInt(bar.dataset.year);
+    bar.classList.toggle('in-range', year >= state.timelineStart && year <= state.timelineEnd);
+    bar.classList.toggle('current', year === state.timelineEnd);
+  });
 }
 
-function closeFeaturePanel() {
-  document.getElementById('featurePanel').classList.add('hidden');
+function setTimelineRange(start, end) {
+  state.timelineStart = Math.max(FIRST_YEAR, Math.min(start, LAST_YEAR));
+  state.timelineEnd = Math.max(state.timelineStart, Math.min(end, LAST_YEAR));
+  updateTimelineUI();
+  updateArtifactVisibility();
 }
 
-// ============================================================
-// PANEL DRAG AND RESIZE
-// ============================================================
-function makePanelDraggable(panelId) {
-  const panel = document.getElementById(panelId);
-  const header = panel.querySelector('.panel-header');
-  let isDragging = false;
-  let currentX;
-  let currentY;
-  let initialX;
-  let initialY;
+function toggleTimelinePlayback() {
+  state.timelinePlaying = !state.timelinePlaying;
 
-  header.addEventListener('mousedown', (e) => {
-    // Don't drag if clicking on close button
-    if (e.target.closest('.panel-close-btn')) {
-      return;
+  if (state.timelinePlaying) {
+    // Restart from the beginning of the range when already at the end
+    if (state.timelineEnd >= LAST_YEAR) {
+      setTimelineRange(state.timelineStart, state.timelineStart);
+      pulseArrivals(state.timelineEnd);
     }
+    timelineLastStep = Date.now();
+  }
+  updateTimelineUI();
+}
 
-    isDragging = true;
-    initialX = e.clientX - panel.offsetLeft;
-    initialY = e.clientY - panel.offsetTop;
-
-    panel.style.transition = 'none';
-  });
+// Advance playback by one year per TIMELINE_YEAR_MS; called every frame
+function updateTimelinePlayback() {
+  if (!state.timelinePlaying) return;
 
-  document.addEventListener('mousemove', (e) => {
-    if (isDragging) {
-      e.preventDefault();
-      currentX = e.clientX - initialX;
-      currentY = e.clientY - initialY;
+  const now = Date.now();
+  if (now - timelineLastStep < TIMELINE_YEAR_MS) return;
+  timelineLastStep = now;
 
-      // Keep panel within viewport
-      const maxX = window.innerWidth - panel.offsetWidth;
-      const maxY = window.innerHeight - panel.offsetHeight;
+  setTimelineRange(state.timelineStart, state.timelineEnd + 1);
+  pulseArrivals(state.timelineEnd);
 
-      currentX = Math.max(0, Math.min(currentX, maxX));
-      currentY = Math.max(0, Math.min(currentY, maxY));
+  if (state.timelineEnd >= LAST_YEAR) {
+    state.timelinePlaying = false;
+    updateTimelineUI();
+  }
+}
 
-      panel.style.left = currentX + 'px';
-      panel.style.top = currentY + 'px';
-      panel.style.right = 'auto';
-      panel.style.bottom = 'auto';
+// Mark the visible artifacts that arrived in `year` so their markers pulse
+function pulseArrivals(year) {
+  const now = Date.now();
+  for (const entry of artifactMarkers) {
+    if (entry.data.year === year && entry.marker.visible) {
+      entry.pulseStart = now;
     }
-  });
+  }
+}
 
-  document.addEventListener('mouseup', () => {
-    if (isDragging) {
-      isDragging = false;
+function updateMarkerPulses() {
+  const now = Date.now();
+  for (const entry of artifactMarkers) {
+    if (!entry.pulseStart) continue;
+
+    const t = (now - entry.pulseStart) / PULSE_DURATION;
+    if (t >= 1) {
+      entry.marker.scale.setScalar(1);
+      entry.pulseStart = 0;
+    } else {
+      // Two decaying beats
+      entry.marker.scale.setScalar(1 + 1.5 * Math.abs(Math.sin(t * Math.PI * 2)) * (1 - t));
     }
-  });
+  }
 }
 
-function makePanelResizable(panelId) {
-  const panel = document.getElementById(panelId);
-  const resizeHandle = panel.querySelector('.resize-handle');
-  let isResizing = false;
-  let startX, startY, startWidth, startHeight;
-
-  resizeHandle.addEventListener('mousedown', (e) => {
-    isResizing = true;
-    startX = e.clientX;
-    startY = e.clientY;
-    startWidth = parseInt(getComputedStyle(panel).width, 10);
-    startHeight = parseInt(getComputedStyle(panel).height, 10);
+// ============================================================
+// SUN EPHEMERIS
+// ============================================================
+// Low-precision Sun and Moon positions (Meeus, Astronomical Algorithms,
+// ch. 25 and a truncated ch. 47) give the selenographic subsolar point
+// (ch. 53) to about 0.1°, which is plenty for lighting and day/night.
+const DEG = Math.PI / 180;
+const AU_KM = 149597870.7;
+const LUNAR_EQUATOR_INCLINATION = 1.54242;
+
+function julianDay(ms) {
+  return ms / 86400000 + 2440587.5;
+}
 
-    e.preventDefault();
-    e.stopPropagation();
-  });
+// Geocentric ecliptic longitude (deg) and distance (km) of the Sun
+function getSunEcliptic(T) {
+  const L0 = 280.46646 + 36000.76983 * T;
+  const M = (357.52911 + 35999.05029 * T) * DEG;
+  const C = (1.914602 - 0.004817 * T) * Math.sin(M) + (0.019993 - 0.000101 * T) * Math.sin(2 * M) +
+            0.000289 * Math.sin(3 * M);
+  const e = 0.016708634 - 0.000042037 * T;
+  const nu = M + C * DEG;
+  const distanceAu = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(nu));
+  const omega = (125.04 - 1934.136 * T) * DEG;
+  return { lon: L0 + C - 0.00569 - 0.00478 * Math.sin(omega), distanceKm: distanceAu * AU_KM };
+}
 
-  document.addEventListener('mousemove', (e) => {
-    if (isResizing) {
-      const width = startWidth + (e.clientX - startX);
-      const height = startHeight + (e.clientY - startY);
+// Geocentric ecliptic longitude/latitude (deg) and distance (km) of the Moon,
+// plus the arguments needed for selenographic coordinates
+function getMoonEcliptic(T) {
+  const Lp = 218.3164477 + 481267.88123421 * T;
+  const D = (297.8501921 + 445267.1114034 * T) * DEG;
+  const M = (357.5291092 + 35999.0502909 * T) * DEG;
+  const Mp = (134.9633964 + 477198.8675055 * T) * DEG;
+  const F = 93.2720950 + 483202.0175233 * T;
+  const f = F * DEG;
+  const E = 1 - 0.002516 * T;
+
+  const sumL = 6288774 * Math.sin(Mp) + 1274027 * Math.sin(2 * D - Mp) + 658314 * Math.sin(2 * D) +
+    213618 * Math.sin(2 * Mp) - 185116 * E * Math.sin(M) - 114332 * Math.sin(2 * f) +
+    58793 * Math.sin(2 * D - 2 * Mp) + 57066 * E * Math.sin(2 * D - M - Mp) + 53322 * Math.sin(2 * D + Mp) +
+    45758 * E * Math.sin(2 * D - M) - 40923 * E * Math.sin(M - Mp) - 34720 * Math.sin(D) -
+    30383 * E * Math.sin(M + Mp);
+  const sumR = -20905355 * Math.cos(Mp) - 3699111 * Math.cos(2 * D - Mp) - 2955968 * Math.cos(2 * D) -
+    569925 * Math.cos(2 * Mp) + 48888 * E * Math.cos(M) - 3149 * Math.cos(2 * f) +
+    246158 * Math.cos(2 * D - 2 * Mp) - 152138 * E * Math.cos(2 * D - M - Mp) - 170733 * Math.cos(2 * D + Mp) -
+    204586 * E * Math.cos(2 * D - M) - 129620 * E * Math.cos(M - Mp) + 108743 * Math.cos(D) +
+    104755 * E * Math.cos(M + Mp);
+  const sumB = 5128122 * Math.sin(f) + 280602 * Math.sin(Mp + f) + 277693 * Math.sin(Mp - f) +
+    173237 * Math.sin(2 * D - f) + 55413 * Math.sin(2 * D - Mp + f) + 46271 * Math.sin(2 * D - Mp - f) +
+    32573 * Math.sin(2 * D + f) + 17198 * Math.sin(2 * Mp + f);
+
+  return {
+    lon: Lp + sumL / 1e6,
+    lat: sumB / 1e6,
+    distanceKm: 385000.56 + sumR / 1000,
+    node: 125.0445479 - 1934.1362891 * T,
+    argumentOfLatitude: F
+  };
+}
 
-      // Apply min/max constraints
-      const minWidth = 300;
-      const maxWidth = window.innerWidth * 0.9;
-      const minHeight = 200;
-      const maxHeight = window.innerHeight * 0.9;
+// Selenographic point with the Sun at the zenith (optical libration only)
+function getSubsolarPoint(ms) {
+  const T = (julianDay(ms) - 2451545.0) / 36525;
+  const sun = getSunEcliptic(T);
+  const moon = getMoonEcliptic(T);
 
-      panel.style.width = Math.max(minWidth, Math.min(width, maxWidth)) + 'px';
-      panel.style.height = Math.max(minHeight, Math.min(height, maxHeight)) + 'px';
-      panel.style.maxWidth = 'none';
-      panel.style.maxHeight = 'none';
-    }
-  });
+  // Heliocentric direction of the Moon
+  const ratio = moon.distanceKm / sun.distanceKm;
+  const lonH = sun.lon + 180 + ratio * Math.cos(moon.lat * DEG) * Math.sin((sun.lon - moon.lon) * DEG) / DEG;
+  const latH = ratio * moon.lat;
 
-  document.addEventListener('mouseup', () => {
-    if (isResizing) {
-      isResizing = false;
-    }
-  });
+  return getSelenographicPoint(lonH, latH, moon);
 }
 
-// ============================================================
-// TRAJECTORY VISUALIZATION
-// ============================================================
-function showTrajectory(artifact) {
-  // Clear any existing trajectory
-  clearTrajectory();
-
-  // Create trajectory group
-  trajectoryGroup = new THREE.Group();
-  scene.add(trajectoryGroup);
+// Selenographic point with the Earth at the zenith, plus the Earth-Moon distance
+function getSubEarthPoint(ms) {
+  const T = (julianDay(ms) - 2451545.0) / 36525;
+  const moon = getMoonEcliptic(T);
+  const point = getSelenographicPoint(moon.lon, moon.lat, moon);
+  point.distanceKm = moon.distanceKm;
+  return point;
+}
 
-  // Earth reference point (positioned far from moon to show origin)
-  const earthDistance = MOON_RADIUS * 3;
-  const earthPosition = new THREE.Vector3(earthDistance, 0, 0);
+// Selenographic point facing a body, given the Moon's ecliptic direction as
+// seen from that body (heliocentric for the Sun, geocentric for the Earth)
+function getSelenographicPoint(eclipticLon, eclipticLat, moon) {
+  const W = (eclipticLon - moon.node) * DEG;
+  const b = eclipticLat * DEG;
+  const I = LUNAR_EQUATOR_INCLINATION * DEG;
+  const A = Math.atan2(Math.sin(W) * Math.cos(b) * Math.cos(I) - Math.sin(b) * Math.sin(I), Math.cos(W) * Math.cos(b));
+  const lat = Math.asin(-Math.sin(W) * Math.cos(b) * Math.sin(I) - Math.sin(b) * Math.cos(I)) / DEG;
+  let lon = A / DEG - moon.argumentOfLatitude;
+  lon = ((lon % 360) + 540) % 360 - 180;
+
+  return { lat, lon };
+}
 
-  // Create Earth marker (small blue sphere)
-  const earthGeometry = new THREE.SphereGeometry(15, 16, 16);
-  const earthMaterial = new THREE.MeshStandardMaterial({
-    color: 0x4488ff,
-    emissive: 0x2266ff,
-    emissiveIntensity: 0.5,
-    roughness: 0.7,
-    metalness: 0.2
-  });
-  earthMarker = new THREE.Mesh(earthGeometry, earthMaterial);
-  earthMarker.position.copy(earthPosition);
-  trajectoryGroup.add(earthMarker);
+// Sun elevation above the ideal horizon and local solar time (24 lunar
+// "hours" per synodic day, noon when the Sun crosses the meridian)
+function getSunAtSite(lat, lon, subsolar = getSubsolarPoint(state.simTime)) {
+  const cosZenith = Math.sin(lat * DEG) * Math.sin(subsolar.lat * DEG) +
+    Math.cos(lat * DEG) * Math.cos(subsolar.lat * DEG) * Math.cos((lon - subsolar.lon) * DEG);
+  const hours = (((12 + (lon - subsolar.lon) / 15) % 24) + 24) % 24;
+  return { elevation: Math.asin(Math.max(-1, Math.min(1, cosZenith))) / DEG, localSolarHours: hours };
+}
 
-  // Add Earth label
-  const earthLabel = createTextSprite('EARTH');
-  earthLabel.position.set(earthPosition.x, earthPosition.y + 25, earthPosition.z);
-  trajectoryGroup.add(earthLabel);
+function formatSolarTime(hours) {
+  const h = Math.floor(hours);
+  const m = Math.floor((hours - h) * 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
 
-  // Calculate landing position
-  const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
-  const landingPos = latLonToVector3(artifact.lat, artifact.lon, MOON_RADIUS + elev * 2);
+// Point the light rig at the Sun (or restore the default rig) and redraw the terminator
+function updateSunLighting() {
+  const subsolar = getSubsolarPoint(state.simTime);
+  const rotation = new THREE.Quaternion();
+  if (state.ephemerisSun) {
+    const defaultDirection = sunLight.userData.defaultPosition.clone().normalize();
+    rotation.setFromUnitVectors(defaultDirection, latLonToVector3(subsolar.lat, subsolar.lon, 1));
+  }
+  for (const light of [sunLight, fillLight, pointLight]) {
+    light.position.copy(light.userData.defaultPosition).applyQuaternion(rotation);
+  }
 
-  // Determine trajectory style based on mission type and status
-  const status = artifact.status.toLowerCase();
-  const type = artifact.type.toLowerCase();
-  const isOrbiter = type.includes('orbit');
-  const isCurrentlyOrbiting = status === 'orbiting';
+  updateTerminator(subsolar);
+  document.getElementById('subsolarPoint').textContent =
+    `Subsolar ${Math.abs(subsolar.lat).toFixed(2)}°${subsolar.lat >= 0 ? 'N' : 'S'} ` +
+    `${Math.abs(subsolar.lon).toFixed(2)}°${subsolar.lon >= 0 ? 'E' : 'W'}`;
 
-  // Arc color based on mission status
-  let arcColor;
-  if (status === 'landed') {
-    arcColor = 0x66ff66;
-  } else if (status === 'crashed') {
-    arcColor = 0xffee55;
-  } else if (status === 'impactor') {
-    arcColor = 0xff3366;
-  } else if (status === 'orbiting') {
-    arcColor = 0x00ffff;
-  } else {
-    arcColor = 0xffffff;
+  const missionPanel = document.getElementById('missionPanel');
+  const artifact = ARTIFACTS.find(a => a.name === missionPanel.dataset.artifactName);
+  if (artifact && !missionPanel.classList.contains('hidden')) {
+    updateMissionSunInfo(artifact, subsolar);
   }
+}
 
-  // Create curved trajectory path
-  const curvePoints = [];
-  const segments = 100;
-
-  if (isCurrentlyOrbiting) {
-    // For currently orbiting missions, show elliptical orbit only
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      const orbitRadius = MOON_RADIUS + 100; // Increased from 80 to ensure clearance above surface
-      const x = Math.cos(angle) * orbitRadius;
-      const y = Math.sin(angle) * orbitRadius * 0.7; // Slight ellipse
-      const z = Math.sin(angle * 2) * 20; // Add some 3D variation
-      curvePoints.push(new THREE.Vector3(x, y, z));
-    }
-  } else if (isOrbiter) {
-    // For orbiters that landed/crashed: show arrival from Earth, orbit, then descent
-    const orbitSegments = 35;
-    const approachSegments = 25;
-    const descentSegments = 40;
+// Great circle 90° from the subsolar point, draped over the terrain
+function updateTerminator(subsolar = getSubsolarPoint(state.simTime)) {
+  if (terminatorLine) {
+    moonGroup.remove(terminatorLine);
+    terminatorLine.geometry.dispose();
+    terminatorLine.material.dispose();
+    terminatorLine = null;
+  }
+  if (!state.showTerminator) return;
+
+  const sunDir = latLonToVector3(subsolar.lat, subsolar.lon, 1);
+  const u = new THREE.Vector3(0, 1, 0).cross(sunDir);
+  if (u.lengthSq() < 1e-6) u.set(1, 0, 0);
+  u.normalize();
+  const v = sunDir.clone().cross(u);
+
+  const points = [];
+  for (let i = 0; i <= 360; i++) {
+    const t = i * DEG;
+    const p = u.clone().multiplyScalar(Math.cos(t)).add(v.clone().multiplyScalar(Math.sin(t)));
+    const { lat, lon } = vector3ToLatLon(p);
+    points.push(surfacePosition(lat, lon, 1.5));
+  }
 
-    // Calculate the landing site's angular position
-    const landingPhi = (90 - artifact.lat) * (Math.PI / 180);
-    const landingTheta = (artifact.lon + 180) * (Math.PI / 180);
+  terminatorLine = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.9 })
+  );
+  moonGroup.add(terminatorLine);
+}
 
-    // Part 1: Approach from Earth to orbit insertion point (opposite side of landing)
-    // Insert into orbit on the opposite side of the Moon from landing site
-    const insertionAngle = landingTheta + Math.PI; // Opposite side
-    const orbitRadius = MOON_RADIUS + 100; // Increased from 80 to ensure clearance above surface
-    const orbitInsertionPoint = new THREE.Vector3(
-      -Math.sin(landingPhi) * Math.cos(insertionAngle) * orbitRadius,
-      Math.cos(landingPhi) * orbitRadius,
-      Math.sin(landingPhi) * Math.sin(insertionAngle) * orbitRadius
-    );
+function updateMissionSunInfo(artifact, subsolar = getSubsolarPoint(state.simTime)) {
+  const sun = getSunAtSite(artifact.lat, artifact.lon, subsolar);
+  document.getElementById('panelSolarTime').textContent = formatSolarTime(sun.localSolarHours);
+  const sunlight = document.getElementById('panelSunlight');
+  sunlight.textContent = sun.elevation > 0
+    ? `Day • Sun ${sun.elevation.toFixed(1)}° up`
+    : `Night • Sun ${(-sun.elevation).toFixed(1)}° down`;
+  sunlight.classList.toggle('warning', sun.elevation <= 0);
+}
 
-    const approachControlHeight = MOON_RADIUS * 2;
-    const approachControl = new THREE.Vector3(
-      (earthPosition.x + orbitInsertionPoint.x) / 2,
-      approachControlHeight,
-      (earthPosition.z + orbitInsertionPoint.z) / 2
-    );
+// datetime-local values are read and written as UTC
+function setSimTime(ms) {
+  state.simTime = ms;
+  lastOrbiterPanelUpdate = 0; // show the jump on the next frame
+  document.getElementById('simTime').value = new Date(ms).toISOString().slice(0, 16);
+  updateSunLighting();
+}
 
-    for (let i = 0; i <= approachSegments; i++) {
-      const t = i / approachSegments;
-      const x = Math.pow(1 - t, 2) * earthPosition.x +
-                2 * (1 - t) * t * approachControl.x +
-                Math.pow(t, 2) * orbitInsertionPoint.x;
-      const y = Math.pow(1 - t, 2) * earthPosition.y +
-                2 * (1 - t) * t * approachControl.y +
-                Math.pow(t, 2) * orbitInsertionPoint.y;
-      const z = Math.pow(1 - t, 2) * earthPosition.z +
-                2 * (1 - t) * t * approachControl.z +
-                Math.pow(t, 2) * orbitInsertionPoint.z;
-      curvePoints.push(new THREE.Vector3(x, y, z));
+// ============================================================
+// POLAR ILLUMINATION
+// ============================================================
+// Each point gets a terrain horizon (highest elevation angle per azimuth,
+// ray-marched over the elevation grid with the Moon's curvature), which is
+// then tested against a year of Sun positions. Results are cached per
+// elevation grid and only computed when the overlay or a panel asks for them.
+const POLAR_CAP_DEG = 15;             // overlay covers |lat| >= 75°
+const POLAR_RING_STEP_DEG = 0.5;
+const POLAR_CAP_SEGMENTS = 120;
+const HORIZON_AZIMUTHS = 24;
+const HORIZON_MAX_KM = 200;
+const HORIZON_MIN_STEP_KM = 2;
+const ILLUMINATION_EPOCH = Date.UTC(2024, 0, 1);
+const ILLUMINATION_STEP_HOURS = 12;
+const ILLUMINATION_SAMPLES = 730;     // one year
+const PEAK_LIGHT_FRACTION = 0.8;      // "peaks of near-eternal light"
+
+function getIlluminationCache() {
+  if (!illuminationCache || illuminationCache.data !== window.elevationData) {
+    const sunSamples = [];
+    for (let i = 0; i < ILLUMINATION_SAMPLES; i++) {
+      const subsolar = getSubsolarPoint(ILLUMINATION_EPOCH + i * ILLUMINATION_STEP_HOURS * 3600000);
+      sunSamples.push(latLonToVector3(subsolar.lat, subsolar.lon, 1));
     }
+    illuminationCache = { data: window.elevationData, sunSamples, caps: {}, sites: new Map() };
+  }
+  return illuminationCache;
+}
 
-    // Part 2: Orbital phase - orbit from insertion point towards landing site
-    // Calculate starting angle and ending angle
-    const startAngle = Math.atan2(orbitInsertionPoint.z, orbitInsertionPoint.x);
-    const endAngle = landingTheta - Math.PI / 2; // End 90 degrees before landing site for descent
-    let angleSpan = endAngle - startAngle;
+// Horizon elevation angle (deg) for evenly spaced bearings around a point
+function computeHorizon(lat, lon, data, azimuths = HORIZON_AZIMUTHS) {
+  const kmPerDeg = MOON_RADIUS_KM * Math.PI / 180;
+  const baseStep = Math.max(getGridStepDeg(data) * kmPerDeg / 2, HORIZON_MIN_STEP_KM);
+  const h0 = getElevationAt(lat, lon, data) / KM_TO_SCENE;
+  const horizon = new Float32Array(azimuths);
+
+  for (let k = 0; k < azimuths; k++) {
+    const bearing = k * 360 / azimuths;
+    let maxAngle = -90;
+    // Steps grow with distance; far terrain only matters if it is much higher
+    for (let d = baseStep; d <= HORIZON_MAX_KM; d += Math.max(baseStep, d * 0.08)) {
+      const p = destinationPoint(lat, lon, bearing, d);
+      const rise = getElevationAt(p.lat, p.lon, data) / KM_TO_SCENE - h0;
+      const angle = Math.atan(rise / d - d / (2 * MOON_RADIUS_KM)) * 180 / Math.PI;
+      if (angle > maxAngle) maxAngle = angle;
+    }
+    horizon[k] = maxAngle;
+  }
+  return horizon;
+}
 
-    // Normalize angle span to be positive and less than 2π
-    while (angleSpan < 0) angleSpan += Math.PI * 2;
-    while (angleSpan > Math.PI * 2) angleSpan -= Math.PI * 2;
+// Unit up/north/east vectors at a surface point, in Moon-fixed coordinates
+function getLocalFrame(lat, lon) {
+  const phi = lat * Math.PI / 180;
+  const lambda = lon * Math.PI / 180;
+  return {
+    up: new THREE.Vector3(Math.cos(phi) * Math.cos(lambda), Math.sin(phi), -Math.cos(phi) * Math.sin(lambda)),
+    north: new THREE.Vector3(-Math.sin(phi) * Math.cos(lambda), Math.cos(phi), Math.sin(phi) * Math.sin(lambda)),
+    east: new THREE.Vector3(-Math.sin(lambda), 0, -Math.cos(lambda))
+  };
+}
 
-    // Use the shorter arc if it's more than π
-    if (angleSpan > Math.PI) {
-      angleSpan = angleSpan - Math.PI * 2;
+// Fraction of sun samples above the local horizon, plus the longest dark spell
+function computeIllumination(lat, lon) {
+  const cache = getIlluminationCache();
+  // The horizon is undefined exactly at the pole
+  lat = Math.max(-89.99, Math.min(89.99, lat));
+  const horizon = computeHorizon(lat, lon, cache.data);
+  const { up, north, east } = getLocalFrame(lat, lon);
+
+  let lit = 0, darkRun = 0, longestDark = 0;
+  for (const sun of cache.sunSamples) {
+    const elevation = Math.asin(sun.dot(up)) * 180 / Math.PI;
+    let azimuth = Math.atan2(sun.dot(east), sun.dot(north)) * 180 / Math.PI;
+    if (azimuth < 0) azimuth += 360;
+
+    // Interpolate the horizon between the two nearest azimuths
+    const f = azimuth / (360 / HORIZON_AZIMUTHS);
+    const k0 = Math.floor(f) % HORIZON_AZIMUTHS;
+    const k1 = (k0 + 1) % HORIZON_AZIMUTHS;
+    const horizonAngle = horizon[k0] + (horizon[k1] - horizon[k0]) * (f - Math.floor(f));
+
+    if (elevation > horizonAngle) {
+      lit++;
+      darkRun = 0;
+    } else {
+      darkRun++;
+      longestDark = Math.max(longestDark, darkRun);
     }
+  }
 
-    for (let i = 0; i <= orbitSegments; i++) {
-      const t = i / orbitSegments;
+  return {
+    fraction: lit / cache.sunSamples.length,
+    longestDarkDays: longestDark * ILLUMINATION_STEP_HOURS / 24
+  };
+}
+
+function getSiteIllumination(artifact) {
+  const cache = getIlluminationCache();
+  if (!cache.sites.has(artifact.name)) {
+    cache.sites.set(artifact.name, computeIllumination(artifact.lat, artifact.lon));
+  }
+  return cache.sites.get(artifact.name);
+}
+
+function describeIllumination(illumination) {
+  if (illumination.fraction === 0) return 'Permanently shadowed';
+  const percent = `Lit ${(illumination.fraction * 100).toFixed(0)}% of the year`;
+  const dark = illumination.longestDarkDays > 0 ? ` • longest dark ${illumination.longestDarkDays.toFixed(1)} d` : '';
+  const peak = illumination.fraction >= PEAK_LIGHT_FRACTION ? ' • near-eternal light' : '';
+  return percent + dark + peak;
+}
+
+// Illuminated fraction on a lat/lon grid over one polar cap ([ring][segment])
+function computePolarCap(hemisphere) {
+  const cache = getIlluminationCache();
+  if (!cache.caps[hemisphere]) {
+    const sign = hemisphere === 'north' ? 1 : -1;
+    const rings = Math.round(POLAR_CAP_DEG / POLAR_RING_STEP_DEG);
+    const values = [];
+    for (let r = 0; r <= rings; r++) {
+      const lat = sign * (90 - POLAR_CAP_DEG + r * POLAR_RING_STEP_DEG);
+      const ring = new Float32Array(POLAR_CAP_SEGMENTS);
+      for (let j = 0; j < POLAR_CAP_SEGMENTS; j++) {
+        ring[j] = computeIllumination(lat, -180 + j * 360 / POLAR_CAP_SEGMENTS).fraction;
+      }
+      values.push(ring);
+    }
+    cache.caps[hemisphere] = values;
+  }
+  return cache.caps[hemisphere];
+}
+
+function getIlluminationColor(fraction) {
+  if (fraction === 0) return new THREE.Color(0x5522cc);                 // permanently shadowed
+  if (fraction >= PEAK_LIGHT_FRACTION) return new THREE.Color(0xffff99); // near-eternal light
+  return new THREE.Color(0x222222).lerp(new THREE.Color(0xffaa00), fraction / PEAK_LIGHT_FRACTION);
+}
+
+function buildPolarCapMesh(hemisphere, values) {
+  const sign = hemisphere === 'north' ? 1 : -1;
+  const positions = [];
+  const colors = [];
+  const indices = [];
+
+  values.forEach((ring, r) => {
+    const lat = sign * (90 - POLAR_CAP_DEG + r * POLAR_RING_STEP_DEG);
+    for (let j = 0; j <= POLAR_CAP_SEGMENTS; j++) {
+      const lon = -180 + j * 360 / POLAR_CAP_SEGMENTS;
+      const pos = surfacePosition(lat, lon, 0.6);
+      const color = getIlluminationColor(ring[j % POLAR_CAP_SEGMENTS]);
+      positions.push(pos.x, pos.y, pos.z);
+      colors.push(color.r, color.g, color.b);
+    }
+  });
+
+  const stride = POLAR_CAP_SEGMENTS + 1;
+  for (let r = 0; r < values.length - 1; r++) {
+    for (let j = 0; j < POLAR_CAP_SEGMENTS; j++) {
+      const a = r * stride + j;
+      const b = a + stride;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.8,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  }));
+  mesh.name = `polarIllumination-${hemisphere}`;
+  return mesh;
+}
+
+function removePolarIlluminationOverlay() {
+  for (const name of ['polarIllumination-north', 'polarIllumination-south']) {
+    const mesh = moonGroup.getObjectByName(name);
+    if (mesh) {
+      moonGroup.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+  }
+}
+
+// Build (computing on first use) or remove the polar overlay
+function updatePolarIlluminationOverlay() {
+  removePolarIlluminationOverlay();
+  const status = document.getElementById('illuminationStatus');
+  if (!state.showPolarIllumination) {
+    status.textContent = '';
+    return;
+  }
+
+  const cache = getIlluminationCache();
+  const pending = !cache.caps.north || !cache.caps.south;
+  status.textContent = pending ? 'Computing horizons…' : '';
+
+  // Let the status paint before the (blocking) computation
+  setTimeout(() => {
+    if (!state.showPolarIllumination) return;
+    const started = Date.now();
+    for (const hemisphere of ['north', 'south']) {
+      moonGroup.add(buildPolarCapMesh(hemisphere, computePolarCap(hemisphere)));
+    }
+    if (pending) {
+      status.textContent = `Computed in ${((Date.now() - started) / 1000).toFixed(1)} s`;
+    }
+  }, 0);
+}
+
+// ============================================================
+// UPDATE FUNCTIONS
+// ============================================================
+function updateVisibility() {
+  // Grid
+  if (gridMesh) gridMesh.visible = state.showGrid;
+  
+  // Terrain
+  if (terrainMesh) {
+    terrainMesh.visible = state.showTerrain && (state.terrainMode === 1 || state.terrainMode === 2);
+  }
+  if (wireframeMesh) {
+    wireframeMesh.visible = state.showTerrain && (state.terrainMode === 0 || state.terrainMode === 2);
+  }
+  
+  // Poles
+  if (northPole) northPole.visible = state.showPoles;
+  if (southPole) southPole.visible = state.showPoles;
+  
+  // Artifacts (their labels follow in the next layout pass)
+  updateArtifactVisibility();
+  
+  // Resources
+  updateResourceVisibility();
+  
+  // Terrain mode text
+  const modeText = ['Wireframe', 'Solid', 'Hybrid'][state.terrainMode];
+  document.getElementById('terrainMode').textContent = modeText;
+}
+
+function updateArtifactVisibility() {
+  let visibleCount = 0;
+  let arrivalsThisYear = 0;
+
+  for (let i = 0; i < artifactMarkers.length; i++) {
+    const { marker, line, data } = artifactMarkers[i];
+
+    // Check if artifacts are globally enabled
+    if (!state.showArtifacts) {
+      marker.visible = false;
+      line.visible = false;
+      continue;
+    }
+
+    // Check origin filters
+    const showByOrigin = !state.hiddenOrigins[state.filterGroupBy].has(getOriginKey(data));
+
+    // Check search
+    const matchesSearch = matchesSearchFilter(data);
+
+    // Check timeline range
+    const inTimeRange = data.year >= state.timelineStart && data.year <= state.timelineEnd;
+
+    const visible = showByOrigin && matchesSearch && inTimeRange;
+    marker.visible = visible;
+    line.visible = visible;
+
+    if (visible) visibleCount++;
+    if (visible && data.year === state.timelineEnd) arrivalsThisYear++;
+  }
+
+  requestLabelLayout();
+  document.getElementById('artifactCount').textContent = `Showing ${visibleCount} of ${ARTIFACTS.length} artifacts`;
+  document.getElementById('timelineCounter').textContent =
+    `${state.timelineEnd}: ${arrivalsThisYear} arrival${arrivalsThisYear === 1 ? '' : 's'} • ${visibleCount} shown`;
+}
+
+function updateResourceVisibility() {
+  for (const resourceGroup of resourceMeshes) {
+    const featureType = resourceGroup.featureType;
+    let visible = false;
+
+    if (featureType === 'crater') {
+      visible = state.showCraters;
+      resourceGroup.marker.visible = visible;
+      if (resourceGroup.glow) resourceGroup.glow.visible = visible;
+    } else if (featureType === 'mare') {
+      visible = state.showMaria;
+      resourceGroup.marker.visible = visible;
+      if (resourceGroup.glow) resourceGroup.glow.visible = visible;
+    } else {
+      // Resource deposits
+      const type = resourceGroup.data.type;
+      if (type === 'water' && state.showWater) visible = true;
+      if (type === 'helium' && state.showHelium) visible = true;
+      if (type === 'titanium' && state.showTitanium) visible = true;
+      if (type === 'kreep' && state.showKreep) visible = true;
+      if (type === 'minerals' && state.showMinerals) visible = true;
+
+      // Update visibility for all parts (the heatmap replaces the footprints)
+      if (resourceGroup.fill) resourceGroup.fill.visible = visible && !state.resourceHeatmap;
+      if (resourceGroup.outline) resourceGroup.outline.visible = visible && !state.resourceHeatmap;
+      resourceGroup.marker.visible = visible;
+      if (resourceGroup.label) resourceGroup.label.visible = visible;
+
+      // Update opacity based on concentration and global resource opacity
+      if (visible && resourceGroup.data.concentration) {
+        const opacity = resourceGroup.data.concentration * state.resourceOpacity;
+        if (resourceGroup.fill) resourceGroup.fill.material.opacity = opacity * RESOURCE_FILL_OPACITY;
+        if (resourceGroup.outline) resourceGroup.outline.material.opacity = opacity * 0.9;
+        resourceGroup.marker.material.opacity = opacity * 0.9;
+      }
+    }
+  }
+  updateResourceHeatmap();
+}
+
+function updateArtifactCount() {
+  updateArtifactVisibility();
+}
+
+// ============================================================
+// EVENT HANDLERS
+// ============================================================
+function onWindowResize() {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+function onMouseMove(event) {
+  if (groundView || isMapView()) return;
+  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+  // Raycast for hover
+  raycaster.setFromCamera(mouse, camera);
+
+  const markers = artifactMarkers.filter(m => m.marker.visible).map(m => m.marker);
+  const intersects = raycaster.intersectObjects(markers);
+
+  const badgeHits = intersects.length > 0 ? [] : raycaster.intersectObjects(clusters.map(c => c.badge));
+
+  if (state.resourceHeatmap) {
+    const artifact = intersects.length > 0 ? intersects[0].object.userData : null;
+    if (artifact && !getOrbiter(artifact)) {
+      updateHeatmapReadout(artifact, artifact.name);
+    } else {
+      const hit = raycaster.ray.intersectSphere(new THREE.Sphere(new THREE.Vector3(0, 0, 0), MOON_RADIUS), new THREE.Vector3());
+      updateHeatmapReadout(hit && vector3ToLatLon(moonGroup.worldToLocal(hit)));
+    }
+  }
+
+  if (intersects.length > 0) {
+    showArtifactTooltip(intersects[0].object.userData, event);
+  } else if (badgeHits.length > 0) {
+    showClusterTooltip(badgeHits[0].object.userData.cluster, event);
+  } else {
+    // Check for resource hover
+    // A deposit is hovered anywhere over its fill, not just its centre marker
+    const resourceMarkers = resourceMeshes
+      .filter(r => r.marker.visible)
+      .flatMap(r => r.fill && r.fill.visible ? [r.marker, r.fill] : [r.marker]);
+    // Fills are double-sided, so drop hits on the far hemisphere seen through the Moon
+    const cameraLocal = moonGroup.worldToLocal(camera.position.clone());
+    const resourceIntersects = raycaster.intersectObjects(resourceMarkers).filter(hit => {
+      const point = moonGroup.worldToLocal(hit.point.clone());
+      return point.dot(cameraLocal.clone().sub(point)) > 0;
+    });
+
+    if (resourceIntersects.length > 0) {
+      showResourceTooltip(resourceIntersects[0].object.userData, event);
+    } else {
+      hideTooltip();
+    }
+  }
+}
+
+function showArtifactTooltip(artifact, event) {
+  const tooltip = document.getElementById('tooltip');
+  hoveredArtifact = artifact;
+
+  // Update tooltip
+  const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
+  const elevKm = (elev / KM_TO_SCENE).toFixed(1);
+  const orbiter = getOrbiter(artifact);
+  const orbiterState = orbiter && orbiter.state;
+
+  tooltip.innerHTML = `
+    <div class="name">${artifact.name}</div>
+    <div class="detail">Year: ${artifact.year}</div>
+    <div class="detail">Operator: ${artifact.operator}${artifact.agency && artifact.agency !== artifact.operator ? ` (${artifact.agency})` : ''}</div>
+    <div class="detail">Type: ${artifact.type} | Status: ${artifact.status}</div>
+    ${artifact.mass ? `<div class="detail">Mass: ${artifact.mass}</div>` : ''}
+    ${orbiterState ? `
+    <div class="coords">Sub-satellite: ${orbiterState.lat.toFixed(2)}° lat, ${orbiterState.lon.toFixed(2)}° lon</div>
+    <div class="detail">Altitude: ${orbiterState.altitudeKm.toFixed(1)} km</div>` : `
+    <div class="coords">${artifact.lat.toFixed(2)}° lat, ${artifact.lon.toFixed(2)}° lon</div>
+    <div class="detail">Elevation: ${elevKm > 0 ? '+' : ''}${elevKm} km</div>`}
+    ${artifact.description ? `<div class="description">${artifact.description}</div>` : ''}
+    ${artifact.link ? `<div class="detail" style="margin-top: 6px;"><a href="${artifact.link}" target="_blank" style="color: #00ff99; text-decoration: underline;">Learn more →</a></div>` : ''}
+  `;
+  positionTooltip(tooltip, event);
+}
+
+function showResourceTooltip(resource, event) {
+  const tooltip = document.getElementById('tooltip');
+  tooltip.innerHTML = `
+    <div class="name">${resource.name}</div>
+    <div class="detail">Type: ${resource.type.toUpperCase()}</div>
+    ${resource.subtype ? `<div class="detail">Subtype: ${resource.subtype}</div>` : ''}
+    <div class="coords">${resource.lat.toFixed(2)}° lat, ${resource.lon.toFixed(2)}° lon</div>
+    <div class="detail">Radius: ~${resource.radius} km</div>
+    <div class="detail">Concentration: ${(resource.concentration * 100).toFixed(0)}%</div>
+    ${resource.description ? `<div class="description">${resource.description}</div>` : ''}
+    ${resource.link ? `<div class="detail" style="margin-top: 6px;"><a href="${resource.link}" target="_blank" style="color: #00ff99; text-decoration: underline;">Learn more →</a></div>` : ''}
+  `;
+  positionTooltip(tooltip, event);
+}
+
+function positionTooltip(tooltip, event) {
+  tooltip.style.display = 'block';
+  tooltip.style.left = event.clientX + 15 + 'px';
+  tooltip.style.top = event.clientY + 15 + 'px';
+
+  // Keep tooltip on screen
+  const rect = tooltip.getBoundingClientRect();
+  if (rect.right > window.innerWidth) {
+    tooltip.style.left = event.clientX - rect.width - 15 + 'px';
+  }
+  if (rect.bottom > window.innerHeight) {
+    tooltip.style.top = event.clientY - rect.height - 15 + 'px';
+  }
+
+  document.body.style.cursor = 'pointer';
+}
+
+function hideTooltip() {
+  hoveredArtifact = null;
+  document.getElementById('tooltip').style.display = 'none';
+  document.body.style.cursor = state.measureMode ? 'crosshair' : 'default';
+}
+
+function onMouseDown(event) {
+  pointerDownPos = { x: event.clientX, y: event.clientY };
+}
+
+function onMouseClick(event) {
+  if (groundView || isMapView()) return;
+  // Skip if clicking on UI elements
+  if (event.target.closest('#hud') || event.target.closest('.details-panel')) {
+    return;
+  }
+
+  // A click at the end of an orbit drag is not a pick
+  const dragged = pointerDownPos &&
+    Math.hypot(event.clientX - pointerDownPos.x, event.clientY - pointerDownPos.y) > 4;
+
+  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(mouse, camera);
+
+  // In measurement mode every click on the Moon adds a vertex
+  if (state.measureMode) {
+    if (!dragged) {
+      const point = pickSurfacePoint();
+      if (point) addMeasurementPoint(point);
+    }
+    return;
+  }
+
+  // Check for artifact clicks
+  const markers = artifactMarkers.filter(m => m.marker.visible).map(m => m.marker);
+  const intersects = raycaster.intersectObjects(markers);
+
+  if (intersects.length > 0) {
+    const artifact = intersects[0].object.userData;
+    openMissionPanel(artifact);
+    return;
+  }
+
+  // A cluster badge fans out; any other click folds an open fan back
+  const badgeHits = raycaster.intersectObjects(clusters.map(c => c.badge));
+  if (badgeHits.length > 0) {
+    spiderfy(badgeHits[0].object.userData.cluster);
+    return;
+  }
+  collapseSpider();
+
+  // Check for resource/crater/mare clicks
+  const featureMarkers = resourceMeshes
+    .filter(r => r.marker.visible)
+    .map(r => r.marker);
+  const featureIntersects = raycaster.intersectObjects(featureMarkers);
+
+  if (featureIntersects.length > 0) {
+    const feature = featureIntersects[0].object.userData;
+    const featureType = feature.featureType || 'resource';
+    openFeaturePanel(feature, featureType);
+    return;
+  }
+
+  // Otherwise pick the bare lunar surface
+  if (!dragged) {
+    const point = pickSurfacePoint();
+    if (point) {
+      openSurfacePanel(point.lat, point.lon);
+    }
+  }
+}
+
+// Selenographic lat/lon under the current raycaster ray, or null
+function pickSurfacePoint() {
+  let hitPoint = null;
+
+  if (terrainMesh && terrainMesh.visible) {
+    const hits = raycaster.intersectObject(terrainMesh);
+    if (hits.length > 0) hitPoint = hits[0].point;
+  }
+
+  // Fall back to the reference sphere when the terrain is hidden
+  if (!hitPoint) {
+    const sphere = new THREE.Sphere(new THREE.Vector3(0, 0, 0), MOON_RADIUS);
+    hitPoint = raycaster.ray.intersectSphere(sphere, new THREE.Vector3());
+  }
+
+  if (!hitPoint) return null;
+  const local = moonGroup.worldToLocal(hitPoint.clone());
+  return vector3ToLatLon(local);
+}
+
+function openMissionPanel(artifact) {
+  const panel = document.getElementById('missionPanel');
+  const elev = window.elevationData ? getElevationAt(artifact.lat, artifact.lon, window.elevationData) : 0;
+  const elevKm = (elev / KM_TO_SCENE).toFixed(1);
+
+  // Populate panel
+  document.getElementById('panelTitle').textContent = artifact.name;
+  document.getElementById('panelOperator').textContent = artifact.agency && artifact.agency !== artifact.operator
+    ? `${artifact.operator} · ${artifact.agency}`
+    : artifact.operator;
+  document.getElementById('panelYear').textContent = artifact.year;
+  document.getElementById('panelType').textContent = artifact.type;
+  document.getElementById('panelStatus').textContent = artifact.status;
+  document.getElementById('panelMass').textContent = artifact.mass || 'Unknown';
+  document.getElementById('panelCoords').textContent = `${artifact.lat.toFixed(3)}° ${artifact.lat >= 0 ? 'N' : 'S'}, ${Math.abs(artifact.lon).toFixed(3)}° ${artifact.lon >= 0 ? 'E' : 'W'}`;
+  document.getElementById('panelElevation').textContent = `${elevKm > 0 ? '+' : ''}${elevKm} km`;
+
+  const slope = getSlopeAt(artifact.lat, artifact.lon);
+  const baselineKm = window.elevationData ? getGridStepDeg(window.elevationData) * MOON_RADIUS_KM * Math.PI / 180 : 0;
+  const slopeEl = document.getElementById('panelSlope');
+  slopeEl.textContent = `${slope.toFixed(1)}° over ${baselineKm.toFixed(0)} km`;
+  slopeEl.classList.toggle('warning', slope > state.slopeThreshold);
+  slopeEl.title = slope > state.slopeThreshold ? `Steeper than the ${state.slopeThreshold}° threshold` : '';
+  updateMissionSunInfo(artifact);
+  updateTraversePanel(artifact);
+  const orbiter = getOrbiter(artifact);
+  if (orbiter) updateOrbiterPanel(orbiter);
+  document.getElementById('panelIllumination').textContent = artifact.status.toLowerCase() === 'orbiting'
+    ? 'In orbit'
+    : describeIllumination(getSiteIllumination(artifact));
+  document.getElementById('panelResources').textContent = artifact.status.toLowerCase() === 'orbiting'
+    ? 'In orbit'
+    : describeResourceConcentration(artifact.lat, artifact.lon);
+  document.getElementById('panelGroundView').style.display = artifact.status.toLowerCase() === 'orbiting' ? 'none' : '';
+
+  const description = artifact.description || 'No additional information available for this mission.';
+  document.getElementById('panelDescription').textContent = description;
+
+  // Update learn more link
+  const learnMoreBtn = document.getElementById('panelLearnMore');
+  if (artifact.link) {
+    learnMoreBtn.href = artifact.link;
+    learnMoreBtn.style.display = 'block';
+  } else {
+    learnMoreBtn.style.display = 'none';
+  }
+
+  // Show panel
+  panel.classList.remove('hidden');
+
+  // Store current artifact for button actions
+  panel.dataset.artifactName = artifact.name;
+  updateTrajectoryLegend();
+}
+
+function closeMissionPanel() {
+  document.getElementById('missionPanel').classList.add('hidden');
+  updateTrajectoryLegend();
+}
+
+function openFeaturePanel(feature, type) {
+  const panel = document.getElementById('featurePanel');
+
+  // Populate panel based on feature type
+  document.getElementById('featurePanelTitle').textContent = feature.name;
+
+  // Set type badge
+  const typeBadge = document.getElementById('featurePanelType');
+  if (type === 'resource') {
+    typeBadge.textContent = feature.type.toUpperCase() + ' DEPOSIT';
+    typeBadge.style.background = 'rgba(0, 255, 255, 0.2)';
+    typeBadge.style.color = '#00ffff';
+    typeBadge.style.borderColor = '#00ffff';
+  } else if (type === 'crater') {
+    typeBadge.textContent = 'CRATER';
+    typeBadge.style.background = 'rgba(255, 136, 68, 0.2)';
+    typeBadge.style.color = '#ff8844';
+    typeBadge.style.borderColor = '#ff8844';
+  } else if (type === 'mare') {
+    typeBadge.textContent = 'MARE / BASIN';
+    typeBadge.style.background = 'rgba(68, 136, 255, 0.2)';
+    typeBadge.style.color = '#4488ff';
+    typeBadge.style.borderColor = '#4488ff';
+  }
+
+  // Populate stats
+  const statsContainer = document.getElementById('featurePanelStats');
+  statsContainer.innerHTML = '';
+
+  // Location (all features)
+  const locationItem = document.createElement('div');
+  locationItem.className = 'stat-item';
+  locationItem.innerHTML = `
+    <span class="stat-label">Location:</span>
+    <span class="stat-value">${feature.lat.toFixed(3)}° ${feature.lat >= 0 ? 'N' : 'S'}, ${Math.abs(feature.lon).toFixed(3)}° ${feature.lon >= 0 ? 'E' : 'W'}</span>
+  `;
+  statsContainer.appendChild(locationItem);
+
+  if (type === 'resource') {
+    // Add resource-specific stats
+    if (feature.subtype) {
+      const subtypeItem = document.createElement('div');
+      subtypeItem.className = 'stat-item';
+      subtypeItem.innerHTML = `
+        <span class="stat-label">Subtype:</span>
+        <span class="stat-value">${feature.subtype}</span>
+      `;
+      statsContainer.appendChild(subtypeItem);
+    }
+
+    const radiusItem = document.createElement('div');
+    radiusItem.className = 'stat-item';
+    radiusItem.innerHTML = `
+      <span class="stat-label">Radius:</span>
+      <span class="stat-value">~${feature.radius} km</span>
+    `;
+    statsContainer.appendChild(radiusItem);
+
+    const concentrationItem = document.createElement('div');
+    concentrationItem.className = 'stat-item';
+    concentrationItem.innerHTML = `
+      <span class="stat-label">Concentration:</span>
+      <span class="stat-value">${(feature.concentration * 100).toFixed(0)}%</span>
+    `;
+    statsContainer.appendChild(concentrationItem);
+  } else if (type === 'crater' || type === 'mare') {
+    // Add size for craters and maria
+    const sizeItem = document.createElement('div');
+    sizeItem.className = 'stat-item';
+    sizeItem.innerHTML = `
+      <span class="stat-label">Diameter:</span>
+      <span class="stat-value">${feature.size} km</span>
+    `;
+    statsContainer.appendChild(sizeItem);
+  }
+
+  // Set description
+  const description = feature.description || 'No additional information available for this feature.';
+  document.getElementById('featurePanelDescription').textContent = description;
+
+  // Update learn more link
+  const learnMoreBtn = document.getElementById('featurePanelLearnMore');
+  if (feature.link) {
+    learnMoreBtn.href = feature.link;
+    learnMoreBtn.style.display = 'block';
+  } else {
+    learnMoreBtn.style.display = 'none';
+  }
+
+  // Show panel
+  panel.classList.remove('hidden');
+
+  // Store current feature for button actions
+  panel.dataset.featureLat = feature.lat;
+  panel.dataset.featureLon = feature.lon;
+  panel.dataset.featureType = type;
+  panel.dataset.featureName = feature.name;
+}
+
+function closeFeaturePanel() {
+  document.getElementById('featurePanel').classList.add('hidden');
+}
+
+// ============================================================
+// SURFACE POINT INSPECTOR
+// ============================================================
+const NEAREST_OBJECT_COUNT = 12;
+
+// Everything with a position, ranked by great-circle distance from lat/lon.
+// `inside` is set when the point lies within a feature's footprint.
+function findNearestObjects(lat, lon, count = NEAREST_OBJECT_COUNT) {
+  const candidates = [];
+
+  for (const { data, marker } of artifactMarkers) {
+    if (!marker.visible) continue;
+    candidates.push({ kind: 'artifact', data, distance: greatCircleKm(lat, lon, data.lat, data.lon), inside: false });
+  }
+  for (const crater of CRATERS) {
+    const distance = greatCircleKm(lat, lon, crater.lat, crater.lon);
+    candidates.push({ kind: 'crater', data: crater, distance, inside: distance <= crater.size / 2 });
+  }
+  for (const mare of MARIA) {
+    const distance = greatCircleKm(lat, lon, mare.lat, mare.lon);
+    candidates.push({ kind: 'mare', data: mare, distance, inside: distance <= mare.size / 2 });
+  }
+  for (const resource of RESOURCES) {
+    const distance = greatCircleKm(lat, lon, resource.lat, resource.lon);
+    candidates.push({ kind: 'resource', data: resource, distance, inside: distance <= resource.radius });
+  }
+
+  candidates.sort((a, b) => a.distance - b.distance);
+  return candidates.slice(0, count);
+}
+
+function openSurfacePanel(lat, lon) {
+  const panel = document.getElementById('surfacePanel');
+  const elev = window.elevationData ? getElevationAt(lat, lon, window.elevationData) : 0;
+  const elevKm = (elev / KM_TO_SCENE).toFixed(2);
+
+  document.getElementById('surfaceCoords').textContent = `${Math.abs(lat).toFixed(3)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(3)}° ${lon >= 0 ? 'E' : 'W'}`;
+  document.getElementById('surfaceElevation').textContent = `${elevKm > 0 ? '+' : ''}${elevKm} km`;
+
+  const list = document.getElementById('surfaceNearest');
+  list.innerHTML = '';
+  const kindLabels = { artifact: 'Artifact', crater: 'Crater', mare: 'Mare', resource: 'Deposit' };
+
+  for (const item of findNearestObjects(lat, lon)) {
+    const row = document.createElement('div');
+    row.className = `nearest-item ${item.kind}`;
+    row.innerHTML = `
+      <span class="nearest-kind">${kindLabels[item.kind]}</span>
+      <span class="nearest-name"></span>
+      <span class="nearest-distance">${item.inside ? 'inside • ' : ''}${item.distance < 10 ? item.distance.toFixed(1) : Math.round(item.distance)} km</span>
+    `;
+    row.querySelector('.nearest-name').textContent = item.data.name;
+    row.addEventListener('click', () => {
+      if (item.kind === 'artifact') {
+        openMissionPanel(item.data);
+      } else {
+        openFeaturePanel(item.kind === 'resource' ? item.data : { ...item.data, featureType: item.kind }, item.kind);
+      }
+    });
+    list.appendChild(row);
+  }
+
+  placeSurfacePin(lat, lon);
+  panel.classList.remove('hidden');
+  panel.dataset.lat = lat;
+  panel.dataset.lon = lon;
+}
+
+function closeSurfacePanel() {
+  document.getElementById('surfacePanel').classList.add('hidden');
+  if (surfacePin) {
+    moonGroup.remove(surfacePin);
+    surfacePin = null;
+  }
+}
+
+// Small marker at the inspected surface point
+function placeSurfacePin(lat, lon) {
+  if (!surfacePin) {
+    surfacePin = new THREE.Mesh(
+      new THREE.ConeGeometry(2.5, 8, 12),
+      new THREE.MeshBasicMaterial({ color: 0xffffff })
+    );
+    moonGroup.add(surfacePin);
+  }
+
+  const normal = latLonToVector3(lat, lon, 1);
+  surfacePin.position.copy(surfacePosition(lat, lon, 4));
+  // Cone tip points down at the surface
+  surfacePin.quaternion.setFromUnitVectors(new THREE.Vector3(0, -1, 0), normal);
+}
+
+// ============================================================
+// MEASUREMENT TOOL
+// ============================================================
+const MEASURE_COLOR = 0xffcc00;
+const MEASURE_ACTIVE_COLOR = 0xffffff;
+
+function setMeasureMode(mode) {
+  // Leaving a mode discards an unfinished measurement
+  if (activeMeasurement && activeMeasurement.kind !== mode) {
+    cancelMeasurement();
+  }
+  state.measureMode = mode;
+
+  const panel = document.getElementById('measurePanel');
+  if (mode) panel.classList.remove('hidden');
+  document.querySelectorAll('#measureModes button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+  document.getElementById('toggleMeasure').classList.toggle('active', !!mode);
+  document.body.style.cursor = mode ? 'crosshair' : 'default';
+  updateMeasurePanel();
+}
+
+function addMeasurementPoint(point) {
+  if (!activeMeasurement) {
+    measurementCounter++;
+    activeMeasurement = {
+      id: measurementCounter,
+      kind: state.measureMode,
+      name: `${state.measureMode === 'area' ? 'Area' : 'Path'} ${measurementCounter}`,
+      points: [],
+      group: null
+    };
+  }
+  activeMeasurement.points.push(point);
+  drawMeasurement(activeMeasurement, true);
+  updateMeasurePanel();
+}
+
+function undoMeasurementPoint() {
+  if (!activeMeasurement) return;
+  activeMeasurement.points.pop();
+  if (activeMeasurement.points.length === 0) {
+    cancelMeasurement();
+  } else {
+    drawMeasurement(activeMeasurement, true);
+  }
+  updateMeasurePanel();
+}
+
+function finishMeasurement() {
+  if (!activeMeasurement) return;
+  const minPoints = activeMeasurement.kind === 'area' ? 3 : 2;
+  if (activeMeasurement.points.length < minPoints) return;
+
+  drawMeasurement(activeMeasurement, false);
+  measurements.push(activeMeasurement);
+  activeMeasurement = null;
+  updateMeasurePanel();
+}
+
+function cancelMeasurement() {
+  if (activeMeasurement) {
+    removeMeasurementGeometry(activeMeasurement);
+    activeMeasurement = null;
+  }
+  updateMeasurePanel();
+}
+
+function deleteMeasurement(id) {
+  const measurement = measurements.find(m => m.id === id);
+  if (!measurement) return;
+  removeMeasurementGeometry(measurement);
+  measurements = measurements.filter(m => m !== measurement);
+  updateMeasurePanel();
+}
+
+function clearMeasurements() {
+  for (const measurement of measurements) {
+    removeMeasurementGeometry(measurement);
+  }
+  measurements = [];
+  cancelMeasurement();
+}
+
+// Per-segment distances in km; area polygons include the closing segment
+function getMeasurementSegments(measurement) {
+  const pts = measurement.points;
+  const segments = [];
+  const count = measurement.kind === 'area' && pts.length >= 3 ? pts.length : pts.length - 1;
+  for (let i = 0; i < count; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    segments.push(greatCircleKm(a.lat, a.lon, b.lat, b.lon));
+  }
+  return segments;
+}
+
+function getMeasurementSummary(measurement) {
+  const segments = getMeasurementSegments(measurement);
+  const totalKm = segments.reduce((sum, d) => sum + d, 0);
+  const areaKm2 = measurement.kind === 'area' ? sphericalPolygonAreaKm2(measurement.points) : 0;
+  return { segments, totalKm, areaKm2 };
+}
+
+function removeMeasurementGeometry(measurement) {
+  if (measurement.group) {
+    moonGroup.remove(measurement.group);
+    measurement.group.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+    measurement.group = null;
+  }
+}
+
+// (Re)build the terrain-following polyline and vertex markers
+function drawMeasurement(measurement, active) {
+  removeMeasurementGeometry(measurement);
+
+  const color = active ? MEASURE_ACTIVE_COLOR : MEASURE_COLOR;
+  const group = new THREE.Group();
+  const closed = measurement.kind === 'area' && measurement.points.length >= 3;
+
+  if (measurement.points.length >= 2) {
+    const path = createSurfacePathPoints(measurement.points, closed);
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(path),
+      new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.95, depthTest: true })
+    );
+    group.add(line);
+  }
+
+  const vertexGeometry = new THREE.SphereGeometry(1.5, 8, 8);
+  for (const p of measurement.points) {
+    const vertex = new THREE.Mesh(vertexGeometry, new THREE.MeshBasicMaterial({ color }));
+    vertex.position.copy(surfacePosition(p.lat, p.lon, 1.5));
+    group.add(vertex);
+  }
+
+  measurement.group = group;
+  moonGroup.add(group);
+}
+
+function formatKm(km) {
+  return km < 10 ? `${km.toFixed(2)} km` : `${km.toFixed(1)} km`;
+}
+
+function describeMeasurement(measurement) {
+  const { totalKm, areaKm2 } = getMeasurementSummary(measurement);
+  if (measurement.kind === 'area') {
+    return `${Math.round(areaKm2).toLocaleString()} km² • perimeter ${formatKm(totalKm)}`;
+  }
+  return formatKm(totalKm);
+}
+
+function updateMeasurePanel() {
+  const current = document.getElementById('measureCurrent');
+  if (activeMeasurement) {
+    const { segments } = getMeasurementSummary(activeMeasurement);
+    current.innerHTML = `
+      <div class="measure-title">${activeMeasurement.name} (${activeMeasurement.points.length} pts)</div>
+      <div class="measure-total">${describeMeasurement(activeMeasurement)}</div>
+      ${segments.map((d, i) => `<div class="measure-segment">${i + 1} → ${(i + 1) % activeMeasurement.points.length + 1}: ${formatKm(d)}</div>`).join('')}
+    `;
+  } else {
+    current.innerHTML = state.measureMode
+      ? '<div class="small-text">Click the Moon to add points • Enter to finish • Backspace to undo • Esc to cancel</div>'
+      : '';
+  }
+
+  const list = document.getElementById('measureList');
+  list.innerHTML = measurements.length === 0 ? '<div class="small-text">No saved measurements</div>' : '';
+
+  for (const measurement of measurements) {
+    const { segments } = getMeasurementSummary(measurement);
+    const item = document.createElement('div');
+    item.className = 'measure-item';
+    item.innerHTML = `
+      <div class="measure-item-header">
+        <span class="measure-title">${measurement.name}</span>
+        <span>
+          <button class="measure-profile" title="Elevation profile">⛰</button>
+          <button class="measure-delete" title="Delete measurement">&times;</button>
+        </span>
+      </div>
+      <div class="measure-total">${describeMeasurement(measurement)}</div>
+      <div class="measure-segments">${segments.map((d, i) => `<span>${i + 1}→${(i + 1) % measurement.points.length + 1} ${formatKm(d)}</span>`).join('')}</div>
+    `;
+    item.querySelector('.measure-delete').addEventListener('click', () => deleteMeasurement(measurement.id));
+    item.querySelector('.measure-profile').addEventListener('click', () => profileMeasurement(measurement));
+    list.appendChild(item);
+  }
+}
+
+function measurementsToGeoJSON() {
+  return {
+    type: 'FeatureCollection',
+    features: measurements.map(measurement => {
+      const { segments, totalKm, areaKm2 } = getMeasurementSummary(measurement);
+      const coords = measurement.points.map(p => [p.lon, p.lat]);
+      const geometry = measurement.kind === 'area'
+        ? { type: 'Polygon', coordinates: [[...coords, coords[0]]] }
+        : { type: 'LineString', coordinates: coords };
+      return {
+        type: 'Feature',
+        geometry,
+        properties: {
+          name: measurement.name,
+          body: 'Moon',
+          radiusKm: MOON_RADIUS_KM,
+          segmentsKm: segments.map(d => +d.toFixed(3)),
+          lengthKm: +totalKm.toFixed(3),
+          ...(measurement.kind === 'area' ? { areaKm2: +areaKm2.toFixed(1) } : {})
+        }
+      };
+    })
+  };
+}
+
+function exportMeasurements() {
+  if (measurements.length === 0) return;
+  const blob = new Blob([JSON.stringify(measurementsToGeoJSON(), null, 2)], { type: 'application/geo+json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'moon-measurements.geojson';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================
+// ELEVATION PROFILE
+// ============================================================
+const PROFILE_COLOR = 0x00ffff;
+const PROFILE_SAMPLES = 400;
+const PROFILE_MARGIN = { left: 44, right: 12, top: 10, bottom: 26 };
+
+// Evenly spaced samples along the great-circle legs of a path
+function sampleElevationProfile(points) {
+  const legs = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    legs.push(greatCircleKm(points[i].lat, points[i].lon, points[i + 1].lat, points[i + 1].lon));
+  }
+  const totalKm = legs.reduce((sum, d) => sum + d, 0);
+  const stepKm = Math.max(totalKm / PROFILE_SAMPLES, 0.05);
+  const kmPerDeg = MOON_RADIUS_KM * Math.PI / 180;
+
+  const samples = [];
+  const vertexDistances = [0];
+  let distanceKm = 0;
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = interpolateGreatCircle(points[i], points[i + 1], stepKm / kmPerDeg);
+    const legStep = legs[i] / (leg.length - 1);
+    if (i > 0) leg.shift(); // shared vertex
+
+    leg.forEach((p, j) => {
+      samples.push({
+        lat: p.lat,
+        lon: p.lon,
+        distanceKm: distanceKm + (i > 0 ? j + 1 : j) * legStep,
+        elevationKm: getElevationAt(p.lat, p.lon, window.elevationData) / KM_TO_SCENE
+      });
+    });
+    distanceKm += legs[i];
+    vertexDistances.push(distanceKm);
+  }
+
+  return { samples, vertexDistances, totalKm };
+}
+
+function openElevationProfile(points, name) {
+  if (points.length < 2) return;
+  const profile = sampleElevationProfile(points);
+
+  // Coincident points (e.g. a double-click while measuring) leave nothing to chart
+  if (!(profile.totalKm > 0)) {
+    closeElevationProfile();
+    const canvas = document.getElementById('profileChart');
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    document.getElementById('profilePanel').classList.remove('hidden');
+    document.getElementById('profileTitle').textContent = name;
+    document.getElementById('profileStats').innerHTML = '';
+    document.getElementById('profileReadout').textContent = 'Path too short to profile';
+    return;
+  }
+  elevationProfile = { points, name, ...profile, group: null };
+
+  drawProfilePath();
+  document.getElementById('profilePanel').classList.remove('hidden');
+  document.getElementById('profileTitle').textContent = name;
+  document.getElementById('profileReadout').textContent = 'Hover the chart to locate a point on the globe';
+  updateProfileStats();
+  drawElevationProfileChart();
+}
+
+function closeElevationProfile() {
+  document.getElementById('profilePanel').classList.add('hidden');
+  removeProfilePath();
+  hideProfileCursor();
+  elevationProfile = null;
+}
+
+// Resample after the elevation source or exaggeration changes
+function refreshElevationProfile() {
+  if (!elevationProfile) return;
+  Object.assign(elevationProfile, sampleElevationProfile(elevationProfile.points));
+  drawProfilePath();
+  updateProfileStats();
+  drawElevationProfileChart();
+}
+
+function removeProfilePath() {
+  if (elevationProfile && elevationProfile.group) {
+    moonGroup.remove(elevationProfile.group);
+    elevationProfile.group.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+    elevationProfile.group = null;
+  }
+}
+
+function drawProfilePath() {
+  removeProfilePath();
+  const group = new THREE.Group();
+  const path = createSurfacePathPoints(elevationProfile.points, false, 2);
+  group.add(new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(path),
+    new THREE.LineBasicMaterial({ color: PROFILE_COLOR, transparent: true, opacity: 0.9 })
+  ));
+
+  const vertexGeometry = new THREE.SphereGeometry(1.5, 8, 8);
+  for (const p of elevationProfile.points) {
+    const vertex = new THREE.Mesh(vertexGeometry, new THREE.MeshBasicMaterial({ color: PROFILE_COLOR }));
+    vertex.position.copy(surfacePosition(p.lat, p.lon, 2));
+    group.add(vertex);
+  }
+
+  elevationProfile.group = group;
+  moonGroup.add(group);
+}
+
+function updateProfileStats() {
+  const { samples, totalKm } = elevationProfile;
+  let minKm = Infinity, maxKm = -Infinity, climbKm = 0, descentKm = 0, maxGrade = 0;
+
+  samples.forEach((sample, i) => {
+    minKm = Math.min(minKm, sample.elevationKm);
+    maxKm = Math.max(maxKm, sample.elevationKm);
+    if (i === 0) return;
+    const rise = sample.elevationKm - samples[i - 1].elevationKm;
+    const run = sample.distanceKm - samples[i - 1].distanceKm;
+    if (rise > 0) climbKm += rise; else descentKm -= rise;
+    if (run > 0) maxGrade = Math.max(maxGrade, Math.atan(Math.abs(rise) / run) * 180 / Math.PI);
+  });
+
+  document.getElementById('profileStats').innerHTML = `
+    <span>Length <b>${formatKm(totalKm)}</b></span>
+    <span>Min <b>${minKm.toFixed(2)} km</b></span>
+    <span>Max <b>${maxKm.toFixed(2)} km</b></span>
+    <span>Climb <b>${(climbKm * 1000).toFixed(0)} m</b></span>
+    <span>Descent <b>${(descentKm * 1000).toFixed(0)} m</b></span>
+    <span>Max grade <b>${maxGrade.toFixed(1)}°</b></span>
+  `;
+}
+
+// 1, 2 or 5 times a power of ten, giving roughly `count` intervals
+function niceStep(span, count) {
+  const raw = span / count;
+  if (!(raw > 0) || !Number.isFinite(raw)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  return (normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10) * magnitude;
+}
+
+function getProfileChartScale(canvas) {
+  const { samples, totalKm } = elevationProfile;
+  const elevations = samples.map(s => s.elevationKm);
+  let minKm = Math.min(...elevations);
+  let maxKm = Math.max(...elevations);
+  const pad = Math.max((maxKm - minKm) * 0.1, 0.05);
+  minKm -= pad;
+  maxKm += pad;
+
+  const width = canvas.clientWidth || 480;
+  const height = canvas.clientHeight || 200;
+  const plotWidth = width - PROFILE_MARGIN.left - PROFILE_MARGIN.right;
+  const plotHeight = height - PROFILE_MARGIN.top - PROFILE_MARGIN.bottom;
+
+  return {
+    width, height, minKm, maxKm, totalKm,
+    x: d => PROFILE_MARGIN.left + (d / totalKm) * plotWidth,
+    y: e => PROFILE_MARGIN.top + (1 - (e - minKm) / (maxKm - minKm)) * plotHeight,
+    distanceAt: px => Math.max(0, Math.min(totalKm, ((px - PROFILE_MARGIN.left) / plotWidth) * totalKm))
+  };
+}
+
+function drawElevationProfileChart(hoverSample = null) {
+  const canvas = document.getElementById('profileChart');
+  const ctx = canvas.getContext('2d');
+  const scale = getProfileChartScale(canvas);
+  const dpr = window.devicePixelRatio || 1;
+
+  canvas.width = scale.width * dpr;
+  canvas.height = scale.height * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, scale.width, scale.height);
+  ctx.font = '10px Courier New, monospace';
+  ctx.lineWidth = 1;
+
+  const { samples, vertexDistances } = elevationProfile;
+  const bottom = scale.height - PROFILE_MARGIN.bottom;
+
+  // Grid and axis labels
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+  ctx.fillStyle = '#888';
+  ctx.textAlign = 'right';
+  const yStep = niceStep(scale.maxKm - scale.minKm, 4);
+  for (let e = Math.ceil(scale.minKm / yStep) * yStep; e <= scale.maxKm; e += yStep) {
+    const y = scale.y(e);
+    ctx.beginPath();
+    ctx.moveTo(PROFILE_MARGIN.left, y);
+    ctx.lineTo(scale.width - PROFILE_MARGIN.right, y);
+    ctx.stroke();
+    ctx.fillText(`${+e.toFixed(2)}`, PROFILE_MARGIN.left - 4, y + 3);
+  }
+
+  ctx.textAlign = 'center';
+  const xStep = niceStep(scale.totalKm, 5);
+  for (let d = 0; d <= scale.totalKm; d += xStep) {
+    const x = scale.x(d);
+    ctx.beginPath();
+    ctx.moveTo(x, PROFILE_MARGIN.top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.fillText(`${+d.toFixed(2)}`, x, bottom + 12);
+  }
+  ctx.fillText('distance (km)', scale.width / 2, scale.height - 2);
+  ctx.save();
+  ctx.translate(10, PROFILE_MARGIN.top + (bottom - PROFILE_MARGIN.top) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText('elevation (km)', 0, 0);
+  ctx.restore();
+
+  // Path vertices
+  ctx.strokeStyle = 'rgba(0, 255, 255, 0.35)';
+  ctx.setLineDash([3, 3]);
+  for (const d of vertexDistances) {
+    ctx.beginPath();
+    ctx.moveTo(scale.x(d), PROFILE_MARGIN.top);
+    ctx.lineTo(scale.x(d), bottom);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  // Filled profile
+  ctx.beginPath();
+  ctx.moveTo(scale.x(0), bottom);
+  for (const sample of samples) {
+    ctx.lineTo(scale.x(sample.distanceKm), scale.y(sample.elevationKm));
+  }
+  ctx.lineTo(scale.x(scale.totalKm), bottom);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(0, 255, 102, 0.15)';
+  ctx.fill();
+
+  ctx.beginPath();
+  samples.forEach((sample, i) => {
+    const method = i === 0 ? 'moveTo' : 'lineTo';
+    ctx[method](scale.x(sample.distanceKm), scale.y(sample.elevationKm));
+  });
+  ctx.strokeStyle = '#00ff66';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  // Hover cursor
+  if (hoverSample) {
+    const x = scale.x(hoverSample.distanceKm);
+    const y = scale.y(hoverSample.elevationKm);
+    ctx.strokeStyle = '#00ffff';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, PROFILE_MARGIN.top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#00ffff';
+    ctx.beginPath();
+    ctx.arc(x, y, 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function onProfileChartHover(event) {
+  if (!elevationProfile) return;
+  const canvas = event.currentTarget;
+  const rect = canvas.getBoundingClientRect();
+  const distanceKm = getProfileChartScale(canvas).distanceAt(event.clientX - rect.left);
+
+  // Nearest sample by distance (samples are sorted)
+  const { samples } = elevationProfile;
+  let lo = 0, hi = samples.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].distanceKm < distanceKm) lo = mid; else hi = mid;
+  }
+  const sample = distanceKm - samples[lo].distanceKm < samples[hi].distanceKm - distanceKm ? samples[lo] : samples[hi];
+
+  drawElevationProfileChart(sample);
+  showProfileCursor(sample);
+  document.getElementById('profileReadout').textContent =
+    `${formatKm(sample.distanceKm)} • ${sample.elevationKm >= 0 ? '+' : ''}${sample.elevationKm.toFixed(2)} km • ` +
+    `${sample.lat.toFixed(3)}°, ${sample.lon.toFixed(3)}°`;
+}
+
+function onProfileChartLeave() {
+  if (!elevationProfile) return;
+  drawElevationProfileChart();
+  hideProfileCursor();
+  document.getElementById('profileReadout').textContent = 'Hover the chart to locate a point on the globe';
+}
+
+function showProfileCursor(sample) {
+  if (!profileCursor) {
+    profileCursor = new THREE.Mesh(
+      new THREE.SphereGeometry(3, 12, 12),
+      new THREE.MeshBasicMaterial({ color: PROFILE_COLOR })
+    );
+    moonGroup.add(profileCursor);
+  }
+  profileCursor.position.copy(surfacePosition(sample.lat, sample.lon, 3));
+  profileCursor.visible = true;
+}
+
+function hideProfileCursor() {
+  if (profileCursor) profileCursor.visible = false;
+}
+
+function populateProfileArtifactSelects() {
+  const landed = ARTIFACTS.filter(a => a.status.toLowerCase() !== 'orbiting')
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const [id, defaultName] of [['profileFrom', 'Apollo 12 Intrepid'], ['profileTo', 'Surveyor 3']]) {
+    const select = document.getElementById(id);
+    select.innerHTML = '';
+    for (const artifact of landed) {
+      const option = document.createElement('option');
+      option.value = artifact.name;
+      option.textContent = artifact.name;
+      select.appendChild(option);
+    }
+    if (landed.some(a => a.name === defaultName)) select.value = defaultName;
+  }
+}
+
+function profileBetweenArtifacts() {
+  const from = ARTIFACTS.find(a => a.name === document.getElementById('profileFrom').value);
+  const to = ARTIFACTS.find(a => a.name === document.getElementById('profileTo').value);
+  if (!from || !to || from === to) return;
+  openElevationProfile([{ lat: from.lat, lon: from.lon }, { lat: to.lat, lon: to.lon }], `${from.name} → ${to.name}`);
+}
+
+function toggleProfilePanel() {
+  const panel = document.getElementById('profilePanel');
+  if (!panel.classList.contains('hidden')) {
+    closeElevationProfile();
+  } else if (measurements.length > 0) {
+    profileMeasurement(measurements[measurements.length - 1]);
+  } else {
+    profileBetweenArtifacts();
+  }
+}
+
+function profileMeasurement(measurement) {
+  const points = measurement.kind === 'area'
+    ? [...measurement.points, measurement.points[0]]
+    : measurement.points;
+  openElevationProfile(points.map(p => ({ lat: p.lat, lon: p.lon })), measurement.name);
+}
+
+// ============================================================
+// PANEL DRAG AND RESIZE
+// ============================================================
+function makePanelDraggable(panelId) {
+  const panel = document.getElementById(panelId);
+  const header = panel.querySelector('.panel-header');
+  let isDragging = false;
+  let currentX;
+  let currentY;
+  let initialX;
+  let initialY;
+
+  header.addEventListener('mousedown', (e) => {
+    // Don't drag if clicking on close button
+    if (e.target.closest('.panel-close-btn')) {
+      return;
+    }
+
+    isDragging = true;
+    initialX = e.clientX - panel.offsetLeft;
+    initialY = e.clientY - panel.offsetTop;
+
+    panel.style.transition = 'none';
+  });
+
+  document.addEventListener('mousemove', (e) => {
+    if (isDragging) {
+      e.preventDefault();
+      currentX = e.clientX - initialX;
+      currentY = e.clientY - initialY;
+
+      // Keep panel within viewport
+      const maxX = window.innerWidth - panel.offsetWidth;
+      const maxY = window.innerHeight - panel.offsetHeight;
+
+      currentX = Math.max(0, Math.min(currentX, maxX));
+      currentY = Math.max(0, Math.min(currentY, maxY));
+
+      panel.style.left = currentX + 'px';
+      panel.style.top = currentY + 'px';
+      panel.style.right = 'auto';
+      panel.style.bottom = 'auto';
+    }
+  });
+
+  document.addEventListener('mouseup', () => {
+    if (isDragging) {
+      isDragging = false;
+    }
+  });
+}
+
+function makePanelResizable(panelId) {
+  const panel = document.getElementById(panelId);
+  const resizeHandle = panel.querySelector('.resize-handle');
+  let isResizing = false;
+  let startX, startY, startWidth, startHeight;
+
+  resizeHandle.addEventListener('mousedown', (e) => {
+    isResizing = true;
+    startX = e.clientX;
+    startY = e.clientY;
+    startWidth = parseInt(getComputedStyle(panel).width, 10);
+    startHeight = parseInt(getComputedStyle(panel).height, 10);
+
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  document.addEventListener('mousemove', (e) => {
+    if (isResizing) {
+      const width = startWidth + (e.clientX - startX);
+      const height = startHeight + (e.clientY - startY);
+
+      // Apply min/max constraints
+      const minWidth = 300;
+      const maxWidth = window.innerWidth * 0.9;
+      const minHeight = 200;
+      const maxHeight = window.innerHeight * 0.9;
+
+      panel.style.width = Math.max(minWidth, Math.min(width, maxWidth)) + 'px';
+      panel.style.height = Math.max(minHeight, Math.min(height, maxHeight)) + 'px';
+      panel.style.maxWidth = 'none';
+      panel.style.maxHeight = 'none';
+    }
+  });
+
+  document.addEventListener('mouseup', () => {
+    if (isResizing) {
+      isResizing = false;
+    }
+  });
+}
+
+// ============================================================
+// ORBITAL MECHANICS
+// ============================================================
+// Two-body propagation around the Moon for artifacts with an `orbit` entry
+// (see data.js). Positions are computed in km in a selenocentric frame with
+// X toward 0°N 0°E, Y toward 0°N 90°E and Z toward the north pole, and
+// drawn to true scale. The Moon's rotation during a mission is ignored.
+const MOON_MU = 4902.800;        // km³/s²
+const DESCENT_RANGE_DEG = 15;    // powered descent begins this far uprange
+const APPROACH_V_INF = 0.8;      // km/s hyperbolic excess speed on arrival
+const APPROACH_MAX_KM = 8000;    // approach hyperbola is drawn from this radius
+
+// Classical elements from an artifact's orbit data. For landers the plane is
+// placed through the landing site, with periapsis where the descent begins.
+function getOrbitElements(artifact) {
+  const orbit = artifact.orbit;
+  const rp = MOON_RADIUS_KM + orbit.periapsisKm;
+  const ra = MOON_RADIUS_KM + orbit.apoapsisKm;
+  const elements = {
+    a: (rp + ra) / 2,
+    e: (ra - rp) / (ra + rp),
+    i: orbit.inclination * DEG,
+    raan: (orbit.raan || 0) * DEG,
+    argPeriapsis: (orbit.argPeriapsis || 0) * DEG,
+    epochMs: artifact.epoch ? Date.parse(artifact.epoch) : 0
+  };
+
+  if (artifact.status.toLowerCase() !== 'orbiting') {
+    // Argument of latitude of the site on an ascending pass
+    const sinU = Math.max(-1, Math.min(1, Math.sin(artifact.lat * DEG) / Math.sin(elements.i)));
+    const u = Math.asin(sinU);
+    elements.raan = artifact.lon * DEG - Math.atan2(Math.cos(elements.i) * Math.sin(u), Math.cos(u));
+    elements.argPeriapsis = u - DESCENT_RANGE_DEG * DEG;
+  }
+  return elements;
+}
+
+// Selenocentric position (km) at radius r and argument of latitude u
+function orbitPlanePosition(elements, r, u) {
+  const { i, raan } = elements;
+  return new THREE.Vector3(
+    r * (Math.cos(raan) * Math.cos(u) - Math.sin(raan) * Math.sin(u) * Math.cos(i)),
+    r * (Math.sin(raan) * Math.cos(u) + Math.cos(raan) * Math.sin(u) * Math.cos(i)),
+    r * Math.sin(u) * Math.sin(i)
+  );
+}
+
+function selenocentricToScene(v) {
+  return new THREE.Vector3(v.x, v.z, -v.y).multiplyScalar(KM_TO_SCENE);
+}
+
+function trueAnomalyFromMean(M, e) {
+  let E = e < 0.8 ? M : Math.PI;
+  for (let k = 0; k < 20; k++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-10) break;
+  }
+  return 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+}
+
+function getOrbitalPeriod(elements) {
+  return 2 * Math.PI * Math.sqrt(elements.a ** 3 / MOON_MU);
+}
+
+// Position (km) `seconds` after periapsis passage
+function propagateOrbit(elements, seconds) {
+  const n = Math.sqrt(MOON_MU / elements.a ** 3);
+  const M = (n * seconds) % (2 * Math.PI);
+  const nu = trueAnomalyFromMean(M, elements.e);
+  const r = elements.a * (1 - elements.e ** 2) / (1 + elements.e * Math.cos(nu));
+  return orbitPlanePosition(elements, r, elements.argPeriapsis + nu);
+}
+
+// Keep drawn paths from cutting through the (exaggerated) terrain
+function keepAboveTerrain(scenePoint, clearance = 1) {
+  const { lat, lon } = vector3ToLatLon(scenePoint);
+  const minRadius = surfacePosition(lat, lon, clearance).length();
+  if (scenePoint.length() < minRadius) scenePoint.setLength(minRadius);
+  return scenePoint;
+}
+
+// Orbiters: one revolution. Landers: approach hyperbola, capture at apoapsis,
+// one and a half revolutions, then powered descent to the site.
+function buildOrbitalTrajectoryPath(artifact) {
+  const elements = getOrbitElements(artifact);
+  const period = getOrbitalPeriod(elements);
+  const points = [];
+  const phases = [];
+  const orbitSamples = 240;
+
+  if (artifact.status.toLowerCase() === 'orbiting') {
+    // Inertial orbit; showTrajectory turns it with the Moon (see ORBITERS)
+    phases.push({ key: 'loi', index: 0 });
+    for (let k = 0; k <= orbitSamples; k++) {
+      points.push(selenocentricToScene(propagateOrbit(elements, (k / orbitSamples) * period)));
+    }
+    return { points, phases, elements, live: true };
+  }
+
+  // Approach hyperbola in the same plane, periapsis at the ellipse's apoapsis
+  const ra = elements.a * (1 + elements.e);
+  const eHyp = 1 + ra * APPROACH_V_INF ** 2 / MOON_MU;
+  const pHyp = ra * (1 + eHyp);
+  const nuMax = Math.acos(Math.max(-1, (pHyp / APPROACH_MAX_KM - 1) / eHyp));
+  const approachSamples = 60;
+  phases.push({ key: 'approach', index: 0 });
+  for (let k = 0; k <= approachSamples; k++) {
+    const nu = -nuMax * (1 - k / approachSamples);
+    const r = pHyp / (1 + eHyp * Math.cos(nu));
+    const u = elements.argPeriapsis + Math.PI + nu;
+    points.push(selenocentricToScene(orbitPlanePosition(elements, r, u)));
+  }
+
+  // Capture orbit, from apoapsis through 1.5 revolutions to periapsis
+  phases.push({ key: 'loi', index: points.length });
+  for (let k = 1; k <= orbitSamples * 1.5; k++) {
+    const seconds = period / 2 + (k / orbitSamples) * period;
+    points.push(keepAboveTerrain(selenocentricToScene(propagateOrbit(elements, seconds))));
+  }
+
+  // Powered descent: altitude falls from periapsis to the surface over DESCENT_RANGE_DEG
+  phases.push({ key: 'descent', index: points.length });
+  const periapsisAltitude = artifact.orbit.periapsisKm;
+  const descentSamples = 60;
+  for (let k = 1; k < descentSamples; k++) {
+    const t = k / descentSamples;
+    const r = MOON_RADIUS_KM + periapsisAltitude * (1 - t * t);
+    const u = elements.argPeriapsis + t * DESCENT_RANGE_DEG * DEG;
+    points.push(keepAboveTerrain(selenocentricToScene(orbitPlanePosition(elements, r, u)), 0.5));
+  }
+  points.push(surfacePosition(artifact.lat, artifact.lon));
+  phases.push({ key: getArrivalPhase(artifact), index: points.length - 1 });
+
+  return { points, phases, elements };
+}
+
+function buildTrajectoryPath(artifact, earthPosition) {
+  return artifact.orbit
+    ? buildOrbitalTrajectoryPath(artifact)
+    : buildStylizedTrajectoryPath(artifact, earthPosition);
+}
+
+// ============================================================
+// ORBITERS
+// ============================================================
+// Spacecraft still orbiting the Moon are propagated to state.simTime. The
+// orbit is fixed in inertial space while the Moon turns beneath it once per
+// sidereal month, which is what makes the ground track drift.
+const SIDEREAL_MONTH_S = 27.321661 * 86400;
+const GROUND_TRACK_SAMPLES = 180;
+const CLOCK_UI_INTERVAL_MS = 250;
+
+function getLunarRotationAngle(elements, ms) {
+  return 2 * Math.PI * ((ms - elements.epochMs) / 1000) / SIDEREAL_MONTH_S;
+}
+
+// Moon-fixed position, sub-satellite point and altitude at time ms
+function getOrbiterState(elements, ms) {
+  const inertial = propagateOrbit(elements, (ms - elements.epochMs) / 1000);
+  const theta = getLunarRotationAngle(elements, ms);
+  const fixed = new THREE.Vector3(
+    inertial.x * Math.cos(theta) + inertial.y * Math.sin(theta),
+    -inertial.x * Math.sin(theta) + inertial.y * Math.cos(theta),
+    inertial.z
+  );
+  const r = fixed.length();
+  return {
+    position: selenocentricToScene(fixed),
+    lat: Math.asin(fixed.z / r) * 180 / Math.PI,
+    lon: Math.atan2(fixed.y, fixed.x) * 180 / Math.PI,
+    altitudeKm: r - MOON_RADIUS_KM
+  };
+}
+
+function createOrbiters() {
+  for (const entry of artifactMarkers) {
+    const artifact = entry.data;
+    if (!artifact.orbit || artifact.status.toLowerCase() !== 'orbiting') continue;
+
+    const color = STATUS_COLORS.orbiting;
+    const track = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(new Array(GROUND_TRACK_SAMPLES).fill(null).map(() => new THREE.Vector3())),
+      new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 })
+    );
+    moonGroup.add(track);
+    orbiters.push({ entry, elements: getOrbitElements(artifact), track, state: null });
+  }
+  updateOrbiters();
+}
+
+function getOrbiter(artifact) {
+  return orbiters.find(o => o.entry.data === artifact);
+}
+
+// Advance the simulation clock by the real time since the last frame
+function updateSimClock() {
+  const now = Date.now();
+  if (state.timeScale !== 0) {
+    state.simTime += (now - lastFrameTime) * state.timeScale;
+  }
+  lastFrameTime = now;
+
+  // Sun and clock display follow at a lower rate
+  if (state.timeScale !== 0 && now - lastClockUiUpdate > CLOCK_UI_INTERVAL_MS) {
+    lastClockUiUpdate = now;
+    const input = document.getElementById('simTime');
+    if (document.activeElement !== input) {
+      input.value = new Date(state.simTime).toISOString().slice(0, 16);
+    }
+    updateSunLighting();
+  }
+}
+
+// Move orbiter markers, stems and ground tracks to state.simTime
+function updateOrbiters() {
+  for (const orbiter of orbiters) {
+    const { entry, elements, track } = orbiter;
+    const current = getOrbiterState(elements, state.simTime);
+    orbiter.state = current;
+
+    entry.marker.position.copy(current.position);
+    const stem = entry.line.geometry.attributes.position;
+    const foot = surfacePosition(current.lat, current.lon);
+    stem.setXYZ(0, foot.x, foot.y, foot.z);
+    stem.setXYZ(1, current.position.x, current.position.y, current.position.z);
+    stem.needsUpdate = true;
+    entry.line.geometry.computeBoundingSphere();
+
+    // Trail covering the last revolution
+    track.visible = state.showGroundTracks && entry.marker.visible;
+    if (track.visible) {
+      const period = getOrbitalPeriod(elements) * 1000;
+      const positions = track.geometry.attributes.position;
+      for (let k = 0; k < GROUND_TRACK_SAMPLES; k++) {
+        const past = getOrbiterState(elements, state.simTime - period * (1 - k / (GROUND_TRACK_SAMPLES - 1)));
+        const p = surfacePosition(past.lat, past.lon, 0.8);
+        positions.setXYZ(k, p.x, p.y, p.z);
+      }
+      positions.needsUpdate = true;
+      track.geometry.computeBoundingSphere();
+    }
+  }
+
+  // Keep an open mission panel on the moving spacecraft, at the clock display's rate
+  const now = Date.now();
+  if (now - lastOrbiterPanelUpdate < CLOCK_UI_INTERVAL_MS) return;
+  lastOrbiterPanelUpdate = now;
+  const missionPanel = document.getElementById('missionPanel');
+  if (!missionPanel.classList.contains('hidden')) {
+    const orbiter = orbiters.find(o => o.entry.data.name === missionPanel.dataset.artifactName);
+    if (orbiter) updateOrbiterPanel(orbiter);
+  }
+}
+
+function formatLatLon(lat, lon, digits = 2) {
+  return `${Math.abs(lat).toFixed(digits)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(digits)}° ${lon >= 0 ? 'E' : 'W'}`;
+}
+
+function updateOrbiterPanel(orbiter) {
+  document.getElementById('panelCoords').textContent = `${formatLatLon(orbiter.state.lat, orbiter.state.lon)} (sub-satellite)`;
+  document.getElementById('panelElevation').textContent = `${orbiter.state.altitudeKm.toFixed(1)} km altitude`;
+}
+
+// ============================================================
+// SURFACE TRAVERSES
+// ============================================================
+// EVA and rover paths are only metres to kilometres long, far smaller than
+// the terrain grid, so they are drawn over the terrain (depthTest off) and
+// hidden while their site is on the far side of the Moon.
+const TRAVERSE_COLORS = [0xffcc00, 0xff6633, 0x33ccff, 0xcc66ff];
+const TRAVERSE_LIFT = 0.02;
+const TRAVERSE_MIN_ALTITUDE = 2; // scene units; the camera near plane is 1
+
+function getTraverseSegmentKm(segment) {
+  let km = 0;
+  for (let i = 1; i < segment.path.length; i++) {
+    const [lat1, lon1] = segment.path[i - 1];
+    const [lat2, lon2] = segment.path[i];
+    km += greatCircleKm(lat1, lon1, lat2, lon2);
+  }
+  return km;
+}
+
+function getTraversePoints(segment) {
+  return segment.path.map(([lat, lon]) => surfacePosition(lat, lon, TRAVERSE_LIFT));
+}
+
+function getStationPoints(segment) {
+  return (segment.stations || []).map(st => surfacePosition(st.lat, st.lon, TRAVERSE_LIFT));
+}
+
+function createTraverses() {
+  for (const entry of artifactMarkers) {
+    if (!entry.data.traverse) continue;
+
+    const group = new THREE.Group();
+    const segments = entry.data.traverse.map((data, i) => {
+      const color = TRAVERSE_COLORS[i % TRAVERSE_COLORS.length];
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(getTraversePoints(data)),
+        new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 })
+      );
+      line.renderOrder = 5;
+      group.add(line);
+
+      // Stations stay a few pixels wide at any zoom
+      const stations = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(getStationPoints(data)),
+        new THREE.PointsMaterial({ color, size: 5, sizeAttenuation: false, depthTest: false })
+      );
+      stations.renderOrder = 5;
+      group.add(stations);
+      return { data, line, stations };
+    });
+
+    moonGroup.add(group);
+    traverses.push({ entry, group, segments });
+  }
+  updateTraverseVisibility();
+}
+
+// Follow the surface after elevation or exaggeration changes
+function updateTraversePositions() {
+  for (const traverse of traverses) {
+    for (const segment of traverse.segments) {
+      segment.line.geometry.setFromPoints(getTraversePoints(segment.data));
+      segment.line.geometry.computeBoundingSphere();
+      segment.stations.geometry.setFromPoints(getStationPoints(segment.data));
+      segment.stations.geometry.computeBoundingSphere();
+    }
+  }
+}
+
+function updateTraverseVisibility() {
+  const view = camera.position.clone().normalize();
+  for (const { entry, group } of traverses) {
+    const { lat, lon } = entry.data;
+    const facing = latLonToVector3(lat, lon, 1).dot(view) > 0;
+    group.visible = state.showTraverses && entry.marker.visible && facing;
+  }
+}
+
+function getTraverse(artifact) {
+  return traverses.find(t => t.entry.data === artifact);
+}
+
+// Centre the view on one segment, or the whole traverse without an index
+function focusOnTraverse(artifact, segmentIndex) {
+  const segments = segmentIndex === undefined ? artifact.traverse : [artifact.traverse[segmentIndex]];
+  const points = segments.flatMap(seg => seg.path);
+  const lat = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+  const lon = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+  const extentKm = Math.max(...points.map(([pLat, pLon]) => greatCircleKm(lat, lon, pLat, pLon)));
+  focusOnCoords(lat, lon, Math.max(TRAVERSE_MIN_ALTITUDE, extentKm * KM_TO_SCENE * 3));
+}
+
+// Segment list in the mission panel
+function updateTraversePanel(artifact) {
+  const section = document.getElementById('panelTraverse');
+  section.classList.toggle('hidden', !artifact.traverse);
+  if (!artifact.traverse) return;
+
+  const totalKm = artifact.traverse.reduce((sum, seg) => sum + getTraverseSegmentKm(seg), 0);
+  document.getElementById('panelTraverseTotal').textContent = formatKm(totalKm);
+
+  const list = document.getElementById('panelTraverseList');
+  list.innerHTML = '';
+  artifact.traverse.forEach((segment, i) => {
+    const color = TRAVERSE_COLORS[i % TRAVERSE_COLORS.length].toString(16).padStart(6, '0');
+    const stations = (segment.stations || []).map(st => st.name).join(', ');
+    const item = document.createElement('div');
+    item.className = 'traverse-item';
+    item.title = 'Focus on this segment';
+    item.innerHTML = `
+      <div class="traverse-header">
+        <span class="traverse-swatch" style="background: #${color};"></span>
+        <span class="traverse-name">${segment.name}</span>
+        <span class="traverse-date">${segment.date || ''}</span>
+        <span class="traverse-distance">${formatKm(getTraverseSegmentKm(segment))}</span>
+      </div>
+      ${stations ? `<div class="traverse-stations">${stations}</div>` : ''}
+    `;
+    item.addEventListener('click', () => focusOnTraverse(artifact, i));
+    list.appendChild(item);
+  });
+}
+
+// ============================================================
+// TRAJECTORY VISUALIZATION
+// ============================================================
+function showTrajectory(artifact, focusCamera = true) {
+  // Redrawing a mission keeps its color and playback position
+  const previous = trajectoryGroups.get(artifact);
+  const arcColor = previous ? previous.userData.color : nextTrajectoryColor();
+  clearTrajectory(artifact);
+
+  // Create trajectory group
+  const trajectoryGroup = new THREE.Group();
+  trajectoryGroup.userData.artifact = artifact;
+  trajectoryGroup.userData.color = arcColor;
+  scene.add(trajectoryGroup);
+  trajectoryGroups.set(artifact, trajectoryGroup);
+
+  // Earth reference point (positioned far from moon to show origin)
+  const earthDistance = MOON_RADIUS * 3;
+  const earthPosition = new THREE.Vector3(earthDistance, 0, 0);
+  if (!earthMarker) {
+    earthMarker = createEarthMarker(earthPosition);
+    scene.add(earthMarker);
+  }
+
+  // Determine trajectory style based on mission status
+  const status = artifact.status.toLowerCase();
+  const isCurrentlyOrbiting = status === 'orbiting';
+
+  // True-scale path from orbital data, or the stylized arc without it
+  const path = buildTrajectoryPath(artifact, earthPosition);
+  const curvePoints = path.points;
+
+  // Create trajectory line
+  const trajectoryGeometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
+  const trajectoryMaterial = new THREE.LineBasicMaterial({
+    color: arcColor,
+    transparent: true,
+    opacity: 0.8,
+    linewidth: 2
+  });
+  const trajectoryLine = new THREE.Line(trajectoryGeometry, trajectoryMaterial);
+  trajectoryGroup.add(trajectoryLine);
+
+  // Phase markers along the path (live orbits turn with the Moon, so they have none).
+  // Their labels are created on demand by updateTrajectoryLegend.
+  if (!path.live) {
+    for (const phase of path.phases) {
+      const phaseMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(3, 8, 8),
+        new THREE.MeshBasicMaterial({ color: 0xffffff })
+      );
+      phaseMarker.position.copy(curvePoints[phase.index]);
+      trajectoryGroup.add(phaseMarker);
+    }
+  }
+  trajectoryGroup.userData.phaseLabels = null;
+
+  // Create animated spacecraft marker
+  const spacecraftGeometry = new THREE.ConeGeometry(4, 10, 4);
+  const spacecraftMaterial = new THREE.MeshStandardMaterial({
+    color: arcColor,
+    emissive: arcColor,
+    emissiveIntensity: 0.6,
+    roughness: 0.3,
+    metalness: 0.8
+  });
+  const spacecraft = new THREE.Mesh(spacecraftGeometry, spacecraftMaterial);
+  trajectoryGroup.add(spacecraft);
+
+  // Add glow effect to spacecraft
+  const glowGeometry = new THREE.SphereGeometry(6, 8, 8);
+  const glowMaterial = new THREE.MeshBasicMaterial({
+    color: arcColor,
+    transparent: true,
+    opacity: 0.3
+  });
+  const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+  spacecraft.add(glow);
+
+  // Playback state shared with the mission timeline
+  const playback = {
+    path,
+    milestones: getMissionMilestones(artifact, path),
+    progress: previous ? previous.userData.playback.progress : 0,
+    playing: previous ? previous.userData.playback.playing : true
+  };
+  trajectoryGroup.userData.playback = playback;
+  const animationSpeed = 0.003;
+
+  function animateSpacecraft() {
+
+    // Orbiters are shown by their live marker; keep the orbit aligned with the Moon
+    if (path.live) {
+      trajectoryLine.rotation.y = -getLunarRotationAngle(path.elements, state.simTime);
+      spacecraft.visible = false;
+      return;
+    }
+
+    if (playback.playing) {
+      playback.progress += animationSpeed;
+      if (playback.progress > 1) playback.progress = 0;
+    }
+
+    const position = playback.progress * (curvePoints.length - 1);
+    const pointIndex = Math.min(Math.floor(position), curvePoints.length - 2);
+    const currentPoint = curvePoints[pointIndex];
+    const nextPoint = curvePoints[pointIndex + 1];
+
+    spacecraft.position.lerpVectors(currentPoint, nextPoint, position - pointIndex);
+
+    // Orient spacecraft along trajectory
+    const direction = new THREE.Vector3().subVectors(nextPoint, currentPoint).normalize();
+    spacecraft.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+
+    // Pulse glow effect
+    glow.scale.setScalar(1 + Math.sin(Date.now() * 0.005) * 0.2);
+
+    updateTrajectoryReadout();
+  }
+
+  // Store animation function for cleanup
+  trajectoryGroup.userData.animate = animateSpacecraft;
+
+  // Add trajectory info panel update
+  console.log(`Trajectory displayed for ${artifact.name} (${artifact.type} - ${artifact.status})`);
+  updateTrajectoryLegend();
+
+  // Focus camera on trajectory, orbiting around its midpoint
+  if (focusCamera && !isCurrentlyOrbiting) {
+    const midPoint = curvePoints[Math.floor(curvePoints.length / 2)];
+    const focusPos = new THREE.Vector3(
+      midPoint.x + 200,
+      midPoint.y + 200,
+      midPoint.z + 200
+    );
+    flyTo({ position: focusPos, target: midPoint, duration: 1500 });
+  }
+}
+
+// Hand-tuned arcs used when an artifact has no orbital data
+function buildStylizedTrajectoryPath(artifact, earthPosition) {
+  // Calculate landing position
+  const landingPos = surfacePosition(artifact.lat, artifact.lon);
+
+  // Determine trajectory style based on mission type and status
+  const status = artifact.status.toLowerCase();
+  const type = artifact.type.toLowerCase();
+  const isOrbiter = type.includes('orbit');
+  const isCurrentlyOrbiting = status === 'orbiting';
+
+  // Create curved trajectory path
+  const curvePoints = [];
+  const phases = [];
+  const segments = 100;
+
+  if (isCurrentlyOrbiting) {
+    // For currently orbiting missions, show elliptical orbit only
+    phases.push({ key: 'loi', index: 0 });
+    for (let i = 0; i <= segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      const orbitRadius = MOON_RADIUS + 100; // Increased from 80 to ensure clearance above surface
+      const x = Math.cos(angle) * orbitRadius;
+      const y = Math.sin(angle) * orbitRadius * 0.7; // Slight ellipse
+      const z = Math.sin(angle * 2) * 20; // Add some 3D variation
+      curvePoints.push(new THREE.Vector3(x, y, z));
+    }
+  } else if (isOrbiter) {
+    // For orbiters that landed/crashed: show arrival from Earth, orbit, then descent
+    const orbitSegments = 35;
+    const approachSegments = 25;
+    const descentSegments = 40;
+
+    // Calculate the landing site's angular position
+    const landingPhi = (90 - artifact.lat) * (Math.PI / 180);
+    const landingTheta = (artifact.lon + 180) * (Math.PI / 180);
+
+    // Part 1: Approach from Earth to orbit insertion point (opposite side of landing)
+    // Insert into orbit on the opposite side of the Moon from landing site
+    const insertionAngle = landingTheta + Math.PI; // Opposite side
+    const orbitRadius = MOON_RADIUS + 100; // Increased from 80 to ensure clearance above surface
+    const orbitInsertionPoint = new THREE.Vector3(
+      -Math.sin(landingPhi) * Math.cos(insertionAngle) * orbitRadius,
+      Math.cos(landingPhi) * orbitRadius,
+      Math.sin(landingPhi) * Math.sin(insertionAngle) * orbitRadius
+    );
+
+    phases.push({ key: 'launch', index: 0 }, { key: 'tli', index: 3 });
+    const approachControlHeight = MOON_RADIUS * 2;
+    const approachControl = new THREE.Vector3(
+      (earthPosition.x + orbitInsertionPoint.x) / 2,
+      approachControlHeight,
+      (earthPosition.z + orbitInsertionPoint.z) / 2
+    );
+
+    for (let i = 0; i <= approachSegments; i++) {
+      const t = i / approachSegments;
+      const x = Math.pow(1 - t, 2) * earthPosition.x +
+                2 * (1 - t) * t * approachControl.x +
+                Math.pow(t, 2) * orbitInsertionPoint.x;
+      const y = Math.pow(1 - t, 2) * earthPosition.y +
+                2 * (1 - t) * t * approachControl.y +
+                Math.pow(t, 2) * orbitInsertionPoint.y;
+      const z = Math.pow(1 - t, 2) * earthPosition.z +
+                2 * (1 - t) * t * approachControl.z +
+                Math.pow(t, 2) * orbitInsertionPoint.z;
+      curvePoints.push(new THREE.Vector3(x, y, z));
+    }
+
+    // Part 2: Orbital phase - orbit from insertion point towards landing site
+    // Calculate starting angle and ending angle
+    const startAngle = Math.atan2(orbitInsertionPoint.z, orbitInsertionPoint.x);
+    const endAngle = landingTheta - Math.PI / 2; // End 90 degrees before landing site for descent
+    let angleSpan = endAngle - startAngle;
+
+    // Normalize angle span to be positive and less than 2π
+    while (angleSpan < 0) angleSpan += Math.PI * 2;
+    while (angleSpan > Math.PI * 2) angleSpan -= Math.PI * 2;
+
+    // Use the shorter arc if it's more than π
+    if (angleSpan > Math.PI) {
+      angleSpan = angleSpan - Math.PI * 2;
+    }
+
+    phases.push({ key: 'loi', index: curvePoints.length });
+    for (let i = 0; i <= orbitSegments; i++) {
+      const t = i / orbitSegments;
       const angle = startAngle + angleSpan * t;
 
-      // Calculate position in orbit at this angle
-      const orbitPhi = landingPhi + (Math.PI / 2 - landingPhi) * (1 - t); // Gradually match landing latitude
-      const x = -Math.sin(orbitPhi) * Math.cos(angle) * orbitRadius;
-      const y = Math.cos(orbitPhi) * orbitRadius;
-      const z = Math.sin(orbitPhi) * Math.sin(angle) * orbitRadius;
+      // Calculate position in orbit at this angle
+      const orbitPhi = landingPhi + (Math.PI / 2 - landingPhi) * (1 - t); // Gradually match landing latitude
+      const x = -Math.sin(orbitPhi) * Math.cos(angle) * orbitRadius;
+      const y = Math.cos(orbitPhi) * orbitRadius;
+      const z = Math.sin(orbitPhi) * Math.sin(angle) * orbitRadius;
+
+      curvePoints.push(new THREE.Vector3(x, y, z));
+    }
+
+    // Part 3: Descent from orbit to landing/crash site
+    const lastOrbitPoint = curvePoints[curvePoints.length - 1];
+    phases.push({ key: 'descent', index: curvePoints.length - 1 });
+
+    // Create a controlled descent that stays above surface
+    // Use a parabolic arc that goes out and then comes back down
+    for (let i = 1; i <= descentSegments; i++) {
+      const t = i / descentSegments;
+
+      // Linear interpolation for base position
+      const baseX = lastOrbitPoint.x + (landingPos.x - lastOrbitPoint.x) * t;
+      const baseY = lastOrbitPoint.y + (landingPos.y - lastOrbitPoint.y) * t;
+      const baseZ = lastOrbitPoint.z + (landingPos.z - lastOrbitPoint.z) * t;
+
+      // Add outward bulge to prevent surface intersection (parabolic)
+      // Maximum bulge at t=0.5, zero at t=0 and t=1
+      const bulgeFactor = 4 * t * (1 - t); // Peaks at 0.5
+      const bulgeAmount = 50; // Increased from 30 to ensure clearance during descent
+
+      const descentPoint = new THREE.Vector3(baseX, baseY, baseZ);
+      const direction = descentPoint.clone().normalize();
+      descentPoint.add(direction.multiplyScalar(bulgeFactor * bulgeAmount));
+
+      // Final safety check: ensure we're above surface
+      const distanceFromCenter = descentPoint.length();
+      const below = vector3ToLatLon(descentPoint);
+      const minRadius = surfacePosition(below.lat, below.lon, 8).length(); // 8 units of clearance
+
+      if (distanceFromCenter < minRadius) {
+        descentPoint.normalize().multiplyScalar(minRadius);
+      }
+
+      curvePoints.push(descentPoint);
+    }
+    phases.push({ key: getArrivalPhase(artifact), index: curvePoints.length - 1 });
+  } else {
+    // For direct landing/impact missions, show arc from Earth to Moon
+    const controlHeight = MOON_RADIUS * 2; // Height of arc
+    const controlPoint = new THREE.Vector3(
+      (earthPosition.x + landingPos.x) / 2,
+      controlHeight,
+      (earthPosition.z + landingPos.z) / 2
+    );
+
+    for (let i = 0; i <= segments; i++) {
+      const t = i / segments;
+      // Quadratic Bézier curve formula
+      const x = Math.pow(1 - t, 2) * earthPosition.x +
+                2 * (1 - t) * t * controlPoint.x +
+                Math.pow(t, 2) * landingPos.x;
+      const y = Math.pow(1 - t, 2) * earthPosition.y +
+                2 * (1 - t) * t * controlPoint.y +
+                Math.pow(t, 2) * landingPos.y;
+      const z = Math.pow(1 - t, 2) * earthPosition.z +
+                2 * (1 - t) * t * controlPoint.z +
+                Math.pow(t, 2) * landingPos.z;
+
+      const trajectoryPoint = new THREE.Vector3(x, y, z);
+
+      // Safety check: ensure trajectory stays above surface
+      const distanceFromCenter = trajectoryPoint.length();
+      const below = vector3ToLatLon(trajectoryPoint);
+      const minRadius = surfacePosition(below.lat, below.lon, 8).length();
+
+      if (distanceFromCenter < minRadius) {
+        trajectoryPoint.normalize().multiplyScalar(minRadius);
+      }
+
+      curvePoints.push(trajectoryPoint);
+    }
+
+    // Direct ascent: no parking orbit, braking burn only for soft landers
+    phases.push({ key: 'launch', index: 0 }, { key: 'tli', index: 15 });
+    if (getArrivalPhase(artifact) === 'landing') phases.push({ key: 'descent', index: segments - 8 });
+    phases.push({ key: getArrivalPhase(artifact), index: segments });
+  }
+
+  return { points: curvePoints, phases };
+}
+
+function createEarthMarker(earthPosition) {
+  const group = new THREE.Group();
+
+  // Create Earth marker (small blue sphere)
+  const earthGeometry = new THREE.SphereGeometry(15, 16, 16);
+  const earthMaterial = new THREE.MeshStandardMaterial({
+    color: 0x4488ff,
+    emissive: 0x2266ff,
+    emissiveIntensity: 0.5,
+    roughness: 0.7,
+    metalness: 0.2
+  });
+  const earth = new THREE.Mesh(earthGeometry, earthMaterial);
+  earth.position.copy(earthPosition);
+  group.add(earth);
+
+  // Add Earth label
+  const earthLabel = createTextSprite('EARTH');
+  earthLabel.position.set(earthPosition.x, earthPosition.y + 25, earthPosition.z);
+  group.add(earthLabel);
+
+  return group;
+}
+
+// Remove one mission's trajectory, or all of them without an argument
+// Free the GPU buffers and label textures of a removed object tree
+function disposeObject(root) {
+  root.traverse(object => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+}
+
+function clearTrajectory(artifact) {
+  const artifacts = artifact ? [artifact] : [...trajectoryGroups.keys()];
+  for (const a of artifacts) {
+    const group = trajectoryGroups.get(a);
+    if (!group) continue;
+    scene.remove(group);
+    disposeObject(group);
+    trajectoryGroups.delete(a);
+  }
+  if (earthMarker && trajectoryGroups.size === 0) {
+    scene.remove(earthMarker);
+    disposeObject(earthMarker);
+    earthMarker = null;
+  }
+  updateTrajectoryLegend();
+}
+
+// ============================================================
+// TRAJECTORY COMPARISON
+// ============================================================
+// Each shown trajectory takes the lowest free color slot; slots are spread
+// around the hue circle by the golden angle so neighbours stay distinct.
+function nextTrajectoryColor() {
+  const used = new Set([...trajectoryGroups.values()].map(g => g.userData.color));
+  for (let slot = 0; ; slot++) {
+    const color = new THREE.Color().setHSL(((slot * 137.508) % 360) / 360, 0.85, 0.6).getHex();
+    if (!used.has(color)) return color;
+  }
+}
+
+// Show trajectories for every artifact that passes the current filters
+function showVisibleTrajectories() {
+  for (const entry of artifactMarkers) {
+    if (entry.marker.visible && !trajectoryGroups.has(entry.data)) {
+      showTrajectory(entry.data, false);
+    }
+  }
+}
+
+// Phase labels are only drawn for a lone trajectory or the one open in the
+// mission panel; with many paths shown they would cover each other.
+function setPhaseLabelsVisible(group, visible) {
+  const playback = group.userData.playback;
+  if (!visible && !group.userData.phaseLabels) return;
+  if (!group.userData.phaseLabels) {
+    group.userData.phaseLabels = playback.path.live ? [] : playback.path.phases.map(phase => {
+      const point = playback.path.points[phase.index];
+      const label = createTextSprite(MISSION_PHASES[phase.key]);
+      label.scale.multiplyScalar(0.6);
+      label.position.copy(point).add(point.clone().normalize().multiplyScalar(14));
+      group.add(label);
+      return label;
+    });
+  }
+  group.userData.phaseLabels.forEach(label => { label.visible = visible; });
+}
+
+function updateTrajectoryLegend() {
+  const panel = document.getElementById('missionPanel');
+  const panelArtifact = panel.classList.contains('hidden') ? null : panel.dataset.artifactName;
+  const list = document.getElementById('trajectoryLegend');
+  list.innerHTML = '';
+
+  for (const [artifact, group] of trajectoryGroups) {
+    setPhaseLabelsVisible(group, trajectoryGroups.size === 1 || artifact.name === panelArtifact);
+
+    const item = document.createElement('div');
+    item.className = 'trajectory-legend-item';
+    item.innerHTML = `
+      <span class="trajectory-swatch" style="background: #${group.userData.color.toString(16).padStart(6, '0')};"></span>
+      <span class="trajectory-name" title="Open mission details">${artifact.name}</span>
+      <button class="trajectory-remove" title="Remove trajectory">&times;</button>
+    `;
+    item.querySelector('.trajectory-name').addEventListener('click', () => openMissionPanel(artifact));
+    item.querySelector('.trajectory-remove').addEventListener('click', () => clearTrajectory(artifact));
+    list.appendChild(item);
+  }
+
+  if (trajectoryGroups.size === 0) {
+    list.innerHTML = '<div class="small-text">Open a mission and choose Show Trajectory</div>';
+  }
+  document.getElementById('clearTrajectories').disabled = trajectoryGroups.size === 0;
+  const shown = [...trajectoryGroups.keys()].some(a => a.name === panelArtifact);
+  document.getElementById('panelTrajectory').textContent = shown ? 'Hide Trajectory' : 'Show Trajectory';
+
+  buildTrajectoryTimeline();
+}
+
+// ============================================================
+// MISSION TIMELINE
+// ============================================================
+const MISSION_PHASES = {
+  launch: 'Launch',
+  tli: 'Trans-lunar injection',
+  approach: 'Lunar approach',
+  loi: 'Lunar orbit insertion',
+  descent: 'Descent',
+  landing: 'Landing',
+  impact: 'Impact'
+};
+
+function getArrivalPhase(artifact) {
+  const status = artifact.status.toLowerCase();
+  return status === 'crashed' || status === 'impactor' ? 'impact' : 'landing';
+}
+
+// Path phases merged with the artifact's dated events, in mission order.
+// Events for phases the path does not draw are listed without a position.
+function getMissionMilestones(artifact, path) {
+  const events = artifact.events || [];
+  return Object.keys(MISSION_PHASES)
+    .map(key => {
+      const phase = path.phases.find(p => p.key === key);
+      const event = events.find(e => e.phase === key);
+      if (!phase && !event) return null;
+      return {
+        key,
+        name: MISSION_PHASES[key],
+        index: phase ? phase.index : null,
+        time: event ? Date.parse(event.date) : null,
+        text: event ? event.text : ''
+      };
+    })
+    .filter(Boolean);
+}
+
+// Phase at a path index and, between dated milestones, the interpolated time
+function getTrajectoryMoment(milestones, position) {
+  const placed = milestones.filter(m => m.index !== null);
+  const phase = placed.filter(m => m.index <= position).pop() || null;
+  const before = placed.filter(m => m.time !== null && m.index <= position).pop();
+  const after = placed.find(m => m.time !== null && m.index > position);
+
+  let time = null;
+  if (before && before.index === position) {
+    time = before.time;
+  } else if (before && after) {
+    time = before.time + (after.time - before.time) * (position - before.index) / (after.index - before.index);
+  }
+  return { phase, time };
+}
+
+function formatMissionTime(time, launchTime) {
+  let text = new Date(time).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+  if (launchTime !== null && time >= launchTime) {
+    const minutes = Math.floor((time - launchTime) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hh = String(Math.floor(minutes / 60) % 24).padStart(2, '0');
+    const mm = String(minutes % 60).padStart(2, '0');
+    text += ` · T+${days}d ${hh}:${mm}`;
+  }
+  return text;
+}
+
+function getVisiblePlayback() {
+  const panel = document.getElementById('missionPanel');
+  if (panel.classList.contains('hidden')) return null;
+  const artifact = ARTIFACTS.find(a => a.name === panel.dataset.artifactName);
+  const group = trajectoryGroups.get(artifact);
+  if (!group || group.userData.playback.path.live) return null;
+  return group.userData.playback;
+}
+
+// Rebuild the phase ticks and milestone list for the trajectory shown in the mission panel
+function buildTrajectoryTimeline() {
+  const timeline = document.getElementById('trajectoryTimeline');
+  const playback = getVisiblePlayback();
+  timeline.classList.toggle('hidden', !playback);
+  if (!playback) return;
+
+  const lastIndex = playback.path.points.length - 1;
+  const ticks = document.getElementById('trajectoryPhaseTicks');
+  ticks.innerHTML = '';
+  const list = document.getElementById('trajectoryMilestones');
+  list.innerHTML = '';
+
+  for (const milestone of playback.milestones) {
+    if (milestone.index !== null) {
+      const tick = document.createElement('span');
+      tick.className = 'phase-tick';
+      tick.style.left = `${(milestone.index / lastIndex) * 100}%`;
+      tick.title = milestone.name;
+      ticks.appendChild(tick);
+    }
+
+    const item = document.createElement('div');
+    item.className = 'milestone-item' + (milestone.index === null ? ' unplaced' : '');
+    item.dataset.phase = milestone.key;
+    item.innerHTML = `
+      <div class="milestone-header">
+        <span class="milestone-name">${milestone.name}</span>
+        <span class="milestone-date">${milestone.time !== null ? new Date(milestone.time).toISOString().slice(0, 10) : ''}</span>
+      </div>
+      ${milestone.text ? `<div class="milestone-text">${milestone.text}</div>` : ''}
+    `;
+    if (milestone.index !== null) {
+      item.title = 'Jump to this phase';
+      item.addEventListener('click', () => scrubTrajectory(milestone.index / lastIndex));
+    }
+    list.appendChild(item);
+  }
+
+  updateTrajectoryReadout();
+}
+
+// Scrubber position, play button and readout for the current playback position
+function updateTrajectoryReadout() {
+  const playback = getVisiblePlayback();
+  if (!playback) return;
+
+  const lastIndex = playback.path.points.length - 1;
+  const scrubber = document.getElementById('trajectoryScrubber');
+  if (document.activeElement !== scrubber) {
+    scrubber.value = Math.round(playback.progress * 1000);
+  }
+  document.getElementById('trajectoryPlay').textContent = playback.playing ? '❚❚' : '▶';
+
+  const { phase, time } = getTrajectoryMoment(playback.milestones, playback.progress * lastIndex);
+  const launch = playback.milestones.find(m => m.key === 'launch');
+  const readout = phase
+    ? `${phase.name}${time !== null ? ' · ' + formatMissionTime(time, launch ? launch.time : null) : ''}`
+    : '';
+  const readoutEl = document.getElementById('trajectoryReadout');
+  if (readoutEl.textContent !== readout) {
+    readoutEl.textContent = readout;
+    document.querySelectorAll('#trajectoryMilestones .milestone-item').forEach(item => {
+      item.classList.toggle('active', phase !== null && item.dataset.phase === phase.key);
+    });
+  }
+}
+
+function scrubTrajectory(progress) {
+  const playback = getVisiblePlayback();
+  if (!playback) return;
+  playback.progress = Math.max(0, Math.min(1, progress));
+  playback.playing = false;
+  updateTrajectoryReadout();
+}
+
+function toggleTrajectoryPlayback() {
+  const playback = getVisiblePlayback();
+  if (!playback) return;
+  if (!playback.playing && playback.progress >= 1) playback.progress = 0;
+  playback.playing = !playback.playing;
+  updateTrajectoryReadout();
+}
+
+const TEXT_INPUT_TYPES = ['text', 'search', 'number', 'date', 'datetime-local', 'time'];
+
+function isTextEntryTarget(target) {
+  if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+  return target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type);
+}
+
+function onKeyDown(event) {
+  // Check if search is focused
+  if (document.activeElement === document.getElementById('searchBox')) {
+    if (event.key === 'Escape') {
+      document.getElementById('searchBox').blur();
+      state.searchQuery = '';
+      document.getElementById('searchBox').value = '';
+      updateSearchFilter();
+      updateArtifactVisibility();
+    }
+    return;
+  }
+
+  // Keys typed into text fields are theirs, and arrows move a focused slider
+  // or select; other keys still work there since controls keep focus after a click
+  if (isTextEntryTarget(event.target)) return;
+  const arrowControl = event.target.type === 'range' || event.target.tagName === 'SELECT';
+  if (arrowControl && event.key.startsWith('Arrow')) return;
+
+  const key = event.key.toLowerCase();
+
+  if (groundView && event.key === 'Escape') {
+    exitGroundView();
+    return;
+  }
+
+  // Tour navigation
+  if (activeTour) {
+    if (event.key === 'ArrowRight') {
+      stepTour(1);
+      return;
+    }
+    if (event.key === 'ArrowLeft') {
+      stepTour(-1);
+      return;
+    }
+    if (event.key === 'Escape') {
+      stopTour();
+      return;
+    }
+  }
+
+  // Measurement mode keys
+  if (state.measureMode) {
+    if (event.key === 'Enter') {
+      finishMeasurement();
+      return;
+    }
+    if (event.key === 'Backspace') {
+      undoMeasurementPoint();
+      event.preventDefault();
+      return;
+    }
+    if (event.key === 'Escape') {
+      if (activeMeasurement) {
+        cancelMeasurement();
+      } else {
+        setMeasureMode(null);
+      }
+      return;
+    }
+  }
+  if (key === 'u') {
+    setMeasureMode(state.measureMode ? null : 'path');
+  }
+  if (key === 'o') {
+    toggleProfilePanel();
+  }
+
+  // View toggles
+  if (key === 'g') {
+    state.showGrid = !state.showGrid;
+    document.getElementById('toggleGrid').checked = state.showGrid;
+    updateVisibility();
+  }
+  if (key === 'l') {
+    state.showLabels = !state.showLabels;
+    document.getElementById('toggleLabels').checked = state.showLabels;
+    updateVisibility();
+  }
+  if (key === 't') {
+    state.showTerrain = !state.showTerrain;
+    document.getElementById('toggleTerrain').checked = state.showTerrain;
+    updateVisibility();
+  }
+  if (key === 'p') {
+    state.showPoles = !state.showPoles;
+    document.getElementById('togglePoles').checked = state.showPoles;
+    updateVisibility();
+  }
+  if (key === 'm') {
+    state.showArtifacts = !state.showArtifacts;
+    document.getElementById('toggleArtifacts').checked = state.showArtifacts;
+    updateArtifactVisibility();
+  }
+  if (key === 'v') {
+    state.terrainMode = (state.terrainMode + 1) % 3;
+    updateVisibility();
+  }
+  if (key === 'e') {
+    const next = (TERRAIN_COLOR_MODES.indexOf(state.terrainColorMode) + 1) % TERRAIN_COLOR_MODES.length;
+    setTerrainColorMode(TERRAIN_COLOR_MODES[next]);
+  }
+  
+  // Features
+  if (key === 'c') {
+    state.showCraters = !state.showCraters;
+    document.getElementById('toggleCraters').checked = state.showCraters;
+    updateResourceVisibility();
+  }
+  if (key === 'b') {
+    state.showMaria = !state.showMaria;
+    document.getElementById('toggleMaria').checked = state.showMaria;
+    updateResourceVisibility();
+  }
+
+  // Resources
+  if (key === 'w') {
+    state.showWater = !state.showWater;
+    document.getElementById('toggleWater').checked = state.showWater;
+    updateResourceVisibility();
+  }
+  if (key === 'i') {
+    state.showHelium = !state.showHelium;
+    document.getElementById('toggleHelium').checked = state.showHelium;
+    updateResourceVisibility();
+  }
+  if (key === 'n') {
+    state.showTitanium = !state.showTitanium;
+    document.getElementById('toggleTitanium').checked = state.showTitanium;
+    updateResourceVisibility();
+  }
+  if (key === 'k') {
+    state.showKreep = !state.showKreep;
+    document.getElementById('toggleKreep').checked = state.showKreep;
+    updateResourceVisibility();
+  }
+  if (key === 'x') {
+    state.showMinerals = !state.showMinerals;
+    document.getElementById('toggleMinerals').checked = state.showMinerals;
+    updateResourceVisibility();
+  }
+  if (key === 'a') {
+    const anyOn = state.showWater || state.showHelium || state.showTitanium || state.showKreep || state.showMinerals;
+    state.showWater = state.showHelium = state.showTitanium = state.showKreep = state.showMinerals = !anyOn;
+    document.getElementById('toggleWater').checked = state.showWater;
+    document.getElementById('toggleHelium').checked = state.showHelium;
+    document.getElementById('toggleTitanium').checked = state.showTitanium;
+    document.getElementById('toggleKreep').checked = state.showKreep;
+    document.getElementById('toggleMinerals').checked = state.showMinerals;
+    updateResourceVisibility();
+  }
+  if (key === 'h') {
+    setResourceHeatmap(!state.resourceHeatmap);
+  }
+  if (key === '+' || key === '=') {
+    state.resourceOpacity = Math.min(1, state.resourceOpacity + 0.1);
+    updateResourceVisibility();
+  }
+  if (key === '-' || key === '_') {
+    state.resourceOpacity = Math.max(0.2, state.resourceOpacity - 0.1);
+    updateResourceVisibility();
+  }
+  
+  // Navigation
+  if (key === 'j') {
+    const next = (MAP_PROJECTIONS.indexOf(state.mapProjection) + 1) % MAP_PROJECTIONS.length;
+    setMapProjection(MAP_PROJECTIONS[next]);
+  }
+  if (key === 'r' && isMapView()) {
+    resetMapView();
+    return;
+  }
+  if (key === 'r') {
+    exitGroundView();
+    cancelCameraFlight();
+    controls.reset();
+    controls.minDistance = CAMERA_MIN_DISTANCE;
+    camera.position.set(0, 100, 500);
+  }
+  if (key === 's' || key === '3') {
+    focusOnArtifact('Surveyor 3');
+  }
+  if (key === '/' || key === 'f') {
+    document.getElementById('searchBox').focus();
+    event.preventDefault();
+  }
+  
+  // Timeline playback
+  if (key === 'y') {
+    toggleTimelinePlayback();
+  }
+
+  // Visual Settings
+  if (key === 'q') {
+    const modal = document.getElementById('visualSettingsModal');
+    const isHidden = modal.classList.contains('hidden');
+    if (isHidden) {
+      modal.classList.remove('hidden');
+      updateVisualSettingsUI();
+    } else {
+      modal.classList.add('hidden');
+    }
+  }
+
+  // Help
+  if (key === 'd') {
+    state.showHelp = !state.showHelp;
+    document.getElementById('helpModal').classList.toggle('hidden', !state.showHelp);
+  }
+  
+  // Number keys for quick focus
+  if (key >= '1' && key <= '9') {
+    const visibleArtifacts = artifactMarkers.filter(m => m.marker.visible);
+    const index = parseInt(key) - 1;
+    if (index < visibleArtifacts.length) {
+      const artifact = visibleArtifacts[index].data;
+      focusOnCoords(artifact.lat, artifact.lon);
+    }
+  }
+}
+
+// ============================================================
+// CAMERA FLIGHT
+// ============================================================
+// Fly-tos move the camera along a great-circle arc around the Moon's centre,
+// easing its distance from start to end, while controls.target slides to the
+// new orbit point. OrbitControls are paused during a flight and a user drag,
+// zoom or pan ('start' event) cancels it where it is.
+let cameraFlight = null; // { startDir, rotation, startRadius, endRadius, startTarget, endTarget, startTime, duration, onComplete }
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function flyTo({ position, target = new THREE.Vector3(), duration, onComplete = null }) {
+  // Any flight starts from orbit
+  if (groundView) exitGroundView();
+
+  // Settle any damping momentum so it does not resume after the flight
+  controls.enableDamping = false;
+  controls.update();
+  controls.enableDamping = true;
+
+  const startDir = camera.position.clone().normalize();
+  const endDir = position.clone().normalize();
+  const angle = startDir.angleTo(endDir);
+  cameraFlight = {
+    startDir,
+    rotation: new THREE.Quaternion().setFromUnitVectors(startDir, endDir),
+    startRadius: camera.position.length(),
+    endRadius: position.length(),
+    startTarget: controls.target.clone(),
+    endTarget: target.clone(),
+    startTime: Date.now(),
+    duration: duration !== undefined ? duration : 800 + (angle / Math.PI) * 1200,
+    onComplete
+  };
+}
+
+function cancelCameraFlight() {
+  cameraFlight = null;
+}
+
+// Called every frame; returns true while a flight is moving the camera
+function updateCameraFlight() {
+  if (!cameraFlight) return false;
+
+  const flight = cameraFlight;
+  const t = Math.min(1, (Date.now() - flight.startTime) / flight.duration);
+  const eased = easeInOutCubic(t);
+
+  const dir = flight.startDir.clone().applyQuaternion(new THREE.Quaternion().slerp(flight.rotation, eased));
+  camera.position.copy(dir.multiplyScalar(THREE.MathUtils.lerp(flight.startRadius, flight.endRadius, eased)));
+  controls.target.lerpVectors(flight.startTarget, flight.endTarget, eased);
+  camera.lookAt(controls.target);
+
+  if (t >= 1) {
+    cameraFlight = null;
+    if (flight.onComplete) flight.onComplete();
+  }
+  return true;
+}
+
+function focusOnArtifact(name) {
+  const artifact = ARTIFACTS.find(a => a.name.includes(name));
+  if (artifact) {
+    focusOnCoords(artifact.lat, artifact.lon);
+  }
+}
+
+// Close views (surface traverses) pass a lower altitude; the zoom limit is
+// relaxed to reach it and restored by the next regular focus.
+function focusOnCoords(lat, lon, altitude = 300) {
+  if (isMapView()) {
+    centerMapOn(lat, lon);
+    return;
+  }
+  const pos = altitude < 300 ? surfacePosition(lat, lon, altitude) : latLonToVector3(lat, lon, MOON_RADIUS + altitude);
+  const minDistance = Math.min(CAMERA_MIN_DISTANCE, pos.length());
+  if (minDistance < controls.minDistance) controls.minDistance = minDistance;
+
+  flyTo({
+    position: pos,
+    onComplete: () => {
+      controls.minDistance = minDistance;
+      urlHistoryPush = true;
+    }
+  });
+}
+
+// ============================================================
+// DEEP LINKS
+// ============================================================
+// The view is mirrored into the URL hash, e.g.
+//   #cam=120,80,410&target=0,0,0&layers=grid,labels,terrain&q=type:rover&sel=artifact:SLIM
+// Opening an artifact or feature, or arriving at a focus point, adds a history
+// entry so back/forward step through them; other changes replace the current one.
+const URL_SYNC_INTERVAL_MS = 500;
+
+// Link name -> state flag and its checkbox
+const LINK_LAYERS = {
+  grid: ['showGrid', 'toggleGrid'],
+  labels: ['showLabels', 'toggleLabels'],
+  terrain: ['showTerrain', 'toggleTerrain'],
+  poles: ['showPoles', 'togglePoles'],
+  artifacts: ['showArtifacts', 'toggleArtifacts'],
+  traverses: ['showTraverses', 'toggleTraverses'],
+  craters: ['showCraters', 'toggleCraters'],
+  maria: ['showMaria', 'toggleMaria'],
+  water: ['showWater', 'toggleWater'],
+  helium: ['showHelium', 'toggleHelium'],
+  titanium: ['showTitanium', 'toggleTitanium'],
+  kreep: ['showKreep', 'toggleKreep'],
+  minerals: ['showMinerals', 'toggleMinerals'],
+  heatmap: ['resourceHeatmap', 'toggleHeatmap']
+};
+
+let lastUrlSync = 0;
+let urlHistoryPush = false; // next sync adds a history entry
+
+function formatVector(v) {
+  return [v.x, v.y, v.z].map(n => Math.round(n * 10) / 10).join(',');
+}
+
+function parseVector(text) {
+  const parts = (text || '').split(',').map(Number);
+  return parts.length === 3 && parts.every(Number.isFinite) ? new THREE.Vector3(...parts) : null;
+}
+
+// Selected artifact or feature, as "<kind>:<name>"
+function getSelectionKey() {
+  const missionPanel = document.getElementById('missionPanel');
+  if (!missionPanel.classList.contains('hidden')) {
+    return `artifact:${missionPanel.dataset.artifactName}`;
+  }
+  const featurePanel = document.getElementById('featurePanel');
+  if (!featurePanel.classList.contains('hidden') && featurePanel.dataset.featureName) {
+    return `${featurePanel.dataset.featureType}:${featurePanel.dataset.featureName}`;
+  }
+  return '';
+}
+
+function serializeViewState() {
+  const params = new URLSearchParams();
+  params.set('cam', formatVector(camera.position));
+  params.set('target', formatVector(controls.target));
+  params.set('layers', Object.keys(LINK_LAYERS).filter(name => state[LINK_LAYERS[name][0]]).join(','));
+  if (state.terrainMode !== 2) params.set('mode', state.terrainMode);
+  if (state.terrainColorMode !== 'natural') params.set('colors', state.terrainColorMode);
+  if (isMapView()) params.set('map', state.mapProjection);
+  if (state.filterGroupBy !== 'operator') params.set('group', state.filterGroupBy);
+  for (const group of ['operator', 'agency']) {
+    if (state.hiddenOrigins[group].size > 0) {
+      params.set(`hide-${group}`, [...state.hiddenOrigins[group]].join('|'));
+    }
+  }
+  if (state.searchQuery) params.set('q', state.searchQuery);
+  if (state.timelineStart !== FIRST_YEAR || state.timelineEnd !== LAST_YEAR) {
+    params.set('years', `${state.timelineStart}-${state.timelineEnd}`);
+  }
+  const selection = getSelectionKey();
+  if (selection) params.set('sel', selection);
+  if (trajectoryGroups.size > 0) {
+    params.set('traj', [...trajectoryGroups.keys()].map(a => a.name).join('|'));
+  }
+  return '#' + params.toString();
+}
+
+// Called every frame; writes the hash at most every URL_SYNC_INTERVAL_MS
+function syncUrlHash() {
+  // The first-person camera has no globe view to share
+  if (groundView) return;
+  const now = Date.now();
+  if (now - lastUrlSync < URL_SYNC_INTERVAL_MS) return;
+  lastUrlSync = now;
+
+  const hash = serializeViewState();
+  if (hash === window.location.hash) return;
+
+  const previous = new URLSearchParams(window.location.hash.slice(1));
+  const selectionChanged = (previous.get('sel') || '') !== getSelectionKey();
+  if ((urlHistoryPush || selectionChanged) && window.location.hash) {
+    history.pushState(null, '', hash);
+  } else {
+    history.replaceState(null, '', hash);
+  }
+  urlHistoryPush = false;
+}
+
+function applyViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if ([...params.keys()].length === 0) return;
+  exitGroundView(); // links and history entries describe an orbital view
+
+  const position = parseVector(params.get('cam'));
+  const target = parseVector(params.get('target'));
+  if (position) {
+    cancelCameraFlight();
+    controls.target.copy(target || new THREE.Vector3());
+    controls.minDistance = Math.min(CAMERA_MIN_DISTANCE, position.distanceTo(controls.target));
+    camera.position.copy(position);
+    camera.lookAt(controls.target);
+  }
+
+  if (params.has('layers')) {
+    const enabled = new Set(params.get('layers').split(','));
+    for (const [name, [flag, inputId]] of Object.entries(LINK_LAYERS)) {
+      state[flag] = enabled.has(name);
+      document.getElementById(inputId).checked = state[flag];
+    }
+  }
+  state.terrainMode = [0, 1, 2].includes(parseInt(params.get('mode'))) ? parseInt(params.get('mode')) : 2;
+  setMapProjection(params.get('map') || 'globe');
+  const colorMode = params.get('colors') || 'natural';
+  if (TERRAIN_COLOR_MODES.includes(colorMode) && colorMode !== state.terrainColorMode) {
+    setTerrainColorMode(colorMode);
+  }
+
+  state.filterGroupBy = params.get('group') === 'agency' ? 'agency' : 'operator';
+  for (const group of ['operator', 'agency']) {
+    const hidden = params.get(`hide-${group}`);
+    state.hiddenOrigins[group] = new Set(hidden ? hidden.split('|') : []);
+  }
+  createOriginFilters();
+
+  state.searchQuery = params.get('q') || '';
+  document.getElementById('searchBox').value = state.searchQuery;
+  updateSearchFilter();
+
+  const years = (params.get('years') || '').split('-').map(Number);
+  if (years.length === 2 && years.every(Number.isFinite)) {
+    setTimelineRange(years[0], years[1]);
+  } else {
+    setTimelineRange(FIRST_YEAR, LAST_YEAR);
+  }
+
+  updateVisibility();
+
+  // Trajectories, then the selection so its panel sees them
+  clearTrajectory();
+  for (const name of (params.get('traj') || '').split('|')) {
+    const artifact = ARTIFACTS.find(a => a.name === name);
+    if (artifact) showTrajectory(artifact, false);
+  }
+
+  const selection = params.get('sel') || '';
+  const separator = selection.indexOf(':');
+  const kind = selection.slice(0, separator);
+  const name = selection.slice(separator + 1);
+  const artifact = kind === 'artifact' && ARTIFACTS.find(a => a.name === name);
+  const features = { crater: CRATERS, mare: MARIA, resource: RESOURCES }[kind];
+  const feature = features && features.find(f => f.name === name);
+  document.getElementById('missionPanel').classList.add('hidden');
+  closeFeaturePanel();
+  if (artifact) {
+    openMissionPanel(artifact);
+  } else if (feature) {
+    openFeaturePanel(kind === 'resource' ? feature : { ...feature, featureType: kind }, kind);
+  }
+  updateTrajectoryLegend();
+}
+
+function copyViewLink() {
+  lastUrlSync = 0;
+  syncUrlHash();
+  const button = document.getElementById('copyLink');
+  const done = (text) => {
+    button.textContent = text;
+    setTimeout(() => { button.textContent = 'Copy Link'; }, 1500);
+  };
+  // The clipboard API only exists in secure contexts (https or localhost)
+  if (!navigator.clipboard) {
+    done('Copy Failed');
+    return;
+  }
+  navigator.clipboard.writeText(window.location.href)
+    .then(() => done('Link Copied'))
+    .catch(() => done('Copy Failed'));
+}
+
+// ============================================================
+// GUIDED TOURS
+// ============================================================
+// Tours are lists of steps (see TOURS in data.js). A step flies the camera,
+// sets layers, opens a panel or trajectory and shows narration.
+const TOUR_STEP_SECONDS = 10;
+
+let tours = [...TOURS];
+let activeTour = null; // { tour, index, auto, timer }
+
+// Check a tour loaded from a file; built-in tours are trusted
+function validateTour(tour) {
+  if (!tour || typeof tour.name !== 'string' || !Array.isArray(tour.steps) || tour.steps.length === 0) {
+    throw new Error('A tour needs a "name" and a non-empty "steps" array');
+  }
+  tour.steps.forEach((step, i) => {
+    const target = step.artifact ? ARTIFACTS.find(a => a.name === step.artifact)
+      : step.feature ? getTourFeature(step.feature)
+      : Number.isFinite(step.lat) && Number.isFinite(step.lon);
+    if (!target) {
+      throw new Error(`Step ${i + 1}: needs a known "artifact", "feature" or "lat"/"lon"`);
+    }
+    if (step.lat !== undefined && !(Math.abs(step.lat) <= 90)) {
+      throw new Error(`Step ${i + 1}: "lat" must be between -90 and 90`);
+    }
+    if (step.lon !== undefined && !(Math.abs(step.lon) <= 180)) {
+      throw new Error(`Step ${i + 1}: "lon" must be between -180 and 180`);
+    }
+    for (const field of ['altitude', 'duration']) {
+      if (step[field] !== undefined && !(Number.isFinite(step[field]) && step[field] > 0)) {
+        throw new Error(`Step ${i + 1}: "${field}" must be a positive number`);
+      }
+    }
+    for (const [name, enabled] of Object.entries(step.layers || {})) {
+      if (!LINK_LAYERS[name]) throw new Error(`Step ${i + 1}: unknown layer "${name}"`);
+      if (typeof enabled !== 'boolean') throw new Error(`Step ${i + 1}: layer "${name}" must be true or false`);
+    }
+  });
+  return tour;
+}
+
+function getTourFeature({ type, name }) {
+  const features = { crater: CRATERS, mare: MARIA, resource: RESOURCES }[type];
+  return features && features.find(f => f.name === name);
+}
+
+function populateTourSelect() {
+  const select = document.getElementById('tourSelect');
+  select.innerHTML = '';
+  tours.forEach((tour, i) => {
+    // Names may come from a user-loaded file
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = tour.name;
+    select.appendChild(option);
+  });
+}
+
+function startTour(tour) {
+  stopTour();
+  clearTrajectory();
+  activeTour = { tour, index: 0, auto: false, timer: null };
+  document.getElementById('tourTitle').textContent = tour.name;
+  document.getElementById('tourPanel').classList.remove('hidden');
+  showTourStep(0);
+}
+
+function stopTour() {
+  if (!activeTour) return;
+  clearTimeout(activeTour.timer);
+  activeTour = null;
+  document.getElementById('tourPanel').classList.add('hidden');
+}
+
+function showTourStep(index) {
+  const { tour } = activeTour;
+  const step = tour.steps[index];
+  activeTour.index = index;
+
+  // Layers first so the panel and camera land on a finished view
+  if (step.layers) {
+    for (const [name, enabled] of Object.entries(step.layers)) {
+      const [flag, inputId] = LINK_LAYERS[name];
+      state[flag] = enabled;
+      document.getElementById(inputId).checked = enabled;
+    }
+    updateVisibility();
+  }
+
+  const artifact = step.artifact && ARTIFACTS.find(a => a.name === step.artifact);
+  const feature = step.feature && getTourFeature(step.feature);
+  const target = artifact || feature || step;
+  if (step.trajectory && artifact) {
+    showTrajectory(artifact, false);
+  }
+
+  document.getElementById('missionPanel').classList.add('hidden');
+  closeFeaturePanel();
+  if (step.panel !== false && artifact) {
+    openMissionPanel(artifact);
+  } else if (step.panel !== false && feature) {
+    const type = step.feature.type;
+    openFeaturePanel(type === 'resource' ? feature : { ...feature, featureType: type }, type);
+  }
+  updateTrajectoryLegend();
+  focusOnCoords(target.lat, target.lon, step.altitude || 300);
+
+  // Narration
+  document.getElementById('tourStepCounter').textContent = `Step ${index + 1} of ${tour.steps.length}`;
+  document.getElementById('tourStepTitle').textContent = step.title || '';
+  document.getElementById('tourText').textContent = step.text || '';
+  document.getElementById('tourPrev').disabled = index === 0;
+  document.getElementById('tourNext').disabled = index === tour.steps.length - 1;
+  scheduleTourAdvance();
+}
+
+function scheduleTourAdvance() {
+  clearTimeout(activeTour.timer);
+  const { tour, index, auto } = activeTour;
+  const last = index === tour.steps.length - 1;
+  if (auto && last) activeTour.auto = false;
+  document.getElementById('tourAuto').textContent = activeTour.auto ? '❚❚ Auto' : '▶ Auto';
+  if (!activeTour.auto) return;
+
+  const seconds = tour.steps[index].duration || TOUR_STEP_SECONDS;
+  activeTour.timer = setTimeout(() => stepTour(1), seconds * 1000);
+}
+
+function stepTour(delta) {
+  if (!activeTour) return;
+  const index = activeTour.index + delta;
+  if (index >= 0 && index < activeTour.tour.steps.length) {
+    showTourStep(index);
+  }
+}
+
+function toggleTourAutoAdvance() {
+  if (!activeTour) return;
+  activeTour.auto = !activeTour.auto;
+  if (activeTour.auto && activeTour.index === activeTour.tour.steps.length - 1) {
+    showTourStep(0);
+  } else {
+    scheduleTourAdvance();
+  }
+}
+
+function loadTourFromFile(file) {
+  const status = document.getElementById('tourStatus');
+  file.text()
+    .then(text => {
+      const tour = validateTour(JSON.parse(text));
+      tours.push(tour);
+      populateTourSelect();
+      document.getElementById('tourSelect').value = tours.length - 1;
+      status.textContent = `Loaded "${tour.name}" (${tour.steps.length} steps)`;
+      startTour(tour);
+    })
+    .catch(error => {
+      status.textContent = `Could not load tour: ${error.message}`;
+    });
+}
+
+// ============================================================
+// GROUND VIEW
+// ============================================================
+// First-person panorama at a landing site. The globe is hidden and the camera
+// stands at the centre of a small local scene (1 unit = 1 m, x east, y up,
+// -z north) rotated into the Moon-fixed frame, so the starfield, Sun and Earth
+// keep their true directions. Distant terrain is a silhouette ring built from
+// the elevation grid; nearby artifacts stand as beacons whose distances are
+// compressed to fit inside it.
+const GROUND_EYE_HEIGHT_M = 1.7;
+const GROUND_HORIZON_AZIMUTHS = 180;
+const GROUND_HORIZON_DISTANCE = 1500;
+const GROUND_SKY_DISTANCE = 2500;
+const GROUND_NEARBY_KM = 300;
+const GROUND_MAX_BEACONS = 12;
+const SUN_ANGULAR_DIAMETER = 0.53;   // deg
+const EARTH_ANGULAR_DIAMETER = 1.9;  // deg
+
+let groundView = null; // { artifact, group, sun, earth, materials, beacons, yaw, pitch, drag, saved }
+
+// Beacon distance inside the panorama: metres nearby, squeezed towards the horizon ring
+function getBeaconDistance(km) {
+  return 20 + (GROUND_HORIZON_DISTANCE - 150) * km / (km + 2);
+}
+
+// Local (panorama) direction for an azimuth/elevation in degrees
+function azElToLocal(azimuth, elevation) {
+  const az = azimuth * DEG;
+  const el = elevation * DEG;
+  return new THREE.Vector3(Math.sin(az) * Math.cos(el), Math.sin(el), -Math.cos(az) * Math.cos(el));
+}
+
+function localToAzEl(dir) {
+  let azimuth = Math.atan2(dir.x, -dir.z) / DEG;
+  if (azimuth < 0) azimuth += 360;
+  return { azimuth, elevation: Math.asin(Math.max(-1, Math.min(1, dir.y))) / DEG };
+}
+
+function formatAzEl(azEl) {
+  return `az ${azEl.azimuth.toFixed(0)}° · el ${azEl.elevation.toFixed(1)}°`;
+}
+
+// Speckled regolith so looking around has some sense of motion
+function createRegolithTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#8a8a8a';
+  context.fillRect(0, 0, 128, 128);
+  for (let i = 0; i < 900; i++) {
+    const shade = 100 + Math.floor(Math.random() * 80);
+    context.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+    context.fillRect(Math.random() * 128, Math.random() * 128, 1 + Math.random() * 2, 1 + Math.random() * 2);
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(400, 400);
+  return texture;
+}
+
+// Radial-gradient disc for the Sun and the Earth
+function createSkyDisc(stops, angularDiameter) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+  stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    transparent: true,
+    depthWrite: false
+  }));
+  const size = 2 * GROUND_SKY_DISTANCE * Math.tan(angularDiameter / 2 * DEG);
+  sprite.scale.set(size, size, 1);
+  return sprite;
+}
+
+// Triangle strip from just below the level line up to the terrain horizon
+function createHorizonRing(horizon) {
+  const positions = [];
+  const colors = [];
+  const indices = [];
+  const n = horizon.length;
+  for (let k = 0; k <= n; k++) {
+    const azimuth = k * 360 / n;
+    const top = Math.max(horizon[k % n], -2.5);
+    for (const [elevation, shade] of [[-3, 0.6], [top, 1]]) {
+      const dir = azElToLocal(azimuth, elevation);
+      const scale = GROUND_HORIZON_DISTANCE / Math.cos(elevation * DEG);
+      positions.push(dir.x * scale, GROUND_EYE_HEIGHT_M + dir.y * scale, dir.z * scale);
+      colors.push(shade, shade, shade);
+    }
+    if (k < n) {
+      const i = k * 2;
+      indices.push(i, i + 2, i + 1, i + 1, i + 2, i + 3);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide }));
+}
+
+// Other surface artifacts within GROUND_NEARBY_KM, nearest first
+function getNearbyArtifacts(artifact) {
+  return ARTIFACTS
+    .filter(a => a !== artifact && a.status.toLowerCase() !== 'orbiting')
+    .map(a => ({
+      artifact: a,
+      km: greatCircleKm(artifact.lat, artifact.lon, a.lat, a.lon),
+      bearing: initialBearing(artifact.lat, artifact.lon, a.lat, a.lon)
+    }))
+    .filter(n => n.km <= GROUND_NEARBY_KM)
+    .sort((a, b) => a.km - b.km)
+    .slice(0, GROUND_MAX_BEACONS);
+}
+
+function createBeacon(nearby) {
+  const distance = getBeaconDistance(nearby.km);
+  const height = distance * Math.tan(3 * DEG) + 1;
+  const dir = azElToLocal(nearby.bearing, 0);
+  const color = STATUS_COLORS[nearby.artifact.status.toLowerCase()] || 0x888888;
+
+  const beacon = new THREE.Group();
+  beacon.position.set(dir.x * distance, 0, dir.z * distance);
+  beacon.add(new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, height, 0)]),
+    new THREE.LineBasicMaterial({ color })
+  ));
+  const base = new THREE.Mesh(
+    new THREE.SphereGeometry(distance * 0.004 + 0.1, 12, 8),
+    new THREE.MeshBasicMaterial({ color })
+  );
+  beacon.add(base);
+
+  // Labels keep roughly the same angular size at any beacon distance
+  const label = createTextSprite(nearby.artifact.name);
+  const width = distance * 0.08;
+  label.scale.set(width, width / 4, 1);
+  label.position.y = height + width / 8;
+  beacon.add(label);
+  return beacon;
+}
+
+function createCompassLabels(horizon) {
+  const labels = new THREE.Group();
+  ['N', 'E', 'S', 'W'].forEach((text, i) => {
+    const label = createTextSprite(text);
+    const width = GROUND_HORIZON_DISTANCE * 0.06;
+    const elevation = Math.max(0, horizon ? horizon[Math.round(i * horizon.length / 4) % horizon.length] : 0) + 2;
+    const dir = azElToLocal(i * 90, elevation);
+    label.scale.set(width, width / 4, 1);
+    label.position.copy(dir.multiplyScalar(GROUND_HORIZON_DISTANCE * 0.95));
+    label.position.y += GROUND_EYE_HEIGHT_M;
+    labels.add(label);
+  });
+  return labels;
+}
+
+function enterGroundView(artifact) {
+  if (groundView) exitGroundView();
+  if (isMapView()) setMapProjection('globe');
+  if (activeTour) stopTour();
+  cancelCameraFlight();
+
+  // The horizon is undefined exactly at the pole
+  const lat = Math.max(-89.99, Math.min(89.99, artifact.lat));
+  const frame = getLocalFrame(lat, artifact.lon);
+  const group = new THREE.Group();
+  group.quaternion.setFromRotationMatrix(
+    new THREE.Matrix4().makeBasis(frame.east, frame.up, frame.north.clone().negate())
+  );
+
+  const ground = new THREE.Mesh(
+    new THREE.CircleGeometry(GROUND_HORIZON_DISTANCE, 96),
+    new THREE.MeshBasicMaterial({ map: createRegolithTexture() })
+  );
+  ground.rotation.x = -Math.PI / 2;
+  group.add(ground);
+
+  const horizon = window.elevationData
+    ? computeHorizon(lat, artifact.lon, window.elevationData, GROUND_HORIZON_AZIMUTHS)
+    : null;
+  const ring = horizon ? createHorizonRing(horizon) : null;
+  if (ring) group.add(ring);
+  group.add(createCompassLabels(horizon));
+
+  const nearby = getNearbyArtifacts(artifact);
+  nearby.forEach(n => group.add(createBeacon(n)));
+
+  const sun = createSkyDisc([[0, '#ffffff'], [0.2, '#fff6dd'], [0.3, 'rgba(255, 230, 170, 0.5)'], [1, 'rgba(255, 200, 120, 0)']],
+    SUN_ANGULAR_DIAMETER * 5);
+  const earth = createSkyDisc([[0, '#d6ecff'], [0.55, '#3d7fd9'], [0.7, '#1b3f80'], [0.72, 'rgba(80, 140, 255, 0.3)'], [1, 'rgba(80, 140, 255, 0)']],
+    EARTH_ANGULAR_DIAMETER * 1.4);
+  group.add(sun, earth);
+  scene.add(group);
+
+  // Hide the globe and everything in orbit around it
+  const hidden = scene.children.filter(child => child.visible && child !== group && child !== starfield && !child.isLight);
+  hidden.forEach(child => { child.visible = false; });
+
+  groundView = {
+    artifact,
+    group,
+    sun,
+    earth,
+    nearby,
+    materials: [ground.material, ring ? ring.material : null].filter(Boolean),
+    yaw: 0,
+    pitch: 5 * DEG,
+    drag: null,
+    saved: {
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      target: controls.target.clone(),
+      fov: camera.fov,
+      near: camera.near,
+      hidden
+    }
+  };
+
+  controls.enabled = false;
+  camera.position.set(0, GROUND_EYE_HEIGHT_M, 0).applyQuaternion(group.quaternion);
+  camera.near = 0.1;
+  camera.updateProjectionMatrix();
+
+  // Start out facing the Sun, or the Earth at night
+  updateGroundSky();
+  const sunAzEl = localToAzEl(sun.position.clone().normalize());
+  const earthAzEl = localToAzEl(earth.position.clone().normalize());
+  if (sunAzEl.elevation > 0) groundView.yaw = sunAzEl.azimuth * DEG;
+  else if (earthAzEl.elevation > 0) groundView.yaw = earthAzEl.azimuth * DEG;
+  updateGroundCamera();
+
+  document.getElementById('groundTitle').textContent = artifact.name;
+  document.getElementById('groundCoords').textContent = formatLatLon(artifact.lat, artifact.lon);
+  updateGroundNearbyList();
+  document.getElementById('groundPanel').classList.remove('hidden');
+  document.getElementById('tooltip').style.display = 'none';
+}
+
+function exitGroundView() {
+  if (!groundView) return;
+  const { group, saved } = groundView;
+
+  scene.remove(group);
+  group.traverse(object => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+  saved.hidden.forEach(child => { child.visible = true; });
+
+  camera.position.copy(saved.position);
+  camera.quaternion.copy(saved.quaternion);
+  camera.fov = saved.fov;
+  camera.near = saved.near;
+  camera.updateProjectionMatrix();
+  controls.target.copy(saved.target);
+  controls.enabled = true;
+
+  groundView = null;
+  document.getElementById('groundPanel').classList.add('hidden');
+}
+
+function updateGroundCamera() {
+  const look = new THREE.Quaternion().setFromEuler(new THREE.Euler(groundView.pitch, -groundView.yaw, 0, 'YXZ'));
+  camera.quaternion.copy(groundView.group.quaternion).multiply(look);
+}
+
+// Place the Sun and Earth for the simulation time and light the ground to match
+function updateGroundSky() {
+  const { artifact, group, sun, earth, materials } = groundView;
+  const toLocal = group.quaternion.clone().invert();
+
+  const subsolar = getSubsolarPoint(state.simTime);
+  const sunDir = latLonToVector3(subsolar.lat, subsolar.lon, 1).applyQuaternion(toLocal);
+  sun.position.copy(sunDir).multiplyScalar(GROUND_SKY_DISTANCE);
+
+  // The Earth is close enough for the site's offset from the Moon's centre to show
+  const subEarth = getSubEarthPoint(state.simTime);
+  const earthDir = latLonToVector3(subEarth.lat, subEarth.lon, subEarth.distanceKm)
+    .sub(latLonToVector3(artifact.lat, artifact.lon, MOON_RADIUS_KM))
+    .normalize()
+    .applyQuaternion(toLocal);
+  earth.position.copy(earthDir).multiplyScalar(GROUND_SKY_DISTANCE);
+
+  const sunAzEl = localToAzEl(sunDir);
+  const earthAzEl = localToAzEl(earthDir);
+  // Daylight, earthshine or starlight
+  let brightness = 0.04;
+  if (sunAzEl.elevation > 0) brightness = 0.35 + 0.45 * Math.min(1, sunAzEl.elevation / 30);
+  else if (earthAzEl.elevation > 0) brightness = 0.12;
+  materials.forEach(material => material.color.setScalar(brightness));
+
+  const sunText = `Sun ${formatAzEl(sunAzEl)}`;
+  const earthText = `Earth ${formatAzEl(earthAzEl)}`;
+  const sunEl = document.getElementById('groundSun');
+  const earthEl = document.getElementById('groundEarth');
+  if (sunEl.textContent !== sunText) sunEl.textContent = sunText;
+  if (earthEl.textContent !== earthText) earthEl.textContent = earthText;
+  sunEl.classList.toggle('warning', sunAzEl.elevation <= 0);
+  earthEl.classList.toggle('warning', earthAzEl.elevation <= 0);
+}
+
+function updateGroundView() {
+  updateGroundSky();
+  updateGroundCamera();
+}
+
+function updateGroundNearbyList() {
+  const list = document.getElementById('groundNearby');
+  list.innerHTML = '';
+  if (groundView.nearby.length === 0) {
+    list.textContent = `Nothing else within ${GROUND_NEARBY_KM} km`;
+    return;
+  }
+  groundView.nearby.forEach(n => {
+    const item = document.createElement('div');
+    item.className = 'traverse-item';
+    item.title = 'Look towards it';
+    item.innerHTML = `
+      <div class="traverse-header">
+        <span class="traverse-name">${n.artifact.name}</span>
+        <span class="traverse-date">${n.bearing.toFixed(0)}°</span>
+        <span class="traverse-distance">${formatKm(n.km)}</span>
+      </div>
+    `;
+    item.addEventListener('click', () => {
+      groundView.yaw = n.bearing * DEG;
+      groundView.pitch = 2 * DEG;
+    });
+    list.appendChild(item);
+  });
+}
+
+// Drag to look around, wheel to zoom
+function onGroundMouseDown(event) {
+  if (!groundView || event.button !== 0) return;
+  groundView.drag = { x: event.clientX, y: event.clientY, yaw: groundView.yaw, pitch: groundView.pitch };
+}
 
-      curvePoints.push(new THREE.Vector3(x, y, z));
-    }
+function onGroundMouseMove(event) {
+  if (!groundView || !groundView.drag) return;
+  const { drag } = groundView;
+  const radPerPixel = camera.fov * DEG / window.innerHeight;
+  groundView.yaw = drag.yaw - (event.clientX - drag.x) * radPerPixel;
+  groundView.pitch = Math.max(-85 * DEG, Math.min(85 * DEG, drag.pitch + (event.clientY - drag.y) * radPerPixel));
+}
 
-    // Part 3: Descent from orbit to landing/crash site
-    const lastOrbitPoint = curvePoints[curvePoints.length - 1];
+function onGroundMouseUp() {
+  if (groundView) groundView.drag = null;
+}
 
-    // Create a controlled descent that stays above surface
-    // Use a parabolic arc that goes out and then comes back down
-    for (let i = 1; i <= descentSegments; i++) {
-      const t = i / descentSegments;
+function onGroundWheel(event) {
+  if (!groundView) return;
+  event.preventDefault();
+  camera.fov = Math.max(10, Math.min(90, camera.fov * (event.deltaY > 0 ? 1.1 : 1 / 1.1)));
+  camera.updateProjectionMatrix();
+}
 
-      // Linear interpolation for base position
-      const baseX = lastOrbitPoint.x + (landingPos.x - lastOrbitPoint.x) * t;
-      const baseY = lastOrbitPoint.y + (landingPos.y - lastOrbitPoint.y) * t;
-      const baseZ = lastOrbitPoint.z + (landingPos.z - lastOrbitPoint.z) * t;
+// ============================================================
+// MAP PROJECTIONS
+// ============================================================
+// Flat alternatives to the globe, drawn on a 2D canvas over the WebGL view:
+// an equirectangular full-Moon map and north/south polar stereographic maps.
+// The terrain is rasterized once per projection and color mode with the same
+// colors as the globe; markers are redrawn every frame from the globe's own
+// visibility so filters, search and the timeline apply unchanged.
+//
+// Normalized map coordinates: the equirectangular map spans x -1..1 (lon
+// -180..180) and y -0.5..0.5 (north up); the polar maps put the pole at 0,0
+// and POLAR_MAP_EDGE_LAT on the unit circle, with 0° longitude facing the
+// Earth-side edge (bottom for the north pole, top for the south pole).
+const MAP_PROJECTIONS = ['globe', 'equirectangular', 'north', 'south'];
+const POLAR_MAP_EDGE_LAT = 45;
+const MAP_RASTER_WIDTH = 512;
+const MAP_RASTER_SETTLE_MS = 250; // slider drags rebuild once the value settles
+const MAP_FIT = 0.92;          // share of the window the unzoomed map fills
+const MAP_MAX_ZOOM = 40;
+const MAP_FOCUS_ZOOM = 6;
+const MAP_HIT_RADIUS = 8;      // px
+const MAP_GRATICULE_DEG = 30;
+
+let mapCanvas = null;
+let mapView = { zoom: 1, panX: 0, panY: 0, drag: null, hover: null };
+let mapRaster = null;          // { key, data, projection, canvas }
+let mapRasterPending = null;   // { key, since } of a rebuild waiting to settle
+let mapPhotoPixels = null;     // { image, width, height, data }
+let mapHeatmapRaster = null;   // { key, canvas }
+let mapHitTargets = [];        // screen positions of the markers drawn last frame
+
+function isMapView() {
+  return state.mapProjection !== 'globe';
+}
 
-      // Add outward bulge to prevent surface intersection (parabolic)
-      // Maximum bulge at t=0.5, zero at t=0 and t=1
-      const bulgeFactor = 4 * t * (1 - t); // Peaks at 0.5
-      const bulgeAmount = 50; // Increased from 30 to ensure clearance during descent
+function projectToMap(lat, lon, projection = state.mapProjection) {
+  if (projection === 'equirectangular') return { x: lon / 180, y: -lat / 180 };
+  const sign = projection === 'north' ? 1 : -1;
+  const colat = Math.min(179, 90 - sign * lat);
+  const r = Math.tan(colat / 2 * DEG) / Math.tan((90 - POLAR_MAP_EDGE_LAT) / 2 * DEG);
+  return { x: r * Math.sin(lon * DEG), y: sign * r * Math.cos(lon * DEG) };
+}
 
-      const descentPoint = new THREE.Vector3(baseX, baseY, baseZ);
-      const direction = descentPoint.clone().normalize();
-      descentPoint.add(direction.multiplyScalar(bulgeFactor * bulgeAmount));
+// Inverse of projectToMap; null outside the map
+function unprojectFromMap(x, y, projection = state.mapProjection) {
+  if (projection === 'equirectangular') {
+    if (Math.abs(x) > 1 || Math.abs(y) > 0.5) return null;
+    return { lat: -y * 180, lon: x * 180 };
+  }
+  const sign = projection === 'north' ? 1 : -1;
+  const r = Math.hypot(x, y);
+  if (r > 1) return null;
+  const colat = 2 * Math.atan(r * Math.tan((90 - POLAR_MAP_EDGE_LAT) / 2 * DEG)) / DEG;
+  return { lat: sign * (90 - colat), lon: Math.atan2(x, sign * y) / DEG };
+}
 
-      // Final safety check: ensure we're above surface
-      const distanceFromCenter = descentPoint.length();
-      const surfaceElev = window.elevationData ?
-        getElevationAt(
-          Math.asin(descentPoint.y / distanceFromCenter) * (180 / Math.PI),
-          Math.atan2(descentPoint.x, descentPoint.z) * (180 / Math.PI),
-          window.elevationData
-        ) * 2 : 0;
-      const minRadius = MOON_RADIUS + surfaceElev + 8; // Increased from 3 to 8 for better clearance
+// Pixels per normalized map unit at the current zoom
+function getMapUnit() {
+  const fit = state.mapProjection === 'equirectangular'
+    ? Math.min(window.innerWidth / 2, window.innerHeight)
+    : Math.min(window.innerWidth, window.innerHeight) / 2;
+  return fit * MAP_FIT * mapView.zoom;
+}
 
-      if (distanceFromCenter < minRadius) {
-        descentPoint.normalize().multiplyScalar(minRadius);
+function mapToScreen(p) {
+  const unit = getMapUnit();
+  return {
+    x: window.innerWidth / 2 + mapView.panX + p.x * unit,
+    y: window.innerHeight / 2 + mapView.panY + p.y * unit
+  };
+}
+
+function screenToMap(sx, sy) {
+  const unit = getMapUnit();
+  return {
+    x: (sx - window.innerWidth / 2 - mapView.panX) / unit,
+    y: (sy - window.innerHeight / 2 - mapView.panY) / unit
+  };
+}
+
+function colorToCss(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// Pixels of the globe's photo texture, when it is what the globe shows
+function getMapPhotoPixels() {
+  const showPhoto = state.visualSettings.textureEnabled && state.terrainColorMode === 'natural';
+  const image = moonTexture && moonTexture.image;
+  if (!showPhoto || !image || !image.width) return null;
+
+  if (!mapPhotoPixels || mapPhotoPixels.image !== image) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      const pixels = context.getImageData(0, 0, image.width, image.height);
+      mapPhotoPixels = { image, width: image.width, height: image.height, data: pixels.data };
+    } catch (error) {
+      console.warn('⚠ Could not read moon texture for the map, using terrain colors:', error);
+      return null;
+    }
+  }
+  return mapPhotoPixels;
+}
+
+// Terrain image for the current projection, rebuilt when its inputs change
+function getMapRaster() {
+  const data = window.elevationData;
+  const photo = getMapPhotoPixels();
+  const key = [state.mapProjection, state.terrainColorMode,
+    state.terrainColorMode === 'slope' ? state.slopeThreshold : '',
+    photo ? 'photo' : 'grid', state.visualSettings.baseBrightness].join('|');
+  if (mapRaster && mapRaster.key === key && mapRaster.data === data) return mapRaster.canvas;
+
+  // Keep showing the old image while a slider (slope threshold, brightness)
+  // is being dragged; a new projection can't reuse it and rebuilds at once
+  if (mapRaster && mapRaster.projection === state.mapProjection) {
+    const now = Date.now();
+    if (!mapRasterPending || mapRasterPending.key !== key) mapRasterPending = { key, since: now };
+    if (now - mapRasterPending.since < MAP_RASTER_SETTLE_MS) return mapRaster.canvas;
+  }
+  mapRasterPending = null;
+
+  const equirect = state.mapProjection === 'equirectangular';
+  const width = MAP_RASTER_WIDTH;
+  const height = equirect ? width / 2 : width;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(width, height);
+  const brightness = state.visualSettings.baseBrightness / 255;
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = (i + 0.5) / width * 2 - 1;
+      const y = equirect ? (j + 0.5) / height - 0.5 : (j + 0.5) / height * 2 - 1;
+      const p = unprojectFromMap(x, y);
+      if (!p) continue;
+
+      const k = (j * width + i) * 4;
+      if (photo) {
+        // Same equirectangular layout as the globe's UVs (lon -180 at the left edge)
+        const px = Math.min(photo.width - 1, Math.floor((p.lon + 180) / 360 * photo.width));
+        const py = Math.min(photo.height - 1, Math.floor((90 - p.lat) / 180 * photo.height));
+        const s = (py * photo.width + px) * 4;
+        image.data[k] = photo.data[s] * brightness;
+        image.data[k + 1] = photo.data[s + 1] * brightness;
+        image.data[k + 2] = photo.data[s + 2] * brightness;
+      } else {
+        const hex = getTerrainColor(p.lat, p.lon, getElevationAt(p.lat, p.lon, data), data).getHex();
+        image.data[k] = (hex >> 16) & 255;
+        image.data[k + 1] = (hex >> 8) & 255;
+        image.data[k + 2] = hex & 255;
       }
+      image.data[k + 3] = 255;
+    }
+  }
+  context.putImageData(image, 0, 0);
 
-      curvePoints.push(descentPoint);
+  mapRaster = { key, data, projection: state.mapProjection, canvas };
+  return canvas;
+}
+
+// Resource heatmap resampled into the current projection
+function getMapHeatmapRaster() {
+  const key = `${state.mapProjection}|${heatmap.version}`;
+  if (mapHeatmapRaster && mapHeatmapRaster.key === key) return mapHeatmapRaster.canvas;
+
+  const equirect = state.mapProjection === 'equirectangular';
+  const width = MAP_RASTER_WIDTH;
+  const height = equirect ? width / 2 : width;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(width, height);
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = (i + 0.5) / width * 2 - 1;
+      const y = equirect ? (j + 0.5) / height - 0.5 : (j + 0.5) / height * 2 - 1;
+      const p = unprojectFromMap(x, y);
+      if (!p) continue;
+
+      const px = Math.min(HEATMAP_WIDTH - 1, Math.floor((p.lon + 180) / 360 * HEATMAP_WIDTH));
+      const py = Math.min(HEATMAP_HEIGHT - 1, Math.floor((90 - p.lat) / 180 * HEATMAP_HEIGHT));
+      const s = (py * HEATMAP_WIDTH + px) * 4;
+      const k = (j * width + i) * 4;
+      for (let c = 0; c < 4; c++) image.data[k + c] = heatmap.pixels[s + c];
     }
-  } else {
-    // For direct landing/impact missions, show arc from Earth to Moon
-    const controlHeight = MOON_RADIUS * 2; // Height of arc
-    const controlPoint = new THREE.Vector3(
-      (earthPosition.x + landingPos.x) / 2,
-      controlHeight,
-      (earthPosition.z + landingPos.z) / 2
-    );
+  }
+  context.putImageData(image, 0, 0);
 
-    for (let i = 0; i <= segments; i++) {
-      const t = i / segments;
-      // Quadratic Bézier curve formula
-      const x = Math.pow(1 - t, 2) * earthPosition.x +
-                2 * (1 - t) * t * controlPoint.x +
-                Math.pow(t, 2) * landingPos.x;
-      const y = Math.pow(1 - t, 2) * earthPosition.y +
-                2 * (1 - t) * t * controlPoint.y +
-                Math.pow(t, 2) * landingPos.y;
-      const z = Math.pow(1 - t, 2) * earthPosition.z +
-                2 * (1 - t) * t * controlPoint.z +
-                Math.pow(t, 2) * landingPos.z;
+  mapHeatmapRaster = { key, canvas };
+  return canvas;
+}
 
-      const trajectoryPoint = new THREE.Vector3(x, y, z);
+// Trace a lat/lon path; equirectangular paths are unwrapped across the
+// antimeridian and drawn a second time from the other side of the map
+function traceMapPath(ctx, points, closed) {
+  const copies = [0];
+  let projected = points.map(p => projectToMap(p.lat, p.lon));
+  if (state.mapProjection === 'equirectangular') {
+    let lon = points[0].lon;
+    const unwrapped = points.map(p => {
+      lon += ((p.lon - lon) % 360 + 540) % 360 - 180;
+      return { lat: p.lat, lon };
+    });
+    // A closed path that winds once around the globe encloses the nearer
+    // pole: run it along that pole's edge of the map to close it
+    if (closed && Math.abs(lon - points[0].lon) > 180) {
+      const meanLat = unwrapped.reduce((sum, p) => sum + p.lat, 0) / unwrapped.length;
+      const poleLat = meanLat < 0 ? -90 : 90;
+      unwrapped.push({ lat: poleLat, lon }, { lat: poleLat, lon: points[0].lon });
+    }
+    projected = unwrapped.map(p => projectToMap(p.lat, p.lon));
+    if (projected.some(p => p.x > 1)) copies.push(-2);
+    if (projected.some(p => p.x < -1)) copies.push(2);
+  }
 
-      // Safety check: ensure trajectory stays above surface
-      const distanceFromCenter = trajectoryPoint.length();
-      const surfaceElev = window.elevationData ?
-        getElevationAt(
-          Math.asin(trajectoryPoint.y / distanceFromCenter) * (180 / Math.PI),
-          Math.atan2(trajectoryPoint.x, trajectoryPoint.z) * (180 / Math.PI),
-          window.elevationData
-        ) * 2 : 0;
-      const minRadius = MOON_RADIUS + surfaceElev + 8;
+  ctx.beginPath();
+  for (const dx of copies) {
+    projected.forEach((p, i) => {
+      const s = mapToScreen({ x: p.x + dx, y: p.y });
+      if (i === 0) ctx.moveTo(s.x, s.y);
+      else ctx.lineTo(s.x, s.y);
+    });
+    if (closed) ctx.closePath();
+  }
+}
 
-      if (distanceFromCenter < minRadius) {
-        trajectoryPoint.normalize().multiplyScalar(minRadius);
-      }
+function drawMapGraticule(ctx) {
+  ctx.strokeStyle = 'rgba(0, 255, 102, 0.15)';
+  ctx.lineWidth = 1;
+  for (let lat = -90 + MAP_GRATICULE_DEG; lat < 90; lat += MAP_GRATICULE_DEG) {
+    const points = [];
+    for (let lon = -180; lon <= 180; lon += 5) points.push({ lat, lon });
+    traceMapPath(ctx, points, false);
+    ctx.stroke();
+  }
+  for (let lon = -180; lon < 180; lon += MAP_GRATICULE_DEG) {
+    const points = [];
+    for (let lat = -90; lat <= 90; lat += 5) points.push({ lat, lon });
+    traceMapPath(ctx, points, false);
+    ctx.stroke();
+  }
+}
 
-      curvePoints.push(trajectoryPoint);
+function drawMapResources(ctx) {
+  for (const entry of resourceMeshes) {
+    if (entry.featureType || !entry.marker.visible) continue;
+    const resource = entry.data;
+    const color = colorToCss(RESOURCE_COLORS[resource.type] || 0xffffff);
+    const opacity = resource.concentration * state.resourceOpacity;
+
+    if (entry.fill.visible) {
+      traceMapPath(ctx, getResourceOutline(resource), true);
+      ctx.globalAlpha = opacity * RESOURCE_FILL_OPACITY;
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.globalAlpha = opacity * 0.9;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      ctx.globalAlpha = 1;
     }
+    drawMapDot(ctx, resource, color, 3, { kind: 'feature', item: resource, type: 'resource' });
   }
+}
 
-  // Create trajectory line
-  const trajectoryGeometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
-  const trajectoryMaterial = new THREE.LineBasicMaterial({
-    color: arcColor,
+function drawMapFeatures(ctx) {
+  for (const entry of resourceMeshes) {
+    if (!entry.featureType || !entry.marker.visible) continue;
+    const color = entry.featureType === 'crater' ? '#ff8844' : '#4488ff';
+    drawMapDot(ctx, entry.data, color, 4, { kind: 'feature', item: entry.data, type: entry.featureType });
+  }
+}
+
+function drawMapArtifacts(ctx) {
+  const missionPanel = document.getElementById('missionPanel');
+  const selected = missionPanel.classList.contains('hidden') ? null : missionPanel.dataset.artifactName;
+
+  for (const { marker, data } of artifactMarkers) {
+    if (!marker.visible) continue;
+    // Orbiters are drawn over their current sub-satellite point
+    const orbiter = getOrbiter(data);
+    const point = orbiter && orbiter.state ? orbiter.state : data;
+    const color = colorToCss(STATUS_COLORS[data.status.toLowerCase()] || 0x888888);
+    const highlighted = data.name === selected || mapView.hover === data;
+    const s = drawMapDot(ctx, point, color, highlighted ? 6 : 4, { kind: 'artifact', item: data });
+    if (!s) continue;
+
+    if (highlighted) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, 9, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    if (state.showLabels) {
+      ctx.font = '10px Courier New, monospace';
+      ctx.textAlign = 'left';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+      ctx.strokeText(data.name, s.x + 8, s.y + 3);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(data.name, s.x + 8, s.y + 3);
+    }
+  }
+}
+
+// Filled dot at a lat/lon, registered for hover and click; returns its screen position
+function drawMapDot(ctx, point, color, radius, target) {
+  const p = projectToMap(point.lat, point.lon);
+  if (state.mapProjection !== 'equirectangular' && Math.hypot(p.x, p.y) > 1) return null;
+  const s = mapToScreen(p);
+  if (s.x < -radius || s.y < -radius || s.x > window.innerWidth + radius || s.y > window.innerHeight + radius) return null;
+
+  ctx.fillStyle = color;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(s.x, s.y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  mapHitTargets.push({ ...target, x: s.x, y: s.y });
+  return s;
+}
+
+function drawMap() {
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const dpr = window.devicePixelRatio || 1;
+  if (mapCanvas.width !== width * dpr || mapCanvas.height !== height * dpr) {
+    mapCanvas.width = width * dpr;
+    mapCanvas.height = height * dpr;
+  }
+
+  const ctx = mapCanvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, width, height);
+  mapHitTargets = [];
+
+  const equirect = state.mapProjection === 'equirectangular';
+  const unit = getMapUnit();
+  const center = mapToScreen({ x: 0, y: 0 });
+  const halfHeight = equirect ? unit / 2 : unit;
+
+  // Everything is clipped to the map outline
+  ctx.save();
+  ctx.beginPath();
+  if (equirect) ctx.rect(center.x - unit, center.y - halfHeight, unit * 2, halfHeight * 2);
+  else ctx.arc(center.x, center.y, unit, 0, Math.PI * 2);
+  ctx.clip();
+
+  if (state.showTerrain) {
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(getMapRaster(), center.x - unit, center.y - halfHeight, unit * 2, halfHeight * 2);
+  }
+  if (heatmapMesh.visible && heatmap) {
+    ctx.globalAlpha = state.resourceOpacity;
+    ctx.drawImage(getMapHeatmapRaster(), center.x - unit, center.y - halfHeight, unit * 2, halfHeight * 2);
+    ctx.globalAlpha = 1;
+  }
+  if (state.showGrid) drawMapGraticule(ctx);
+  drawMapResources(ctx);
+  drawMapFeatures(ctx);
+  drawMapArtifacts(ctx);
+  ctx.restore();
+
+  // Outline and edge latitude
+  ctx.strokeStyle = 'rgba(0, 255, 102, 0.5)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  if (equirect) ctx.rect(center.x - unit, center.y - halfHeight, unit * 2, halfHeight * 2);
+  else ctx.arc(center.x, center.y, unit, 0, Math.PI * 2);
+  ctx.stroke();
+  if (!equirect) {
+    ctx.font = '10px Courier New, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#888';
+    ctx.fillText(`${POLAR_MAP_EDGE_LAT}°${state.mapProjection === 'north' ? 'N' : 'S'}`, center.x + unit * 0.72, center.y - unit * 0.72);
+  }
+}
+
+// Artifacts win over features; nearest within MAP_HIT_RADIUS
+function getMapTargetAt(x, y) {
+  let best = null;
+  let bestScore = Infinity;
+  for (const target of mapHitTargets) {
+    const d = Math.hypot(target.x - x, target.y - y);
+    if (d > MAP_HIT_RADIUS) continue;
+    const score = d + (target.kind === 'artifact' ? 0 : MAP_HIT_RADIUS);
+    if (score < bestScore) {
+      best = target;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function setMapProjection(projection) {
+  if (!MAP_PROJECTIONS.includes(projection)) projection = 'globe';
+  if (projection !== 'globe' && groundView) exitGroundView();
+  const changed = projection !== state.mapProjection;
+  state.mapProjection = projection;
+  document.getElementById('mapProjection').value = projection;
+  mapCanvas.classList.toggle('hidden', projection === 'globe');
+  if (changed) resetMapView();
+  hideTooltip();
+}
+
+function resetMapView() {
+  mapView.zoom = 1;
+  mapView.panX = 0;
+  mapView.panY = 0;
+  mapView.drag = null;
+}
+
+// Map counterpart of a camera focus
+function centerMapOn(lat, lon) {
+  mapView.zoom = Math.max(mapView.zoom, MAP_FOCUS_ZOOM);
+  const p = projectToMap(lat, lon);
+  const unit = getMapUnit();
+  mapView.panX = -p.x * unit;
+  mapView.panY = -p.y * unit;
+}
+
+function onMapMouseDown(event) {
+  if (event.button !== 0) return;
+  mapView.drag = { x: event.clientX, y: event.clientY, panX: mapView.panX, panY: mapView.panY, moved: false };
+}
+
+function onMapMouseMove(event) {
+  if (!isMapView()) return;
+  const drag = mapView.drag;
+  if (drag) {
+    if (Math.hypot(event.clientX - drag.x, event.clientY - drag.y) > 4) drag.moved = true;
+    mapView.panX = drag.panX + event.clientX - drag.x;
+    mapView.panY = drag.panY + event.clientY - drag.y;
+  }
+  if (event.target !== mapCanvas) return;
+
+  const target = drag && drag.moved ? null : getMapTargetAt(event.clientX, event.clientY);
+  mapView.hover = target && target.kind === 'artifact' ? target.item : null;
+  if (state.resourceHeatmap) {
+    if (mapView.hover) {
+      updateHeatmapReadout(mapView.hover, mapView.hover.name);
+    } else {
+      const m = screenToMap(event.clientX, event.clientY);
+      updateHeatmapReadout(unprojectFromMap(m.x, m.y));
+    }
+  }
+  mapCanvas.style.cursor = drag && drag.moved ? 'grabbing' : target ? 'pointer' : 'grab';
+  if (!target) {
+    hideTooltip();
+  } else if (target.kind === 'artifact') {
+    showArtifactTooltip(target.item, event);
+  } else {
+    showResourceTooltip(target.item, event);
+  }
+}
+
+function onMapMouseUp() {
+  // The click handler still needs to know whether this was a drag
+  setTimeout(() => { mapView.drag = null; }, 0);
+}
+
+function onMapClick(event) {
+  if (mapView.drag && mapView.drag.moved) return;
+  const target = getMapTargetAt(event.clientX, event.clientY);
+  if (target && target.kind === 'artifact') {
+    openMissionPanel(target.item);
+  } else if (target) {
+    openFeaturePanel(target.item, target.type);
+  } else {
+    const m = screenToMap(event.clientX, event.clientY);
+    const point = unprojectFromMap(m.x, m.y);
+    if (point) openSurfacePanel(point.lat, point.lon);
+  }
+}
+
+// Zoom about the cursor
+function onMapWheel(event) {
+  event.preventDefault();
+  const before = screenToMap(event.clientX, event.clientY);
+  mapView.zoom = Math.max(1, Math.min(MAP_MAX_ZOOM, mapView.zoom * (event.deltaY > 0 ? 1 / 1.15 : 1.15)));
+  const unit = getMapUnit();
+  mapView.panX = event.clientX - window.innerWidth / 2 - before.x * unit;
+  mapView.panY = event.clientY - window.innerHeight / 2 - before.y * unit;
+}
+
+// ============================================================
+// RESOURCE HEATMAP
+// ============================================================
+// Optional continuous view of the deposits. Each deposit contributes its
+// concentration with a smooth falloff to zero at its radius; within a type the
+// strongest deposit wins, and the enabled types are blended by strength into
+// an equirectangular texture draped over the terrain (same UV layout as the
+// photo texture: lon -180 at the left edge, north at the top).
+const HEATMAP_WIDTH = 1024;
+const HEATMAP_HEIGHT = 512;
+const HEATMAP_MAX_ALPHA = 0.85;
+const HEATMAP_RAMP_STEPS = 256;
+const RESOURCE_TYPE_NAMES = {
+  water: 'Water Ice',
+  helium: 'Helium-3',
+  titanium: 'Titanium',
+  kreep: 'KREEP',
+  minerals: 'Minerals'
+};
+
+let heatmapMesh = null;
+let heatmap = null; // { key, canvas, texture, pixels, version }
+
+// Transparent overlay sharing the terrain geometry
+function createHeatmapMesh() {
+  const material = new THREE.MeshBasicMaterial({
     transparent: true,
-    opacity: 0.8,
-    linewidth: 2
+    opacity: state.resourceOpacity,
+    depthWrite: false,
+    polygonOffset: true,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1
   });
-  const trajectoryLine = new THREE.Line(trajectoryGeometry, trajectoryMaterial);
-  trajectoryGroup.add(trajectoryLine);
+  heatmapMesh = new THREE.Mesh(terrainMesh.geometry, material);
+  heatmapMesh.visible = false;
+  moonGroup.add(heatmapMesh);
+}
 
-  // Create animated spacecraft marker
-  const spacecraftGeometry = new THREE.ConeGeometry(4, 10, 4);
-  const spacecraftMaterial = new THREE.MeshStandardMaterial({
-    color: arcColor,
-    emissive: arcColor,
-    emissiveIntensity: 0.6,
-    roughness: 0.3,
-    metalness: 0.8
-  });
-  const spacecraft = new THREE.Mesh(spacecraftGeometry, spacecraftMaterial);
-  trajectoryGroup.add(spacecraft);
+// 1 at the centre of a deposit, easing to 0 at its radius
+function getHeatmapFalloff(t) {
+  if (t >= 1) return 0;
+  const s = 1 - t * t;
+  return s * s;
+}
 
-  // Add glow effect to spacecraft
-  const glowGeometry = new THREE.SphereGeometry(6, 8, 8);
-  const glowMaterial = new THREE.MeshBasicMaterial({
-    color: arcColor,
-    transparent: true,
-    opacity: 0.3
+function getEnabledResourceTypes() {
+  return Object.keys(RESOURCE_COLORS).filter(type => state[LINK_LAYERS[type][0]]);
+}
+
+// Interpolated concentration (0-1) of every resource type at a point
+function getResourceConcentrationAt(lat, lon) {
+  const values = {};
+  for (const type of Object.keys(RESOURCE_COLORS)) values[type] = 0;
+  for (const resource of RESOURCES) {
+    const t = greatCircleKm(lat, lon, resource.lat, resource.lon) / resource.radius;
+    values[resource.type] = Math.max(values[resource.type], resource.concentration * getHeatmapFalloff(t));
+  }
+  return values;
+}
+
+// Ramp for one type: a dark tint of its RESOURCE_COLORS hue rising to the
+// full color at 75%, then washing toward white
+function getHeatmapColor(type, t) {
+  const color = new THREE.Color(RESOURCE_COLORS[type] || 0xffffff).multiplyScalar(0.3 + 0.7 * Math.min(1, t / 0.75));
+  return color.lerp(new THREE.Color(0xffffff), Math.max(0, t - 0.75) * 2);
+}
+
+// Per-type concentration grids for the enabled types. Each deposit only
+// visits the rows its cap reaches and, per row, the longitudes inside it.
+function computeHeatmapValues(types) {
+  const width = HEATMAP_WIDTH;
+  const height = HEATMAP_HEIGHT;
+  const values = {};
+  for (const type of types) values[type] = new Float32Array(width * height);
+
+  const rowLat = j => (90 - (j + 0.5) / height * 180) * DEG;
+  const colLon = i => ((i + 0.5) / width * 360 - 180) * DEG;
+
+  for (const resource of RESOURCES) {
+    const grid = values[resource.type];
+    if (!grid) continue;
+    const radius = resource.radius / MOON_RADIUS_KM; // radians of arc
+    const lat0 = resource.lat * DEG;
+    const lon0 = resource.lon * DEG;
+    const rowStart = Math.max(0, Math.floor((Math.PI / 2 - lat0 - radius) / Math.PI * height));
+    const rowEnd = Math.min(height - 1, Math.ceil((Math.PI / 2 - lat0 + radius) / Math.PI * height));
+
+    for (let j = rowStart; j <= rowEnd; j++) {
+      const lat = rowLat(j);
+      // Longitude half-width of the cap on this row (past a pole it spans the globe)
+      const cosHalf = (Math.cos(radius) - Math.sin(lat) * Math.sin(lat0)) / (Math.cos(lat) * Math.cos(lat0));
+      if (cosHalf > 1) continue;
+      const halfCols = cosHalf <= -1 ? width / 2 : Math.ceil(Math.acos(cosHalf) / (2 * Math.PI) * width) + 1;
+      const center = Math.floor((lon0 + Math.PI) / (2 * Math.PI) * width);
+
+      for (let c = center - halfCols; c <= center + halfCols && c < center - halfCols + width; c++) {
+        const i = ((c % width) + width) % width;
+        const cosD = Math.sin(lat) * Math.sin(lat0) + Math.cos(lat) * Math.cos(lat0) * Math.cos(colLon(i) - lon0);
+        const value = resource.concentration * getHeatmapFalloff(Math.acos(Math.min(1, cosD)) / radius);
+        const k = j * width + i;
+        if (value > grid[k]) grid[k] = value;
+      }
+    }
+  }
+  return values;
+}
+
+// RGBA pixels blending the enabled types, weighted by concentration
+function computeHeatmapPixels(types) {
+  const values = computeHeatmapValues(types);
+  const ramps = types.map(type => {
+    const ramp = new Uint8Array(HEATMAP_RAMP_STEPS * 3);
+    for (let s = 0; s < HEATMAP_RAMP_STEPS; s++) {
+      const hex = getHeatmapColor(type, s / (HEATMAP_RAMP_STEPS - 1)).getHex();
+      ramp.set([(hex >> 16) & 255, (hex >> 8) & 255, hex & 255], s * 3);
+    }
+    return ramp;
   });
-  const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-  spacecraft.add(glow);
 
-  // Animate spacecraft along trajectory
-  let animationProgress = 0;
-  const animationSpeed = 0.003;
+  const pixels = new Uint8ClampedArray(HEATMAP_WIDTH * HEATMAP_HEIGHT * 4);
+  for (let k = 0; k < HEATMAP_WIDTH * HEATMAP_HEIGHT; k++) {
+    let r = 0, g = 0, b = 0, total = 0, peak = 0;
+    types.forEach((type, t) => {
+      const v = values[type][k];
+      if (!v) return;
+      const s = Math.round(v * (HEATMAP_RAMP_STEPS - 1)) * 3;
+      r += ramps[t][s] * v;
+      g += ramps[t][s + 1] * v;
+      b += ramps[t][s + 2] * v;
+      total += v;
+      peak = Math.max(peak, v);
+    });
+    if (!total) continue;
+    pixels[k * 4] = r / total;
+    pixels[k * 4 + 1] = g / total;
+    pixels[k * 4 + 2] = b / total;
+    pixels[k * 4 + 3] = peak * HEATMAP_MAX_ALPHA * 255;
+  }
+  return pixels;
+}
 
-  function animateSpacecraft() {
-    if (!trajectoryGroup || !spacecraft) return;
+// Rebuilds the texture when the enabled types change; opacity is applied by the material
+function updateResourceHeatmap() {
+  const types = getEnabledResourceTypes();
+  heatmapMesh.visible = state.resourceHeatmap && types.length > 0;
+  heatmapMesh.material.opacity = state.resourceOpacity;
+  updateHeatmapLegend(types);
+  if (!state.resourceHeatmap) return;
+
+  const key = types.join(',');
+  if (heatmap && heatmap.key === key) return;
+
+  const pixels = computeHeatmapPixels(types);
+  const canvas = heatmap ? heatmap.canvas : document.createElement('canvas');
+  canvas.width = HEATMAP_WIDTH;
+  canvas.height = HEATMAP_HEIGHT;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(HEATMAP_WIDTH, HEATMAP_HEIGHT);
+  image.data.set(pixels);
+  context.putImageData(image, 0, 0);
+
+  if (heatmap) {
+    heatmap.texture.needsUpdate = true;
+  } else {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    heatmapMesh.material.map = texture;
+    heatmapMesh.material.needsUpdate = true;
+    heatmap = { canvas, texture, version: 0 };
+  }
+  heatmap.key = key;
+  heatmap.pixels = pixels;
+  heatmap.version++;
+}
 
-    animationProgress += animationSpeed;
-    if (animationProgress > 1) animationProgress = 0;
+function setResourceHeatmap(enabled) {
+  state.resourceHeatmap = enabled;
+  document.getElementById('toggleHeatmap').checked = enabled;
+  updateResourceVisibility();
+}
 
-    const pointIndex = Math.floor(animationProgress * (curvePoints.length - 1));
-    const currentPoint = curvePoints[pointIndex];
-    const nextPoint = curvePoints[Math.min(pointIndex + 1, curvePoints.length - 1)];
+function updateHeatmapLegend(types) {
+  const legend = document.getElementById('heatmapLegend');
+  legend.classList.toggle('hidden', !state.resourceHeatmap);
+  if (!state.resourceHeatmap) return;
+
+  const ramp = type => Array.from({ length: 11 }, (_, i) =>
+    `#${getHeatmapColor(type, i / 10).getHexString()} ${i * 10}%`).join(', ');
+  document.getElementById('heatmapRamps').innerHTML = types.length > 0
+    ? types.map(type => `
+      <div class="heatmap-ramp">
+        <span>${RESOURCE_TYPE_NAMES[type]}</span>
+        <div class="color-legend-bar" style="background: linear-gradient(to right, ${ramp(type)})"></div>
+      </div>`).join('')
+    : '<div class="small-text">Enable a resource type above</div>';
+}
 
-    spacecraft.position.copy(currentPoint);
+// Concentrations of the enabled types at a point, or a hint when there is none
+function updateHeatmapReadout(point, title) {
+  const readout = document.getElementById('heatmapReadout');
+  if (!state.resourceHeatmap) return;
+  if (!point) {
+    readout.innerHTML = '<div class="small-text">Hover the surface or an artifact</div>';
+    return;
+  }
 
-    // Orient spacecraft along trajectory
-    const direction = new THREE.Vector3().subVectors(nextPoint, currentPoint).normalize();
-    spacecraft.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+  const values = getResourceConcentrationAt(point.lat, point.lon);
+  readout.innerHTML = `
+    <div class="heatmap-readout-title">${title || formatLatLon(point.lat, point.lon)}</div>
+    ${getEnabledResourceTypes().map(type => `
+    <div class="stat-item">
+      <span class="stat-label">${RESOURCE_TYPE_NAMES[type]}:</span>
+      <span class="stat-value">${(values[type] * 100).toFixed(0)}%</span>
+    </div>`).join('')}`;
+}
+
+// Concentrations at a site for the mission panel, strongest first
+function describeResourceConcentration(lat, lon) {
+  const values = getResourceConcentrationAt(lat, lon);
+  const present = Object.keys(values)
+    .filter(type => values[type] >= 0.005)
+    .sort((a, b) => values[b] - values[a]);
+  if (present.length === 0) return 'None mapped';
+  return present.map(type => `${RESOURCE_TYPE_NAMES[type]} ${(values[type] * 100).toFixed(0)}%`).join(' · ');
+}
+
+// ============================================================
+// MARKER CLUSTERING
+// ============================================================
+// Surface markers closer than CLUSTER_RADIUS_PX on screen collapse into one
+// badge with the count and a ring split by origin. Clustered markers and
+// stems move to CLUSTERED_LAYER, which the camera does not render and
+// raycasts skip, so `visible` keeps meaning "passes the filters". Clicking a
+// badge fans its markers out around it until the camera moves.
+const CLUSTER_RADIUS_PX = 28;
+const CLUSTER_UPDATE_MS = 100;
+const CLUSTERED_LAYER = 1;
+const CLUSTER_BADGE_SCALE = 0.055; // screen-space sprite size (about 40 px on an 800 px window)
+const SPIDER_RADIUS_PX = 48;
+const ORIGIN_COLORS = [0x00ff66, 0xff4466, 0x4da6ff, 0xffcc00, 0xff8844, 0xcc66ff, 0x00e5ff, 0xff66cc];
+
+let clusters = [];             // { key, entries, badge }
+let spider = null;             // { cluster, entries, legs, cameraPosition }
+let lastClusterUpdate = 0;
+
+function getOriginColor(key) {
+  const index = getOriginGroups().findIndex(group => group.key === key);
+  return ORIGIN_COLORS[Math.max(0, index) % ORIGIN_COLORS.length];
+}
+
+// Origins of a cluster's artifacts, largest share first
+function getClusterBreakdown(entries) {
+  const counts = new Map();
+  for (const { data } of entries) {
+    const key = getOriginKey(data);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count, color: getOriginColor(key) }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+function createClusterBadge(entries) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 128;
+  canvas.height = 128;
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  context.beginPath();
+  context.arc(64, 64, 60, 0, Math.PI * 2);
+  context.fill();
+
+  // One ring segment per origin
+  let start = -Math.PI / 2;
+  context.lineWidth = 12;
+  for (const { count, color } of getClusterBreakdown(entries)) {
+    const end = start + (count / entries.length) * Math.PI * 2;
+    context.strokeStyle = colorToCss(color);
+    context.beginPath();
+    context.arc(64, 64, 52, start, end);
+    context.stroke();
+    start = end;
+  }
+
+  context.font = 'bold 44px monospace';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = '#ffffff';
+  context.fillText(String(entries.length), 64, 66);
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    sizeAttenuation: false,
+    depthWrite: false
+  }));
+  sprite.scale.set(CLUSTER_BADGE_SCALE, CLUSTER_BADGE_SCALE, 1);
+  sprite.renderOrder = 998;
+  return sprite;
+}
+
+function disposeClusterBadge(badge) {
+  moonGroup.remove(badge);
+  badge.material.map.dispose();
+  badge.material.dispose();
+}
+
+// Clustered markers also lose their label at the next layout pass
+function setMarkerClustered(index, clustered) {
+  const { marker, line } = artifactMarkers[index];
+  if (marker.layers.isEnabled(CLUSTERED_LAYER) === clustered) return;
+  const layer = clustered ? CLUSTERED_LAYER : 0;
+  marker.layers.set(layer);
+  line.layers.set(layer);
+  requestLabelLayout();
+}
+
+// Called every frame; regroups at most every CLUSTER_UPDATE_MS
+function updateClusters() {
+  const now = Date.now();
+  if (now - lastClusterUpdate < CLUSTER_UPDATE_MS) return;
+  lastClusterUpdate = now;
+
+  if (spider && spider.cameraPosition.distanceTo(camera.position) > 0.5) collapseSpider();
+
+  // Screen positions of the front-facing surface markers
+  const candidates = [];
+  const cameraLocal = moonGroup.worldToLocal(camera.position.clone());
+  artifactMarkers.forEach((entry, index) => {
+    const { marker, data } = entry;
+    const eligible = state.clusterMarkers && marker.visible && !getOrbiter(data) &&
+      !(spider && spider.entries.includes(entry)) &&
+      marker.position.dot(cameraLocal.clone().sub(marker.position)) > 0;
+    if (!eligible) {
+      setMarkerClustered(index, false);
+      return;
+    }
+    const ndc = marker.getWorldPosition(new THREE.Vector3()).project(camera);
+    candidates.push({
+      index,
+      entry,
+      x: (ndc.x + 1) / 2 * window.innerWidth,
+      y: (1 - ndc.y) / 2 * window.innerHeight
+    });
+  });
+
+  // Greedy grouping around each not yet claimed marker
+  const claimed = new Set();
+  const groups = [];
+  candidates.forEach((seed, i) => {
+    if (claimed.has(i)) return;
+    claimed.add(i);
+    const members = [seed];
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (!claimed.has(j) && Math.hypot(candidates[j].x - seed.x, candidates[j].y - seed.y) < CLUSTER_RADIUS_PX) {
+        claimed.add(j);
+        members.push(candidates[j]);
+      }
+    }
+    groups.push(members);
+  });
 
-    // Pulse glow effect
-    glow.scale.setScalar(1 + Math.sin(Date.now() * 0.005) * 0.2);
+  // Badges are kept while their membership is unchanged
+  const previous = new Map(clusters.map(cluster => [cluster.key, cluster]));
+  clusters = [];
+  for (const members of groups) {
+    const clustered = members.length > 1;
+    members.forEach(m => setMarkerClustered(m.index, clustered));
+    if (!clustered) continue;
+
+    const entries = members.map(m => m.entry);
+    const key = entries.map(e => e.data.name).join('|');
+    let cluster = previous.get(key);
+    if (cluster) {
+      previous.delete(key);
+    } else {
+      cluster = { key, entries, badge: createClusterBadge(entries) };
+      cluster.badge.userData.cluster = cluster;
+      moonGroup.add(cluster.badge);
+    }
+
+    // Centroid at the markers' height above the surface
+    const center = new THREE.Vector3();
+    let radius = 0;
+    for (const { marker } of entries) {
+      center.add(marker.position);
+      radius += marker.position.length();
+    }
+    cluster.badge.position.copy(center.setLength(radius / entries.length));
+    clusters.push(cluster);
   }
+  previous.forEach(cluster => disposeClusterBadge(cluster.badge));
+}
 
-  // Store animation function for cleanup
-  trajectoryGroup.userData.animate = animateSpacecraft;
+// Fan a cluster's markers out in a ring facing the camera
+function spiderfy(cluster) {
+  collapseSpider();
+  const { entries, badge } = cluster;
+  const center = badge.getWorldPosition(new THREE.Vector3());
+  const pxToWorld = 2 * Math.tan(camera.fov / 2 * DEG) * camera.position.distanceTo(center) / window.innerHeight;
+  const radius = SPIDER_RADIUS_PX * pxToWorld * Math.max(1, entries.length / 8);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+
+  const legs = new THREE.Group();
+  const legMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 });
+  entries.forEach((entry, i) => {
+    const angle = Math.PI / 2 + (i / entries.length) * Math.PI * 2;
+    const world = center.clone()
+      .add(right.clone().multiplyScalar(Math.cos(angle) * radius))
+      .add(up.clone().multiplyScalar(Math.sin(angle) * radius));
+    const home = entry.marker.position.clone();
+    const fanned = moonGroup.worldToLocal(world);
+
+    entry.marker.position.copy(fanned);
+    setMarkerClustered(artifactMarkers.indexOf(entry), false);
+    legs.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([home, fanned]), legMaterial));
+  });
 
-  // Add trajectory info panel update
-  console.log(`Trajectory displayed for ${artifact.name} (${artifact.type} - ${artifact.status})`);
+  moonGroup.add(legs);
+  disposeClusterBadge(badge);
+  clusters = clusters.filter(c => c !== cluster);
+  spider = { cluster, entries, legs, cameraPosition: camera.position.clone() };
+  requestLabelLayout();
+}
 
-  // Focus camera on trajectory
-  if (!isCurrentlyOrbiting) {
-    const midPoint = curvePoints[Math.floor(curvePoints.length / 2)];
-    const focusPos = new THREE.Vector3(
-      midPoint.x + 200,
-      midPoint.y + 200,
-      midPoint.z + 200
-    );
+function collapseSpider() {
+  if (!spider) return;
+  for (const entry of spider.entries) {
+    entry.marker.position.copy(surfacePosition(entry.data.lat, entry.data.lon, 12));
+  }
+  moonGroup.remove(spider.legs);
+  spider.legs.children.forEach(leg => leg.geometry.dispose());
+  if (spider.legs.children.length > 0) spider.legs.children[0].material.dispose();
+  spider = null;
+  lastClusterUpdate = 0;
+  requestLabelLayout();
+}
 
-    const start = camera.position.clone();
-    const end = focusPos;
-    const duration = 1500;
-    const startTime = Date.now();
+function showClusterTooltip(cluster, event) {
+  const tooltip = document.getElementById('tooltip');
+  hoveredArtifact = null;
+  const rows = getClusterBreakdown(cluster.entries).map(({ key, count, color }) =>
+    `<div class="detail"><span style="color: ${colorToCss(color)};">●</span> ${key}: ${count}</div>`).join('');
+  tooltip.innerHTML = `
+    <div class="name">${cluster.entries.length} artifacts</div>
+    ${rows}
+    <div class="coords">Click to expand • zoom in to separate</div>
+  `;
+  positionTooltip(tooltip, event);
+}
 
-    function animateCamera() {
-      const elapsed = Date.now() - startTime;
-      const t = Math.min(1, elapsed / duration);
-      const eased = t * (2 - t);
+// ============================================================
+// LABEL LAYOUT
+// ============================================================
+// Artifact labels are fixed-size screen sprites placed by a greedy pass
+// whenever the view changes. Markers on the far hemisphere or inside a
+// cluster get no label; the rest are tried in priority order (selected,
+// hovered, then heavier and older missions) in a few slots around their
+// marker, full name first and truncated second, skipping any slot that would
+// overlap a placed label or another marker. How many labels are shown grows
+// as the camera closes in.
+const LABEL_FONT = 'bold 22px monospace';
+const LABEL_TEXTURE_SCALE = 2;          // texture pixels per screen pixel
+const LABEL_TEXTURE_HEIGHT = 36;
+const LABEL_SHORT_LENGTH = 16;
+const LABEL_GAP_PX = 6;                 // between a marker and its label
+const LABEL_MARKER_RADIUS_PX = 5;       // other markers a label may not cover
+const LABEL_BUDGET = 14;                // labels allowed at LABEL_BUDGET_ALTITUDE
+const LABEL_BUDGET_ALTITUDE = 300;
+const LABEL_SLOTS = [[1, 0], [-1, 0], [0, -1], [0, 1]]; // right, left, above, below
+const LABEL_PRIORITY_SELECTED = 1e6;
+const LABEL_PRIORITY_HOVERED = 1e5;
+
+let labelLayoutDirty = true;
+let lastLabelCameraMatrix = new THREE.Matrix4();
+let lastLabelSignature = '';
+
+function requestLabelLayout() {
+  labelLayoutDirty = true;
+}
 
-      camera.position.lerpVectors(start, end, eased);
-      camera.lookAt(0, 0, 0);
+function drawLabelTexture(text) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = LABEL_FONT;
+  const width = Math.ceil(context.measureText(text).width) + 20;
+  canvas.width = width;
+  canvas.height = LABEL_TEXTURE_HEIGHT;
 
-      if (t < 1) {
-        requestAnimationFrame(animateCamera);
-      }
-    }
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.roundRect(1, 1, width - 2, LABEL_TEXTURE_HEIGHT - 2, 4);
+  context.fill();
+  context.strokeStyle = 'rgba(0, 255, 102, 0.5)';
+  context.lineWidth = 1;
+  context.roundRect(1, 1, width - 2, LABEL_TEXTURE_HEIGHT - 2, 4);
+  context.stroke();
 
-    animateCamera();
-  }
+  // Resizing the canvas reset the font
+  context.font = LABEL_FONT;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  context.fillText(text, width / 2 + 1, LABEL_TEXTURE_HEIGHT / 2 + 1);
+  context.fillStyle = '#ffffff';
+  context.fillText(text, width / 2, LABEL_TEXTURE_HEIGHT / 2);
+
+  return {
+    texture: new THREE.CanvasTexture(canvas),
+    width: width / LABEL_TEXTURE_SCALE,
+    height: LABEL_TEXTURE_HEIGHT / LABEL_TEXTURE_SCALE
+  };
 }
 
-function clearTrajectory() {
-  if (trajectoryGroup) {
-    scene.remove(trajectoryGroup);
-    trajectoryGroup = null;
-  }
-  if (earthMarker) {
-    earthMarker = null;
+// Label sprite with its full name and, for long names, a truncated variant
+function createArtifactLabel(name) {
+  const variants = [drawLabelTexture(name)];
+  if (name.length > LABEL_SHORT_LENGTH) {
+    variants.push(drawLabelTexture(name.slice(0, LABEL_SHORT_LENGTH - 2) + '…'));
   }
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: variants[0].texture,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    sizeAttenuation: false
+  }));
+  sprite.userData.variants = variants;
+  sprite.renderOrder = 999;
+  sprite.visible = false;
+  return sprite;
 }
 
-function onKeyDown(event) {
-  // Check if search is focused
-  if (document.activeElement === document.getElementById('searchBox')) {
-    if (event.key === 'Escape') {
-      document.getElementById('searchBox').blur();
-      state.searchQuery = '';
-      document.getElementById('searchBox').value = '';
-      updateArtifactVisibility();
-    }
-    return;
-  }
-  
-  const key = event.key.toLowerCase();
-  
-  // View toggles
-  if (key === 'g') {
-    state.showGrid = !state.showGrid;
-    document.getElementById('toggleGrid').checked = state.showGrid;
-    updateVisibility();
-  }
-  if (key === 'l') {
-    state.showLabels = !state.showLabels;
-    document.getElementById('toggleLabels').checked = state.showLabels;
-    updateVisibility();
-  }
-  if (key === 't') {
-    state.showTerrain = !state.showTerrain;
-    document.getElementById('toggleTerrain').checked = state.showTerrain;
-    updateVisibility();
-  }
-  if (key === 'p') {
-    state.showPoles = !state.showPoles;
-    document.getElementById('togglePoles').checked = state.showPoles;
-    updateVisibility();
-  }
-  if (key === 'm') {
-    state.showArtifacts = !state.showArtifacts;
-    document.getElementById('toggleArtifacts').checked = state.showArtifacts;
-    updateArtifactVisibility();
-  }
-  if (key === 'v') {
-    state.terrainMode = (state.terrainMode + 1) % 3;
-    updateVisibility();
-  }
-  
-  // Features
-  if (key === 'c') {
-    state.showCraters = !state.showCraters;
-    document.getElementById('toggleCraters').checked = state.showCraters;
-    updateResourceVisibility();
-  }
-  if (key === 'b') {
-    state.showMaria = !state.showMaria;
-    document.getElementById('toggleMaria').checked = state.showMaria;
-    updateResourceVisibility();
-  }
+function getLabelPriority(artifact, selectedName) {
+  if (artifact.name === selectedName) return LABEL_PRIORITY_SELECTED;
+  if (artifact === hoveredArtifact) return LABEL_PRIORITY_HOVERED;
+  const mass = getSearchFieldValue(artifact, 'mass');
+  return (Number.isFinite(mass) ? Math.log10(mass + 1) * 100 : 0) + (LAST_YEAR - artifact.year);
+}
 
-  // Resources
-  if (key === 'w') {
-    state.showWater = !state.showWater;
-    document.getElementById('toggleWater').checked = state.showWater;
-    updateResourceVisibility();
-  }
-  if (key === 'i') {
-    state.showHelium = !state.showHelium;
-    document.getElementById('toggleHelium').checked = state.showHelium;
-    updateResourceVisibility();
-  }
-  if (key === 'n') {
-    state.showTitanium = !state.showTitanium;
-    document.getElementById('toggleTitanium').checked = state.showTitanium;
-    updateResourceVisibility();
-  }
-  if (key === 'k') {
-    state.showKreep = !state.showKreep;
-    document.getElementById('toggleKreep').checked = state.showKreep;
-    updateResourceVisibility();
-  }
-  if (key === 'x') {
-    state.showMinerals = !state.showMinerals;
-    document.getElementById('toggleMinerals').checked = state.showMinerals;
-    updateResourceVisibility();
-  }
-  if (key === 'a') {
-    const anyOn = state.showWater || state.showHelium || state.showTitanium || state.showKreep || state.showMinerals;
-    state.showWater = state.showHelium = state.showTitanium = state.showKreep = state.showMinerals = !anyOn;
-    document.getElementById('toggleWater').checked = state.showWater;
-    document.getElementById('toggleHelium').checked = state.showHelium;
-    document.getElementById('toggleTitanium').checked = state.showTitanium;
-    document.getElementById('toggleKreep').checked = state.showKreep;
-    document.getElementById('toggleMinerals').checked = state.showMinerals;
-    updateResourceVisibility();
-  }
-  if (key === '+' || key === '=') {
-    state.resourceOpacity = Math.min(1, state.resourceOpacity + 0.1);
-    updateResourceVisibility();
-  }
-  if (key === '-' || key === '_') {
-    state.resourceOpacity = Math.max(0.2, state.resourceOpacity - 0.1);
-    updateResourceVisibility();
-  }
-  
-  // Navigation
-  if (key === 'r') {
-    controls.reset();
-    camera.position.set(0, 100, 500);
-  }
-  if (key === 's' || key === '3') {
-    focusOnArtifact('Surveyor 3');
-  }
-  if (key === '/' || key === 'f') {
-    document.getElementById('searchBox').focus();
-    event.preventDefault();
-  }
-  
-  // Visual Settings
-  if (key === 'q') {
-    const modal = document.getElementById('visualSettingsModal');
-    const isHidden = modal.classList.contains('hidden');
-    if (isHidden) {
-      modal.classList.remove('hidden');
-      updateVisualSettingsUI();
-    } else {
-      modal.classList.add('hidden');
-    }
-  }
+function boxesOverlap(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
 
-  // Help
-  if (key === 'd') {
-    state.showHelp = !state.showHelp;
-    document.getElementById('helpModal').classList.toggle('hidden', !state.showHelp);
-  }
-  
-  // Number keys for quick focus
-  if (key >= '1' && key <= '9') {
-    const visibleArtifacts = artifactMarkers.filter(m => m.marker.visible);
-    const index = parseInt(key) - 1;
-    if (index < visibleArtifacts.length) {
-      const artifact = visibleArtifacts[index].data;
-      focusOnCoords(artifact.lat, artifact.lon);
+// First free slot for a label, as { variant, x, y } in screen pixels
+function findLabelSlot(item, placed, markerPoints) {
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  for (const variant of item.label.userData.variants) {
+    for (const [sx, sy] of LABEL_SLOTS) {
+      const x = item.x + sx * (variant.width / 2 + LABEL_GAP_PX);
+      const y = item.y + sy * (variant.height / 2 + LABEL_GAP_PX);
+      const box = {
+        left: x - variant.width / 2,
+        right: x + variant.width / 2,
+        top: y - variant.height / 2,
+        bottom: y + variant.height / 2
+      };
+      if (box.left < 0 || box.top < 0 || box.right > width || box.bottom > height) continue;
+      if (placed.some(other => boxesOverlap(box, other))) continue;
+      const coversMarker = markerPoints.some(p => p.index !== item.index &&
+        p.x + LABEL_MARKER_RADIUS_PX > box.left && p.x - LABEL_MARKER_RADIUS_PX < box.right &&
+        p.y + LABEL_MARKER_RADIUS_PX > box.top && p.y - LABEL_MARKER_RADIUS_PX < box.bottom);
+      if (coversMarker) continue;
+      return { variant, x, y, box };
     }
   }
+  return null;
 }
 
-function focusOnArtifact(name) {
-  const artifact = ARTIFACTS.find(a => a.name.includes(name));
-  if (artifact) {
-    focusOnCoords(artifact.lat, artifact.lon);
-  }
-}
+// Called every frame; lays labels out again when the view or the selection changed
+function updateLabelLayout() {
+  if (isMapView()) return;
+  const missionPanel = document.getElementById('missionPanel');
+  const selectedName = missionPanel.classList.contains('hidden') ? '' : missionPanel.dataset.artifactName;
+  const signature = `${selectedName}|${hoveredArtifact ? hoveredArtifact.name : ''}|${window.innerWidth}x${window.innerHeight}`;
+  const orbitersMoving = state.timeScale !== 0 && orbiters.some(o => o.entry.marker.visible);
+  if (!labelLayoutDirty && !orbitersMoving && signature === lastLabelSignature &&
+      camera.matrixWorld.equals(lastLabelCameraMatrix)) return;
+  labelLayoutDirty = false;
+  lastLabelSignature = signature;
+  lastLabelCameraMatrix.copy(camera.matrixWorld);
+
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const cameraLocal = moonGroup.worldToLocal(camera.position.clone());
+  const altitude = Math.max(1, cameraLocal.length() - MOON_RADIUS);
+  const budget = Math.round(LABEL_BUDGET * LABEL_BUDGET_ALTITUDE / altitude);
+  // Sprite scale per screen pixel for sizeAttenuation: false
+  const pxToScale = 2 * Math.tan(camera.fov / 2 * DEG) / height;
+
+  const markerPoints = [];
+  const items = [];
+  artifactMarkers.forEach((entry, index) => {
+    const label = artifactLabels[index];
+    label.visible = false;
+    const { marker, data } = entry;
+    if (!marker.visible || !marker.layers.isEnabled(0)) return;
+    // Far hemisphere
+    if (marker.position.dot(cameraLocal.clone().sub(marker.position)) <= 0) return;
+
+    const ndc = marker.getWorldPosition(new THREE.Vector3()).project(camera);
+    if (ndc.z > 1 || Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return;
+    const point = { index, x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height };
+    markerPoints.push(point);
+    if (state.showLabels) {
+      items.push({ ...point, label, depth: ndc.z, priority: getLabelPriority(data, selectedName) });
+    }
+  });
+  items.sort((a, b) => b.priority - a.priority);
 
-function focusOnCoords(lat, lon) {
-  const pos = latLonToVector3(lat, lon, MOON_RADIUS + 300);
-  
-  // Animate camera
-  const start = camera.position.clone();
-  const end = pos;
-  const duration = 1000;
-  const startTime = Date.now();
-  
-  function animateCamera() {
-    const elapsed = Date.now() - startTime;
-    const t = Math.min(1, elapsed / duration);
-    const eased = t * (2 - t); // Ease out quad
-    
-    camera.position.lerpVectors(start, end, eased);
-    camera.lookAt(0, 0, 0);
-    
-    if (t < 1) {
-      requestAnimationFrame(animateCamera);
+  const placed = [];
+  for (const item of items) {
+    const pinned = item.priority >= LABEL_PRIORITY_HOVERED;
+    if (placed.length >= budget && !pinned) break;
+
+    const slot = findLabelSlot(item, placed, markerPoints);
+    if (!slot) continue;
+    placed.push(slot.box);
+
+    const { label } = item;
+    if (label.material.map !== slot.variant.texture) {
+      label.material.map = slot.variant.texture;
+      label.material.needsUpdate = true;
     }
+    label.scale.set(slot.variant.width * pxToScale, slot.variant.height * pxToScale, 1);
+    const world = new THREE.Vector3(slot.x / width * 2 - 1, 1 - slot.y / height * 2, item.depth).unproject(camera);
+    label.position.copy(moonGroup.worldToLocal(world));
+    label.visible = true;
   }
-  
-  animateCamera();
 }
 
 // ============================================================
@@ -1942,6 +7084,18 @@ function bindUI() {
     updateArtifactVisibility();
   });
 
+  // Terrain color mode and slope threshold
+  document.getElementById('terrainColorMode').addEventListener('change', (e) => {
+    setTerrainColorMode(e.target.value);
+  });
+  document.getElementById('slopeThreshold').addEventListener('input', (e) => {
+    state.slopeThreshold = parseFloat(e.target.value);
+    document.getElementById('slopeThresholdValue').textContent = e.target.value + '°';
+    updateTerrainColors();
+    updateTerrainColorLegend();
+  });
+  updateTerrainColorLegend();
+
   // Terrain opacity slider
   document.getElementById('terrainOpacity').addEventListener('input', (e) => {
     const opacity = parseInt(e.target.value) / 100;
@@ -1998,53 +7152,58 @@ function bindUI() {
     state.showMinerals = e.target.checked;
     updateResourceVisibility();
   });
-  
-  // Filters - individual country checkboxes
-  document.getElementById('filterSovietUnion').addEventListener('change', (e) => {
-    state.filterSovietUnion = e.target.checked;
-    updateArtifactVisibility();
-  });
-  document.getElementById('filterRussia').addEventListener('change', (e) => {
-    state.filterRussia = e.target.checked;
-    updateArtifactVisibility();
+  document.getElementById('toggleHeatmap').addEventListener('change', (e) => {
+    setResourceHeatmap(e.target.checked);
   });
-  document.getElementById('filterUS').addEventListener('change', (e) => {
-    state.filterUS = e.target.checked;
-    updateArtifactVisibility();
+  
+  // Filters - generated from the operators and agencies present in ARTIFACTS
+  createOriginFilters();
+  document.querySelectorAll('#filterGroupBy button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.filterGroupBy = btn.dataset.group;
+      createOriginFilters();
+      updateArtifactVisibility();
+    });
   });
-  document.getElementById('filterChina').addEventListener('change', (e) => {
-    state.filterChina = e.target.checked;
+  document.getElementById('filterAll').addEventListener('click', () => {
+    state.hiddenOrigins[state.filterGroupBy].clear();
+    createOriginFilters();
     updateArtifactVisibility();
   });
-  document.getElementById('filterIndia').addEventListener('change', (e) => {
-    state.filterIndia = e.target.checked;
+  document.getElementById('filterNone').addEventListener('click', () => {
+    for (const { key } of getOriginGroups()) {
+      state.hiddenOrigins[state.filterGroupBy].add(key);
+    }
+    createOriginFilters();
     updateArtifactVisibility();
   });
-  document.getElementById('filterJapan').addEventListener('change', (e) => {
-    state.filterJapan = e.target.checked;
-    updateArtifactVisibility();
+
+  // Timeline
+  createTimeline();
+  document.getElementById('timelineStart').addEventListener('input', (e) => {
+    const start = parseInt(e.target.value);
+    setTimelineRange(start, Math.max(start, state.timelineEnd));
   });
-  document.getElementById('filterIsrael').addEventListener('change', (e) => {
-    state.filterIsrael = e.target.checked;
-    updateArtifactVisibility();
+  document.getElementById('timelineEnd').addEventListener('input', (e) => {
+    const end = parseInt(e.target.value);
+    setTimelineRange(Math.min(state.timelineStart, end), end);
   });
-  document.getElementById('filterEurope').addEventListener('change', (e) => {
-    state.filterEurope = e.target.checked;
-    updateArtifactVisibility();
+  document.getElementById('timelinePlay').addEventListener('click', toggleTimelinePlayback);
+  document.getElementById('timelineReset').addEventListener('click', () => {
+    state.timelinePlaying = false;
+    setTimelineRange(FIRST_YEAR, LAST_YEAR);
   });
-  
+
   // Search
   document.getElementById('searchBox').addEventListener('input', (e) => {
     state.searchQuery = e.target.value;
+    updateSearchFilter();
     updateArtifactVisibility();
   });
   document.getElementById('searchBox').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       // Focus on first matching artifact
-      const query = state.searchQuery.toLowerCase();
-      const match = ARTIFACTS.find(a =>
-        a.name.toLowerCase().includes(query) || String(a.year).includes(query)
-      );
+      const match = ARTIFACTS.find(a => matchesSearchFilter(a));
       if (match) {
         focusOnCoords(match.lat, match.lon);
       }
@@ -2060,11 +7219,62 @@ function bindUI() {
   document.getElementById('panelTrajectory').addEventListener('click', () => {
     const artifactName = document.getElementById('missionPanel').dataset.artifactName;
     const artifact = ARTIFACTS.find(a => a.name === artifactName);
-    if (artifact) {
+    if (artifact && trajectoryGroups.has(artifact)) {
+      clearTrajectory(artifact);
+    } else if (artifact) {
       showTrajectory(artifact);
     }
   });
 
+  document.getElementById('panelGroundView').addEventListener('click', () => {
+    const artifact = ARTIFACTS.find(a => a.name === document.getElementById('missionPanel').dataset.artifactName);
+    if (artifact) enterGroundView(artifact);
+  });
+  document.getElementById('groundClose').addEventListener('click', exitGroundView);
+
+  // Flat maps
+  mapCanvas = document.getElementById('mapCanvas');
+  mapCanvas.addEventListener('mousedown', onMapMouseDown);
+  mapCanvas.addEventListener('click', onMapClick);
+  mapCanvas.addEventListener('wheel', onMapWheel, { passive: false });
+  window.addEventListener('mousemove', onMapMouseMove);
+  window.addEventListener('mouseup', onMapMouseUp);
+  document.getElementById('mapProjection').addEventListener('change', (e) => {
+    setMapProjection(e.target.value);
+  });
+  renderer.domElement.addEventListener('mousedown', onGroundMouseDown);
+  window.addEventListener('mousemove', onGroundMouseMove);
+  window.addEventListener('mouseup', onGroundMouseUp);
+  renderer.domElement.addEventListener('wheel', onGroundWheel, { passive: false });
+
+  document.getElementById('panelTraverseFocus').addEventListener('click', () => {
+    const artifact = ARTIFACTS.find(a => a.name === document.getElementById('missionPanel').dataset.artifactName);
+    if (artifact && artifact.traverse) focusOnTraverse(artifact);
+  });
+  document.getElementById('trajectoryPlay').addEventListener('click', toggleTrajectoryPlayback);
+  document.getElementById('copyLink').addEventListener('click', copyViewLink);
+
+  // Guided tours
+  populateTourSelect();
+  document.getElementById('startTour').addEventListener('click', () => {
+    startTour(tours[parseInt(document.getElementById('tourSelect').value)]);
+  });
+  document.getElementById('tourFile').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      loadTourFromFile(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+  document.getElementById('tourPrev').addEventListener('click', () => stepTour(-1));
+  document.getElementById('tourNext').addEventListener('click', () => stepTour(1));
+  document.getElementById('tourAuto').addEventListener('click', toggleTourAutoAdvance);
+  document.getElementById('tourClose').addEventListener('click', stopTour);
+  document.getElementById('showVisibleTrajectories').addEventListener('click', showVisibleTrajectories);
+  document.getElementById('clearTrajectories').addEventListener('click', () => clearTrajectory());
+  document.getElementById('trajectoryScrubber').addEventListener('input', (e) => {
+    scrubTrajectory(parseInt(e.target.value) / 1000);
+  });
+
   // Feature panel buttons
   document.getElementById('featurePanelClose').addEventListener('click', closeFeaturePanel);
   document.getElementById('featurePanelFocus').addEventListener('click', () => {
@@ -2074,11 +7284,91 @@ function bindUI() {
     focusOnCoords(lat, lon);
   });
 
+  // Surface panel buttons
+  document.getElementById('surfacePanelClose').addEventListener('click', closeSurfacePanel);
+  document.getElementById('surfacePanelFocus').addEventListener('click', () => {
+    const panel = document.getElementById('surfacePanel');
+    focusOnCoords(parseFloat(panel.dataset.lat), parseFloat(panel.dataset.lon));
+  });
+
+  // Measurement tool
+  document.getElementById('toggleMeasure').addEventListener('click', () => {
+    setMeasureMode(state.measureMode ? null : 'path');
+  });
+  document.querySelectorAll('#measureModes button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setMeasureMode(state.measureMode === btn.dataset.mode ? null : btn.dataset.mode);
+    });
+  });
+  document.getElementById('measureFinish').addEventListener('click', finishMeasurement);
+  document.getElementById('measureUndo').addEventListener('click', undoMeasurementPoint);
+  document.getElementById('measureExport').addEventListener('click', exportMeasurements);
+  document.getElementById('measureClear').addEventListener('click', clearMeasurements);
+  document.getElementById('measurePanelClose').addEventListener('click', () => {
+    setMeasureMode(null);
+    document.getElementById('measurePanel').classList.add('hidden');
+  });
+
+  // Elevation profile
+  populateProfileArtifactSelects();
+  document.getElementById('toggleProfile').addEventListener('click', toggleProfilePanel);
+  document.getElementById('profilePlot').addEventListener('click', profileBetweenArtifacts);
+  document.getElementById('profilePanelClose').addEventListener('click', closeElevationProfile);
+  const profileChart = document.getElementById('profileChart');
+  profileChart.addEventListener('mousemove', onProfileChartHover);
+  profileChart.addEventListener('mouseleave', onProfileChartLeave);
+
+  // Sun and time
+  document.getElementById('toggleEphemerisSun').addEventListener('change', (e) => {
+    state.ephemerisSun = e.target.checked;
+    updateSunLighting();
+  });
+  document.getElementById('toggleTerminator').addEventListener('change', (e) => {
+    state.showTerminator = e.target.checked;
+    updateTerminator();
+  });
+  document.getElementById('simTime').addEventListener('change', (e) => {
+    const ms = Date.parse(e.target.value + 'Z');
+    if (isNaN(ms)) return;
+    state.ephemerisSun = true;
+    document.getElementById('toggleEphemerisSun').checked = true;
+    setSimTime(ms);
+  });
+  document.getElementById('simTimeNow').addEventListener('click', () => setSimTime(Date.now()));
+  document.getElementById('timeScale').addEventListener('change', (e) => {
+    state.timeScale = parseFloat(e.target.value);
+  });
+  document.getElementById('toggleTraverses').addEventListener('change', (e) => {
+    state.showTraverses = e.target.checked;
+    updateTraverseVisibility();
+  });
+  document.getElementById('toggleClusters').addEventListener('change', (e) => {
+    state.clusterMarkers = e.target.checked;
+    collapseSpider();
+  });
+  document.getElementById('toggleGroundTracks').addEventListener('change', (e) => {
+    state.showGroundTracks = e.target.checked;
+    updateOrbiters();
+  });
+  document.getElementById('togglePolarIllumination').addEventListener('change', (e) => {
+    state.showPolarIllumination = e.target.checked;
+    updatePolarIlluminationOverlay();
+  });
+  setSimTime(state.simTime);
+
   // Make panels draggable and resizable
   makePanelDraggable('missionPanel');
   makePanelDraggable('featurePanel');
+  makePanelDraggable('surfacePanel');
+  makePanelDraggable('measurePanel');
+  makePanelDraggable('profilePanel');
+  makePanelDraggable('tourPanel');
+  makePanelDraggable('groundPanel');
   makePanelResizable('missionPanel');
   makePanelResizable('featurePanel');
+  makePanelResizable('surfacePanel');
+  makePanelResizable('measurePanel');
+  makePanelResizable('profilePanel');
 
   // Visual Settings Modal
   bindVisualSettingsUI();
@@ -2176,10 +7466,19 @@ function bindVisualSettingsUI() {
     document.getElementById('baseBrightnessValue').textContent = e.target.value;
   });
 
-  document.getElementById('elevationIntensity').addEventListener('input', (e) => {
-    state.visualSettings.elevationIntensity = parseFloat(e.target.value);
-    document.getElementById('elevationIntensityValue').textContent = e.target.value;
+  document.getElementById('verticalExaggeration').addEventListener('input', (e) => {
+    setVerticalExaggeration(parseFloat(e.target.value));
+    document.getElementById('verticalExaggerationValue').textContent = e.target.value + '×';
+  });
+
+  // Terrain data
+  document.getElementById('demFile').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      loadElevationFromFiles(e.target.files);
+    }
+    e.target.value = '';
   });
+  document.getElementById('useProceduralElevation').addEventListener('click', useProceduralElevation);
 
   // Renderer controls
   document.getElementById('toggleToneMapping').addEventListener('change', (e) => {
@@ -2244,8 +7543,8 @@ function updateVisualSettingsUI() {
   document.getElementById('surfaceRoughnessValue').textContent = vs.surfaceRoughness;
   document.getElementById('baseBrightness').value = vs.baseBrightness;
   document.getElementById('baseBrightnessValue').textContent = vs.baseBrightness;
-  document.getElementById('elevationIntensity').value = vs.elevationIntensity;
-  document.getElementById('elevationIntensityValue').textContent = vs.elevationIntensity;
+  document.getElementById('verticalExaggeration').value = vs.verticalExaggeration;
+  document.getElementById('verticalExaggerationValue').textContent = vs.verticalExaggeration + '×';
 
   document.getElementById('toggleToneMapping').checked = vs.toneMappingEnabled;
   document.getElementById('toneExposure').value = vs.toneExposure;
@@ -2270,7 +7569,7 @@ function applyVisualPreset(preset) {
     vs.textureEnabled = true;
     vs.surfaceRoughness = 0.98;
     vs.baseBrightness = 180;
-    vs.elevationIntensity = 1.2;
+    vs.verticalExaggeration = 1.0;
     vs.toneMappingEnabled = true;
     vs.toneExposure = 1.5;
     vs.pixelRatio = 2.0;
@@ -2287,7 +7586,7 @@ function applyVisualPreset(preset) {
     vs.textureEnabled = true;
     vs.surfaceRoughness = 0.9;
     vs.baseBrightness = 230;
-    vs.elevationIntensity = 0.8;
+    vs.verticalExaggeration = 2.0;
     vs.toneMappingEnabled = true;
     vs.toneExposure = 1.0;
     vs.pixelRatio = 2.0;
@@ -2304,7 +7603,7 @@ function applyVisualPreset(preset) {
     vs.textureEnabled = true;
     vs.surfaceRoughness = 0.95;
     vs.baseBrightness = 150;
-    vs.elevationIntensity = 1.5;
+    vs.verticalExaggeration = 4.0;
     vs.toneMappingEnabled = true;
     vs.toneExposure = 1.8;
     vs.pixelRatio = 2.0;
@@ -2321,7 +7620,7 @@ function applyVisualPreset(preset) {
     vs.textureEnabled = true;
     vs.surfaceRoughness = 0.95;
     vs.baseBrightness = 204;
-    vs.elevationIntensity = 1.0;
+    vs.verticalExaggeration = 2.0;
     vs.toneMappingEnabled = true;
     vs.toneExposure = 1.2;
     vs.pixelRatio = 2.0;
@@ -2362,10 +7661,10 @@ function applyVisualSettings() {
     );
 
     // Toggle texture
-    if (vs.textureEnabled && !terrainMaterial.map) {
+    if (vs.textureEnabled && !moonTexture) {
       // Reload texture
       const textureLoader = new THREE.TextureLoader();
-      terrainMaterial.map = textureLoader.load(
+      moonTexture = textureLoader.load(
         'https://cdn.jsdelivr.net/gh/mrdoob/three.js@dev/examples/textures/planets/moon_1024.jpg',
         (texture) => {
           texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
@@ -2373,11 +7672,14 @@ function applyVisualSettings() {
           terrainMaterial.needsUpdate = true;
         }
       );
-    } else if (!vs.textureEnabled) {
-      terrainMaterial.map = null;
     }
 
-    terrainMaterial.needsUpdate = true;
+    updateTerrainMap();
+  }
+
+  // Presets change the exaggeration without going through the slider
+  if (terrainMesh && terrainMesh.userData.verticalExaggeration !== vs.verticalExaggeration) {
+    setVerticalExaggeration(vs.verticalExaggeration);
   }
 
   // Apply renderer settings
@@ -2395,14 +7697,35 @@ function applyVisualSettings() {
 // ============================================================
 function animate() {
   requestAnimationFrame(animate);
-  controls.update();
+  if (groundView) {
+    updateGroundView();
+  } else if (!updateCameraFlight()) {
+    controls.update();
+  }
+
+  // Simulation clock and spacecraft in orbit
+  updateSimClock();
+  updateOrbiters();
+  updateTraverseVisibility();
+  updateClusters();
+  updateLabelLayout();
+  syncUrlHash();
+
+  // Timeline playback and arrival pulses
+  updateTimelinePlayback();
+  updateMarkerPulses();
 
   // Animate trajectory spacecraft if active
-  if (trajectoryGroup && trajectoryGroup.userData.animate) {
-    trajectoryGroup.userData.animate();
+  for (const group of trajectoryGroups.values()) {
+    group.userData.animate();
   }
 
-  renderer.render(scene, camera);
+  // The globe is not drawn while a flat map covers it
+  if (isMapView()) {
+    drawMap();
+  } else {
+    renderer.render(scene, camera);
+  }
 }
 
 // ============================================================